@@ -0,0 +1,315 @@
+import type { DirectMessage, GossipDirectDeliveryStatus, GossipDirectOptions } from './gossip.js';
+
+export const ANYCAST_TYPE = 'pp-anycast-v1';
+
+const MAX_SERVICE_LENGTH = 256;
+
+/** An anycast payload received by a provider of its service. */
+export type AnycastMessage = {
+  anycastId: string;
+  service: string;
+  data: unknown;
+  fromPeerId: string;
+  /** Whether the envelope carried a verified origin signature. */
+  verified: boolean;
+};
+
+export type AnycastSendOptions = Pick<GossipDirectOptions, 'ackTimeoutMs' | 'maxAttempts' | 'ttlMs' | 'expiresAt'> & {
+  /** Providers tried before giving up, nearest first. Defaults to the service option. */
+  maxProviders?: number;
+};
+
+export type AnycastResult = {
+  anycastId: string;
+  service: string;
+  /** The provider that accepted the message. */
+  peerId: string;
+  /** Providers tried, in order, the accepting one last. */
+  providersTried: string[];
+};
+
+export type PeerPigeonAnycastOptions = {
+  /** Providers tried per send before giving up. Default 3. */
+  maxProviders?: number;
+  /**
+   * How long to wait for a provider's accept or reject after it acknowledged
+   * the message before treating it as accepted. Default 5000.
+   */
+  replyTimeoutMs?: number;
+};
+
+type AnycastPayload = {
+  __ppType: typeof ANYCAST_TYPE;
+  id: string;
+  service: string;
+  data: unknown;
+};
+
+/** A provider's answer to an anycast: false when it no longer offers the service. */
+type AnycastReply = {
+  __ppType: typeof ANYCAST_TYPE;
+  id: string;
+  accepted: boolean;
+};
+
+type DirectReceivedData = { message: DirectMessage; verified?: boolean };
+
+interface AnycastMeshLike {
+  getServiceProviders(service: string): string[];
+  getAdvertisedServices(): string[];
+  getHopDistance(peerId: string): number | null;
+  getXorDistance(peerId: string): string | null;
+  on(event: 'mesh:membership', handler: (peerIds: string[]) => void): void;
+  off(event: 'mesh:membership', handler: (peerIds: string[]) => void): void;
+}
+
+interface AnycastGossipLike {
+  sendDirectReliable(targetPeerId: string, data: unknown, options?: Omit<GossipDirectOptions, 'reliable'>): string | null;
+  hasDirectRoute(targetPeerId: string): boolean;
+  on(event: 'directMessageReceived', callback: (data: DirectReceivedData) => void): void;
+  on(event: 'directDelivered' | 'directFailed', callback: (status: GossipDirectDeliveryStatus) => void): void;
+  off(event: 'directMessageReceived', callback: (data: DirectReceivedData) => void): void;
+  off(event: 'directDelivered' | 'directFailed', callback: (status: GossipDirectDeliveryStatus) => void): void;
+}
+
+type PendingAnycast = {
+  payload: AnycastPayload;
+  options: AnycastSendOptions;
+  maxProviders: number;
+  tried: string[];
+  /** Reliable direct message carrying the current attempt. */
+  messageId: string | null;
+  /** Pending once the current provider acknowledged without answering yet. */
+  replyTimer: ReturnType<typeof setTimeout> | null;
+  resolve: (result: AnycastResult) => void;
+  reject: (error: Error) => void;
+};
+
+/**
+ * Sends to the nearest live provider of a named service. Providers advertise
+ * in their CECR membership records; the sender ranks them by topology hop
+ * distance, then XOR distance, and sends a reliable direct message. When it
+ * fails, or the provider's record drops out of the live view, the next
+ * nearest provider is tried, so a message may reach more than one provider.
+ * A provider answers each message with an accept, or a reject when it no
+ * longer offers the service, which also moves the sender on.
+ */
+export class PeerPigeonAnycast {
+  private readonly mesh: AnycastMeshLike;
+  private readonly gossip: AnycastGossipLike;
+  private readonly maxProviders: number;
+  private readonly replyTimeoutMs: number;
+  private readonly onMessage: (message: AnycastMessage) => void;
+  private readonly pending = new Map<string, PendingAnycast>();
+  private readonly pendingByMessageId = new Map<string, string>();
+  private destroyed = false;
+
+  private readonly onDirectMessageBound = (data: DirectReceivedData): void => {
+    this.handleDirectMessage(data.message, data.verified === true);
+  };
+
+  private readonly onDeliveredBound = (status: GossipDirectDeliveryStatus): void => {
+    const id = this.pendingByMessageId.get(status.messageId);
+    const entry = id ? this.pending.get(id) : undefined;
+    if (!id || !entry || entry.replyTimer) return;
+    // Gossip acks before the provider looks at the service; its reply decides.
+    entry.replyTimer = setTimeout(() => this.accept(id, status.to), this.replyTimeoutMs);
+  };
+
+  private readonly onFailedBound = (status: GossipDirectDeliveryStatus): void => {
+    const id = this.pendingByMessageId.get(status.messageId);
+    if (!id) return;
+    this.pendingByMessageId.delete(status.messageId);
+    this.tryNextProvider(id);
+  };
+
+  private readonly onMembershipBound = (): void => {
+    for (const [id, entry] of Array.from(this.pending)) {
+      const current = entry.tried[entry.tried.length - 1];
+      if (!entry.messageId || this.mesh.getServiceProviders(entry.payload.service).includes(current)) continue;
+      // The provider left; a late ack for the abandoned attempt is ignored.
+      this.pendingByMessageId.delete(entry.messageId);
+      this.tryNextProvider(id);
+    }
+  };
+
+  constructor(
+    mesh: AnycastMeshLike,
+    gossip: AnycastGossipLike,
+    options: PeerPigeonAnycastOptions = {},
+    onMessage: (message: AnycastMessage) => void = () => {},
+  ) {
+    this.mesh = mesh;
+    this.gossip = gossip;
+    this.maxProviders = options.maxProviders ?? 3;
+    if (!Number.isSafeInteger(this.maxProviders) || this.maxProviders < 1) {
+      throw new RangeError('anycast.maxProviders must be a positive safe integer');
+    }
+    this.replyTimeoutMs = options.replyTimeoutMs ?? 5_000;
+    if (!Number.isFinite(this.replyTimeoutMs) || this.replyTimeoutMs <= 0) {
+      throw new RangeError('anycast.replyTimeoutMs must be a positive finite number');
+    }
+    this.onMessage = onMessage;
+    this.gossip.on('directMessageReceived', this.onDirectMessageBound);
+    this.gossip.on('directDelivered', this.onDeliveredBound);
+    this.gossip.on('directFailed', this.onFailedBound);
+    this.mesh.on('mesh:membership', this.onMembershipBound);
+  }
+
+  /**
+   * Send `data` to the nearest reachable provider of `service`. Resolves once
+   * a provider accepts it; rejects when every provider tried failed.
+   */
+  send(service: string, data: unknown, options: AnycastSendOptions = {}): Promise<AnycastResult> {
+    const name = this.requireService(service);
+    if (this.destroyed) return Promise.reject(new Error('Anycast service is closed'));
+    const maxProviders = options.maxProviders ?? this.maxProviders;
+    if (!Number.isSafeInteger(maxProviders) || maxProviders < 1) {
+      return Promise.reject(new RangeError('maxProviders must be a positive safe integer'));
+    }
+    const id = this.makeAnycastId();
+    return new Promise<AnycastResult>((resolve, reject) => {
+      this.pending.set(id, {
+        payload: { __ppType: ANYCAST_TYPE, id, service: name, data: data ?? null },
+        options,
+        maxProviders,
+        tried: [],
+        messageId: null,
+        replyTimer: null,
+        resolve,
+        reject,
+      });
+      this.tryNextProvider(id);
+    });
+  }
+
+  /** Reachable providers of a service, nearest first. */
+  rankProviders(service: string): string[] {
+    const name = this.requireService(service);
+    const ranked = this.mesh.getServiceProviders(name)
+      .filter((peerId) => this.gossip.hasDirectRoute(peerId))
+      .map((peerId) => ({
+        peerId,
+        hops: this.mesh.getHopDistance(peerId) ?? Number.POSITIVE_INFINITY,
+        xor: this.xorDistance(peerId),
+      }));
+    ranked.sort((left, right) => left.hops - right.hops || (left.xor < right.xor ? -1 : left.xor > right.xor ? 1 : 0));
+    return ranked.map(({ peerId }) => peerId);
+  }
+
+  destroy(): void {
+    if (this.destroyed) return;
+    this.destroyed = true;
+    this.gossip.off('directMessageReceived', this.onDirectMessageBound);
+    this.gossip.off('directDelivered', this.onDeliveredBound);
+    this.gossip.off('directFailed', this.onFailedBound);
+    this.mesh.off('mesh:membership', this.onMembershipBound);
+    for (const id of Array.from(this.pending.keys())) {
+      this.settle(id)?.reject(new Error('Anycast service is closed'));
+    }
+  }
+
+  static isProtocolPayload(value: unknown): boolean {
+    return !!value && typeof value === 'object' && (value as { __ppType?: unknown }).__ppType === ANYCAST_TYPE;
+  }
+
+  private tryNextProvider(id: string): void {
+    const entry = this.pending.get(id);
+    if (!entry) return;
+    entry.messageId = null;
+    if (entry.replyTimer) clearTimeout(entry.replyTimer);
+    entry.replyTimer = null;
+    while (entry.tried.length < entry.maxProviders) {
+      const next = this.rankProviders(entry.payload.service).find((peerId) => !entry.tried.includes(peerId));
+      if (!next) break;
+      entry.tried.push(next);
+      const { maxProviders: _maxProviders, ...directOptions } = entry.options;
+      const messageId = this.gossip.sendDirectReliable(next, entry.payload, directOptions);
+      if (messageId === null) continue;
+      entry.messageId = messageId;
+      this.pendingByMessageId.set(messageId, id);
+      return;
+    }
+    this.settle(id);
+    entry.reject(new Error(entry.tried.length === 0
+      ? `No reachable provider of service ${entry.payload.service}`
+      : `Anycast to service ${entry.payload.service} failed after trying ${entry.tried.length} provider(s)`));
+  }
+
+  private settle(id: string): PendingAnycast | null {
+    const entry = this.pending.get(id);
+    if (!entry) return null;
+    this.pending.delete(id);
+    if (entry.messageId) this.pendingByMessageId.delete(entry.messageId);
+    if (entry.replyTimer) clearTimeout(entry.replyTimer);
+    return entry;
+  }
+
+  private accept(id: string, peerId: string): void {
+    const entry = this.settle(id);
+    entry?.resolve({ anycastId: id, service: entry.payload.service, peerId, providersTried: entry.tried.slice() });
+  }
+
+  /** A reply counts only from the provider of the attempt still in flight. */
+  private handleReply(reply: AnycastReply, fromPeerId: string): void {
+    const entry = this.pending.get(reply.id);
+    if (!entry?.messageId || entry.tried[entry.tried.length - 1] !== fromPeerId) return;
+    if (reply.accepted) {
+      this.accept(reply.id, fromPeerId);
+      return;
+    }
+    this.pendingByMessageId.delete(entry.messageId);
+    this.tryNextProvider(reply.id);
+  }
+
+  private handleDirectMessage(message: DirectMessage, verified: boolean): void {
+    const payload = message.data as Partial<AnycastPayload & AnycastReply> | null;
+    if (!PeerPigeonAnycast.isProtocolPayload(payload)) return;
+    if (typeof payload!.id !== 'string' || !payload!.id) return;
+    if (typeof payload!.accepted === 'boolean') {
+      // A reply can arrive inside sendDirectReliable; act once the attempt is recorded.
+      queueMicrotask(() => this.handleReply(payload as AnycastReply, message.from));
+      return;
+    }
+    if (typeof payload!.service !== 'string') return;
+    // The sender ranked a stale advertisement; a withdrawn service is refused.
+    const accepted = this.mesh.getAdvertisedServices().includes(payload!.service);
+    const reply: AnycastReply = { __ppType: ANYCAST_TYPE, id: payload!.id, accepted };
+    this.gossip.sendDirectReliable(message.from, reply);
+    if (!accepted) return;
+    this.onMessage({
+      anycastId: payload!.id,
+      service: payload!.service,
+      data: payload!.data,
+      fromPeerId: message.from,
+      verified,
+    });
+  }
+
+  private xorDistance(peerId: string): bigint {
+    try {
+      const distance = this.mesh.getXorDistance(peerId);
+      return distance ? BigInt(distance) : BigInt(2) ** BigInt(256);
+    } catch {
+      return BigInt(2) ** BigInt(256);
+    }
+  }
+
+  private requireService(service: unknown): string {
+    const name = typeof service === 'string' ? service : '';
+    if (!name || name.length > MAX_SERVICE_LENGTH) {
+      throw new TypeError(`service must be a non-empty string of at most ${MAX_SERVICE_LENGTH} characters`);
+    }
+    return name;
+  }
+
+  private makeAnycastId(): string {
+    try {
+      const bytes = new Uint8Array(16);
+      globalThis.crypto.getRandomValues(bytes);
+      return Array.from(bytes, (value) => value.toString(16).padStart(2, '0')).join('');
+    } catch {
+      return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 14)}`;
+    }
+  }
+}
@@ -0,0 +1,777 @@
+import { asBytes, wireJsonStringify } from './wire-codec.js';
+import { randomFrameId } from './frame-router.js';
+import type { FrameHandler } from './frame-router.js';
+import type { GossipEnvelopeAuthenticator } from './gossip.js';
+import type { SendPriority } from './send-queue.js';
+import type { PeerStream, PeerStreamOpenOptions } from './streams.js';
+
+export const CIRCUIT_FRAME_TYPE = 'pp-circuit';
+
+const MAX_ID_LENGTH = 64;
+const MAX_LABEL_LENGTH = 256;
+const MAX_SIGNATURE_LENGTH = 1024;
+
+export type PeerPigeonCircuitsOptions = {
+  /** Bytes the far end may send before we grant more credit. Default 256 KiB. */
+  windowBytes?: number;
+  /** Largest data frame sent on a circuit. Default 16 KiB. */
+  chunkBytes?: number;
+  /** Relays a circuit may cross. Default 16. */
+  maxHops?: number;
+  /** Circuits this peer relays for others at once. Default 256. */
+  maxRelayedCircuits?: number;
+  /** Times the opener rebuilds a broken circuit in a row before failing it. Default 3. */
+  reconnectAttempts?: number;
+  /** Delay before rebuilding a broken circuit. Default 500 ms. */
+  reconnectDelayMs?: number;
+  /** How long either end waits for a circuit to be (re)built. Default 10 seconds. */
+  establishTimeoutMs?: number;
+};
+
+export type CircuitStats = {
+  /** Circuits ending at this peer. */
+  endpoints: number;
+  /** Circuits this peer relays. */
+  relayed: number;
+};
+
+type CircuitOp = 'open' | 'accept' | 'data' | 'credit' | 'close' | 'end' | 'reset';
+
+type CircuitFrame = {
+  type: typeof CIRCUIT_FRAME_TYPE;
+  op: CircuitOp;
+  /** Identifies the circuit on one link; every hop has its own. */
+  circuit: string;
+  /** End-to-end stream ID, kept when the circuit is rebuilt. */
+  stream?: string;
+  origin?: string;
+  target?: string;
+  label?: string;
+  hops?: number;
+  /** Counts the opener's opens of this stream; a rebuild must exceed the last one accepted. */
+  seq?: number;
+  /** Opener signature over the stream, both ends, label and `seq`. */
+  signature?: string;
+  /** Byte offset up to which the sender of this frame accepts data. */
+  limit?: number;
+  /** Bytes of the stream the sender of this frame has received. */
+  received?: number;
+  offset?: number;
+  data?: Uint8Array;
+  reason?: string;
+  /** A final reset ends the stream; otherwise only this route broke. */
+  final?: boolean;
+};
+
+interface CircuitMeshLike {
+  getClientId(): string | null;
+  sendFrame(peerId: string, frame: object, options?: { priority?: SendPriority }): boolean;
+  onFrame(type: string, handler: FrameHandler): void;
+  offFrame(type: string, handler: FrameHandler): void;
+  on(event: 'peer:disconnected', handler: (peerId: string) => void): void;
+  off(event: 'peer:disconnected', handler: (peerId: string) => void): void;
+}
+
+interface CircuitGossipLike {
+  getRouteCandidates(targetPeerId: string, fromPeerId?: string): string[];
+}
+
+type Link = { peerId: string; circuit: string };
+
+type RelayEntry = {
+  upstream: Link;
+  downstream: Link;
+  /** Offsets up to which each direction may send, from the far end's grants. */
+  downLimit: number;
+  upLimit: number;
+};
+
+type Endpoint = {
+  stream: PeerStream;
+  remotePeerId: string;
+  link: Link | null;
+  /** Whether the far end answered the current link's open. */
+  linked: boolean;
+  /** Written bytes the far end has not confirmed, in offset order. */
+  retained: Array<{ offset: number; data: Uint8Array }>;
+  writeOffset: number;
+  sentOffset: number;
+  /** Offset up to which the far end accepts data. */
+  limit: number;
+  confirmed: number;
+  finalOffset: number | null;
+  closeSent: boolean;
+  creditWaiter: { resolve: () => void; reject: (error: Error) => void } | null;
+  received: number;
+  grantedLimit: number;
+  remoteFinal: number | null;
+  readOpen: boolean;
+  readController: ReadableStreamDefaultController<Uint8Array>;
+  writeController: WritableStreamDefaultController;
+  error: Error | null;
+  timer: ReturnType<typeof setTimeout> | null;
+  attempts: number;
+  /** Opens sent by the opener, or the last `seq` the far end accepted from it. */
+  opens: number;
+};
+
+type LinkOwner = { relay: RelayEntry } | { endpoint: Endpoint };
+
+/**
+ * Streams to peers that are not neighbours, carried over virtual circuits.
+ * A circuit is built hop by hop along the CECR next hops that `routeDirect`
+ * uses, and every relay tracks the byte limits the two ends grant each other,
+ * resetting a circuit whose sender overruns them. Offsets and limits are
+ * absolute, so when a hop disconnects the opener builds a new circuit over
+ * another route and both ends resend from what the other has received.
+ *
+ * With an envelope authenticator installed every open is signed, and the
+ * target refuses opens that do not verify against the claimed origin. A
+ * rebuild re-attaches to a stream only with a higher `seq` than the open
+ * last accepted for it, so relays cannot replay an open they carried.
+ * Without one the origin is taken on trust, as for direct messages.
+ */
+export class PeerPigeonCircuits {
+  private readonly mesh: CircuitMeshLike;
+  private readonly gossip: CircuitGossipLike;
+  private readonly windowBytes: number;
+  private readonly chunkBytes: number;
+  private readonly maxHops: number;
+  private readonly maxRelayedCircuits: number;
+  private readonly reconnectAttempts: number;
+  private readonly reconnectDelayMs: number;
+  private readonly establishTimeoutMs: number;
+  private readonly onIncoming: (stream: PeerStream) => void;
+  /** `peerId circuit` of every link this peer is on. */
+  private readonly links = new Map<string, LinkOwner>();
+  /** `remotePeerId stream` of streams ending here. */
+  private readonly endpoints = new Map<string, Endpoint>();
+  private relayCount = 0;
+  private authenticator: GossipEnvelopeAuthenticator | null = null;
+  private destroyed = false;
+
+  private readonly onFrameBound = (peerId: string, data: Record<string, unknown>): void => {
+    const frame = this.parseFrame(data);
+    if (frame) this.handleFrame(peerId, frame);
+  };
+
+  private readonly onPeerDisconnectedBound = (peerId: string): void => {
+    for (const [key, owner] of Array.from(this.links)) {
+      if (!key.startsWith(`${peerId} `)) continue;
+      if ('relay' in owner) {
+        const other = owner.relay.upstream.peerId === peerId ? owner.relay.downstream : owner.relay.upstream;
+        this.dropRelay(owner.relay);
+        this.sendReset(other, 'route lost', false);
+      } else {
+        this.loseLink(owner.endpoint);
+      }
+    }
+  };
+
+  constructor(
+    mesh: CircuitMeshLike,
+    gossip: CircuitGossipLike,
+    options: PeerPigeonCircuitsOptions = {},
+    onIncoming: (stream: PeerStream) => void = () => {},
+  ) {
+    this.mesh = mesh;
+    this.gossip = gossip;
+    this.windowBytes = options.windowBytes ?? 256 * 1024;
+    this.chunkBytes = options.chunkBytes ?? 16 * 1024;
+    this.maxHops = options.maxHops ?? 16;
+    this.maxRelayedCircuits = options.maxRelayedCircuits ?? 256;
+    this.reconnectAttempts = options.reconnectAttempts ?? 3;
+    this.reconnectDelayMs = options.reconnectDelayMs ?? 500;
+    this.establishTimeoutMs = options.establishTimeoutMs ?? 10_000;
+    for (const [name, value] of [
+      ['windowBytes', this.windowBytes],
+      ['chunkBytes', this.chunkBytes],
+      ['maxHops', this.maxHops],
+      ['maxRelayedCircuits', this.maxRelayedCircuits],
+      ['establishTimeoutMs', this.establishTimeoutMs],
+    ] as const) {
+      if (!Number.isSafeInteger(value) || value < 1) {
+        throw new RangeError(`circuits.${name} must be a positive safe integer`);
+      }
+    }
+    for (const [name, value] of [
+      ['reconnectAttempts', this.reconnectAttempts],
+      ['reconnectDelayMs', this.reconnectDelayMs],
+    ] as const) {
+      if (!Number.isSafeInteger(value) || value < 0) {
+        throw new RangeError(`circuits.${name} must be a non-negative safe integer`);
+      }
+    }
+    if (this.chunkBytes > this.windowBytes) {
+      throw new RangeError('circuits.chunkBytes must not exceed circuits.windowBytes');
+    }
+    this.onIncoming = onIncoming;
+    this.mesh.onFrame(CIRCUIT_FRAME_TYPE, this.onFrameBound);
+    this.mesh.on('peer:disconnected', this.onPeerDisconnectedBound);
+  }
+
+  /**
+   * Open a stream to a peer over a circuit. Throws when no neighbour makes
+   * progress toward it; writes wait until the far end accepts.
+   */
+  open(peerId: string, options: PeerStreamOpenOptions = {}): PeerStream {
+    if (this.destroyed) throw new Error('Circuit service is closed');
+    if (typeof peerId !== 'string' || !peerId) throw new TypeError('peerId must be a non-empty string');
+    const label = options.label ?? '';
+    if (typeof label !== 'string' || label.length > MAX_LABEL_LENGTH) {
+      throw new TypeError(`label must be a string of at most ${MAX_LABEL_LENGTH} characters`);
+    }
+    if (peerId === this.mesh.getClientId()) throw new Error('Cannot open a circuit to this peer');
+    const endpoint = this.createEndpoint(peerId, randomFrameId(), label, true, 0);
+    if (!this.establish(endpoint)) {
+      this.fail(endpoint, new Error(`No route to peer ${peerId}`), false);
+      throw new Error(`No route to peer ${peerId}`);
+    }
+    return endpoint.stream;
+  }
+
+  /** Install or remove the signer that opens are signed and verified with. */
+  setAuthenticator(authenticator: GossipEnvelopeAuthenticator | null): void {
+    this.authenticator = authenticator;
+  }
+
+  getStats(): CircuitStats {
+    return { endpoints: this.endpoints.size, relayed: this.relayCount };
+  }
+
+  destroy(): void {
+    if (this.destroyed) return;
+    this.destroyed = true;
+    this.mesh.offFrame(CIRCUIT_FRAME_TYPE, this.onFrameBound);
+    this.mesh.off('peer:disconnected', this.onPeerDisconnectedBound);
+    for (const endpoint of Array.from(this.endpoints.values())) {
+      this.fail(endpoint, new Error('Circuit service is closed'), true);
+    }
+    for (const owner of Array.from(this.links.values())) {
+      if (!('relay' in owner)) continue;
+      this.dropRelay(owner.relay);
+      this.sendReset(owner.relay.upstream, 'route lost', false);
+      this.sendReset(owner.relay.downstream, 'route lost', false);
+    }
+  }
+
+  // ─── Endpoints ─────────────────────────────────────────────────────────────
+
+  private createEndpoint(remotePeerId: string, id: string, label: string, initiator: boolean, limit: number): Endpoint {
+    let readController!: ReadableStreamDefaultController<Uint8Array>;
+    let writeController!: WritableStreamDefaultController;
+    // The underlying sources only run once `endpoint` below is assigned.
+    let endpoint: Endpoint;
+    const readable = new ReadableStream<Uint8Array>(
+      {
+        start: (controller) => { readController = controller; },
+        pull: () => this.grantCredit(endpoint),
+        cancel: () => this.fail(endpoint, new Error('Stream cancelled'), true),
+      },
+      { highWaterMark: this.windowBytes, size: (chunk) => chunk.byteLength },
+    );
+    const writable = new WritableStream<Uint8Array>({
+      start: (controller) => { writeController = controller; },
+      write: (chunk) => this.write(endpoint, chunk),
+      close: () => this.finishWriting(endpoint),
+      abort: () => this.fail(endpoint, new Error('Stream aborted'), true),
+    });
+    endpoint = {
+      stream: { id, peerId: remotePeerId, label, initiator, readable, writable },
+      remotePeerId,
+      link: null,
+      linked: false,
+      retained: [],
+      writeOffset: 0,
+      sentOffset: 0,
+      limit,
+      confirmed: 0,
+      finalOffset: null,
+      closeSent: false,
+      creditWaiter: null,
+      received: 0,
+      grantedLimit: this.windowBytes,
+      remoteFinal: null,
+      readOpen: true,
+      readController,
+      writeController,
+      error: null,
+      timer: null,
+      attempts: 0,
+      opens: 0,
+    };
+    this.endpoints.set(this.endpointKey(remotePeerId, id), endpoint);
+    return endpoint;
+  }
+
+  /**
+   * Send an open toward the far end over the best next hop that takes it.
+   * A signed open goes out once its signature is ready; false only when no
+   * neighbour makes progress toward the far end.
+   */
+  private establish(endpoint: Endpoint): boolean {
+    const self = this.mesh.getClientId();
+    if (!self) return false;
+    endpoint.opens += 1;
+    const open: Omit<CircuitFrame, 'type' | 'circuit'> = {
+      op: 'open',
+      stream: endpoint.stream.id,
+      origin: self,
+      target: endpoint.remotePeerId,
+      label: endpoint.stream.label,
+      seq: endpoint.opens,
+    };
+    const authenticator = this.authenticator;
+    if (!authenticator) return this.sendOpen(endpoint, open);
+    if (this.gossip.getRouteCandidates(endpoint.remotePeerId).length === 0) return false;
+    const seq = endpoint.opens;
+    this.armEndpointTimer(endpoint);
+    authenticator.sign(this.openSigningPayload(open)).then(
+      (signature) => {
+        // A later attempt, or the end of the stream, overtook this one.
+        if (endpoint.error || endpoint.link || endpoint.opens !== seq) return;
+        if (!this.sendOpen(endpoint, { ...open, signature })) this.loseLink(endpoint);
+      },
+      (error: unknown) => {
+        const reason = error instanceof Error ? error.message : String(error);
+        this.fail(endpoint, new Error(`Could not sign circuit open: ${reason}`), false);
+      },
+    );
+    return true;
+  }
+
+  private sendOpen(endpoint: Endpoint, open: Omit<CircuitFrame, 'type' | 'circuit'>): boolean {
+    for (const peerId of this.gossip.getRouteCandidates(endpoint.remotePeerId)) {
+      const link = { peerId, circuit: randomFrameId() };
+      const sent = this.sendOn(link, {
+        ...open,
+        hops: this.maxHops,
+        limit: endpoint.grantedLimit,
+        received: endpoint.received,
+      });
+      if (!sent) continue;
+      this.attachLink(endpoint, link, false);
+      this.armEndpointTimer(endpoint);
+      return true;
+    }
+    return false;
+  }
+
+  private openSigningPayload(frame: Omit<CircuitFrame, 'type' | 'circuit'>): string {
+    // Route fields, limits and offsets change per hop or per rebuild and stay unsigned.
+    return wireJsonStringify([
+      'pp-circuit-open-sig-v1',
+      frame.stream,
+      frame.origin,
+      frame.target,
+      frame.label ?? '',
+      frame.seq,
+    ]);
+  }
+
+  /** Resolve whether an open proves its origin; always true without an authenticator. */
+  private async authenticateOpen(frame: CircuitFrame): Promise<boolean> {
+    const authenticator = this.authenticator;
+    if (!authenticator) return true;
+    if (typeof frame.signature !== 'string' || !frame.signature) return false;
+    try {
+      return await authenticator.verify(frame.origin!, this.openSigningPayload(frame), frame.signature, null, true) === true;
+    } catch {
+      return false;
+    }
+  }
+
+  private async handleOpenAtTarget(peerId: string, frame: CircuitFrame): Promise<void> {
+    const link = { peerId, circuit: frame.circuit };
+    const verified = await this.authenticateOpen(frame);
+    if (this.destroyed || this.links.has(this.linkKey(link))) return;
+    if (!verified) {
+      this.sendReset(link, 'unauthenticated', true);
+      return;
+    }
+    const existing = this.endpoints.get(this.endpointKey(frame.origin!, frame.stream!));
+    if (existing) {
+      // The opener rebuilt the circuit over a new route; a replayed open is not newer.
+      if (existing.stream.initiator || frame.seq! <= existing.opens) return;
+      existing.opens = frame.seq!;
+      if (existing.link) this.links.delete(this.linkKey(existing.link));
+      this.attachLink(existing, link, true);
+      this.resumeFrom(existing, frame.received!, frame.limit!);
+      return;
+    }
+    if (frame.received! > 0) {
+      this.sendReset(link, 'unknown stream', true);
+      return;
+    }
+    const endpoint = this.createEndpoint(frame.origin!, frame.stream!, frame.label ?? '', false, frame.limit!);
+    endpoint.opens = frame.seq!;
+    this.attachLink(endpoint, link, true);
+    this.resumeFrom(endpoint, 0, frame.limit!);
+    if (!this.destroyed && this.endpoints.get(this.endpointKey(frame.origin!, frame.stream!)) === endpoint) {
+      this.onIncoming(endpoint.stream);
+    }
+  }
+
+  /** Answer an open and resend whatever the opener has not received. */
+  private resumeFrom(endpoint: Endpoint, received: number, limit: number): void {
+    this.noteConfirmed(endpoint, received, limit);
+    endpoint.sentOffset = endpoint.confirmed;
+    endpoint.closeSent = false;
+    if (!this.sendOn(endpoint.link!, { op: 'accept', limit: endpoint.grantedLimit, received: endpoint.received })) {
+      this.loseLink(endpoint);
+      return;
+    }
+    this.flush(endpoint);
+    this.wakeWriter(endpoint);
+  }
+
+  private attachLink(endpoint: Endpoint, link: Link, linked: boolean): void {
+    endpoint.link = link;
+    endpoint.linked = linked;
+    this.links.set(this.linkKey(link), { endpoint });
+    if (linked) this.clearEndpointTimer(endpoint);
+  }
+
+  /** The route broke: the opener rebuilds it, the other end waits for that. */
+  private loseLink(endpoint: Endpoint): void {
+    if (endpoint.link) this.links.delete(this.linkKey(endpoint.link));
+    endpoint.link = null;
+    endpoint.linked = false;
+    if (endpoint.error) return;
+    if (!endpoint.stream.initiator) {
+      this.armEndpointTimer(endpoint);
+      return;
+    }
+    this.clearEndpointTimer(endpoint);
+    if (endpoint.attempts >= this.reconnectAttempts) {
+      this.fail(endpoint, new Error(`Circuit to peer ${endpoint.remotePeerId} could not be re-established`), false);
+      return;
+    }
+    endpoint.attempts += 1;
+    endpoint.timer = setTimeout(() => {
+      endpoint.timer = null;
+      if (endpoint.error || endpoint.link) return;
+      if (!this.establish(endpoint)) this.loseLink(endpoint);
+    }, this.reconnectDelayMs);
+  }
+
+  /** Give up on a circuit that is not answered, or not rebuilt, in time. */
+  private armEndpointTimer(endpoint: Endpoint): void {
+    this.clearEndpointTimer(endpoint);
+    endpoint.timer = setTimeout(() => {
+      endpoint.timer = null;
+      if (endpoint.error || endpoint.linked) return;
+      if (endpoint.stream.initiator) {
+        this.loseLink(endpoint);
+      } else {
+        this.fail(endpoint, new Error(`Circuit to peer ${endpoint.remotePeerId} was lost`), false);
+      }
+    }, this.establishTimeoutMs);
+  }
+
+  private clearEndpointTimer(endpoint: Endpoint): void {
+    if (endpoint.timer) clearTimeout(endpoint.timer);
+    endpoint.timer = null;
+  }
+
+  private handleEndpointFrame(endpoint: Endpoint, frame: CircuitFrame): void {
+    if (frame.op === 'accept') {
+      if (!endpoint.stream.initiator || endpoint.linked) return;
+      endpoint.linked = true;
+      endpoint.attempts = 0;
+      this.clearEndpointTimer(endpoint);
+      this.noteConfirmed(endpoint, frame.received!, frame.limit!);
+      endpoint.sentOffset = endpoint.confirmed;
+      endpoint.closeSent = false;
+      this.flush(endpoint);
+      this.wakeWriter(endpoint);
+    } else if (frame.op === 'credit') {
+      this.noteConfirmed(endpoint, frame.received!, frame.limit!);
+      this.wakeWriter(endpoint);
+      this.endIfDone(endpoint);
+    } else if (frame.op === 'data') {
+      this.receiveData(endpoint, frame.offset!, frame.data!);
+    } else if (frame.op === 'close') {
+      endpoint.remoteFinal = frame.offset!;
+      this.finishReadingIfComplete(endpoint);
+    } else if (frame.op === 'end') {
+      // The far end only ends a circuit once both directions are complete.
+      if (endpoint.readOpen || endpoint.finalOffset === null) {
+        this.fail(endpoint, new Error('Stream ended by peer'), false);
+      } else {
+        this.release(endpoint);
+      }
+    } else if (frame.op === 'reset') {
+      if (frame.final) {
+        const reason = frame.reason ? `: ${frame.reason}` : '';
+        this.fail(endpoint, new Error(`Stream reset by peer${reason}`), false);
+      } else {
+        this.loseLink(endpoint);
+      }
+    }
+  }
+
+  private noteConfirmed(endpoint: Endpoint, received: number, limit: number): void {
+    endpoint.limit = Math.max(endpoint.limit, limit);
+    if (received <= endpoint.confirmed) return;
+    endpoint.confirmed = Math.min(received, endpoint.writeOffset);
+    while (endpoint.retained.length > 0) {
+      const [first] = endpoint.retained;
+      if (first.offset + first.data.byteLength > endpoint.confirmed) break;
+      endpoint.retained.shift();
+    }
+  }
+
+  private receiveData(endpoint: Endpoint, offset: number, data: Uint8Array): void {
+    const end = offset + data.byteLength;
+    if (end <= endpoint.received) return;
+    if (offset > endpoint.received) {
+      this.fail(endpoint, new Error('Peer skipped stream data'), true, 'gap');
+      return;
+    }
+    if (end > endpoint.grantedLimit) {
+      this.fail(endpoint, new Error('Peer exceeded the stream window'), true, 'window exceeded');
+      return;
+    }
+    const fresh = data.subarray(endpoint.received - offset);
+    endpoint.received = end;
+    if (endpoint.readOpen) endpoint.readController.enqueue(fresh);
+    this.finishReadingIfComplete(endpoint);
+  }
+
+  private finishReadingIfComplete(endpoint: Endpoint): void {
+    if (endpoint.remoteFinal === null || endpoint.received < endpoint.remoteFinal || !endpoint.readOpen) return;
+    endpoint.readOpen = false;
+    try {
+      endpoint.readController.close();
+    } catch {
+      // already cancelled by the reader
+    }
+    // Confirm the whole stream, so the writer can release what it retained.
+    if (endpoint.linked) this.sendOn(endpoint.link!, { op: 'credit', limit: endpoint.grantedLimit, received: endpoint.received });
+    this.endIfDone(endpoint);
+  }
+
+  /** Once both directions are complete and confirmed, tear the circuit down. */
+  private endIfDone(endpoint: Endpoint): void {
+    if (endpoint.readOpen || endpoint.finalOffset === null || endpoint.confirmed < endpoint.finalOffset) return;
+    if (endpoint.linked) this.sendOn(endpoint.link!, { op: 'end' });
+    this.release(endpoint);
+  }
+
+  private async write(endpoint: Endpoint, chunk: unknown): Promise<void> {
+    const bytes = asBytes(chunk);
+    if (!bytes) throw new TypeError('Stream chunks must be an ArrayBuffer or ArrayBufferView');
+    let offset = 0;
+    while (offset < bytes.length) {
+      await this.waitForCredit(endpoint);
+      const size = Math.min(bytes.length - offset, endpoint.limit - endpoint.writeOffset, this.chunkBytes);
+      // Copied, since it is retained until the far end confirms it.
+      endpoint.retained.push({ offset: endpoint.writeOffset, data: bytes.slice(offset, offset + size) });
+      endpoint.writeOffset += size;
+      offset += size;
+      this.flush(endpoint);
+    }
+  }
+
+  private waitForCredit(endpoint: Endpoint): Promise<void> {
+    if (endpoint.error) return Promise.reject(endpoint.error);
+    if (endpoint.writeOffset < endpoint.limit) return Promise.resolve();
+    return new Promise((resolve, reject) => {
+      endpoint.creditWaiter = { resolve, reject };
+    });
+  }
+
+  private wakeWriter(endpoint: Endpoint): void {
+    if (!endpoint.creditWaiter || endpoint.writeOffset >= endpoint.limit) return;
+    const { resolve } = endpoint.creditWaiter;
+    endpoint.creditWaiter = null;
+    resolve();
+  }
+
+  private finishWriting(endpoint: Endpoint): void {
+    if (endpoint.error) throw endpoint.error;
+    endpoint.finalOffset = endpoint.writeOffset;
+    this.flush(endpoint);
+    this.endIfDone(endpoint);
+  }
+
+  /** Put retained bytes not yet sent on this route on the wire. */
+  private flush(endpoint: Endpoint): void {
+    if (!endpoint.link || !endpoint.linked) return;
+    for (const { offset, data } of endpoint.retained) {
+      const end = offset + data.byteLength;
+      if (end <= endpoint.sentOffset) continue;
+      const start = Math.max(offset, endpoint.sentOffset);
+      if (!this.sendOn(endpoint.link, { op: 'data', offset: start, data: data.subarray(start - offset) })) {
+        this.loseLink(endpoint);
+        return;
+      }
+      endpoint.sentOffset = end;
+    }
+    if (endpoint.finalOffset !== null && endpoint.sentOffset >= endpoint.finalOffset && !endpoint.closeSent) {
+      endpoint.closeSent = this.sendOn(endpoint.link, { op: 'close', offset: endpoint.finalOffset });
+      if (!endpoint.closeSent) this.loseLink(endpoint);
+    }
+  }
+
+  /**
+   * Raise the limit to what the reader has drained plus the window. Credit
+   * goes out in chunk-sized steps, or at once when the far end is blocked.
+   */
+  private grantCredit(endpoint: Endpoint): void {
+    if (!endpoint.readOpen || endpoint.error) return;
+    const limit = endpoint.received + (endpoint.readController.desiredSize ?? 0);
+    const raise = limit - endpoint.grantedLimit;
+    if (raise < this.chunkBytes && !(raise > 0 && endpoint.grantedLimit === endpoint.received)) return;
+    endpoint.grantedLimit = limit;
+    // Without a route the next open or accept carries the limit.
+    if (endpoint.linked) this.sendOn(endpoint.link!, { op: 'credit', limit, received: endpoint.received });
+  }
+
+  /** Fail both halves of a stream; `notify` tells the far end. */
+  private fail(endpoint: Endpoint, error: Error, notify: boolean, reason: string = error.message): void {
+    if (endpoint.error) return;
+    endpoint.error = error;
+    if (notify && endpoint.link) this.sendOn(endpoint.link, { op: 'reset', reason, final: true });
+    if (endpoint.readOpen) endpoint.readController.error(error);
+    endpoint.writeController.error(error);
+    endpoint.readOpen = false;
+    endpoint.creditWaiter?.reject(error);
+    endpoint.creditWaiter = null;
+    this.release(endpoint);
+  }
+
+  private release(endpoint: Endpoint): void {
+    const key = this.endpointKey(endpoint.remotePeerId, endpoint.stream.id);
+    if (this.endpoints.get(key) !== endpoint) return;
+    this.endpoints.delete(key);
+    if (endpoint.link) this.links.delete(this.linkKey(endpoint.link));
+    endpoint.link = null;
+    endpoint.linked = false;
+    this.clearEndpointTimer(endpoint);
+    endpoint.retained = [];
+    endpoint.error ??= new Error('Stream ended');
+  }
+
+  // ─── Relaying ──────────────────────────────────────────────────────────────
+
+  private handleOpenAtRelay(peerId: string, frame: CircuitFrame): void {
+    const upstream = { peerId, circuit: frame.circuit };
+    if (frame.hops! <= 1 || this.relayCount >= this.maxRelayedCircuits) {
+      this.sendReset(upstream, frame.hops! <= 1 ? 'too many hops' : 'busy', false);
+      return;
+    }
+    for (const next of this.gossip.getRouteCandidates(frame.target!, peerId)) {
+      if (next === peerId || next === frame.origin) continue;
+      const downstream = { peerId: next, circuit: randomFrameId() };
+      const { type: _type, circuit: _circuit, ...fields } = frame;
+      if (!this.sendOn(downstream, { ...fields, hops: frame.hops! - 1 })) continue;
+      const relay: RelayEntry = { upstream, downstream, downLimit: 0, upLimit: frame.limit! };
+      this.links.set(this.linkKey(upstream), { relay });
+      this.links.set(this.linkKey(downstream), { relay });
+      this.relayCount += 1;
+      return;
+    }
+    this.sendReset(upstream, 'no route', false);
+  }
+
+  private handleRelayFrame(relay: RelayEntry, fromPeerId: string, frame: CircuitFrame): void {
+    const fromUpstream = relay.upstream.peerId === fromPeerId;
+    const next = fromUpstream ? relay.downstream : relay.upstream;
+    if (frame.op === 'open') return;
+    if (frame.op === 'data') {
+      const limit = fromUpstream ? relay.downLimit : relay.upLimit;
+      if (frame.offset! + frame.data!.byteLength > limit) {
+        this.dropRelay(relay);
+        this.sendReset(relay.upstream, 'window exceeded', true);
+        this.sendReset(relay.downstream, 'window exceeded', true);
+        return;
+      }
+    } else if (frame.op === 'accept' || frame.op === 'credit') {
+      // A grant from one end bounds what the other end may send through us.
+      if (fromUpstream) relay.upLimit = Math.max(relay.upLimit, frame.limit!);
+      else relay.downLimit = Math.max(relay.downLimit, frame.limit!);
+    }
+    if (frame.op === 'end' || frame.op === 'reset') this.dropRelay(relay);
+    const { type: _type, circuit: _circuit, op, ...fields } = frame;
+    if (!this.sendOn(next, { op, ...fields }) && frame.op !== 'end' && frame.op !== 'reset') {
+      this.dropRelay(relay);
+      this.sendReset(fromUpstream ? relay.upstream : relay.downstream, 'route lost', false);
+    }
+  }
+
+  private dropRelay(relay: RelayEntry): void {
+    if (this.links.get(this.linkKey(relay.upstream)) === undefined) return;
+    this.links.delete(this.linkKey(relay.upstream));
+    this.links.delete(this.linkKey(relay.downstream));
+    this.relayCount -= 1;
+  }
+
+  // ─── Wire ──────────────────────────────────────────────────────────────────
+
+  private handleFrame(peerId: string, frame: CircuitFrame): void {
+    const owner = this.links.get(this.linkKey({ peerId, circuit: frame.circuit }));
+    if (frame.op === 'open') {
+      if (owner || this.destroyed) return;
+      if (frame.target === this.mesh.getClientId()) void this.handleOpenAtTarget(peerId, frame);
+      else this.handleOpenAtRelay(peerId, frame);
+      return;
+    }
+    if (!owner) return;
+    if ('relay' in owner) this.handleRelayFrame(owner.relay, peerId, frame);
+    else this.handleEndpointFrame(owner.endpoint, frame);
+  }
+
+  private sendOn(link: Link, fields: Omit<CircuitFrame, 'type' | 'circuit'>): boolean {
+    try {
+      this.mesh.sendFrame(link.peerId, { type: CIRCUIT_FRAME_TYPE, circuit: link.circuit, ...fields }, { priority: 'bulk' });
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  private sendReset(link: Link, reason: string, final: boolean): void {
+    this.sendOn(link, { op: 'reset', reason, final });
+  }
+
+  private parseFrame(value: unknown): CircuitFrame | null {
+    const frame = value as Partial<CircuitFrame> | null;
+    if (!frame || typeof frame !== 'object' || frame.type !== CIRCUIT_FRAME_TYPE) return null;
+    const id = (text: unknown) => typeof text === 'string' && text.length > 0 && text.length <= MAX_ID_LENGTH;
+    const offset = (count: unknown) => Number.isSafeInteger(count) && (count as number) >= 0;
+    if (!id(frame.circuit)) return null;
+    switch (frame.op) {
+      case 'open':
+        if (!id(frame.stream) || typeof frame.origin !== 'string' || !frame.origin || typeof frame.target !== 'string') return null;
+        if (!Number.isSafeInteger(frame.hops) || frame.hops! < 1 || !Number.isSafeInteger(frame.seq) || frame.seq! < 1) return null;
+        if (frame.signature !== undefined && (typeof frame.signature !== 'string' || frame.signature.length > MAX_SIGNATURE_LENGTH)) return null;
+        if (frame.label !== undefined && (typeof frame.label !== 'string' || frame.label.length > MAX_LABEL_LENGTH)) return null;
+        return offset(frame.limit) && offset(frame.received) ? frame as CircuitFrame : null;
+      case 'accept':
+      case 'credit':
+        return offset(frame.limit) && offset(frame.received) ? frame as CircuitFrame : null;
+      case 'data':
+        return offset(frame.offset) && frame.data instanceof Uint8Array ? frame as CircuitFrame : null;
+      case 'close':
+        return offset(frame.offset) ? frame as CircuitFrame : null;
+      case 'end':
+        return frame as CircuitFrame;
+      case 'reset':
+        return frame.reason === undefined || (typeof frame.reason === 'string' && frame.reason.length <= MAX_LABEL_LENGTH)
+          ? frame as CircuitFrame
+          : null;
+      default:
+        return null;
+    }
+  }
+
+  private linkKey(link: Link): string {
+    return `${link.peerId} ${link.circuit}`;
+  }
+
+  private endpointKey(peerId: string, streamId: string): string {
+    return `${peerId} ${streamId}`;
+  }
+}
@@ -0,0 +1,418 @@
+/**
+ * Link-level deflate compression. Large frames are compressed whole, before
+ * fragmentation, for neighbours that offered `deflate-raw` in their wire
+ * hello. `CompressionStream` does the work where the runtime has it; a small
+ * built-in codec covers runtimes without it, and either side can inflate
+ * what the other produced.
+ *
+ * A compressed frame reuses the binary frame prefix with its own version
+ * byte, so peers that never negotiated compression reject it as malformed:
+ * 0xC1, 0x02, the original frame kind (0 text, 1 bytes), raw deflate data.
+ */
+
+export const WIRE_COMPRESSION_DEFLATE = 'deflate-raw';
+
+const FRAME_MAGIC = 0xc1;
+const COMPRESSED_FRAME_VERSION = 0x02;
+const KIND_TEXT = 0;
+const KIND_BINARY = 1;
+const HEADER_BYTES = 3;
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder('utf-8', { fatal: true });
+
+export type WireCompressionOptions = {
+  /** Smallest frame worth compressing. Default 1 KiB, minimum 64 bytes. */
+  thresholdBytes?: number;
+};
+
+export type WireCompressionStats = {
+  /** Neighbours both sides agreed to compress frames for. */
+  negotiatedPeers: number;
+  compressedFrames: number;
+  /** Frames over the threshold sent as-is because deflate did not shrink them. */
+  incompressibleFrames: number;
+  /** Size of the compressed frames before and after compression. */
+  uncompressedBytes: number;
+  compressedBytes: number;
+  /** compressedBytes / uncompressedBytes; 1 until a frame is compressed. */
+  ratio: number;
+  decompressedFrames: number;
+  /** Inbound compressed frames dropped as corrupt or over maxMessageBytes. */
+  failedFrames: number;
+};
+
+function hasCompressionStreams(): boolean {
+  return typeof globalThis.CompressionStream === 'function' && typeof globalThis.DecompressionStream === 'function';
+}
+
+function concatChunks(chunks: Uint8Array[], length: number): Uint8Array {
+  const result = new Uint8Array(length);
+  let offset = 0;
+  for (const chunk of chunks) {
+    result.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return result;
+}
+
+async function pipeThroughStream(
+  bytes: Uint8Array,
+  stream: CompressionStream | DecompressionStream,
+  maxBytes: number,
+): Promise<Uint8Array> {
+  const writer = stream.writable.getWriter();
+  // Errors surface through the reader; these only keep rejections handled.
+  writer.write(bytes as BufferSource).catch(() => undefined);
+  writer.close().catch(() => undefined);
+  const reader = stream.readable.getReader();
+  const chunks: Uint8Array[] = [];
+  let length = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    length += value.length;
+    if (length > maxBytes) {
+      await reader.cancel().catch(() => undefined);
+      throw new RangeError(`Inflated frame exceeds ${maxBytes} bytes`);
+    }
+    chunks.push(value);
+  }
+  return concatChunks(chunks, length);
+}
+
+// ─── Built-in deflate (fixed Huffman) ─────────────────────────────────────
+
+const LENGTH_BASE = [3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31, 35, 43, 51, 59, 67, 83, 99, 115, 131, 163, 195, 227, 258];
+const LENGTH_EXTRA = [0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2, 3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0];
+const DISTANCE_BASE = [
+  1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193, 257, 385, 513, 769,
+  1025, 1537, 2049, 3073, 4097, 6145, 8193, 12289, 16385, 24577,
+];
+const DISTANCE_EXTRA = [0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6, 7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13];
+const CODE_LENGTH_ORDER = [16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15];
+
+const WINDOW_SIZE = 32_768;
+const MIN_MATCH = 3;
+const MAX_MATCH = 258;
+const MAX_CHAIN = 64;
+const HASH_BITS = 15;
+
+class BitWriter {
+  private buffer: Uint8Array;
+  private length = 0;
+  private bits = 0;
+  private count = 0;
+
+  constructor(capacity: number) {
+    this.buffer = new Uint8Array(Math.max(64, capacity));
+  }
+
+  /** Append `size` bits of `value`, least significant first. */
+  write(value: number, size: number): void {
+    this.bits |= value << this.count;
+    this.count += size;
+    while (this.count >= 8) {
+      this.byte(this.bits & 0xff);
+      this.bits >>>= 8;
+      this.count -= 8;
+    }
+  }
+
+  /** Huffman codes are defined most significant bit first. */
+  writeCode(code: number, size: number): void {
+    let reversed = 0;
+    for (let index = 0; index < size; index += 1) reversed |= ((code >> index) & 1) << (size - 1 - index);
+    this.write(reversed, size);
+  }
+
+  finish(): Uint8Array {
+    if (this.count > 0) this.byte(this.bits & 0xff);
+    this.bits = 0;
+    this.count = 0;
+    return this.buffer.slice(0, this.length);
+  }
+
+  private byte(value: number): void {
+    if (this.length === this.buffer.length) {
+      const next = new Uint8Array(this.buffer.length * 2);
+      next.set(this.buffer);
+      this.buffer = next;
+    }
+    this.buffer[this.length++] = value;
+  }
+}
+
+function writeFixedLiteral(writer: BitWriter, symbol: number): void {
+  if (symbol < 144) writer.writeCode(0x30 + symbol, 8);
+  else if (symbol < 256) writer.writeCode(0x190 + symbol - 144, 9);
+  else if (symbol < 280) writer.writeCode(symbol - 256, 7);
+  else writer.writeCode(0xc0 + symbol - 280, 8);
+}
+
+function writeMatch(writer: BitWriter, length: number, distance: number): void {
+  let code = LENGTH_BASE.length - 1;
+  while (LENGTH_BASE[code] > length) code -= 1;
+  writeFixedLiteral(writer, 257 + code);
+  if (LENGTH_EXTRA[code] > 0) writer.write(length - LENGTH_BASE[code], LENGTH_EXTRA[code]);
+  let distanceCode = DISTANCE_BASE.length - 1;
+  while (DISTANCE_BASE[distanceCode] > distance) distanceCode -= 1;
+  writer.writeCode(distanceCode, 5);
+  if (DISTANCE_EXTRA[distanceCode] > 0) writer.write(distance - DISTANCE_BASE[distanceCode], DISTANCE_EXTRA[distanceCode]);
+}
+
+/** One final fixed-Huffman block with hash-chain LZ77 matching. */
+function deflateRawFallback(input: Uint8Array): Uint8Array {
+  const writer = new BitWriter(input.length / 2);
+  writer.write(1, 1);
+  writer.write(1, 2);
+  const head = new Int32Array(1 << HASH_BITS).fill(-1);
+  const previous = new Int32Array(WINDOW_SIZE);
+  const hashAt = (index: number): number => (
+    Math.imul((input[index] << 16) | (input[index + 1] << 8) | input[index + 2], 0x9e3779b1) >>> (32 - HASH_BITS)
+  );
+  const insert = (index: number): void => {
+    if (index + MIN_MATCH > input.length) return;
+    const hash = hashAt(index);
+    previous[index % WINDOW_SIZE] = head[hash];
+    head[hash] = index;
+  };
+
+  let position = 0;
+  while (position < input.length) {
+    let bestLength = 0;
+    let bestDistance = 0;
+    if (position + MIN_MATCH <= input.length) {
+      let candidate = head[hashAt(position)];
+      const limit = Math.min(MAX_MATCH, input.length - position);
+      for (let chain = 0; chain < MAX_CHAIN && candidate >= 0 && position - candidate <= WINDOW_SIZE; chain += 1) {
+        let length = 0;
+        while (length < limit && input[candidate + length] === input[position + length]) length += 1;
+        if (length > bestLength) {
+          bestLength = length;
+          bestDistance = position - candidate;
+          if (length === limit) break;
+        }
+        const next = previous[candidate % WINDOW_SIZE];
+        if (next >= candidate) break;
+        candidate = next;
+      }
+    }
+    if (bestLength >= MIN_MATCH) {
+      writeMatch(writer, bestLength, bestDistance);
+      for (let index = 0; index < bestLength; index += 1) insert(position + index);
+      position += bestLength;
+    } else {
+      writeFixedLiteral(writer, input[position]);
+      insert(position);
+      position += 1;
+    }
+  }
+  writeFixedLiteral(writer, 256);
+  return writer.finish();
+}
+
+// ─── Built-in inflate ─────────────────────────────────────────────────────
+
+type HuffmanTable = { counts: Uint16Array; symbols: Uint16Array };
+
+function buildHuffman(lengths: ArrayLike<number>): HuffmanTable {
+  const counts = new Uint16Array(16);
+  for (let index = 0; index < lengths.length; index += 1) counts[lengths[index]] += 1;
+  counts[0] = 0;
+  const offsets = new Uint16Array(16);
+  for (let length = 1; length < 16; length += 1) offsets[length] = offsets[length - 1] + counts[length - 1];
+  const symbols = new Uint16Array(lengths.length);
+  for (let symbol = 0; symbol < lengths.length; symbol += 1) {
+    if (lengths[symbol] !== 0) symbols[offsets[lengths[symbol]]++] = symbol;
+  }
+  return { counts, symbols };
+}
+
+const FIXED_LITERALS = buildHuffman(Array.from({ length: 288 }, (_, symbol) => (
+  symbol < 144 ? 8 : symbol < 256 ? 9 : symbol < 280 ? 7 : 8
+)));
+const FIXED_DISTANCES = buildHuffman(new Array(30).fill(5));
+
+class Inflater {
+  private position = 0;
+  private bits = 0;
+  private count = 0;
+  private output: Uint8Array;
+  private length = 0;
+
+  constructor(private readonly input: Uint8Array, private readonly maxBytes: number) {
+    this.output = new Uint8Array(Math.min(maxBytes, Math.max(1024, input.length * 4)));
+  }
+
+  run(): Uint8Array {
+    let final = 0;
+    while (!final) {
+      final = this.read(1);
+      const type = this.read(2);
+      if (type === 0) this.stored();
+      else if (type === 1) this.codes(FIXED_LITERALS, FIXED_DISTANCES);
+      else if (type === 2) this.dynamic();
+      else throw new RangeError('Invalid deflate block type');
+    }
+    return this.output.slice(0, this.length);
+  }
+
+  private read(size: number): number {
+    while (this.count < size) {
+      if (this.position >= this.input.length) throw new RangeError('Truncated deflate data');
+      this.bits |= this.input[this.position++] << this.count;
+      this.count += 8;
+    }
+    const value = this.bits & ((1 << size) - 1);
+    this.bits >>>= size;
+    this.count -= size;
+    return value;
+  }
+
+  private decode(table: HuffmanTable): number {
+    let code = 0;
+    let first = 0;
+    let index = 0;
+    for (let length = 1; length < 16; length += 1) {
+      code |= this.read(1);
+      const count = table.counts[length];
+      if (code - count < first) return table.symbols[index + code - first];
+      index += count;
+      first = (first + count) << 1;
+      code <<= 1;
+    }
+    throw new RangeError('Invalid Huffman code');
+  }
+
+  private emit(value: number): void {
+    if (this.length === this.output.length) {
+      if (this.length >= this.maxBytes) throw new RangeError(`Inflated frame exceeds ${this.maxBytes} bytes`);
+      const next = new Uint8Array(Math.min(this.maxBytes, this.output.length * 2));
+      next.set(this.output);
+      this.output = next;
+    }
+    this.output[this.length++] = value;
+  }
+
+  private stored(): void {
+    this.bits = 0;
+    this.count = 0;
+    if (this.position + 4 > this.input.length) throw new RangeError('Truncated deflate data');
+    const size = this.input[this.position] | (this.input[this.position + 1] << 8);
+    const check = this.input[this.position + 2] | (this.input[this.position + 3] << 8);
+    if ((size ^ 0xffff) !== check) throw new RangeError('Corrupt stored deflate block');
+    this.position += 4;
+    if (this.position + size > this.input.length) throw new RangeError('Truncated deflate data');
+    for (let index = 0; index < size; index += 1) this.emit(this.input[this.position++]);
+  }
+
+  private codes(literals: HuffmanTable, distances: HuffmanTable): void {
+    for (;;) {
+      const symbol = this.decode(literals);
+      if (symbol < 256) {
+        this.emit(symbol);
+        continue;
+      }
+      if (symbol === 256) return;
+      const lengthCode = symbol - 257;
+      if (lengthCode >= LENGTH_BASE.length) throw new RangeError('Invalid deflate length');
+      const length = LENGTH_BASE[lengthCode] + this.read(LENGTH_EXTRA[lengthCode]);
+      const distanceCode = this.decode(distances);
+      if (distanceCode >= DISTANCE_BASE.length) throw new RangeError('Invalid deflate distance');
+      const distance = DISTANCE_BASE[distanceCode] + this.read(DISTANCE_EXTRA[distanceCode]);
+      if (distance > this.length) throw new RangeError('Deflate distance reaches before the output');
+      for (let index = 0; index < length; index += 1) this.emit(this.output[this.length - distance]);
+    }
+  }
+
+  private dynamic(): void {
+    const literalCount = this.read(5) + 257;
+    const distanceCount = this.read(5) + 1;
+    const codeLengthCount = this.read(4) + 4;
+    const codeLengths = new Uint8Array(19);
+    for (let index = 0; index < codeLengthCount; index += 1) codeLengths[CODE_LENGTH_ORDER[index]] = this.read(3);
+    const codeLengthTable = buildHuffman(codeLengths);
+
+    const lengths = new Uint8Array(literalCount + distanceCount);
+    for (let index = 0; index < lengths.length;) {
+      const symbol = this.decode(codeLengthTable);
+      if (symbol < 16) {
+        lengths[index++] = symbol;
+        continue;
+      }
+      let repeat: number;
+      let value = 0;
+      if (symbol === 16) {
+        if (index === 0) throw new RangeError('Deflate repeat without a previous length');
+        value = lengths[index - 1];
+        repeat = 3 + this.read(2);
+      } else if (symbol === 17) {
+        repeat = 3 + this.read(3);
+      } else {
+        repeat = 11 + this.read(7);
+      }
+      if (index + repeat > lengths.length) throw new RangeError('Deflate code lengths overflow');
+      lengths.fill(value, index, index + repeat);
+      index += repeat;
+    }
+    this.codes(
+      buildHuffman(lengths.subarray(0, literalCount)),
+      buildHuffman(lengths.subarray(literalCount)),
+    );
+  }
+}
+
+// ─── Frames ───────────────────────────────────────────────────────────────
+
+/** Raw deflate, through `CompressionStream` when available. */
+export async function deflateRaw(bytes: Uint8Array): Promise<Uint8Array> {
+  if (!hasCompressionStreams()) return deflateRawFallback(bytes);
+  return pipeThroughStream(bytes, new CompressionStream('deflate-raw'), Number.MAX_SAFE_INTEGER);
+}
+
+/** Raw inflate that fails instead of producing more than `maxBytes`. */
+export async function inflateRaw(bytes: Uint8Array, maxBytes: number): Promise<Uint8Array> {
+  if (!hasCompressionStreams()) return new Inflater(bytes, maxBytes).run();
+  return pipeThroughStream(bytes, new DecompressionStream('deflate-raw'), maxBytes);
+}
+
+export function isCompressedWireFrame(raw: unknown): raw is Uint8Array | ArrayBuffer {
+  const bytes = raw instanceof Uint8Array ? raw : raw instanceof ArrayBuffer ? new Uint8Array(raw) : null;
+  return !!bytes && bytes.length > HEADER_BYTES && bytes[0] === FRAME_MAGIC && bytes[1] === COMPRESSED_FRAME_VERSION;
+}
+
+/** Compress a frame, or resolve null when deflate would not make it smaller. */
+export async function compressWireFrame(
+  data: string | ArrayBuffer | ArrayBufferView,
+): Promise<{ frame: Uint8Array; originalBytes: number } | null> {
+  const bytes = typeof data === 'string'
+    ? textEncoder.encode(data)
+    : data instanceof ArrayBuffer
+      ? new Uint8Array(data)
+      : new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+  const deflated = await deflateRaw(bytes);
+  if (deflated.length + HEADER_BYTES >= bytes.length) return null;
+  const frame = new Uint8Array(deflated.length + HEADER_BYTES);
+  frame[0] = FRAME_MAGIC;
+  frame[1] = COMPRESSED_FRAME_VERSION;
+  frame[2] = typeof data === 'string' ? KIND_TEXT : KIND_BINARY;
+  frame.set(deflated, HEADER_BYTES);
+  return { frame, originalBytes: bytes.length };
+}
+
+/** Restore a compressed frame as text or bytes, or null when it is corrupt or too large. */
+export async function decompressWireFrame(
+  raw: Uint8Array | ArrayBuffer,
+  maxBytes: number,
+): Promise<string | Uint8Array | null> {
+  const bytes = raw instanceof Uint8Array ? raw : new Uint8Array(raw);
+  const kind = bytes[2];
+  if (kind !== KIND_TEXT && kind !== KIND_BINARY) return null;
+  try {
+    const inflated = await inflateRaw(bytes.subarray(HEADER_BYTES), maxBytes);
+    return kind === KIND_TEXT ? textDecoder.decode(inflated) : inflated;
+  } catch {
+    return null;
+  }
+}
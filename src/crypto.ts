@@ -1,10 +1,21 @@
-import { decryptMessageWithMeta, encryptMessageWithMeta, generateRandomPair } from 'unsea';
-import type { DirectMessage, GossipBroadcastOptions, GossipMessage } from './gossip.js';
+import { decryptMessageWithMeta, encryptMessageWithMeta, generateRandomPair, signMessage, verifyMessage } from 'unsea';
+import type {
+  DirectMessage,
+  GossipBroadcastOptions,
+  GossipEnvelopeAuthenticator,
+  GossipMessage,
+} from './gossip.js';
 
 export const CRYPTO_PUBLIC_INFO_TYPE = 'pp-crypto-public-info-v1';
 export const CRYPTO_PUBLIC_REQUEST_TYPE = 'pp-crypto-public-request-v1';
 export const ENCRYPTED_BROADCAST_TYPE = 'pp-encrypted-broadcast-v1';
 export const ENCRYPTED_DIRECT_TYPE = 'pp-encrypted-direct-v1';
+export const ONION_DIRECT_TYPE = 'pp-onion-direct-v1';
+
+/** Onion legs are padded to a multiple of this many characters. */
+const ONION_CELL_CHARS = 1024;
+/** How long a sealed layer stays valid, and the furthest ahead its expiry may be. */
+const ONION_LAYER_TTL_MS = 60_000;
 
 export type PeerPigeonKeyPair = {
   pub: string;
@@ -42,6 +53,19 @@ export type EncryptedDirectPayload = {
   timestamp: number;
 };
 
+/** One onion layer in transit; only the receiving hop can open `cipher`. */
+export type OnionDirectPayload = {
+  __ppType: typeof ONION_DIRECT_TYPE;
+  cipher: unknown;
+  /** Random filler that keeps every leg of one message the same size. */
+  pad?: string;
+};
+
+export type OnionDirectOptions = {
+  /** Relays between sender and recipient. Defaults to `onionHops`. */
+  hops?: number;
+};
+
 export type PeerPigeonCryptoOptions = {
   /** Room scope mixed into the AES-GCM room key. */
   roomId: string;
@@ -57,6 +81,8 @@ export type PeerPigeonCryptoOptions = {
   announceIntervalMs?: number;
   /** Default wait for direct-message key discovery. Default 8 seconds. */
   keyDiscoveryTimeoutMs?: number;
+  /** Relays an anonymous direct message passes through. Default 3. */
+  onionHops?: number;
 };
 
 export type PeerPigeonCryptoEvents = {
@@ -68,11 +94,19 @@ export type PeerPigeonCryptoEvents = {
     local: boolean;
     fromPeer?: string;
     receivedAt: number;
+    verified: boolean;
   }) => void;
   encryptedDirectReceived: (data: {
     plaintext: string;
     payload: EncryptedDirectPayload;
     message: DirectMessage;
+    verified: boolean;
+  }) => void;
+  /** `message` is the last relay's hop; the sender is not disclosed. */
+  anonymousDirectReceived: (data: {
+    plaintext: string;
+    payload: OnionDirectPayload;
+    message: DirectMessage;
   }) => void;
   error: (error: Error) => void;
 };
@@ -84,16 +118,27 @@ interface CryptoMeshLike {
   off(event: 'signaling:connected', handler: (data: { clientId: string }) => void): void;
   getClientId(): string | null;
   getConnectedPeers(): string[];
+  getGlobalPeers?(): string[];
 }
 
+type GossipReceivedData = {
+  message: GossipMessage;
+  local: boolean;
+  fromPeer?: string;
+  receivedAt?: number;
+  verified?: boolean;
+};
+
+type DirectReceivedData = { message: DirectMessage; verified?: boolean };
+
 interface CryptoGossipLike {
   broadcast(data: unknown, metadata?: Record<string, unknown>, options?: GossipBroadcastOptions): string;
   broadcastReliable(data: unknown, metadata?: Record<string, unknown>, options?: Omit<GossipBroadcastOptions, 'trackDelivery'>): string;
   sendDirect(targetPeerId: string, data: unknown): string | null;
-  on(event: 'messageReceived', callback: (data: { message: GossipMessage; local: boolean; fromPeer?: string; receivedAt?: number }) => void): void;
-  on(event: 'directMessageReceived', callback: (data: { message: DirectMessage }) => void): void;
-  off(event: 'messageReceived', callback: (data: { message: GossipMessage; local: boolean; fromPeer?: string; receivedAt?: number }) => void): void;
-  off(event: 'directMessageReceived', callback: (data: { message: DirectMessage }) => void): void;
+  on(event: 'messageReceived', callback: (data: GossipReceivedData) => void): void;
+  on(event: 'directMessageReceived', callback: (data: DirectReceivedData) => void): void;
+  off(event: 'messageReceived', callback: (data: GossipReceivedData) => void): void;
+  off(event: 'directMessageReceived', callback: (data: DirectReceivedData) => void): void;
 }
 
 type CryptoPublicInfoPayload = {
@@ -104,6 +149,12 @@ type CryptoPublicInfoPayload = {
   timestamp: number;
 };
 
+/**
+ * What a hop finds inside its layer: where to forward, or the message
+ * itself. The nonce and expiry let a hop refuse replayed or stale layers.
+ */
+type OnionLayer = ({ next: string; cipher: unknown } | { plaintext: string }) & { nonce: string; expiresAt: number };
+
 type CryptoPublicRequestPayload = {
   __ppType: typeof CRYPTO_PUBLIC_REQUEST_TYPE;
   from: string;
@@ -117,15 +168,19 @@ export class PeerPigeonCryptoProtocol {
   private readonly options: Required<Omit<PeerPigeonCryptoOptions, 'keyPair'>> & { keyPair?: PeerPigeonKeyPair };
   private keyPair: PeerPigeonKeyPair | null = null;
   private readonly publicKeys = new Map<string, PeerPublicKey>();
+  /** Nonces of onion layers already peeled, until their expiry. */
+  private readonly onionNonces = new Map<string, number>();
   private readonly callbacks: Partial<Record<keyof PeerPigeonCryptoEvents, Set<Function>>> = {};
   private announceTimer: ReturnType<typeof setInterval> | null = null;
   private initialized = false;
+  /** Set once envelopes are signed; key announcements must then verify. */
+  private signedKeysOnly = false;
 
-  private readonly onGossipMessageBound = (data: { message: GossipMessage; local: boolean; fromPeer?: string; receivedAt?: number }): void => {
+  private readonly onGossipMessageBound = (data: GossipReceivedData): void => {
     this.handleGossipMessage(data).catch((error) => this.emitError(error));
   };
-  private readonly onDirectMessageBound = (data: { message: DirectMessage }): void => {
-    this.handleDirectMessage(data.message).catch((error) => this.emitError(error));
+  private readonly onDirectMessageBound = (data: DirectReceivedData): void => {
+    this.handleDirectMessage(data.message, data.verified === true).catch((error) => this.emitError(error));
   };
   private readonly onPeerConnectedBound = (peerId: string): void => {
     this.sendPublicInfoDirect(peerId);
@@ -139,6 +194,8 @@ export class PeerPigeonCryptoProtocol {
   constructor(mesh: CryptoMeshLike, gossip: CryptoGossipLike, options: PeerPigeonCryptoOptions) {
     const roomId = String(options.roomId ?? '').trim();
     if (!roomId) throw new Error('PeerPigeonCryptoProtocol requires a non-empty roomId');
+    const onionHops = options.onionHops ?? 3;
+    if (!Number.isSafeInteger(onionHops) || onionHops < 1) throw new RangeError('crypto.onionHops must be a positive safe integer');
     this.mesh = mesh;
     this.gossip = gossip;
     this.options = {
@@ -149,6 +206,7 @@ export class PeerPigeonCryptoProtocol {
       storageKey: String(options.storageKey ?? 'peerpigeon:crypto-keys:v1'),
       announceIntervalMs: options.announceIntervalMs ?? 10_000,
       keyDiscoveryTimeoutMs: options.keyDiscoveryTimeoutMs ?? 8_000,
+      onionHops,
     };
   }
 
@@ -290,6 +348,37 @@ export class PeerPigeonCryptoProtocol {
     return messageId;
   }
 
+  /**
+   * Send `plaintext` to `peerId` through randomly chosen relays, each of which
+   * peels one layer and learns only the next hop. Keys are never requested
+   * here, since a request would link the sender to its relays and recipient;
+   * all of them must already have announced theirs. Each hop pads the leg it
+   * forwards to the size of the one it received, so every leg on the wire
+   * has the same length; each layer carries its own nonce and expiry, so a
+   * captured leg cannot be replayed through the path.
+   */
+  async sendAnonymousDirect(peerId: string, plaintext: string, options: OnionDirectOptions = {}): Promise<string> {
+    if (!this.keyPair) throw new Error('Crypto protocol has not been initialized');
+    const hops = options.hops ?? this.options.onionHops;
+    if (!Number.isSafeInteger(hops) || hops < 1) throw new RangeError('hops must be a positive safe integer');
+    const target = String(peerId ?? '').trim();
+    if (!target || target === this.mesh.getClientId()) throw new Error('Cannot send an anonymous message to this peer');
+    const recipient = this.publicKeys.get(target);
+    if (!recipient) throw new Error(`No encryption key known for peer ${target}`);
+
+    let next = target;
+    let cipher = await this.sealOnionLayer({ plaintext: String(plaintext) }, recipient.epub);
+    for (const relay of this.pickOnionRelays(target, hops)) {
+      cipher = await this.sealOnionLayer({ next, cipher }, relay.epub);
+      next = relay.peerId;
+    }
+    const size = JSON.stringify({ __ppType: ONION_DIRECT_TYPE, cipher, pad: '' }).length;
+    const payload = this.padOnionPayload(cipher, Math.ceil(size / ONION_CELL_CHARS) * ONION_CELL_CHARS);
+    const messageId = this.gossip.sendDirect(next, payload);
+    if (!messageId) throw new Error(`No route to peer ${next}`);
+    return messageId;
+  }
+
   async decryptEncryptedBroadcast(payload: EncryptedBroadcastPayload): Promise<string> {
     return await this.decryptRoom(payload.roomCipher);
   }
@@ -299,6 +388,54 @@ export class PeerPigeonCryptoProtocol {
     return await decryptMessageWithMeta(payload.cipher, this.keyPair.epriv);
   }
 
+  /**
+   * Build the gossip envelope signer for this identity. Verification uses
+   * the key announced in `pp-crypto-public-info-v1`; an announcement is
+   * checked against its own key only until a key is pinned for that peer.
+   * From then on only announcements whose envelope verified update the key
+   * table, so a pinned key changes only when the old key signs the new one.
+   */
+  createEnvelopeAuthenticator(options: { requireSignatures?: boolean } = {}): GossipEnvelopeAuthenticator {
+    this.signedKeysOnly = true;
+    return {
+      requireSignatures: options.requireSignatures === true,
+      sign: async (payload) => await this.signEnvelope(payload),
+      verify: async (signer, payload, signature, data, waitForKey) =>
+        await this.verifyEnvelope(signer, payload, signature, data, waitForKey),
+    };
+  }
+
+  async signEnvelope(payload: string): Promise<string> {
+    if (!this.keyPair) throw new Error('Crypto protocol has not been initialized');
+    return await signMessage(payload, this.keyPair.priv);
+  }
+
+  async verifyEnvelope(
+    signer: string,
+    payload: string,
+    signature: string,
+    data: unknown,
+    waitForKey: boolean = true,
+  ): Promise<boolean | null> {
+    const peerId = String(signer ?? '').trim();
+    if (!peerId) return null;
+    let pub = this.publicKeys.get(peerId)?.pub ?? null;
+    if (!pub && this.isPublicInfo(data) && data.from === peerId) pub = data.pub;
+    if (!pub && waitForKey) {
+      try {
+        pub = (await this.waitForPeerKey(peerId)).pub;
+      } catch {
+        return null;
+      }
+    }
+    if (!pub) return null;
+    try {
+      return await verifyMessage(payload, signature, pub);
+    } catch {
+      return false;
+    }
+  }
+
   on<K extends keyof PeerPigeonCryptoEvents>(event: K, callback: PeerPigeonCryptoEvents[K]): void {
     const callbacks = this.callbacks[event];
     if (callbacks) callbacks.add(callback);
@@ -320,6 +457,7 @@ export class PeerPigeonCryptoProtocol {
     }
     this.initialized = false;
     this.publicKeys.clear();
+    this.onionNonces.clear();
     for (const callbacks of Object.values(this.callbacks)) callbacks?.clear();
   }
 
@@ -327,7 +465,7 @@ export class PeerPigeonCryptoProtocol {
     if (!value || typeof value !== 'object') return false;
     const type = (value as { __ppType?: unknown }).__ppType;
     return type === CRYPTO_PUBLIC_INFO_TYPE || type === CRYPTO_PUBLIC_REQUEST_TYPE
-      || type === ENCRYPTED_BROADCAST_TYPE || type === ENCRYPTED_DIRECT_TYPE;
+      || type === ENCRYPTED_BROADCAST_TYPE || type === ENCRYPTED_DIRECT_TYPE || type === ONION_DIRECT_TYPE;
   }
 
   private validateKeyPair(value: PeerPigeonKeyPair): void {
@@ -360,7 +498,7 @@ export class PeerPigeonCryptoProtocol {
 
   private registerLocalKey(): void {
     const payload = this.localPublicInfoPayload();
-    if (payload) this.upsertPublicKey(payload.from, payload);
+    if (payload) this.upsertPublicKey(payload.from, payload, true);
   }
 
   private localPublicInfoPayload(): CryptoPublicInfoPayload | null {
@@ -380,11 +518,18 @@ export class PeerPigeonCryptoProtocol {
     this.gossip.sendDirect(peerId, payload);
   }
 
-  private upsertPublicKey(peerId: string, payload: CryptoPublicInfoPayload): void {
+  /**
+   * Record an announced key. `verified` means the announcement's envelope
+   * verified, against the pinned key when there is one; without it a pinned
+   * key is never replaced, and nothing is recorded once signing is on.
+   */
+  private upsertPublicKey(peerId: string, payload: CryptoPublicInfoPayload, verified: boolean): void {
     const id = String(peerId ?? '').trim();
     if (!id || typeof payload.pub !== 'string' || typeof payload.epub !== 'string') return;
     const existing = this.publicKeys.get(id);
     if (existing && existing.updatedAt > payload.timestamp) return;
+    const rotated = !!existing && (existing.pub !== payload.pub || existing.epub !== payload.epub);
+    if (!verified && (this.signedKeysOnly || rotated)) return;
     const value: PeerPublicKey = {
       peerId: id,
       pub: payload.pub,
@@ -419,10 +564,17 @@ export class PeerPigeonCryptoProtocol {
       && typeof payload.from === 'string' && typeof payload.to === 'string' && payload.cipher != null;
   }
 
-  private async handleGossipMessage(data: { message: GossipMessage; local: boolean; fromPeer?: string; receivedAt?: number }): Promise<void> {
+  private isOnionDirect(value: unknown): value is OnionDirectPayload {
+    const payload = value as Partial<OnionDirectPayload> | null;
+    return !!payload && payload.__ppType === ONION_DIRECT_TYPE && payload.cipher != null;
+  }
+
+  private async handleGossipMessage(data: GossipReceivedData): Promise<void> {
     const payload = data.message.data;
     if (this.isPublicInfo(payload)) {
-      if (data.local || !data.message.sender || payload.from === data.message.sender) this.upsertPublicKey(payload.from, payload);
+      if (data.local || !data.message.sender || payload.from === data.message.sender) {
+        this.upsertPublicKey(payload.from, payload, data.local || data.verified === true);
+      }
       return;
     }
     if (this.isPublicRequest(payload)) {
@@ -434,22 +586,88 @@ export class PeerPigeonCryptoProtocol {
     const receivedAt = Number.isFinite(data.receivedAt) && Number(data.receivedAt) > 0
       ? Number(data.receivedAt)
       : Date.now();
-    this.emit('encryptedBroadcastReceived', { plaintext, payload, ...data, receivedAt });
+    this.emit('encryptedBroadcastReceived', { plaintext, payload, ...data, receivedAt, verified: data.verified === true });
   }
 
-  private async handleDirectMessage(message: DirectMessage): Promise<void> {
+  private async handleDirectMessage(message: DirectMessage, verified: boolean = false): Promise<void> {
     const payload = message.data;
     if (this.isPublicInfo(payload)) {
-      if (payload.from === message.from) this.upsertPublicKey(payload.from, payload);
+      if (payload.from === message.from) this.upsertPublicKey(payload.from, payload, verified);
       return;
     }
     if (this.isPublicRequest(payload)) {
       if (payload.from === message.from && payload.to === this.mesh.getClientId()) this.sendPublicInfoDirect(payload.from);
       return;
     }
+    if (this.isOnionDirect(payload)) {
+      await this.peelOnionLayer(payload, message);
+      return;
+    }
     if (!this.isEncryptedDirect(payload) || payload.to !== this.mesh.getClientId() || payload.from !== message.from) return;
     const plaintext = await this.decryptEncryptedDirect(payload);
-    this.emit('encryptedDirectReceived', { plaintext, payload, message });
+    this.emit('encryptedDirectReceived', { plaintext, payload, message, verified });
+  }
+
+  private async peelOnionLayer(payload: OnionDirectPayload, message: DirectMessage): Promise<void> {
+    if (!this.keyPair) return;
+    const layer = JSON.parse(await decryptMessageWithMeta(payload.cipher, this.keyPair.epriv)) as Partial<{
+      next: unknown;
+      cipher: unknown;
+      plaintext: unknown;
+      nonce: unknown;
+      expiresAt: unknown;
+    }>;
+    const now = Date.now();
+    for (const [nonce, expiresAt] of this.onionNonces) {
+      if (expiresAt < now) this.onionNonces.delete(nonce);
+    }
+    if (typeof layer.nonce !== 'string' || typeof layer.expiresAt !== 'number') throw new Error('Malformed onion layer');
+    if (layer.expiresAt < now || layer.expiresAt > now + ONION_LAYER_TTL_MS) throw new Error('Onion layer expired');
+    if (this.onionNonces.has(layer.nonce)) throw new Error('Onion layer replayed');
+    this.onionNonces.set(layer.nonce, layer.expiresAt);
+    if (typeof layer.next === 'string' && layer.cipher != null) {
+      const forwarded = this.padOnionPayload(layer.cipher, JSON.stringify(payload).length);
+      if (!this.gossip.sendDirect(layer.next, forwarded)) throw new Error(`No route to onion hop ${layer.next}`);
+      return;
+    }
+    if (typeof layer.plaintext !== 'string') throw new Error('Malformed onion layer');
+    this.emit('anonymousDirectReceived', { plaintext: layer.plaintext, payload, message });
+  }
+
+  private async sealOnionLayer(layer: Omit<OnionLayer, 'nonce' | 'expiresAt'>, epub: string): Promise<unknown> {
+    const nonce = this.toBase64Url(this.cryptoApi().getRandomValues(new Uint8Array(16)));
+    const sealed: OnionLayer = { ...layer, nonce, expiresAt: Date.now() + ONION_LAYER_TTL_MS } as OnionLayer;
+    const cipher = await encryptMessageWithMeta(JSON.stringify(sealed), { epub }) as Record<string, unknown>;
+    // unsea stamps the encryption time, which would let hops correlate layers.
+    delete cipher.timestamp;
+    return cipher;
+  }
+
+  /** Fill the payload up to `size` serialized characters with random, incompressible padding. */
+  private padOnionPayload(cipher: unknown, size: number): OnionDirectPayload {
+    const missing = size - JSON.stringify({ __ppType: ONION_DIRECT_TYPE, cipher, pad: '' }).length;
+    const bytes = this.cryptoApi().getRandomValues(new Uint8Array(Math.ceil(Math.max(0, missing) * 3 / 4)));
+    return { __ppType: ONION_DIRECT_TYPE, cipher, pad: this.toBase64Url(bytes).slice(0, Math.max(0, missing)) };
+  }
+
+  /** Pick `hops` distinct relays at random among peers with announced keys. */
+  private pickOnionRelays(target: string, hops: number): PeerPublicKey[] {
+    const self = this.mesh.getClientId();
+    const peerIds = new Set(this.mesh.getGlobalPeers?.() ?? this.mesh.getConnectedPeers());
+    const candidates: PeerPublicKey[] = [];
+    for (const peerId of peerIds) {
+      const key = this.publicKeys.get(peerId);
+      if (key && peerId !== self && peerId !== target) candidates.push(key);
+    }
+    if (candidates.length < hops) {
+      throw new Error(`Anonymous routing needs ${hops} relays with known keys; ${candidates.length} available`);
+    }
+    const random = this.cryptoApi().getRandomValues(new Uint32Array(hops));
+    for (let index = 0; index < hops; index++) {
+      const swap = index + (random[index] % (candidates.length - index));
+      [candidates[index], candidates[swap]] = [candidates[swap], candidates[index]];
+    }
+    return candidates.slice(0, hops);
   }
 
   private async deriveRoomKey(): Promise<CryptoKey> {
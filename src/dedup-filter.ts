@@ -0,0 +1,108 @@
+export type DedupOptions = {
+  /** Chance that an unseen message is mistaken for a duplicate and dropped. Default 1e-6. */
+  falsePositiveRate?: number;
+  /**
+   * Ceiling for duplicate-suppression state. A quarter holds the filter
+   * generations; the rest bounds the payloads retained for anti-entropy
+   * repair, by serialized size. Default 8 MiB.
+   */
+  maxBytes?: number;
+};
+
+export type DedupFilterStats = {
+  /** Bytes held by both filter generations. */
+  bytes: number;
+  /** Insertions per generation before the filters rotate. */
+  capacity: number;
+  /** Insertions into the active generation. */
+  entries: number;
+  rotations: number;
+  falsePositiveRate: number;
+};
+
+/**
+ * Two Bloom filter generations over a fixed byte budget. Lookups consult
+ * both; when the active generation reaches its capacity the older one is
+ * cleared and takes over, so every key is remembered for at least one full
+ * generation of later insertions.
+ */
+export class RotatingBloomFilter {
+  readonly capacity: number;
+  readonly falsePositiveRate: number;
+  private readonly bitCount: number;
+  private readonly hashCount: number;
+  private readonly generations: [Uint32Array, Uint32Array];
+  private active = 0;
+  private entries = 0;
+  private rotations = 0;
+
+  constructor(bytes: number, falsePositiveRate: number) {
+    const words = Math.max(1, Math.floor(bytes / 8));
+    this.bitCount = words * 32;
+    this.falsePositiveRate = falsePositiveRate;
+    // A lookup can match in either generation, so each gets half the rate.
+    const perGeneration = falsePositiveRate / 2;
+    this.hashCount = Math.max(1, Math.round(-Math.log2(perGeneration)));
+    this.capacity = Math.max(1, Math.floor(this.bitCount * Math.LN2 ** 2 / -Math.log(perGeneration)));
+    this.generations = [new Uint32Array(words), new Uint32Array(words)];
+  }
+
+  has(key: string): boolean {
+    const [h1, h2] = hashPair(key);
+    return this.contains(this.generations[0], h1, h2) || this.contains(this.generations[1], h1, h2);
+  }
+
+  add(key: string): void {
+    const [h1, h2] = hashPair(key);
+    const bits = this.generations[this.active];
+    if (this.contains(bits, h1, h2)) return;
+    for (let index = 0; index < this.hashCount; index++) {
+      const bit = (h1 + index * h2) % this.bitCount;
+      bits[bit >>> 5] |= 1 << (bit & 31);
+    }
+    this.entries += 1;
+    if (this.entries < this.capacity) return;
+    this.active ^= 1;
+    this.generations[this.active].fill(0);
+    this.entries = 0;
+    this.rotations += 1;
+  }
+
+  clear(): void {
+    this.generations[0].fill(0);
+    this.generations[1].fill(0);
+    this.entries = 0;
+  }
+
+  getStats(): DedupFilterStats {
+    return {
+      bytes: this.generations[0].byteLength * 2,
+      capacity: this.capacity,
+      entries: this.entries,
+      rotations: this.rotations,
+      falsePositiveRate: this.falsePositiveRate,
+    };
+  }
+
+  private contains(bits: Uint32Array, h1: number, h2: number): boolean {
+    for (let index = 0; index < this.hashCount; index++) {
+      const bit = (h1 + index * h2) % this.bitCount;
+      if ((bits[bit >>> 5] & (1 << (bit & 31))) === 0) return false;
+    }
+    return true;
+  }
+}
+
+/** Two independent 32-bit hashes for double hashing; the second is odd, so never a zero step. */
+function hashPair(key: string): [number, number] {
+  let h1 = 0xdeadbeef;
+  let h2 = 0x41c6ce57;
+  for (let index = 0; index < key.length; index++) {
+    const code = key.charCodeAt(index);
+    h1 = Math.imul(h1 ^ code, 2654435761);
+    h2 = Math.imul(h2 ^ code, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  return [h1 >>> 0, (h2 | 1) >>> 0];
+}
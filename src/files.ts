@@ -0,0 +1,688 @@
+import type { DirectMessage } from './gossip.js';
+import type { SendPriority } from './send-queue.js';
+import { asBytes } from './wire-codec.js';
+import { randomFrameId } from './frame-router.js';
+import type { FrameHandler } from './frame-router.js';
+
+export const FILE_TRANSFER_TYPE = 'pp-file-v1';
+
+const MAX_NAME_LENGTH = 256;
+const MAX_PENDING_OFFERS = 64;
+/** Offers split finer than this are refused, bounding per-chunk bookkeeping. */
+const MAX_CHUNKS_PER_FILE = 65_536;
+/** Finished incoming transfers remembered so a lost `done` can be repeated. */
+const MAX_FINISHED_TRANSFERS = 256;
+
+/**
+ * Codes raised locally are `timeout`, `cancelled`, `integrity` and `closed`.
+ * `rejected` is raised on the sender when the receiver declines the offer.
+ */
+export type FileTransferErrorCode = 'rejected' | 'cancelled' | 'timeout' | 'integrity' | 'closed';
+
+export class FileTransferError extends Error {
+  readonly code: FileTransferErrorCode;
+  readonly transferId: string;
+  readonly peerId: string;
+
+  constructor(code: FileTransferErrorCode, message: string, details: { transferId: string; peerId: string }) {
+    super(message);
+    this.name = 'FileTransferError';
+    this.code = code;
+    this.transferId = details.transferId;
+    this.peerId = details.peerId;
+  }
+}
+
+/** A file as offered, received or delivered. `peerId` is the other party. */
+export type FileTransferInfo = {
+  transferId: string;
+  peerId: string;
+  name: string;
+  size: number;
+  mimeType: string;
+  /** Lowercase hex SHA-256 of the whole file. */
+  sha256: string;
+  metadata: Record<string, unknown>;
+};
+
+export type ReceivedFile = FileTransferInfo & { data: Uint8Array };
+
+export type FileTransferProgress = {
+  transferId: string;
+  peerId: string;
+  direction: 'send' | 'receive';
+  /** Bytes acknowledged by the receiver, or received in order. */
+  bytes: number;
+  totalBytes: number;
+  /** Times the sender went back to the last acknowledged chunk. */
+  resumes: number;
+};
+
+export type FileSendOptions = {
+  /** Defaults to the name of a `File`, otherwise empty. */
+  name?: string;
+  /** Defaults to the type of a `Blob`, otherwise `application/octet-stream`. */
+  mimeType?: string;
+  metadata?: Record<string, unknown>;
+  /** Aborting cancels the transfer on both sides. */
+  signal?: AbortSignal;
+};
+
+export type PeerPigeonFilesOptions = {
+  /** Bytes per chunk. Default 16 KiB. */
+  chunkBytes?: number;
+  /** Unacknowledged chunks in flight. Default 16. */
+  windowChunks?: number;
+  /** Resend from the last acknowledged chunk after this long without an ack. Default 2 seconds. */
+  ackTimeoutMs?: number;
+  /** Fail a transfer after this long without progress. Default 60 seconds. */
+  idleTimeoutMs?: number;
+  /** Largest file sent or accepted. Default 64 MiB. */
+  maxFileBytes?: number;
+};
+
+export type PeerPigeonFilesEvents = {
+  offer?: (offer: FileTransferInfo) => void;
+  progress?: (progress: FileTransferProgress) => void;
+};
+
+type FilePayload = {
+  __ppType: typeof FILE_TRANSFER_TYPE;
+  op: 'offer' | 'accept' | 'reject' | 'chunk' | 'ack' | 'done' | 'fail' | 'cancel';
+  transfer: string;
+  name?: string;
+  size?: number;
+  mimeType?: string;
+  sha256?: string;
+  metadata?: Record<string, unknown>;
+  chunkBytes?: number;
+  /** Chunk index, or for `accept` and `ack` the next chunk the receiver lacks. */
+  index?: number;
+  data?: Uint8Array;
+  reason?: string;
+};
+
+type DirectReceivedData = { message: DirectMessage };
+
+interface FilesMeshLike {
+  getConnectedPeers(): string[];
+  sendFrame(peerId: string, frame: object, options?: { priority?: SendPriority }): boolean;
+  onFrame(type: string, handler: FrameHandler): void;
+  offFrame(type: string, handler: FrameHandler): void;
+  on(event: 'peer:connected', handler: (peerId: string) => void): void;
+  off(event: 'peer:connected', handler: (peerId: string) => void): void;
+}
+
+interface FilesGossipLike {
+  sendDirect(targetPeerId: string, data: unknown): string | null;
+  on(event: 'directMessageReceived', callback: (data: DirectReceivedData) => void): void;
+  off(event: 'directMessageReceived', callback: (data: DirectReceivedData) => void): void;
+}
+
+type OutgoingTransfer = {
+  info: FileTransferInfo;
+  bytes: Uint8Array;
+  totalChunks: number;
+  accepted: boolean;
+  /** Chunks below this index are acknowledged. */
+  acked: number;
+  /** Next chunk to send. */
+  sent: number;
+  resumes: number;
+  lastProgressAt: number;
+  timer: ReturnType<typeof setTimeout> | null;
+  resolve: (info: FileTransferInfo) => void;
+  reject: (error: FileTransferError) => void;
+  cleanup: () => void;
+};
+
+type IncomingTransfer = {
+  info: FileTransferInfo;
+  chunkBytes: number;
+  totalChunks: number;
+  accepted: boolean;
+  chunks: Map<number, Uint8Array>;
+  /** Chunks below this index have arrived. */
+  next: number;
+  lastProgressAt: number;
+  timer: ReturnType<typeof setTimeout> | null;
+  resolve?: (file: ReceivedFile) => void;
+  reject?: (error: FileTransferError) => void;
+};
+
+/**
+ * Offers, sends and receives whole files. The sender keeps a window of
+ * unacknowledged chunks in flight and, when acks stop, goes back to the last
+ * acknowledged chunk, so a transfer interrupted by a reconnect resumes where
+ * it stopped instead of starting over. Chunks go over the data channel when
+ * the receiver is a neighbour and as routed direct messages otherwise. The
+ * receiver checks the SHA-256 of the reassembled file before reporting done.
+ */
+export class PeerPigeonFiles {
+  private readonly mesh: FilesMeshLike;
+  private readonly gossip: FilesGossipLike;
+  private readonly events: PeerPigeonFilesEvents;
+  private readonly chunkBytes: number;
+  private readonly windowChunks: number;
+  private readonly ackTimeoutMs: number;
+  private readonly idleTimeoutMs: number;
+  private readonly maxFileBytes: number;
+  private readonly outgoing = new Map<string, OutgoingTransfer>();
+  private readonly incoming = new Map<string, IncomingTransfer>();
+  /** Transfer ID to its sender and the final answer, oldest first. */
+  private readonly finished = new Map<string, { peerId: string; op: 'done' | 'fail' }>();
+  private destroyed = false;
+
+  private readonly onDirectMessageBound = ({ message }: DirectReceivedData): void => {
+    if (this.isPayload(message.data)) this.handlePayload(message.from, message.data);
+  };
+
+  private readonly onFrameBound = (peerId: string, data: Record<string, unknown>): void => {
+    const payload = this.parseFrame(data);
+    if (payload) this.handlePayload(peerId, payload);
+  };
+
+  private readonly onPeerConnectedBound = (peerId: string): void => {
+    for (const transfer of this.outgoing.values()) {
+      if (transfer.info.peerId === peerId) this.resume(transfer);
+    }
+  };
+
+  constructor(
+    mesh: FilesMeshLike,
+    gossip: FilesGossipLike,
+    options: PeerPigeonFilesOptions = {},
+    events: PeerPigeonFilesEvents = {},
+  ) {
+    this.mesh = mesh;
+    this.gossip = gossip;
+    this.events = events;
+    this.chunkBytes = options.chunkBytes ?? 16 * 1024;
+    this.windowChunks = options.windowChunks ?? 16;
+    this.ackTimeoutMs = options.ackTimeoutMs ?? 2_000;
+    this.idleTimeoutMs = options.idleTimeoutMs ?? 60_000;
+    this.maxFileBytes = options.maxFileBytes ?? 64 * 1024 * 1024;
+    for (const [name, value] of [
+      ['chunkBytes', this.chunkBytes],
+      ['windowChunks', this.windowChunks],
+      ['ackTimeoutMs', this.ackTimeoutMs],
+      ['idleTimeoutMs', this.idleTimeoutMs],
+      ['maxFileBytes', this.maxFileBytes],
+    ] as const) {
+      if (!Number.isSafeInteger(value) || value < 1) {
+        throw new RangeError(`files.${name} must be a positive safe integer`);
+      }
+    }
+    this.gossip.on('directMessageReceived', this.onDirectMessageBound);
+    this.mesh.onFrame(FILE_TRANSFER_TYPE, this.onFrameBound);
+    this.mesh.on('peer:connected', this.onPeerConnectedBound);
+  }
+
+  /**
+   * Offer a file to a peer and send it once accepted. Resolves when the
+   * receiver has verified the digest; rejects with a `FileTransferError`.
+   */
+  async send(peerId: string, file: Blob | ArrayBuffer | ArrayBufferView, options: FileSendOptions = {}): Promise<FileTransferInfo> {
+    if (typeof peerId !== 'string' || !peerId) throw new TypeError('peerId must be a non-empty string');
+    const blob = typeof Blob !== 'undefined' && file instanceof Blob ? file : null;
+    const fileName = blob && typeof (blob as { name?: unknown }).name === 'string' ? (blob as File).name : '';
+    const name = options.name ?? fileName;
+    if (typeof name !== 'string' || name.length > MAX_NAME_LENGTH) {
+      throw new TypeError(`name must be a string of at most ${MAX_NAME_LENGTH} characters`);
+    }
+    const mimeType = options.mimeType ?? (blob?.type || 'application/octet-stream');
+    if (typeof mimeType !== 'string' || mimeType.length > MAX_NAME_LENGTH) {
+      throw new TypeError(`mimeType must be a string of at most ${MAX_NAME_LENGTH} characters`);
+    }
+    const metadata = options.metadata ?? {};
+    if (!metadata || typeof metadata !== 'object' || Array.isArray(metadata)) {
+      throw new TypeError('metadata must be a plain object');
+    }
+    // Copied, so the caller may reuse its buffer while chunks are in flight.
+    const bytes = blob ? new Uint8Array(await blob.arrayBuffer()) : asBytes(file)?.slice();
+    if (!bytes) throw new TypeError('file must be a Blob, ArrayBuffer or ArrayBufferView');
+    if (bytes.length > this.maxFileBytes) {
+      throw new RangeError(`File of ${bytes.length} bytes exceeds maxFileBytes (${this.maxFileBytes})`);
+    }
+    if (this.destroyed) throw new Error('File transfer service is closed');
+    options.signal?.throwIfAborted();
+
+    const info: FileTransferInfo = {
+      transferId: randomFrameId(),
+      peerId,
+      name,
+      size: bytes.length,
+      mimeType,
+      sha256: await sha256Hex(bytes),
+      metadata,
+    };
+    if (this.destroyed) throw new Error('File transfer service is closed');
+    return new Promise<FileTransferInfo>((resolve, reject) => {
+      const { signal } = options;
+      const onAbort = (): void => { this.cancel(info.transferId); };
+      const transfer: OutgoingTransfer = {
+        info,
+        bytes,
+        totalChunks: Math.ceil(bytes.length / this.chunkBytes),
+        accepted: false,
+        acked: 0,
+        sent: 0,
+        resumes: 0,
+        lastProgressAt: Date.now(),
+        timer: null,
+        resolve,
+        reject,
+        cleanup: () => signal?.removeEventListener('abort', onAbort),
+      };
+      signal?.addEventListener('abort', onAbort, { once: true });
+      this.outgoing.set(info.transferId, transfer);
+      this.sendOffer(transfer);
+      this.armOutgoing(transfer);
+    });
+  }
+
+  /** Accept an offer. Resolves with the verified file. */
+  accept(transferId: string): Promise<ReceivedFile> {
+    const transfer = this.incoming.get(transferId);
+    if (!transfer) return Promise.reject(new Error(`Unknown file transfer ${transferId}`));
+    if (transfer.accepted) return Promise.reject(new Error(`File transfer ${transferId} is already accepted`));
+    transfer.accepted = true;
+    transfer.lastProgressAt = Date.now();
+    return new Promise<ReceivedFile>((resolve, reject) => {
+      transfer.resolve = resolve;
+      transfer.reject = reject;
+      this.deliver(transfer.info.peerId, { op: 'accept', transfer: transferId, index: 0 });
+      if (transfer.totalChunks === 0) void this.completeIncoming(transfer);
+    });
+  }
+
+  /** Decline an offer that has not been accepted. */
+  reject(transferId: string, reason: string = 'declined'): boolean {
+    const transfer = this.incoming.get(transferId);
+    if (!transfer || transfer.accepted) return false;
+    this.dropIncoming(transfer);
+    this.deliver(transfer.info.peerId, { op: 'reject', transfer: transferId, reason: String(reason).slice(0, MAX_NAME_LENGTH) });
+    return true;
+  }
+
+  /** Stop a transfer in either direction and tell the other side. */
+  cancel(transferId: string): boolean {
+    const outgoing = this.outgoing.get(transferId);
+    const incoming = this.incoming.get(transferId);
+    const peerId = outgoing?.info.peerId ?? incoming?.info.peerId;
+    if (!peerId) return false;
+    this.deliver(peerId, { op: 'cancel', transfer: transferId });
+    const error = new FileTransferError('cancelled', `File transfer ${transferId} was cancelled`, { transferId, peerId });
+    if (outgoing) this.failOutgoing(outgoing, error);
+    if (incoming) this.failIncoming(incoming, error);
+    return true;
+  }
+
+  /** Offers and transfers in progress. */
+  getTransfers(): Array<FileTransferProgress & { accepted: boolean }> {
+    return [
+      ...Array.from(this.outgoing.values(), (transfer) => ({ ...this.outgoingProgress(transfer), accepted: transfer.accepted })),
+      ...Array.from(this.incoming.values(), (transfer) => ({ ...this.incomingProgress(transfer), accepted: transfer.accepted })),
+    ];
+  }
+
+  destroy(): void {
+    if (this.destroyed) return;
+    this.destroyed = true;
+    this.gossip.off('directMessageReceived', this.onDirectMessageBound);
+    this.mesh.offFrame(FILE_TRANSFER_TYPE, this.onFrameBound);
+    this.mesh.off('peer:connected', this.onPeerConnectedBound);
+    for (const transfer of Array.from(this.outgoing.values())) {
+      const { transferId, peerId } = transfer.info;
+      this.failOutgoing(transfer, new FileTransferError('closed', 'File transfer service is closed', { transferId, peerId }));
+    }
+    for (const transfer of Array.from(this.incoming.values())) {
+      const { transferId, peerId } = transfer.info;
+      this.failIncoming(transfer, new FileTransferError('closed', 'File transfer service is closed', { transferId, peerId }));
+    }
+  }
+
+  static isProtocolPayload(value: unknown): boolean {
+    return !!value && typeof value === 'object' && (value as { __ppType?: unknown }).__ppType === FILE_TRANSFER_TYPE;
+  }
+
+  // ─── Sending ───────────────────────────────────────────────────────────────
+
+  private sendOffer(transfer: OutgoingTransfer): void {
+    const { transferId, name, size, mimeType, sha256, metadata } = transfer.info;
+    this.deliver(transfer.info.peerId, {
+      op: 'offer', transfer: transferId, name, size, mimeType, sha256, metadata, chunkBytes: this.chunkBytes,
+    });
+  }
+
+  private pump(transfer: OutgoingTransfer): void {
+    const limit = Math.min(transfer.totalChunks, transfer.acked + this.windowChunks);
+    while (transfer.sent < limit) {
+      const index = transfer.sent;
+      const start = index * this.chunkBytes;
+      transfer.sent += 1;
+      this.deliver(transfer.info.peerId, {
+        op: 'chunk',
+        transfer: transfer.info.transferId,
+        index,
+        data: transfer.bytes.subarray(start, start + this.chunkBytes),
+      });
+    }
+  }
+
+  /** Go back to the last acknowledged chunk, or ask again for an answer. */
+  private resume(transfer: OutgoingTransfer): void {
+    if (!transfer.accepted || transfer.acked === transfer.totalChunks) {
+      // A repeated offer is answered with the receiver's position or its verdict.
+      this.sendOffer(transfer);
+      return;
+    }
+    transfer.sent = transfer.acked;
+    transfer.resumes += 1;
+    this.pump(transfer);
+  }
+
+  private handleAck(transfer: OutgoingTransfer, next: number): void {
+    const acked = Math.min(next, transfer.totalChunks);
+    if (!transfer.accepted) {
+      transfer.accepted = true;
+      transfer.acked = acked;
+      transfer.sent = acked;
+      transfer.lastProgressAt = Date.now();
+      if (acked > 0) this.events.progress?.(this.outgoingProgress(transfer));
+    } else if (acked > transfer.acked) {
+      transfer.acked = acked;
+      transfer.sent = Math.max(transfer.sent, acked);
+      transfer.lastProgressAt = Date.now();
+      this.events.progress?.(this.outgoingProgress(transfer));
+    } else {
+      return;
+    }
+    this.armOutgoing(transfer);
+    this.pump(transfer);
+  }
+
+  private armOutgoing(transfer: OutgoingTransfer): void {
+    if (transfer.timer) clearTimeout(transfer.timer);
+    transfer.timer = setTimeout(() => {
+      transfer.timer = null;
+      if (this.outgoing.get(transfer.info.transferId) !== transfer) return;
+      if (Date.now() - transfer.lastProgressAt >= this.idleTimeoutMs) {
+        const { transferId, peerId } = transfer.info;
+        this.deliver(peerId, { op: 'cancel', transfer: transferId, reason: 'timeout' });
+        this.failOutgoing(transfer, new FileTransferError('timeout', `File transfer ${transferId} stalled`, { transferId, peerId }));
+        return;
+      }
+      this.resume(transfer);
+      this.armOutgoing(transfer);
+    }, this.ackTimeoutMs);
+  }
+
+  private settleOutgoing(transfer: OutgoingTransfer): boolean {
+    if (this.outgoing.get(transfer.info.transferId) !== transfer) return false;
+    this.outgoing.delete(transfer.info.transferId);
+    if (transfer.timer) clearTimeout(transfer.timer);
+    transfer.timer = null;
+    transfer.cleanup();
+    return true;
+  }
+
+  private failOutgoing(transfer: OutgoingTransfer, error: FileTransferError): void {
+    if (this.settleOutgoing(transfer)) transfer.reject(error);
+  }
+
+  private outgoingProgress(transfer: OutgoingTransfer): FileTransferProgress {
+    return {
+      transferId: transfer.info.transferId,
+      peerId: transfer.info.peerId,
+      direction: 'send',
+      bytes: Math.min(transfer.acked * this.chunkBytes, transfer.info.size),
+      totalBytes: transfer.info.size,
+      resumes: transfer.resumes,
+    };
+  }
+
+  // ─── Receiving ─────────────────────────────────────────────────────────────
+
+  private handleOffer(peerId: string, payload: FilePayload): void {
+    const transferId = payload.transfer;
+    const finished = this.finished.get(transferId);
+    if (finished) {
+      if (finished.peerId === peerId) this.deliver(peerId, { op: finished.op, transfer: transferId });
+      return;
+    }
+    const existing = this.incoming.get(transferId);
+    if (existing) {
+      if (existing.info.peerId === peerId && existing.accepted) {
+        this.deliver(peerId, { op: 'accept', transfer: transferId, index: existing.next });
+      }
+      return;
+    }
+    if (payload.size! > this.maxFileBytes || Math.ceil(payload.size! / payload.chunkBytes!) > MAX_CHUNKS_PER_FILE) {
+      this.deliver(peerId, { op: 'reject', transfer: transferId, reason: 'too large' });
+      return;
+    }
+    if (Array.from(this.incoming.values()).filter(({ accepted }) => !accepted).length >= MAX_PENDING_OFFERS) {
+      this.deliver(peerId, { op: 'reject', transfer: transferId, reason: 'busy' });
+      return;
+    }
+    const transfer: IncomingTransfer = {
+      info: {
+        transferId,
+        peerId,
+        name: payload.name ?? '',
+        size: payload.size!,
+        mimeType: payload.mimeType ?? 'application/octet-stream',
+        sha256: payload.sha256!,
+        metadata: payload.metadata ?? {},
+      },
+      chunkBytes: payload.chunkBytes!,
+      totalChunks: Math.ceil(payload.size! / payload.chunkBytes!),
+      accepted: false,
+      chunks: new Map(),
+      next: 0,
+      lastProgressAt: Date.now(),
+      timer: null,
+    };
+    this.incoming.set(transferId, transfer);
+    this.armIncoming(transfer);
+    this.events.offer?.({ ...transfer.info });
+  }
+
+  private handleChunk(transfer: IncomingTransfer, index: number, data: Uint8Array): void {
+    if (!transfer.accepted || index >= transfer.totalChunks) return;
+    const expected = Math.min(transfer.chunkBytes, transfer.info.size - index * transfer.chunkBytes);
+    if (data.byteLength !== expected) return;
+    if (index >= transfer.next && !transfer.chunks.has(index)) transfer.chunks.set(index, data);
+    const before = transfer.next;
+    while (transfer.chunks.has(transfer.next)) transfer.next += 1;
+    // Duplicates are acknowledged too, which resynchronises a sender that rewound.
+    this.deliver(transfer.info.peerId, { op: 'ack', transfer: transfer.info.transferId, index: transfer.next });
+    if (transfer.next === before) return;
+    transfer.lastProgressAt = Date.now();
+    this.events.progress?.(this.incomingProgress(transfer));
+    if (transfer.next === transfer.totalChunks) void this.completeIncoming(transfer);
+  }
+
+  private async completeIncoming(transfer: IncomingTransfer): Promise<void> {
+    const data = new Uint8Array(transfer.info.size);
+    for (let index = 0; index < transfer.totalChunks; index += 1) {
+      data.set(transfer.chunks.get(index)!, index * transfer.chunkBytes);
+    }
+    // Callers do not await this; a digest that cannot be taken fails the transfer.
+    let digest: string | Error;
+    try {
+      digest = await sha256Hex(data);
+    } catch (error) {
+      digest = error instanceof Error ? error : new Error(String(error));
+    }
+    if (this.incoming.get(transfer.info.transferId) !== transfer) return;
+    const { transferId, peerId } = transfer.info;
+    const ok = digest === transfer.info.sha256;
+    this.rememberFinished(transferId, peerId, ok ? 'done' : 'fail');
+    this.deliver(peerId, { op: ok ? 'done' : 'fail', transfer: transferId });
+    if (ok) {
+      this.dropIncoming(transfer);
+      transfer.resolve?.({ ...transfer.info, data });
+    } else {
+      this.failIncoming(transfer, new FileTransferError('integrity', digest instanceof Error
+        ? `File transfer ${transferId} could not be verified: ${digest.message}`
+        : `File transfer ${transferId} failed its SHA-256 check`, { transferId, peerId }));
+    }
+  }
+
+  /** Forget a transfer, offered or accepted, that makes no progress for `idleTimeoutMs`. */
+  private armIncoming(transfer: IncomingTransfer, delayMs: number = this.idleTimeoutMs): void {
+    transfer.timer = setTimeout(() => {
+      transfer.timer = null;
+      if (this.incoming.get(transfer.info.transferId) !== transfer) return;
+      const remainingMs = this.idleTimeoutMs - (Date.now() - transfer.lastProgressAt);
+      if (remainingMs > 0) {
+        this.armIncoming(transfer, remainingMs);
+        return;
+      }
+      const { transferId, peerId } = transfer.info;
+      this.failIncoming(transfer, new FileTransferError('timeout', `File transfer ${transferId} stalled`, { transferId, peerId }));
+    }, delayMs);
+  }
+
+  private dropIncoming(transfer: IncomingTransfer): boolean {
+    if (this.incoming.get(transfer.info.transferId) !== transfer) return false;
+    this.incoming.delete(transfer.info.transferId);
+    if (transfer.timer) clearTimeout(transfer.timer);
+    transfer.timer = null;
+    return true;
+  }
+
+  private failIncoming(transfer: IncomingTransfer, error: FileTransferError): void {
+    if (this.dropIncoming(transfer)) transfer.reject?.(error);
+  }
+
+  private rememberFinished(transferId: string, peerId: string, op: 'done' | 'fail'): void {
+    this.finished.set(transferId, { peerId, op });
+    while (this.finished.size > MAX_FINISHED_TRANSFERS) {
+      this.finished.delete(this.finished.keys().next().value as string);
+    }
+  }
+
+  private incomingProgress(transfer: IncomingTransfer): FileTransferProgress {
+    return {
+      transferId: transfer.info.transferId,
+      peerId: transfer.info.peerId,
+      direction: 'receive',
+      bytes: Math.min(transfer.next * transfer.chunkBytes, transfer.info.size),
+      totalBytes: transfer.info.size,
+      resumes: 0,
+    };
+  }
+
+  // ─── Wire ──────────────────────────────────────────────────────────────────
+
+  private handlePayload(peerId: string, payload: FilePayload): void {
+    if (this.destroyed || !this.validPayload(payload)) return;
+    const transferId = payload.transfer;
+    if (payload.op === 'offer') {
+      this.handleOffer(peerId, payload);
+      return;
+    }
+    const outgoing = this.outgoing.get(transferId);
+    if (outgoing && outgoing.info.peerId === peerId) {
+      const { info } = outgoing;
+      if (payload.op === 'accept' || payload.op === 'ack') {
+        this.handleAck(outgoing, payload.index!);
+      } else if (payload.op === 'done') {
+        if (this.settleOutgoing(outgoing)) outgoing.resolve({ ...info });
+      } else if (payload.op === 'reject') {
+        const reason = payload.reason ? `: ${payload.reason}` : '';
+        this.failOutgoing(outgoing, new FileTransferError('rejected', `File transfer ${transferId} was rejected${reason}`, {
+          transferId, peerId,
+        }));
+      } else if (payload.op === 'fail') {
+        this.failOutgoing(outgoing, new FileTransferError('integrity', `File transfer ${transferId} failed its SHA-256 check`, {
+          transferId, peerId,
+        }));
+      } else if (payload.op === 'cancel') {
+        this.failOutgoing(outgoing, new FileTransferError('cancelled', `File transfer ${transferId} was cancelled by the peer`, {
+          transferId, peerId,
+        }));
+      }
+      return;
+    }
+    const incoming = this.incoming.get(transferId);
+    if (!incoming || incoming.info.peerId !== peerId) {
+      // A sender still pushing chunks missed our verdict.
+      const finished = this.finished.get(transferId);
+      if (payload.op === 'chunk' && finished?.peerId === peerId) this.deliver(peerId, { op: finished.op, transfer: transferId });
+      return;
+    }
+    if (payload.op === 'chunk') {
+      this.handleChunk(incoming, payload.index!, payload.data!);
+    } else if (payload.op === 'cancel') {
+      this.failIncoming(incoming, new FileTransferError('cancelled', `File transfer ${transferId} was cancelled by the peer`, {
+        transferId, peerId,
+      }));
+    }
+  }
+
+  /**
+   * Use the neighbour's data channel when there is one, and a routed direct
+   * message otherwise. Losses either way are repaired by the ack timer.
+   */
+  private deliver(peerId: string, fields: Omit<FilePayload, '__ppType'>): void {
+    const payload: FilePayload = { __ppType: FILE_TRANSFER_TYPE, ...fields };
+    if (this.mesh.getConnectedPeers().includes(peerId)) {
+      try {
+        this.mesh.sendFrame(peerId, { type: FILE_TRANSFER_TYPE, data: payload }, { priority: 'bulk' });
+        return;
+      } catch {
+        // the channel closed under us; try the routed path
+      }
+    }
+    this.gossip.sendDirect(peerId, payload);
+  }
+
+  private parseFrame(value: unknown): FilePayload | null {
+    const frame = value as { type?: unknown; data?: unknown } | null;
+    if (!frame || typeof frame !== 'object' || frame.type !== FILE_TRANSFER_TYPE) return null;
+    return this.isPayload(frame.data) ? frame.data : null;
+  }
+
+  private isPayload(value: unknown): value is FilePayload {
+    return PeerPigeonFiles.isProtocolPayload(value)
+      && typeof (value as FilePayload).transfer === 'string'
+      && (value as FilePayload).transfer.length > 0
+      && (value as FilePayload).transfer.length <= 64;
+  }
+
+  private validPayload(payload: FilePayload): boolean {
+    const count = (value: unknown) => Number.isSafeInteger(value) && (value as number) >= 0;
+    const shortString = (value: unknown) => value === undefined || (typeof value === 'string' && value.length <= MAX_NAME_LENGTH);
+    switch (payload.op) {
+      case 'offer':
+        return count(payload.size)
+          && Number.isSafeInteger(payload.chunkBytes) && payload.chunkBytes! > 0
+          && typeof payload.sha256 === 'string' && /^[0-9a-f]{64}$/.test(payload.sha256)
+          && shortString(payload.name) && shortString(payload.mimeType)
+          && (payload.metadata === undefined || (!!payload.metadata && typeof payload.metadata === 'object' && !Array.isArray(payload.metadata)));
+      case 'accept':
+      case 'ack':
+        return count(payload.index);
+      case 'chunk':
+        return count(payload.index) && payload.data instanceof Uint8Array;
+      case 'reject':
+      case 'cancel':
+        return shortString(payload.reason);
+      case 'done':
+      case 'fail':
+        return true;
+      default:
+        return false;
+    }
+  }
+}
+
+async function sha256Hex(bytes: Uint8Array): Promise<string> {
+  if (!globalThis.crypto?.subtle) throw new Error('WebCrypto is unavailable');
+  const digest = await globalThis.crypto.subtle.digest('SHA-256', bytes as BufferSource);
+  return Array.from(new Uint8Array(digest), (value) => value.toString(16).padStart(2, '0')).join('');
+}
@@ -0,0 +1,58 @@
+import { wireJsonParse } from './wire-codec.js';
+
+export type FrameHandler = (peerId: string, frame: Record<string, unknown>) => void;
+
+/** The `type` a JSON frame leads with; protocol frames are built with it as their first key. */
+const LEADING_TYPE = /^\{"type":"([^"\\]{1,64})"/;
+
+/**
+ * Hands protocol frames to the one handler registered for their `type`, so
+ * each inbound frame is inspected once instead of by every protocol that
+ * listens on `peer:data`. JSON text is parsed only when its type is claimed.
+ */
+export class FrameRouter {
+  private readonly handlers = new Map<string, FrameHandler>();
+
+  on(type: string, handler: FrameHandler): void {
+    if (this.handlers.has(type)) throw new Error(`Frame type ${type} already has a handler`);
+    this.handlers.set(type, handler);
+  }
+
+  off(type: string, handler: FrameHandler): void {
+    if (this.handlers.get(type) === handler) this.handlers.delete(type);
+  }
+
+  /** Route a frame to its handler; false when no handler claims its type. */
+  dispatch(peerId: string, raw: unknown): boolean {
+    if (this.handlers.size === 0) return false;
+    const type = typeof raw === 'string'
+      ? LEADING_TYPE.exec(raw)?.[1]
+      : raw && typeof raw === 'object' ? (raw as { type?: unknown }).type : undefined;
+    const handler = typeof type === 'string' ? this.handlers.get(type) : undefined;
+    if (!handler) return false;
+    let frame = raw;
+    if (typeof raw === 'string') {
+      try {
+        frame = wireJsonParse(raw);
+      } catch {
+        return true;
+      }
+    }
+    // A claimed type that does not parse to that frame is dropped, not passed on.
+    if (frame && typeof frame === 'object' && (frame as { type?: unknown }).type === type) {
+      handler(peerId, frame as Record<string, unknown>);
+    }
+    return true;
+  }
+}
+
+/** A random 128-bit hex ID for streams, circuits and transfers. */
+export function randomFrameId(): string {
+  try {
+    const bytes = new Uint8Array(16);
+    globalThis.crypto.getRandomValues(bytes);
+    return Array.from(bytes, (value) => value.toString(16).padStart(2, '0')).join('');
+  } catch {
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 14)}`;
+  }
+}
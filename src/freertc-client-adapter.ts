@@ -52,6 +52,7 @@ export class FreeRTCClientAdapter {
   private readonly previousPeerSignalUrls: readonly string[];
   private readonly defaultIceServers: RTCIceServer[] | null;
   private readonly trickleIce: boolean;
+  private readonly bufferedAmountLowThreshold: number;
   private readonly emitter = new Emitter();
   private readonly knownPeers = new Set<string>();
   private readonly knownPeerLastSeenAtMs = new Map<string, number>();
@@ -104,6 +105,8 @@ export class FreeRTCClientAdapter {
     retiredPeerIds?: string[];
     iceServers?: RTCIceServer[] | null;
     trickleIce?: boolean;
+    /** Data channels emit `rtc:drain` when their send buffer falls below this. */
+    bufferedAmountLowThreshold?: number;
   }) {
     const normalizedSignalUrls = Array.from(new Set(
       (Array.isArray(signalUrls) ? signalUrls : [signalUrls])
@@ -130,6 +133,7 @@ export class FreeRTCClientAdapter {
     ));
     this.defaultIceServers = options?.iceServers ?? null;
     this.trickleIce = options?.trickleIce ?? true;
+    this.bufferedAmountLowThreshold = options?.bufferedAmountLowThreshold ?? 0;
     this.addSelfAlias(this.requestedPeerId);
     this.addSelfAlias(this.previousPeerId);
     for (const peerId of this.retiredPeerIds) this.addSelfAlias(peerId);
@@ -410,6 +414,13 @@ export class FreeRTCClientAdapter {
     }
   }
 
+  /** Bytes queued in the peer's data channel, or 0 when it is not open. */
+  getBufferedAmount(peerId: string): number {
+    const channel = this.client?.mesh?.connections?.get?.(this.normalizePeerId(peerId))?.channel;
+    const amount = Number(channel?.bufferedAmount);
+    return Number.isFinite(amount) && amount > 0 ? amount : 0;
+  }
+
   broadcast(data: string | ArrayBuffer | ArrayBufferView): void {
     for (const peerId of Array.from(this.connectedPeers)) {
       try {
@@ -570,6 +581,13 @@ export class FreeRTCClientAdapter {
     if (!channel || (typeof channel !== 'object' && typeof channel !== 'function')) return;
     if (this.observedDataChannels.has(channel)) return;
     this.observedDataChannels.add(channel);
+    try {
+      channel.bufferedAmountLowThreshold = this.bufferedAmountLowThreshold;
+    } catch { /* read-only in some shims */ }
+    channel.addEventListener?.('bufferedamountlow', () => {
+      if (this.client?.mesh?.connections?.get?.(peerId)?.channel !== channel) return;
+      this.emitter.emit('rtc:drain', { peerId });
+    });
     channel.addEventListener?.('open', () => {
       const current = this.client?.mesh?.connections?.get?.(peerId);
       if (current?.channel !== channel || channel.readyState !== 'open') return;
@@ -1,4 +1,10 @@
 import { sha1Hex } from './sha1.js';
+import { decodeWireFrame, isBinaryWireFrame, wireJsonParse, wireJsonStringify } from './wire-codec.js';
+import type { WireCompressionStats } from './compression.js';
+import { GossipTracer } from './tracing.js';
+import { RotatingBloomFilter } from './dedup-filter.js';
+import type { DedupFilterStats, DedupOptions } from './dedup-filter.js';
+import type { MessageTrace, OtlpTraceExport, TraceContext, TraceHop, TracingOptions } from './tracing.js';
 
 export type GossipProtocolOptions = {
   /** Maximum number of re-propagation hops for a message. */
@@ -25,6 +31,52 @@ export type GossipProtocolOptions = {
   antiEntropySummarySize?: number;
   /** Maximum missing broadcasts requested or served per anti-entropy exchange. Default 64. */
   antiEntropyRequestSize?: number;
+  /** Lifetime of a neighbor's topic-interest advertisement. Default 30 seconds. */
+  topicInterestLeaseMs?: number;
+  /** Wait for a reliable direct message's ack before retrying. Default 3 seconds. */
+  directAckTimeoutMs?: number;
+  /** Send attempts for a reliable direct message, including the first. Default 3. */
+  directMaxAttempts?: number;
+  /**
+   * Hold direct messages whose target is unreachable and hand them over once
+   * a membership record shows the target alive again. Disabled by default;
+   * `holdMs` defaults to 5 minutes and `maxMessages` to 256.
+   */
+  storeAndForward?: boolean | { holdMs?: number; maxMessages?: number };
+  /**
+   * Sequence broadcasts this peer originates. `fifo` numbers them per sender
+   * and topic; `causal` also names the messages delivered here since the
+   * previous one. Receivers hold sequenced messages back until their
+   * predecessors arrive, whatever their own setting. Default `none`.
+   */
+  ordering?: 'none' | 'fifo' | 'causal';
+  /** Longest a sequenced message waits for missing predecessors before it is surfaced anyway. Default 5 seconds. */
+  orderingHoldbackMs?: number;
+  /**
+   * How this peer forwards broadcasts. `gossip` pushes each one to the CECR
+   * fan-out. `plumtree` pushes eagerly along a spanning tree, pruning links
+   * that deliver duplicates, and only announces message IDs to the other
+   * neighbors, which graft a link back when an announced message does not
+   * arrive in time. Default `gossip`.
+   */
+  broadcastStrategy?: 'gossip' | 'plumtree';
+  /** Plumtree: wait for an announced message before grafting the announcing link. Default 500 ms. */
+  plumtreeGraftDelayMs?: number;
+  /**
+   * Record per-hop receive and forward times. Sampled broadcasts and direct
+   * messages this peer originates carry a trace context; relays with tracing
+   * enabled report their spans back, and `exportTraces()` renders them as
+   * OpenTelemetry JSON. Disabled by default.
+   */
+  tracing?: boolean | TracingOptions;
+  /**
+   * Remember seen broadcast and direct IDs in rotating Bloom filters, so
+   * memory stays flat however long the peer runs and however busy the room
+   * is. Only the most recent IDs are kept exactly; older ones are matched
+   * with `falsePositiveRate` odds of dropping an unseen message. Disabled by
+   * default.
+   */
+  dedup?: boolean | DedupOptions;
 };
 
 export type CecrConfigSnapshot = {
@@ -78,6 +130,8 @@ export type CecrStateSnapshot = {
     state: 'alive' | 'left';
     issuedAt: number;
     validUntil: number | null;
+    groups?: string[];
+    services?: Record<string, Record<string, string | number | boolean>>;
   }>;
   membershipEquivocations: string[];
   overlay: CecrOverlaySnapshot;
@@ -95,6 +149,54 @@ export type GossipBroadcastOptions = {
   aggregateDelivery?: boolean;
   /** Override the deadline for this message's initial dissemination and delivery inference. */
   deliveryTimeoutMs?: number;
+  /**
+   * Lifetime of the message. Receivers never surface it afterwards, and
+   * anti-entropy keeps repairing it until then, up to the tracking retention.
+   */
+  ttlMs?: number;
+  /** Absolute expiry in epoch milliseconds; takes precedence over `ttlMs`. */
+  expiresAt?: number;
+  /**
+   * Receivers surface only the first message from this sender carrying the
+   * key, within the tracking retention, so a resend under a new message ID
+   * is not seen twice.
+   */
+  dedupeKey?: string;
+};
+
+export type GossipDirectOptions = {
+  /** Request an ack from the destination and retry over alternative first hops. */
+  reliable?: boolean;
+  ackTimeoutMs?: number;
+  maxAttempts?: number;
+  /**
+   * Allow custodians to hold the message: it keeps making progress toward an
+   * absent target and is held by the first peer on the way that has
+   * store-and-forward enabled. Defaults to the protocol's `storeAndForward`.
+   */
+  storeAndForward?: boolean;
+  /** Relays and the destination drop the message after this lifetime. */
+  ttlMs?: number;
+  /** Absolute expiry in epoch milliseconds; takes precedence over `ttlMs`. */
+  expiresAt?: number;
+  /** As for broadcasts: the destination surfaces one message per key. */
+  dedupeKey?: string;
+};
+
+export type GossipDirectDeliveryStatus = {
+  messageId: string;
+  to: string;
+  /** Send attempts so far, including the first. */
+  attempts: number;
+  maxAttempts: number;
+  /** First hop used by each attempt, in order. */
+  firstHops: string[];
+  delivered: boolean;
+  failed: boolean;
+  failureReason: 'timeout' | 'no-route' | 'expired' | null;
+  createdAt: number;
+  updatedAt: number;
+  deliveredAt: number | null;
 };
 
 export type GossipDeliveryStatus = {
@@ -111,6 +213,8 @@ export type GossipDeliveryStatus = {
   createdAt: number;
   updatedAt: number;
   deadlineAt: number;
+  /** Set for `broadcastToGroup()`; the audience is that group's roster. */
+  group?: string;
 };
 
 export type GossipAggregateDeliveryStatus = {
@@ -134,6 +238,8 @@ type GossipDeliveryEnvelope = {
   size: number;
   bits: string;
   deadlineAt: number;
+  /** Multicast group whose roster, plus the sender, replaces the room as the audience. */
+  group?: string;
 };
 
 type GossipDeliveryReceipt = GossipDeliveryEnvelope & {
@@ -155,6 +261,29 @@ export type GossipSpreadEnvelope = {
   deadlineAt: number;
 };
 
+/** A broadcast another one must be surfaced after. */
+export type GossipOrderReference = {
+  sender: string;
+  stream: string;
+  seq: number;
+  id: string;
+};
+
+export type GossipOrderEnvelope = {
+  protocol: 'gossip-order/1';
+  /** Chosen per protocol instance; sequence numbers restart with a new stream. */
+  stream: string;
+  /** 1-based position among the sender's broadcasts on this topic. */
+  seq: number;
+  /** ID of the previous broadcast in the stream. */
+  prev?: string;
+  /**
+   * Causal mode: the latest message of each other stream on this topic that
+   * the sender surfaced since `prev`. Older dependencies follow through `prev`.
+   */
+  deps?: GossipOrderReference[];
+};
+
 export type GossipMessage = {
   id: string;
   timestamp: number;
@@ -166,6 +295,20 @@ export type GossipMessage = {
   type: 'gossip';
   /** Bounded first-arrival route trace for diagnostics. */
   path?: string[];
+  /** Publish/subscribe topic. Only subscribers surface it; others relay by interest. */
+  topic?: string;
+  /** Multicast group. Only its members surface it; everyone else relays. */
+  group?: string;
+  /** Origin signature over the hop-invariant fields; see `GossipEnvelopeAuthenticator`. */
+  signature?: string;
+  /** Signed application expiry; nobody surfaces, forwards or repairs it afterwards. */
+  expiresAt?: number;
+  /** Signed per-sender sequencing; receivers surface the message after its predecessors. */
+  order?: GossipOrderEnvelope;
+  /** Signed; receivers surface one message per sender and key. */
+  dedupeKey?: string;
+  /** Unsigned per-hop trace context; see `tracing`. */
+  trace?: TraceContext;
   spread?: GossipSpreadEnvelope;
   delivery?: GossipDeliveryEnvelope;
   aggregate?: GossipAggregateEnvelope;
@@ -184,6 +327,47 @@ export type DirectMessage = {
   path?: string[];
   originConfigId?: string;
   originViewId?: string;
+  /** Origin signature over the hop-invariant fields; see `GossipEnvelopeAuthenticator`. */
+  signature?: string;
+  /** Set by reliable sends: the destination answers with a `direct-ack`. */
+  ack?: boolean;
+  /** Retry number of a reliable send. Relays deduplicate per attempt. */
+  attempt?: number;
+  /** Custodians may hold it while the target is unreachable. */
+  store?: boolean;
+  /** Compact ID of the custodian that handed it over. */
+  heldBy?: string;
+  /** Signed application expiry; relays and the destination drop it afterwards. */
+  expiresAt?: number;
+  /** Signed; the destination surfaces one message per sender and key. */
+  dedupeKey?: string;
+  /** Unsigned per-hop trace context; see `tracing`. */
+  trace?: TraceContext;
+};
+
+/**
+ * Signs outgoing gossip and direct envelopes and verifies incoming ones.
+ * `verify` resolves null when no key for the signer is known; with
+ * `waitForKey` the implementation may first try to discover one.
+ */
+export interface GossipEnvelopeAuthenticator {
+  readonly requireSignatures: boolean;
+  sign(payload: string): Promise<string>;
+  verify(
+    signer: string,
+    payload: string,
+    signature: string,
+    data: unknown,
+    waitForKey: boolean,
+  ): Promise<boolean | null>;
+}
+
+export type GossipEnvelopeRejection = {
+  messageId: string;
+  type: 'gossip' | 'direct' | 'direct-ack';
+  signer: string | null;
+  fromPeerId: string;
+  reason: 'forged' | 'unsigned' | 'unknown-key';
 };
 
 type CecrStateMessage = {
@@ -231,10 +415,40 @@ type GossipAntiEntropyMessage = {
   protocol: 'gossip-ae/1';
   from: string;
   timestamp: number;
-  mode: 'summary' | 'request';
+  /** `prune` asks the receiver to stop pushing payloads eagerly and only announce them. */
+  mode: 'summary' | 'request' | 'prune';
   messageIds: string[];
 };
 
+type DirectAckMessage = {
+  id: string;
+  type: 'direct-ack';
+  protocol: 'direct-ack/1';
+  /** The acknowledged direct message. */
+  messageId: string;
+  /** The destination that received it. */
+  from: string;
+  /** The original sender. */
+  to: string;
+  timestamp: number;
+  hops: number;
+  maxHops: number;
+  /** Compact reverse route, destination first; followed while neighbors match. */
+  route: string[];
+  /** The destination's signature, when it signs envelopes. */
+  signature?: string;
+};
+
+type GossipTopicInterestMessage = {
+  id: string;
+  type: 'gossip-topics';
+  protocol: 'gossip-topics/1';
+  from: string;
+  timestamp: number;
+  /** Topic to hop distance of the nearest known subscriber behind the sender. */
+  topics: Record<string, number>;
+};
+
 export type GossipStats = {
   totalMessagesTracked: number;
   recentMessages: Array<{
@@ -246,11 +460,40 @@ export type GossipStats = {
   }>;
   connectedPeers: number;
   discoveredPeers: number;
+  subscribedTopics: string[];
+  rejectedEnvelopes: number;
+  /** Direct messages held here for unreachable targets. */
+  heldDirectMessages: number;
+  /** Congested neighbours left out of gossip fan-out, summed over fan-outs. */
+  congestedFanoutSkips: number;
+  /** Sequenced broadcasts waiting here for their predecessors. */
+  heldBackMessages: number;
+  /** Broadcast payload frames received, duplicates included. */
+  receivedGossipFrames: number;
+  duplicateGossipFrames: number;
+  /** Share of received broadcast payload frames that were duplicates. */
+  duplicateRatio: number;
+  /** Payloads re-sent in answer to anti-entropy requests. */
+  antiEntropyRepairs: number;
+  /** Targeted repairs sent to tracked-delivery peers that had not confirmed. */
+  deliveryRepairs: number;
+  /** Broadcast tree state; null under the `gossip` strategy. */
+  plumtree: {
+    eagerPeers: string[];
+    lazyPeers: string[];
+    prunes: number;
+    grafts: number;
+  } | null;
+  /** Link compression on the underlying mesh; null when it is off or unsupported. */
+  compression: WireCompressionStats | null;
+  /** Filter and retained-payload usage; null when `dedup` is off. */
+  dedup: (DedupFilterStats & { retainedBytes: number; maxRetainedBytes: number }) | null;
 };
 
 interface MeshLike {
   on(event: 'peer:data', handler: (data: { peerId: string; data: any }) => void): void;
   on(event: 'peer:connected' | 'peer:disconnected', handler: (peerId: string) => void): void;
+  on(event: 'mesh:membership', handler: (peerIds: string[]) => void): void;
   getClientId(): string | null;
   getConnectedPeers(): string[];
   getDiscoveredPeers(): string[];
@@ -268,16 +511,37 @@ interface MeshLike {
     state: 'alive' | 'left';
     issuedAt: number;
     validUntil: number | null;
+    groups?: string[];
+    services?: Record<string, Record<string, string | number | boolean>>;
   }>;
   getCecrMembershipEquivocations?(): string[];
-  send(peerId: string, data: string | ArrayBuffer | ArrayBufferView): void;
+  /** Sorted live members of a multicast group, the local peer included once it joined. */
+  getGroupMembers?(group: string): string[];
+  send(peerId: string, data: string | ArrayBuffer | ArrayBufferView): unknown;
+  /** Encodes with the codec negotiated for the peer; JSON text when absent. */
+  sendFrame?(peerId: string, frame: object, options?: { priority?: 'control' | 'app' }): unknown;
+  /** Whether the peer's outbound queue is backed up; congested peers are skipped in gossip fan-out. */
+  isPeerCongested?(peerId: string): boolean;
+  getCompressionStats?(): WireCompressionStats | null;
 }
 
 type GossipEvents = {
-  messageReceived: (data: { message: GossipMessage; local: boolean; fromPeer?: string; receivedAt: number }) => void;
+  messageReceived: (data: {
+    message: GossipMessage;
+    local: boolean;
+    fromPeer?: string;
+    receivedAt: number;
+    /** True only when the origin signature was checked against the sender's announced key. */
+    verified: boolean;
+    /** A sequenced message released by the holdback timeout before all its predecessors arrived. */
+    outOfOrder?: boolean;
+  }) => void;
   peerConnected: (data: { peerId: string }) => void;
   peerDisconnected: (data: { peerId: string }) => void;
-  directMessageReceived: (data: { message: DirectMessage }) => void;
+  directMessageReceived: (data: { message: DirectMessage; verified: boolean }) => void;
+  directDelivered: (status: GossipDirectDeliveryStatus) => void;
+  directFailed: (status: GossipDirectDeliveryStatus) => void;
+  envelopeRejected: (data: GossipEnvelopeRejection) => void;
   deliveryProgress: (status: GossipDeliveryStatus) => void;
   deliveryComplete: (status: GossipDeliveryStatus) => void;
   deliveryTimeout: (status: GossipDeliveryStatus) => void;
@@ -312,6 +576,7 @@ type GossipDeliveryState = {
   sender: string;
   setHash: string;
   size: number;
+  group: string | null;
   bits: Uint8Array;
   peerIds: string[] | null;
   message: GossipMessage | null;
@@ -324,6 +589,20 @@ type GossipDeliveryState = {
   repairAttemptsByPeer: Map<string, { attempts: number; lastAttemptAt: number }>;
 };
 
+type GossipDirectDeliveryState = {
+  message: DirectMessage;
+  ackTimeoutMs: number;
+  maxAttempts: number;
+  attempts: number;
+  firstHops: string[];
+  delivered: boolean;
+  failureReason: 'timeout' | 'no-route' | 'expired' | null;
+  createdAt: number;
+  updatedAt: number;
+  deliveredAt: number | null;
+  timer: ReturnType<typeof setTimeout> | null;
+};
+
 type GossipAggregateChildState = {
   confirmedTotal: number;
   maxHops: number;
@@ -359,6 +638,24 @@ const MAX_REPAIR_ATTEMPTS_PER_TARGET = 3;
 const DEFAULT_ANTI_ENTROPY_SUMMARY_SIZE = 256;
 const DEFAULT_ANTI_ENTROPY_REQUEST_SIZE = 64;
 const MAX_ROUTE_TRACE_PEERS = 32;
+const MAX_TOPIC_LENGTH = 256;
+const MAX_DEDUPE_KEY_LENGTH = 256;
+const MAX_TOPIC_INTEREST_ENTRIES = 512;
+const MAX_TOPIC_INTEREST_DISTANCE = 16;
+const MAX_DIRECT_DELIVERY_STATES = 4096;
+const DEFAULT_MAILBOX_HOLD_MS = 5 * 60_000;
+const DEFAULT_MAILBOX_MAX_MESSAGES = 256;
+const DEFAULT_ORDERING_HOLDBACK_MS = 5_000;
+const MAX_ORDER_DEPS = 64;
+const MAX_ORDER_STREAMS = 4096;
+const MAX_HELD_BACK_MESSAGES = 1024;
+const DEFAULT_PLUMTREE_GRAFT_DELAY_MS = 500;
+const MAX_PENDING_GRAFTS = 1024;
+const DEFAULT_DEDUP_FALSE_POSITIVE_RATE = 1e-6;
+const DEFAULT_DEDUP_MAX_BYTES = 8 * 1024 * 1024;
+const MIN_DEDUP_MAX_BYTES = 1024;
+/** With `dedup`, seen IDs kept exactly in front of the filter. */
+const DEDUP_EXACT_WINDOW = 1024;
 /**
  * GossipProtocol
  *
@@ -374,6 +671,11 @@ export class GossipProtocol {
   private readonly maxTrackedMessages = 12_000;
   private readonly maxTrackedDirectIds = 12_000;
   private readonly trackingRetentionMs = 10 * 60_000;
+  /** Cap on exactly tracked broadcast and direct IDs. */
+  private readonly exactSeenLimit: number;
+  private seenFilter: RotatingBloomFilter | null = null;
+  private maxRetainedBytes = Infinity;
+  private retainedBytes = 0;
   private antiEntropySummarySize: number;
   private antiEntropyRequestSize: number;
   private maxHops: number;
@@ -397,6 +699,8 @@ export class GossipProtocol {
     retainedAt: number;
     viewId: string;
     viewSize: number;
+    /** Serialized length, counted against `dedup.maxBytes`. */
+    size: number;
   }> = new Map();
   private dirtyDeliveryReceiptIds: Set<string> = new Set();
   private gossipFanoutCursor = 0;
@@ -406,6 +710,60 @@ export class GossipProtocol {
   private destroyed = false;
   private callbacks: Partial<Record<keyof GossipEvents, Set<Function>>> = {};
   private peers: Map<string, { connected: boolean; timestamp: number }> = new Map();
+  private subscribedTopics: Set<string> = new Set();
+  private topicInterestLeaseMs: number;
+  /** Split-horizon distance vectors advertised by each neighbor. */
+  private topicInterestByPeer: Map<string, { topics: Map<string, number>; updatedAt: number }> = new Map();
+  private topicAdvertisementByPeer: Map<string, { signature: string; sentAt: number }> = new Map();
+  private topicAdvertisementQueued = false;
+  private authenticator: GossipEnvelopeAuthenticator | null = null;
+  private rejectedEnvelopeCount = 0;
+  private congestedFanoutSkips = 0;
+  private directAckTimeoutMs: number;
+  private directMaxAttempts: number;
+  private directDeliveryStates: Map<string, GossipDirectDeliveryState> = new Map();
+  /** Reliable direct IDs already surfaced here; retries are re-acked but not re-emitted. */
+  private acknowledgedDirectIds: Map<string, number> = new Map();
+  /** Sender and dedupe key of messages already surfaced here, with when. */
+  private surfacedDedupeKeys: Map<string, number> = new Map();
+  private storeAndForward: boolean;
+  private mailboxHoldMs: number;
+  private mailboxMaxMessages: number;
+  /** Store-and-forward custody, oldest first. */
+  private mailbox: Map<string, { message: DirectMessage; expiresAt: number }> = new Map();
+  private ordering: 'none' | 'fifo' | 'causal';
+  private orderingHoldbackMs: number;
+  private orderStreamId: string | null = null;
+  /** Last sequence originated here, per topic key. */
+  private orderSequences: Map<string, { seq: number; id: string }> = new Map();
+  /** Highest sequence surfaced per stream key, least recently advanced first. */
+  private orderDelivered: Map<string, { seq: number; id: string }> = new Map();
+  /** Causal mode: streams surfaced since this peer's last broadcast, per topic key. */
+  private orderPendingDeps: Map<string, Map<string, GossipOrderReference>> = new Map();
+  private heldBack: Map<string, {
+    message: GossipMessage;
+    fromPeerId: string;
+    receivedAt: number;
+    verified: boolean;
+    heldAt: number;
+  }> = new Map();
+  private holdbackTimer: { messageId: string; timer: ReturnType<typeof setTimeout> } | null = null;
+  private broadcastStrategy: 'gossip' | 'plumtree';
+  private plumtreeGraftDelayMs: number;
+  /** Plumtree: neighbors that only get announcements. Every other neighbor is eager. */
+  private lazyPeers: Set<string> = new Set();
+  /** Plumtree: message IDs announced per lazy neighbor, sent together on the next microtask. */
+  private pendingAnnouncements: Map<string, Set<string>> = new Map();
+  private announcementQueued = false;
+  /** Plumtree: announced messages not yet received, with the neighbors that announced them. */
+  private pendingGrafts: Map<string, { peers: string[]; timer: ReturnType<typeof setTimeout> | null }> = new Map();
+  private plumtreePrunes = 0;
+  private plumtreeGrafts = 0;
+  private receivedGossipFrames = 0;
+  private duplicateGossipFrames = 0;
+  private antiEntropyRepairs = 0;
+  private deliveryRepairs = 0;
+  private tracer: GossipTracer | null = null;
 
   constructor(mesh: MeshLike, options: GossipProtocolOptions = {}) {
     this.mesh = mesh;
@@ -425,6 +783,43 @@ export class GossipProtocol {
       1,
       Math.min(this.antiEntropySummarySize, Math.floor(options.antiEntropyRequestSize ?? DEFAULT_ANTI_ENTROPY_REQUEST_SIZE)),
     );
+    this.topicInterestLeaseMs = Math.max(6_000, options.topicInterestLeaseMs ?? 30_000);
+    this.directAckTimeoutMs = Math.max(100, options.directAckTimeoutMs ?? 3_000);
+    this.directMaxAttempts = Math.max(1, Math.floor(options.directMaxAttempts ?? 3));
+    const storeAndForward = typeof options.storeAndForward === 'object' ? options.storeAndForward : {};
+    this.storeAndForward = Boolean(options.storeAndForward);
+    this.mailboxHoldMs = Math.max(1_000, storeAndForward.holdMs ?? DEFAULT_MAILBOX_HOLD_MS);
+    this.mailboxMaxMessages = Math.max(1, Math.floor(storeAndForward.maxMessages ?? DEFAULT_MAILBOX_MAX_MESSAGES));
+    this.ordering = options.ordering ?? 'none';
+    if (this.ordering !== 'none' && this.ordering !== 'fifo' && this.ordering !== 'causal') {
+      throw new RangeError("ordering must be 'none', 'fifo' or 'causal'");
+    }
+    this.orderingHoldbackMs = Math.max(100, options.orderingHoldbackMs ?? DEFAULT_ORDERING_HOLDBACK_MS);
+    this.broadcastStrategy = options.broadcastStrategy ?? 'gossip';
+    if (this.broadcastStrategy !== 'gossip' && this.broadcastStrategy !== 'plumtree') {
+      throw new RangeError("broadcastStrategy must be 'gossip' or 'plumtree'");
+    }
+    this.plumtreeGraftDelayMs = Math.max(0, options.plumtreeGraftDelayMs ?? DEFAULT_PLUMTREE_GRAFT_DELAY_MS);
+    if (options.dedup) {
+      const dedup = typeof options.dedup === 'object' ? options.dedup : {};
+      const falsePositiveRate = dedup.falsePositiveRate ?? DEFAULT_DEDUP_FALSE_POSITIVE_RATE;
+      const maxBytes = dedup.maxBytes ?? DEFAULT_DEDUP_MAX_BYTES;
+      if (!Number.isFinite(falsePositiveRate) || falsePositiveRate <= 0 || falsePositiveRate >= 1) {
+        throw new RangeError('dedup.falsePositiveRate must be between 0 and 1');
+      }
+      if (!Number.isSafeInteger(maxBytes) || maxBytes < MIN_DEDUP_MAX_BYTES) {
+        throw new RangeError(`dedup.maxBytes must be a safe integer of at least ${MIN_DEDUP_MAX_BYTES}`);
+      }
+      this.seenFilter = new RotatingBloomFilter(Math.floor(maxBytes / 4), falsePositiveRate);
+      this.maxRetainedBytes = maxBytes - this.seenFilter.getStats().bytes;
+    }
+    this.exactSeenLimit = this.seenFilter ? DEDUP_EXACT_WINDOW : this.maxTrackedMessages;
+    if (options.tracing) {
+      this.tracer = new GossipTracer(
+        typeof options.tracing === 'object' ? options.tracing : {},
+        (originPeerId, report) => this.sendDirect(originPeerId, report),
+      );
+    }
     this.setupMeshListeners();
     this.startCecrSyncLoop();
     this.startTrackingCleanupLoop();
@@ -436,6 +831,8 @@ export class GossipProtocol {
       if (!parsed) return;
       if (parsed.type === 'direct') {
         this.handleIncomingDirect(parsed as unknown as DirectMessage, peerId);
+      } else if (parsed.type === 'direct-ack') {
+        this.handleIncomingDirectAck(parsed as unknown as DirectAckMessage, peerId);
       } else if (parsed.type === 'cecr-state') {
         this.handleIncomingCecrState(parsed as unknown as CecrStateMessage, peerId);
       } else if (parsed.type === 'cecr-dr') {
@@ -444,8 +841,10 @@ export class GossipProtocol {
         this.handleIncomingAggregate(parsed as unknown as GossipAggregateMessage, peerId);
       } else if (parsed.type === 'gossip-ae') {
         this.handleGossipAntiEntropy(parsed as unknown as GossipAntiEntropyMessage, peerId);
+      } else if (parsed.type === 'gossip-topics') {
+        this.handleTopicInterest(parsed as unknown as GossipTopicInterestMessage, peerId);
       } else {
-        this.handleIncomingMessage(parsed, peerId);
+        this.receiveGossip(parsed, peerId);
       }
     });
 
@@ -455,13 +854,23 @@ export class GossipProtocol {
         this.dirtyDeliveryReceiptIds.add(messageId);
       }
       this.publishCecrState(peerId);
+      this.publishTopicInterest(peerId, true);
       this.publishGossipAntiEntropy(peerId);
+      this.flushMailbox();
       this.emit('peerConnected', { peerId });
     });
 
+    this.mesh.on('mesh:membership', () => {
+      this.flushMailbox();
+    });
+
     this.mesh.on('peer:disconnected', (peerId) => {
       this.peers.delete(peerId);
+      this.lazyPeers.delete(peerId);
+      this.pendingAnnouncements.delete(peerId);
       this.cecrRemoteStates.delete(peerId);
+      this.topicAdvertisementByPeer.delete(peerId);
+      if (this.topicInterestByPeer.delete(peerId)) this.scheduleTopicAdvertisement();
       this.publishCecrState();
       this.emit('peerDisconnected', { peerId });
     });
@@ -473,7 +882,10 @@ export class GossipProtocol {
       this.maintainTrackedDeliveries();
       this.maintainAggregateDeliveries();
       this.publishCecrState();
+      this.publishTopicInterest();
       this.publishGossipAntiEntropy();
+      this.requestOrderPredecessors();
+      this.flushMailbox();
     }, 2_000);
   }
 
@@ -493,6 +905,16 @@ export class GossipProtocol {
     data: unknown,
     metadata: Record<string, unknown> = {},
     options: GossipBroadcastOptions = {}
+  ): string {
+    return this.originate(data, metadata, options);
+  }
+
+  private originate(
+    data: unknown,
+    metadata: Record<string, unknown>,
+    options: GossipBroadcastOptions,
+    topic?: string,
+    group?: string,
   ): string {
     const sender = this.mesh.getClientId();
     const connected = this.mesh.getConnectedPeers();
@@ -500,13 +922,26 @@ export class GossipProtocol {
     const networkSize = Math.max(connected.length, global.length, 1);
     const canonicalPeers = this.canonicalPeerSet();
     const timestamp = Date.now();
-    const spreadDeadlineAt = timestamp + Math.max(2_000, options.deliveryTimeoutMs ?? this.deliveryTimeoutMs);
+    const expiresAt = this.resolveExpiresAt(options, timestamp);
+    const dedupeKey = this.resolveDedupeKey(options.dedupeKey);
+    // An explicit lifetime also sets how long the spread is repaired, bounded
+    // by the retention that keeps duplicates from surfacing twice.
+    const spreadDeadlineAt = expiresAt === undefined
+      ? timestamp + Math.max(2_000, options.deliveryTimeoutMs ?? this.deliveryTimeoutMs)
+      : Math.min(
+          expiresAt,
+          timestamp + (options.deliveryTimeoutMs === undefined
+            ? this.trackingRetentionMs
+            : Math.max(2_000, options.deliveryTimeoutMs)),
+        );
 
     const messageId = this.generateMessageId(sender);
+    const order = sender ? this.nextOrderEnvelope(sender, messageId, topic) : undefined;
+    const rootSpan = sender ? this.tracer?.startTrace('gossip.publish', messageId, sender, timestamp) ?? null : null;
     let delivery: GossipDeliveryEnvelope | undefined;
     let deliveryPeers: string[] | null = null;
     if (options.trackDelivery && sender) {
-      deliveryPeers = canonicalPeers;
+      deliveryPeers = group ? this.groupAudience(group, sender) : canonicalPeers;
       const senderIndex = deliveryPeers.indexOf(sender);
       const bits = this.createDeliveryBits(deliveryPeers.length);
       if (senderIndex >= 0) this.setDeliveryBit(bits, senderIndex);
@@ -515,6 +950,7 @@ export class GossipProtocol {
         size: deliveryPeers.length,
         bits: this.deliveryBitsToHex(bits),
         deadlineAt: spreadDeadlineAt,
+        ...(group ? { group } : {}),
       };
     }
     const aggregate = options.aggregateDelivery && sender
@@ -535,6 +971,12 @@ export class GossipProtocol {
       metadata,
       type: 'gossip',
       ...(sender ? { path: [this.compactRoutePeerId(sender)] } : {}),
+      ...(topic ? { topic } : {}),
+      ...(group ? { group } : {}),
+      ...(expiresAt !== undefined ? { expiresAt } : {}),
+      ...(order ? { order } : {}),
+      ...(dedupeKey !== undefined ? { dedupeKey } : {}),
+      ...(rootSpan ? { trace: this.tracer!.contextFor(rootSpan) } : {}),
       spread: {
         protocol: 'gossip-spread/1',
         setHash: this.canonicalSetHash(canonicalPeers),
@@ -545,26 +987,52 @@ export class GossipProtocol {
       ...(aggregate ? { aggregate } : {}),
     };
 
-    this.messageLog.set(message.id, {
-      timestamp: message.timestamp,
-      sender: message.sender,
-      hops: 0
-    });
-    this.retainGossipMessage(message);
-    if (this.messageLog.size > this.maxTrackedMessages) {
-      this.pruneTracking(message.timestamp);
-    }
-
+    const authenticator = sender ? this.authenticator : null;
+    // Tracking starts before signing so the returned ID resolves at once;
+    // the unsigned message is withheld from delivery repair until then.
     if (delivery && deliveryPeers) {
-      this.registerTrackedDelivery(message, deliveryPeers, true);
+      const state = this.registerTrackedDelivery(message, deliveryPeers, true);
+      if (state && authenticator) state.message = null;
     }
     if (aggregate && sender) {
       this.registerAggregateDelivery(message, null);
     }
 
-    this.propagate(message);
-    this.emit('messageReceived', { message, local: true, receivedAt: message.timestamp });
+    const dispatch = (verified: boolean): void => {
+      this.logMessage(message.id, {
+        timestamp: message.timestamp,
+        sender: message.sender,
+        hops: 0
+      }, message.timestamp);
+      this.retainGossipMessage(message);
 
+      if (delivery && deliveryPeers) {
+        this.registerTrackedDelivery(message, deliveryPeers, true);
+      }
+
+      const forwardedTo = this.propagate(message);
+      if (rootSpan) this.tracer?.endHop(rootSpan, forwardedTo, true);
+      this.emit('messageReceived', { message, local: true, receivedAt: message.timestamp, verified });
+    };
+
+    if (!authenticator) {
+      dispatch(false);
+      return message.id;
+    }
+    // Nothing is logged or retained before the signature exists, so neither
+    // fan-out nor anti-entropy can ever serve an unsigned copy.
+    authenticator.sign(this.gossipSigningPayload(message)).then(
+      (signature) => {
+        if (this.destroyed) return;
+        message.signature = signature;
+        dispatch(true);
+      },
+      () => {
+        // Signing failures degrade to an unsigned frame that receivers judge
+        // under their own signature policy.
+        if (!this.destroyed) dispatch(false);
+      },
+    );
     return message.id;
   }
 
@@ -579,6 +1047,60 @@ export class GossipProtocol {
     return this.broadcast(data, metadata, { ...options, trackDelivery: true });
   }
 
+  /**
+   * Broadcast to the members of a multicast group. Every peer relays it and
+   * only members surface it. With `trackDelivery` the audience is the group
+   * roster at send time instead of the whole room.
+   */
+  broadcastToGroup(
+    group: string,
+    data: unknown,
+    metadata: Record<string, unknown> = {},
+    options: GossipBroadcastOptions = {}
+  ): string {
+    const normalized = this.requireGroup(group);
+    if (!this.mesh.getGroupMembers) throw new Error('The mesh does not support multicast groups');
+    return this.originate(data, metadata, options, undefined, normalized);
+  }
+
+  /**
+   * Publish to a topic. The payload is only surfaced by subscribers; the
+   * fan-out prefers neighbors that advertise a path to one.
+   */
+  publish(
+    topic: string,
+    data: unknown,
+    metadata: Record<string, unknown> = {},
+    options: Omit<GossipBroadcastOptions, 'trackDelivery'> = {}
+  ): string {
+    return this.originate(data, metadata, { ...options, trackDelivery: false }, this.requireTopic(topic));
+  }
+
+  /**
+   * Subscribe to a topic. Returns a function that removes the subscription.
+   */
+  subscribe(topic: string): () => void {
+    const normalized = this.requireTopic(topic);
+    if (!this.subscribedTopics.has(normalized)) {
+      this.subscribedTopics.add(normalized);
+      this.scheduleTopicAdvertisement();
+    }
+    return () => {
+      this.unsubscribe(normalized);
+    };
+  }
+
+  unsubscribe(topic: string): boolean {
+    const normalized = this.normalizedTopic(topic);
+    if (!normalized || !this.subscribedTopics.delete(normalized)) return false;
+    this.scheduleTopicAdvertisement();
+    return true;
+  }
+
+  getSubscriptions(): string[] {
+    return Array.from(this.subscribedTopics).sort();
+  }
+
   /**
    * Return the sender-visible delivery state for a tracked gossip message.
    */
@@ -597,7 +1119,12 @@ export class GossipProtocol {
     const excluded = new Set<string>();
     if (message.sender) excluded.add(message.sender);
     if (exceptPeerId) excluded.add(exceptPeerId);
-    const connectedPeers = this.selectFanoutPeers(excluded, 'gossip');
+    const topic = this.normalizedTopic(message.topic);
+    const connectedPeers = this.broadcastStrategy === 'plumtree'
+      ? this.selectPlumtreePeers(message, excluded, topic)
+      : topic
+        ? this.selectFanoutPeers(excluded, 'gossip', (peerId) => this.peerWantsTopic(peerId, topic))
+        : this.selectFanoutPeers(excluded, 'gossip');
     const deliveryState = this.deliveryStates.get(message.id);
     const aggregateState = message.aggregate ? this.aggregateStates.get(message.id) : null;
     if (aggregateState) {
@@ -624,7 +1151,7 @@ export class GossipProtocol {
       };
 
       try {
-        this.mesh.send(peerId, JSON.stringify(forwarded));
+        this.sendFrame(peerId, forwarded);
         sentPeers.push(peerId);
       } catch {
         if (aggregateState) {
@@ -644,14 +1171,20 @@ export class GossipProtocol {
   /**
    * Handle an incoming message from the mesh.
    */
-  handleIncomingMessage(message: GossipMessage, fromPeerId: string): void {
+  handleIncomingMessage(message: GossipMessage, fromPeerId: string, verified: boolean = false): void {
     const receivedAt = Date.now();
     if (receivedAt > this.initialSpreadDeadlineAt(message)) return;
-    const alreadySeen = this.messageLog.has(message.id);
+    const alreadySeen = this.hasSeenGossip(message.id);
+    this.receivedGossipFrames += 1;
+    if (alreadySeen) {
+      this.duplicateGossipFrames += 1;
+      if (this.broadcastStrategy === 'plumtree') this.prunePeer(fromPeerId);
+    }
 
     // Store before the duplicate check. A repeated envelope may restore a
-    // payload that was evicted independently of its de-duplication marker.
-    this.retainGossipMessage(message);
+    // payload that was evicted independently of its de-duplication marker,
+    // but under an authenticator only once it has verified.
+    if (!alreadySeen || verified || !this.authenticator) this.retainGossipMessage(message);
 
     if (message.delivery) {
       // A duplicate still proves that this peer holds the message. Re-asserting
@@ -673,21 +1206,51 @@ export class GossipProtocol {
     }
 
     if (alreadySeen) return;
+    this.cancelGraft(message.id);
 
-    this.messageLog.set(message.id, {
+    this.logMessage(message.id, {
       timestamp: receivedAt,
       sender: message.sender,
       hops: message.hops
     });
-    if (this.messageLog.size > this.maxTrackedMessages) {
-      this.pruneTracking();
-    }
 
-    this.emit('messageReceived', { message, local: false, fromPeer: fromPeerId, receivedAt });
+    const hop = this.beginTraceHop('gossip.relay', message, message.sender, fromPeerId, receivedAt);
 
-    if (message.hops < message.maxHops) {
-      this.propagate(message, fromPeerId);
+    // Non-subscribers and non-members still relay: they may sit on the only path to one.
+    const topic = this.normalizedTopic(message.topic);
+    const surfaced = (!topic || this.subscribedTopics.has(topic)) && this.isGroupAudience(message.group);
+    if (surfaced) {
+      this.surfaceGossip({ message, fromPeerId, receivedAt, verified, heldAt: receivedAt });
     }
+
+    const forwardedTo = message.hops < message.maxHops
+      ? this.propagate(hop ? { ...message, trace: this.tracer!.contextFor(hop) } : message, fromPeerId)
+      : [];
+    if (hop) this.tracer?.endHop(hop, forwardedTo, surfaced);
+  }
+
+  // ─── Hop tracing ──────────────────────────────────────────────────
+
+  /** Traces of messages this peer originated. Null when tracing is off or the message was not sampled. */
+  getTrace(messageId: string): MessageTrace | null {
+    return this.tracer?.getTrace(messageId) ?? null;
+  }
+
+  /** Collected traces as an OTLP/JSON export request, grouped by the peer that recorded each span. */
+  exportTraces(messageIds?: string[]): OtlpTraceExport {
+    return this.tracer?.exportTraces(messageIds) ?? { resourceSpans: [] };
+  }
+
+  private beginTraceHop(
+    name: 'gossip.relay' | 'direct.relay',
+    message: GossipMessage | DirectMessage,
+    originPeerId: string | null,
+    fromPeerId: string,
+    receivedAt: number,
+  ): TraceHop | null {
+    const self = this.mesh.getClientId();
+    if (!this.tracer || !message.trace || !originPeerId || !self || originPeerId === self) return null;
+    return this.tracer.beginHop(name, message.trace, message.id, originPeerId, self, receivedAt, message.hops, fromPeerId);
   }
 
   // ─── Epidemic anti-entropy ────────────────────────────────────────
@@ -695,27 +1258,38 @@ export class GossipProtocol {
   private retainGossipMessage(message: GossipMessage, retainedAt: number = Date.now()): void {
     if (this.retainedMessages.has(message.id)) return;
     try {
-      const snapshot = JSON.parse(JSON.stringify(message)) as GossipMessage;
+      const serialized = wireJsonStringify(message);
+      if (serialized.length > this.maxRetainedBytes) return;
+      const snapshot = wireJsonParse(serialized) as GossipMessage;
       const peers = this.canonicalPeerSet();
       this.retainedMessages.set(message.id, {
         message: snapshot,
         retainedAt,
         viewId: this.canonicalSetHash(peers),
         viewSize: peers.length,
+        size: serialized.length,
       });
+      this.retainedBytes += serialized.length;
       this.scheduleInitialSpreadRepair(retainedAt);
     } catch {
       // A payload that cannot cross the JSON mesh boundary cannot be repaired.
       return;
     }
 
-    while (this.retainedMessages.size > this.maxTrackedMessages) {
+    while (this.retainedMessages.size > this.maxTrackedMessages || this.retainedBytes > this.maxRetainedBytes) {
       const oldest = this.retainedMessages.keys().next().value;
       if (!oldest) break;
-      this.retainedMessages.delete(oldest);
+      this.dropRetained(oldest);
     }
   }
 
+  private dropRetained(messageId: string): void {
+    const retained = this.retainedMessages.get(messageId);
+    if (!retained) return;
+    this.retainedMessages.delete(messageId);
+    this.retainedBytes -= retained.size;
+  }
+
   private extendRoutePath(path: unknown, ...peerIds: string[]): string[] {
     const normalized = Array.isArray(path)
       ? path
@@ -765,13 +1339,54 @@ export class GossipProtocol {
   }
 
   private initialSpreadDeadlineAt(message: GossipMessage): number {
+    // The unsigned spread envelope can shorten a signed expiry but never extend it.
+    const expiresAt = typeof message.expiresAt === 'number' ? message.expiresAt : Infinity;
     const spread = this.validSpreadEnvelope(message);
-    if (spread) return spread.deadlineAt;
+    if (spread) return Math.min(spread.deadlineAt, expiresAt);
     const envelopeDeadlines = [message.delivery?.deadlineAt, message.aggregate?.deadlineAt]
       .map((value) => Number(value))
       .filter((value) => Number.isFinite(value) && value > message.timestamp);
-    if (envelopeDeadlines.length > 0) return Math.min(...envelopeDeadlines);
-    return Number(message.timestamp) + this.deliveryTimeoutMs;
+    if (envelopeDeadlines.length > 0) return Math.min(...envelopeDeadlines, expiresAt);
+    return Math.min(Number(message.timestamp) + this.deliveryTimeoutMs, expiresAt);
+  }
+
+  // ─── Message expiry ──────────────────────────────────────────────
+
+  private resolveExpiresAt(options: { ttlMs?: number; expiresAt?: number }, now: number): number | undefined {
+    if (options.expiresAt !== undefined) {
+      if (!Number.isFinite(options.expiresAt) || options.expiresAt <= now) {
+        throw new RangeError('expiresAt must be a finite timestamp in the future');
+      }
+      return Math.floor(options.expiresAt);
+    }
+    if (options.ttlMs !== undefined) {
+      if (!Number.isFinite(options.ttlMs) || options.ttlMs <= 0) {
+        throw new RangeError('ttlMs must be a positive finite number');
+      }
+      return now + Math.ceil(options.ttlMs);
+    }
+    return undefined;
+  }
+
+  private resolveDedupeKey(dedupeKey: unknown): string | undefined {
+    if (dedupeKey === undefined) return undefined;
+    if (typeof dedupeKey !== 'string' || !dedupeKey || dedupeKey.length > MAX_DEDUPE_KEY_LENGTH) {
+      throw new TypeError(`dedupeKey must be a non-empty string of at most ${MAX_DEDUPE_KEY_LENGTH} characters`);
+    }
+    return dedupeKey;
+  }
+
+  /** Record the message's dedupe key; true when one from the same sender was surfaced already. */
+  private repeatsDedupeKey(sender: string | null, dedupeKey: unknown): boolean {
+    if (typeof dedupeKey !== 'string' || !sender) return false;
+    const key = `${sender}\u0000${dedupeKey}`;
+    if (this.surfacedDedupeKeys.has(key)) return true;
+    this.surfacedDedupeKeys.set(key, Date.now());
+    return false;
+  }
+
+  private messageExpired(message: GossipMessage | DirectMessage, now: number = Date.now()): boolean {
+    return typeof message.expiresAt === 'number' && now > message.expiresAt;
   }
 
   private canContinueInitialSpread(
@@ -814,7 +1429,8 @@ export class GossipProtocol {
     return Array.from(this.retainedMessages.entries())
       .filter(([, retained]) => retained.retainedAt >= minRetainedAt
         && !this.initialSpreadComplete(retained.message)
-        && this.canContinueInitialSpread(retained.message, targetPeerId, now))
+        && this.canContinueInitialSpread(retained.message, targetPeerId, now)
+        && this.peerWantsRetainedMessage(retained.message, targetPeerId))
       .slice(-this.antiEntropySummarySize)
       .map(([messageId]) => messageId);
   }
@@ -841,7 +1457,7 @@ export class GossipProtocol {
         messageIds,
       };
       try {
-        this.mesh.send(peerId, JSON.stringify(message));
+        this.sendFrame(peerId, message);
       } catch {
         // best-effort; a later round retries through the rotating fan-out
       }
@@ -852,10 +1468,15 @@ export class GossipProtocol {
     if (
       message.from !== fromPeerId ||
       message.protocol !== 'gossip-ae/1' ||
-      (message.mode !== 'summary' && message.mode !== 'request') ||
+      (message.mode !== 'summary' && message.mode !== 'request' && message.mode !== 'prune') ||
       !Array.isArray(message.messageIds)
     ) return;
 
+    if (message.mode === 'prune') {
+      if (this.broadcastStrategy === 'plumtree') this.lazyPeers.add(fromPeerId);
+      return;
+    }
+
     const limit = message.mode === 'summary'
       ? this.antiEntropySummarySize
       : this.antiEntropyRequestSize;
@@ -870,6 +1491,10 @@ export class GossipProtocol {
         .filter((messageId) => !this.retainedMessages.has(messageId))
         .slice(0, this.antiEntropyRequestSize);
       if (missing.length === 0) return;
+      if (this.broadcastStrategy === 'plumtree') {
+        this.scheduleGraft(missing, fromPeerId);
+        return;
+      }
       const request: GossipAntiEntropyMessage = {
         id: this.generateMessageId(this.mesh.getClientId()),
         type: 'gossip-ae',
@@ -881,13 +1506,15 @@ export class GossipProtocol {
       };
       if (!request.from) return;
       try {
-        this.mesh.send(fromPeerId, JSON.stringify(request));
+        this.sendFrame(fromPeerId, request);
       } catch {
         // best-effort; the next summary round can request it again
       }
       return;
     }
 
+    // A request is a graft: the requester wants payloads from us eagerly again.
+    if (this.broadcastStrategy === 'plumtree') this.lazyPeers.delete(fromPeerId);
     for (const messageId of messageIds) {
       const retained = this.retainedMessages.get(messageId);
       if (!retained) continue;
@@ -912,7 +1539,8 @@ export class GossipProtocol {
         this.refreshAggregateState(aggregateState);
       }
       try {
-        this.mesh.send(fromPeerId, JSON.stringify(repaired));
+        this.sendFrame(fromPeerId, repaired);
+        this.antiEntropyRepairs += 1;
       } catch {
         if (aggregateState) {
           aggregateState.children.set(fromPeerId, {
@@ -927,6 +1555,649 @@ export class GossipProtocol {
     }
   }
 
+  // ─── Plumtree broadcast tree ───────────────────────────────────────
+
+  /**
+   * Eager neighbors get the payload; lazy ones are queued an announcement.
+   * Neighbors start eager, so the first broadcasts flood and the duplicates
+   * they cause prune the mesh down to a tree.
+   */
+  private selectPlumtreePeers(message: GossipMessage, excluded: Set<string>, topic: string | null): string[] {
+    const eager: string[] = [];
+    for (const peerId of Array.from(new Set(this.mesh.getConnectedPeers())).sort()) {
+      if (excluded.has(peerId) || (topic && !this.peerWantsTopic(peerId, topic))) continue;
+      if (!this.lazyPeers.has(peerId)) {
+        eager.push(peerId);
+        continue;
+      }
+      const announced = this.pendingAnnouncements.get(peerId) ?? new Set<string>();
+      announced.add(message.id);
+      this.pendingAnnouncements.set(peerId, announced);
+    }
+    this.scheduleAnnouncements();
+    return eager;
+  }
+
+  private scheduleAnnouncements(): void {
+    if (this.announcementQueued || this.destroyed || this.pendingAnnouncements.size === 0) return;
+    this.announcementQueued = true;
+    queueMicrotask(() => {
+      this.announcementQueued = false;
+      if (!this.destroyed) this.publishAnnouncements();
+    });
+  }
+
+  /** IHAVE: announcements reuse the anti-entropy summary, so any peer can request what it lacks. */
+  private publishAnnouncements(): void {
+    const self = this.mesh.getClientId();
+    const pending = this.pendingAnnouncements;
+    this.pendingAnnouncements = new Map();
+    if (!self) return;
+    for (const [peerId, messageIds] of pending) {
+      const ids = Array.from(messageIds);
+      for (let offset = 0; offset < ids.length; offset += this.antiEntropySummarySize) {
+        const summary: GossipAntiEntropyMessage = {
+          id: this.generateMessageId(self),
+          type: 'gossip-ae',
+          protocol: 'gossip-ae/1',
+          from: self,
+          timestamp: Date.now(),
+          mode: 'summary',
+          messageIds: ids.slice(offset, offset + this.antiEntropySummarySize),
+        };
+        try {
+          this.sendFrame(peerId, summary);
+        } catch {
+          // best-effort; periodic anti-entropy summaries cover the gap
+        }
+      }
+    }
+  }
+
+  /** A duplicate shows the link is redundant; ask the neighbor to only announce from now on. */
+  private prunePeer(peerId: string): void {
+    if (this.lazyPeers.has(peerId)) return;
+    const self = this.mesh.getClientId();
+    if (!self) return;
+    this.lazyPeers.add(peerId);
+    this.plumtreePrunes += 1;
+    const prune: GossipAntiEntropyMessage = {
+      id: this.generateMessageId(self),
+      type: 'gossip-ae',
+      protocol: 'gossip-ae/1',
+      from: self,
+      timestamp: Date.now(),
+      mode: 'prune',
+      messageIds: [],
+    };
+    try {
+      this.sendFrame(peerId, prune);
+    } catch {
+      // the neighbor keeps pushing and the next duplicate prunes it again
+    }
+  }
+
+  /** Wait for announced messages to arrive through the tree before grafting an announcer. */
+  private scheduleGraft(messageIds: string[], peerId: string): void {
+    for (const messageId of messageIds) {
+      const pending = this.pendingGrafts.get(messageId);
+      if (pending) {
+        if (!pending.peers.includes(peerId)) pending.peers.push(peerId);
+        continue;
+      }
+      if (this.pendingGrafts.size >= MAX_PENDING_GRAFTS) break;
+      const entry = { peers: [peerId], timer: null };
+      this.pendingGrafts.set(messageId, entry);
+      this.armGraft(messageId, entry);
+    }
+  }
+
+  /** Each expiry grafts the next announcer, so a lost request falls back to another link. */
+  private armGraft(messageId: string, entry: { peers: string[]; timer: ReturnType<typeof setTimeout> | null }): void {
+    entry.timer = setTimeout(() => {
+      entry.timer = null;
+      const peerId = entry.peers.shift();
+      if (this.destroyed || this.hasSeenGossip(messageId) || !peerId) {
+        this.pendingGrafts.delete(messageId);
+        return;
+      }
+      this.graft(peerId, messageId);
+      if (entry.peers.length > 0) this.armGraft(messageId, entry);
+      else this.pendingGrafts.delete(messageId);
+    }, this.plumtreeGraftDelayMs);
+  }
+
+  private cancelGraft(messageId: string): void {
+    const pending = this.pendingGrafts.get(messageId);
+    if (!pending) return;
+    if (pending.timer) clearTimeout(pending.timer);
+    this.pendingGrafts.delete(messageId);
+  }
+
+  /** GRAFT: restore the eager link and fetch the missing payload over the request path. */
+  private graft(peerId: string, messageId: string): void {
+    const self = this.mesh.getClientId();
+    if (!self || !this.mesh.getConnectedPeers().includes(peerId)) return;
+    this.lazyPeers.delete(peerId);
+    this.plumtreeGrafts += 1;
+    const request: GossipAntiEntropyMessage = {
+      id: this.generateMessageId(self),
+      type: 'gossip-ae',
+      protocol: 'gossip-ae/1',
+      from: self,
+      timestamp: Date.now(),
+      mode: 'request',
+      messageIds: [messageId],
+    };
+    try {
+      this.sendFrame(peerId, request);
+    } catch {
+      // best-effort; the next announcement schedules another graft
+    }
+  }
+
+  // ─── Topic interest ──────────────────────────────────────────────
+
+  private normalizedTopic(topic: unknown): string | null {
+    if (typeof topic !== 'string' || topic.length === 0 || topic.length > MAX_TOPIC_LENGTH) return null;
+    return topic;
+  }
+
+  private requireGroup(group: unknown): string {
+    const normalized = this.normalizedTopic(group);
+    if (!normalized) {
+      throw new TypeError(`group must be a non-empty string of at most ${MAX_TOPIC_LENGTH} characters`);
+    }
+    return normalized;
+  }
+
+  /** Sorted group roster plus the sender: the audience of a tracked group broadcast. */
+  private groupAudience(group: string, sender: string): string[] {
+    const members = new Set(this.mesh.getGroupMembers?.(group) ?? []);
+    members.add(sender);
+    return Array.from(members).sort();
+  }
+
+  /** Whether this peer surfaces a message sent to `group`; ungrouped messages are for everyone. */
+  private isGroupAudience(group: unknown): boolean {
+    if (group === undefined) return true;
+    const normalized = this.normalizedTopic(group);
+    const self = this.mesh.getClientId();
+    return !!normalized && !!self && (this.mesh.getGroupMembers?.(normalized) ?? []).includes(self);
+  }
+
+  private requireTopic(topic: unknown): string {
+    const normalized = this.normalizedTopic(topic);
+    if (!normalized) {
+      throw new TypeError(`topic must be a non-empty string of at most ${MAX_TOPIC_LENGTH} characters`);
+    }
+    return normalized;
+  }
+
+  private freshTopicInterest(peerId: string, now: number = Date.now()): Map<string, number> | null {
+    const interest = this.topicInterestByPeer.get(peerId);
+    if (!interest || now - interest.updatedAt > this.topicInterestLeaseMs) return null;
+    return interest.topics;
+  }
+
+  /**
+   * Neighbors without a live advertisement (legacy builds, or a lease that
+   * lapsed) are treated as interested so relaying degrades to plain gossip.
+   */
+  private peerWantsTopic(peerId: string, topic: string, now: number = Date.now()): boolean {
+    const topics = this.freshTopicInterest(peerId, now);
+    return !topics || topics.has(topic);
+  }
+
+  private peerWantsRetainedMessage(message: GossipMessage, peerId: string): boolean {
+    const topic = this.normalizedTopic(message.topic);
+    return !topic || this.peerWantsTopic(peerId, topic);
+  }
+
+  /**
+   * Distance vector advertised to one neighbor. Routes learned from that
+   * neighbor are withheld (split horizon) and distances are capped, so a
+   * withdrawn subscription cannot loop between peers indefinitely.
+   */
+  private topicInterestVectorFor(targetPeerId: string, now: number = Date.now()): Record<string, number> {
+    const distances = new Map<string, number>();
+    for (const topic of this.subscribedTopics) distances.set(topic, 0);
+    for (const peerId of this.topicInterestByPeer.keys()) {
+      if (peerId === targetPeerId) continue;
+      const topics = this.freshTopicInterest(peerId, now);
+      if (!topics) continue;
+      for (const [topic, distance] of topics) {
+        const next = distance + 1;
+        if (next > MAX_TOPIC_INTEREST_DISTANCE) continue;
+        const current = distances.get(topic);
+        if (current == null || next < current) distances.set(topic, next);
+      }
+    }
+    const entries = Array.from(distances.entries())
+      .sort(([leftTopic, left], [rightTopic, right]) => left - right || (leftTopic < rightTopic ? -1 : leftTopic > rightTopic ? 1 : 0))
+      .slice(0, MAX_TOPIC_INTEREST_ENTRIES);
+    return Object.fromEntries(entries);
+  }
+
+  private scheduleTopicAdvertisement(): void {
+    if (this.topicAdvertisementQueued || this.destroyed) return;
+    this.topicAdvertisementQueued = true;
+    queueMicrotask(() => {
+      this.topicAdvertisementQueued = false;
+      if (this.destroyed) return;
+      this.publishTopicInterest();
+    });
+  }
+
+  /**
+   * Advertise changed vectors immediately and refresh unchanged ones well
+   * inside the lease. An empty vector is still sent so a neighbor can stop
+   * treating this peer as an unknown, and therefore interested, relay.
+   */
+  private publishTopicInterest(targetPeerId?: string, force: boolean = false): void {
+    const self = this.mesh.getClientId();
+    if (!self) return;
+    const connected = Array.from(new Set(this.mesh.getConnectedPeers()));
+    const targets = targetPeerId ? connected.filter((peerId) => peerId === targetPeerId) : connected;
+    const now = Date.now();
+    const refreshMs = Math.floor(this.topicInterestLeaseMs / 3);
+
+    for (const peerId of targets) {
+      const topics = this.topicInterestVectorFor(peerId, now);
+      const signature = JSON.stringify(topics);
+      const previous = this.topicAdvertisementByPeer.get(peerId);
+      if (!force && previous && previous.signature === signature && now - previous.sentAt < refreshMs) continue;
+      const message: GossipTopicInterestMessage = {
+        id: this.generateMessageId(self),
+        type: 'gossip-topics',
+        protocol: 'gossip-topics/1',
+        from: self,
+        timestamp: now,
+        topics,
+      };
+      try {
+        this.sendFrame(peerId, message);
+        this.topicAdvertisementByPeer.set(peerId, { signature, sentAt: now });
+      } catch {
+        // best-effort; the sync loop advertises again on its next round
+      }
+    }
+  }
+
+  private handleTopicInterest(message: GossipTopicInterestMessage, fromPeerId: string): void {
+    if (message.from !== fromPeerId || message.protocol !== 'gossip-topics/1') return;
+    const topics = new Map<string, number>();
+    for (const [topic, distance] of Object.entries(message.topics ?? {})) {
+      if (topics.size >= MAX_TOPIC_INTEREST_ENTRIES) break;
+      if (
+        !this.normalizedTopic(topic)
+        || !Number.isInteger(distance)
+        || distance < 0
+        || distance > MAX_TOPIC_INTEREST_DISTANCE
+      ) continue;
+      topics.set(topic, distance);
+    }
+
+    const previous = this.topicInterestByPeer.get(fromPeerId);
+    const changed = !previous
+      || previous.topics.size !== topics.size
+      || Array.from(topics).some(([topic, distance]) => previous.topics.get(topic) !== distance);
+    this.topicInterestByPeer.set(fromPeerId, { topics, updatedAt: Date.now() });
+    if (changed) this.scheduleTopicAdvertisement();
+  }
+
+  // ─── Ordered delivery ──────────────────────────────────────────────
+
+  private orderStreamKey(topic: string | undefined, sender: string, stream: string): string {
+    return `${topic ?? ''}\u0000${sender}\u0000${stream}`;
+  }
+
+  private nextOrderEnvelope(sender: string, messageId: string, topic?: string): GossipOrderEnvelope | undefined {
+    if (this.ordering === 'none') return undefined;
+    this.orderStreamId ??= sha1Hex(this.generateMessageId(sender)).slice(0, 16);
+    const topicKey = topic ?? '';
+    const previous = this.orderSequences.get(topicKey);
+    const order: GossipOrderEnvelope = {
+      protocol: 'gossip-order/1',
+      stream: this.orderStreamId,
+      seq: (previous?.seq ?? 0) + 1,
+      ...(previous ? { prev: previous.id } : {}),
+    };
+    if (this.ordering === 'causal') {
+      const deps = Array.from(this.orderPendingDeps.get(topicKey)?.values() ?? []);
+      if (deps.length > 0) order.deps = deps;
+      this.orderPendingDeps.delete(topicKey);
+    }
+    this.orderSequences.set(topicKey, { seq: order.seq, id: messageId });
+    this.recordOrderDelivered(topic, sender, order, messageId, false);
+    return order;
+  }
+
+  private recordOrderDelivered(
+    topic: string | undefined,
+    sender: string,
+    order: GossipOrderEnvelope,
+    messageId: string,
+    remote: boolean,
+  ): void {
+    const streamKey = this.orderStreamKey(topic, sender, order.stream);
+    const current = this.orderDelivered.get(streamKey);
+    if (current && current.seq >= order.seq) return;
+    // Re-inserted so the map stays ordered by last advance for eviction.
+    this.orderDelivered.delete(streamKey);
+    this.orderDelivered.set(streamKey, { seq: order.seq, id: messageId });
+    while (this.orderDelivered.size > MAX_ORDER_STREAMS) {
+      const oldest = this.orderDelivered.keys().next().value;
+      if (oldest === undefined) break;
+      this.orderDelivered.delete(oldest);
+    }
+    if (!remote || this.ordering !== 'causal') return;
+
+    const topicKey = topic ?? '';
+    const pending = this.orderPendingDeps.get(topicKey) ?? new Map<string, GossipOrderReference>();
+    pending.delete(streamKey);
+    pending.set(streamKey, { sender, stream: order.stream, seq: order.seq, id: messageId });
+    // Past the cap the oldest dependencies are dropped and only the holdback bounds their order.
+    while (pending.size > MAX_ORDER_DEPS) {
+      const oldest = pending.keys().next().value;
+      if (oldest === undefined) break;
+      pending.delete(oldest);
+    }
+    this.orderPendingDeps.set(topicKey, pending);
+  }
+
+  /**
+   * A predecessor stops blocking once it was surfaced, or once it was seen
+   * here without being held, since it will then never be surfaced at all.
+   */
+  private orderPredecessorDone(
+    topic: string | undefined,
+    sender: string,
+    stream: string,
+    seq: number,
+    messageId: string | undefined,
+  ): boolean {
+    if ((this.orderDelivered.get(this.orderStreamKey(topic, sender, stream))?.seq ?? 0) >= seq) return true;
+    return messageId !== undefined && this.hasSeenGossip(messageId) && !this.heldBack.has(messageId);
+  }
+
+  private orderReady(message: GossipMessage): boolean {
+    const order = message.order;
+    if (!order || !message.sender) return true;
+    if (
+      order.seq > 1
+      && !this.orderPredecessorDone(message.topic, message.sender, order.stream, order.seq - 1, order.prev)
+    ) return false;
+    return (order.deps ?? []).every((dep) => this.orderPredecessorDone(message.topic, dep.sender, dep.stream, dep.seq, dep.id));
+  }
+
+  private missingOrderPredecessors(message: GossipMessage): string[] {
+    const order = message.order;
+    if (!order) return [];
+    return [order.prev, ...(order.deps ?? []).map((dep) => dep.id)]
+      .filter((messageId): messageId is string => messageId !== undefined && !this.hasSeenGossip(messageId));
+  }
+
+  /** Surface a remote broadcast now, or hold it until its predecessors have been surfaced. */
+  private surfaceGossip(entry: {
+    message: GossipMessage;
+    fromPeerId: string;
+    receivedAt: number;
+    verified: boolean;
+    heldAt: number;
+  }): void {
+    if (this.orderReady(entry.message)) {
+      this.emitOrdered(entry, false);
+      if (entry.message.order) this.drainHeldBack();
+      return;
+    }
+    this.heldBack.set(entry.message.id, entry);
+    if (this.heldBack.size > MAX_HELD_BACK_MESSAGES) {
+      const oldest = this.heldBack.values().next().value;
+      if (oldest) this.forceHeldBack(oldest);
+    }
+    this.requestOrderPredecessors([entry.fromPeerId]);
+    this.drainHeldBack();
+  }
+
+  private emitOrdered(
+    entry: { message: GossipMessage; fromPeerId: string; receivedAt: number; verified: boolean },
+    outOfOrder: boolean,
+  ): void {
+    const { message } = entry;
+    this.heldBack.delete(message.id);
+    // Recorded first so a reply sent from the handler depends on this message.
+    if (message.order && message.sender) {
+      this.recordOrderDelivered(message.topic, message.sender, message.order, message.id, true);
+    }
+    if (this.messageExpired(message) || this.repeatsDedupeKey(message.sender, message.dedupeKey)) return;
+    this.emit('messageReceived', {
+      message,
+      local: false,
+      fromPeer: entry.fromPeerId,
+      receivedAt: entry.receivedAt,
+      verified: entry.verified,
+      ...(outOfOrder ? { outOfOrder: true } : {}),
+    });
+  }
+
+  private drainHeldBack(): void {
+    let progressed = true;
+    while (progressed) {
+      progressed = false;
+      for (const entry of Array.from(this.heldBack.values())) {
+        if (!this.heldBack.has(entry.message.id) || !this.orderReady(entry.message)) continue;
+        this.emitOrdered(entry, false);
+        progressed = true;
+      }
+    }
+    this.scheduleHoldbackRelease();
+  }
+
+  /** Give up waiting for an entry, surfacing the held earlier messages of its stream first. */
+  private forceHeldBack(entry: { message: GossipMessage }): void {
+    const { message } = entry;
+    const order = message.order as GossipOrderEnvelope;
+    const stream = Array.from(this.heldBack.values())
+      .filter((held) => held.message.sender === message.sender
+        && held.message.topic === message.topic
+        && held.message.order?.stream === order.stream
+        && held.message.order.seq <= order.seq)
+      .sort((left, right) => (left.message.order as GossipOrderEnvelope).seq - (right.message.order as GossipOrderEnvelope).seq);
+    for (const held of stream) this.emitOrdered(held, !this.orderReady(held.message));
+  }
+
+  private releaseHeldBack(now: number = Date.now()): void {
+    for (const entry of Array.from(this.heldBack.values())) {
+      if (now - entry.heldAt < this.orderingHoldbackMs) break;
+      if (this.heldBack.has(entry.message.id)) this.forceHeldBack(entry);
+    }
+    this.drainHeldBack();
+  }
+
+  private scheduleHoldbackRelease(): void {
+    const oldest = this.heldBack.values().next().value;
+    if (this.holdbackTimer) {
+      if (oldest && this.holdbackTimer.messageId === oldest.message.id) return;
+      clearTimeout(this.holdbackTimer.timer);
+      this.holdbackTimer = null;
+    }
+    if (!oldest || this.destroyed) return;
+    const delay = Math.max(0, oldest.heldAt + this.orderingHoldbackMs - Date.now());
+    this.holdbackTimer = {
+      messageId: oldest.message.id,
+      timer: setTimeout(() => {
+        this.holdbackTimer = null;
+        this.releaseHeldBack();
+      }, delay),
+    };
+  }
+
+  /** Ask neighbors for the predecessors held-back messages are waiting on. */
+  private requestOrderPredecessors(peerIds?: string[]): void {
+    const self = this.mesh.getClientId();
+    if (!self || this.heldBack.size === 0) return;
+    const missing = new Set<string>();
+    for (const { message } of this.heldBack.values()) {
+      for (const messageId of this.missingOrderPredecessors(message)) missing.add(messageId);
+    }
+    if (missing.size === 0) return;
+    const request: GossipAntiEntropyMessage = {
+      id: this.generateMessageId(self),
+      type: 'gossip-ae',
+      protocol: 'gossip-ae/1',
+      from: self,
+      timestamp: Date.now(),
+      mode: 'request',
+      messageIds: Array.from(missing).slice(0, this.antiEntropyRequestSize),
+    };
+    for (const peerId of peerIds ?? this.selectFanoutPeers(new Set(), 'anti-entropy')) {
+      try {
+        this.sendFrame(peerId, request);
+      } catch {
+        // best-effort; the sync loop asks again while messages are held
+      }
+    }
+  }
+
+  private validOrderEnvelope(order: any): boolean {
+    const validReference = (value: any): boolean => !!value
+      && typeof value.sender === 'string'
+      && value.sender.length <= 512
+      && typeof value.stream === 'string'
+      && value.stream.length <= 64
+      && Number.isSafeInteger(value.seq)
+      && value.seq >= 1
+      && typeof value.id === 'string'
+      && value.id.length <= 512;
+    return !!order
+      && order.protocol === 'gossip-order/1'
+      && typeof order.stream === 'string'
+      && order.stream.length <= 64
+      && Number.isSafeInteger(order.seq)
+      && order.seq >= 1
+      && (order.prev === undefined || (typeof order.prev === 'string' && order.prev.length <= 512))
+      && (order.deps === undefined || (
+        Array.isArray(order.deps) && order.deps.length <= MAX_ORDER_DEPS && order.deps.every(validReference)
+      ));
+  }
+
+  // ─── Envelope authentication ──────────────────────────────────────
+
+  /**
+   * Install or remove the origin signer. While installed, every broadcast
+   * and direct this peer originates is signed, and inbound envelopes are
+   * verified before they are logged, surfaced, or relayed.
+   */
+  setEnvelopeAuthenticator(authenticator: GossipEnvelopeAuthenticator | null): void {
+    this.authenticator = authenticator;
+  }
+
+  private gossipSigningPayload(message: GossipMessage): string {
+    // Hops, path, trace context and the delivery bitset change per hop and stay unsigned.
+    return wireJsonStringify([
+      'pp-gossip-sig-v1',
+      message.id,
+      message.sender,
+      message.timestamp,
+      message.maxHops,
+      message.topic ?? null,
+      message.data ?? null,
+      message.metadata ?? null,
+      // Appended only when set, so frames without an expiry keep the payload older peers sign.
+      ...(message.expiresAt !== undefined ? [message.expiresAt] : []),
+      ...(message.order !== undefined ? [message.order] : []),
+      ...(message.group !== undefined ? [{ group: message.group }] : []),
+      ...(message.dedupeKey !== undefined ? [{ dedupeKey: message.dedupeKey }] : []),
+    ]);
+  }
+
+  private directSigningPayload(message: DirectMessage): string {
+    // `attempt` numbers retries of the same signed message and stays unsigned.
+    return wireJsonStringify([
+      'pp-direct-sig-v1',
+      message.id,
+      message.from,
+      message.to,
+      message.timestamp,
+      message.maxHops,
+      message.data ?? null,
+      ...(message.expiresAt !== undefined ? [message.expiresAt] : []),
+      ...(message.ack === true || message.store === true
+        ? [{ ack: message.ack === true, store: message.store === true }]
+        : []),
+      ...(message.dedupeKey !== undefined ? [{ dedupeKey: message.dedupeKey }] : []),
+    ]);
+  }
+
+  private directAckSigningPayload(ack: DirectAckMessage): string {
+    return wireJsonStringify([
+      'pp-direct-ack-sig-v1',
+      ack.id,
+      ack.messageId,
+      ack.from,
+      ack.to,
+      ack.timestamp,
+      ack.maxHops,
+    ]);
+  }
+
+  private receiveGossip(message: GossipMessage, fromPeerId: string): void {
+    // Duplicates only refresh delivery state; their payload was already
+    // authenticated on first arrival or is discarded as a duplicate anyway.
+    // One that could restore an evicted payload is verified first.
+    if (!this.authenticator || (this.hasSeenGossip(message.id) && this.retainedMessages.has(message.id))) {
+      this.handleIncomingMessage(message, fromPeerId);
+      return;
+    }
+    void this.authenticateEnvelope('gossip', message, fromPeerId, true).then((verified) => {
+      if (verified === null || this.destroyed) return;
+      this.handleIncomingMessage(message, fromPeerId, verified);
+    });
+  }
+
+  /**
+   * Resolve true for a verified envelope, false for one accepted without
+   * proof, and null for one that must be dropped.
+   */
+  private async authenticateEnvelope(
+    type: GossipEnvelopeRejection['type'],
+    message: GossipMessage | DirectMessage | DirectAckMessage,
+    fromPeerId: string,
+    waitForKey: boolean,
+  ): Promise<boolean | null> {
+    const authenticator = this.authenticator;
+    if (!authenticator) return false;
+    const signer = type === 'gossip'
+      ? (message as GossipMessage).sender
+      : (message as DirectMessage | DirectAckMessage).from;
+    const reject = (reason: GossipEnvelopeRejection['reason']): null => {
+      this.rejectedEnvelopeCount += 1;
+      this.emit('envelopeRejected', { messageId: message.id, type, signer, fromPeerId, reason });
+      return null;
+    };
+
+    if (typeof message.signature !== 'string' || message.signature.length === 0 || !signer) {
+      return authenticator.requireSignatures ? reject('unsigned') : false;
+    }
+    const payload = type === 'gossip'
+      ? this.gossipSigningPayload(message as GossipMessage)
+      : type === 'direct'
+        ? this.directSigningPayload(message as DirectMessage)
+        : this.directAckSigningPayload(message as DirectAckMessage);
+    const data = type === 'direct-ack' ? null : (message as GossipMessage | DirectMessage).data;
+    let result: boolean | null;
+    try {
+      result = await authenticator.verify(signer, payload, message.signature, data, waitForKey);
+    } catch {
+      result = false;
+    }
+    if (result === true) return true;
+    if (result === false) return reject('forged');
+    if (!waitForKey) return false;
+    return authenticator.requireSignatures ? reject('unknown-key') : false;
+  }
+
   // ─── Reverse aggregate delivery inference ──────────────────────────────
 
   private registerAggregateDelivery(
@@ -1047,7 +2318,7 @@ export class GossipProtocol {
       settled,
     };
     try {
-      this.mesh.send(toPeerId, JSON.stringify(response));
+      this.sendFrame(toPeerId, response);
       return true;
     } catch {
       return false;
@@ -1173,6 +2444,7 @@ export class GossipProtocol {
       size: state.size,
       bits: this.deliveryBitsToHex(state.bits),
       deadlineAt: state.deadlineAt,
+      ...(state.group ? { group: state.group } : {}),
     };
   }
 
@@ -1189,11 +2461,12 @@ export class GossipProtocol {
     if (typeof envelope.setHash !== 'string' || !/^[0-9a-f]{16}$/i.test(envelope.setHash)) return null;
     if (!Number.isInteger(envelope.size) || envelope.size < 1 || envelope.size > MAX_DELIVERY_PEERS) return null;
     if (!Number.isFinite(envelope.deadlineAt) || envelope.deadlineAt <= 0) return null;
+    if (envelope.group !== undefined && !this.normalizedTopic(envelope.group)) return null;
     return this.deliveryBitsFromHex(envelope.bits, envelope.size);
   }
 
   private reconstructDeliveryPeers(state: GossipDeliveryState): string[] | null {
-    const peers = this.canonicalPeerSet();
+    const peers = state.group ? this.groupAudience(state.group, state.sender) : this.canonicalPeerSet();
     if (peers.length !== state.size || this.canonicalSetHash(peers) !== state.setHash) return null;
     state.peerIds = peers;
     return peers;
@@ -1216,6 +2489,7 @@ export class GossipProtocol {
         sender: message.sender,
         setHash: message.delivery.setHash,
         size: message.delivery.size,
+        group: message.delivery.group ?? null,
         bits: incomingBits,
         peerIds: knownPeerIds ? knownPeerIds.slice() : null,
         message: message,
@@ -1234,6 +2508,7 @@ export class GossipProtocol {
         state.sender !== message.sender ||
         state.setHash !== message.delivery.setHash ||
         state.size !== message.delivery.size ||
+        state.group !== (message.delivery.group ?? null) ||
         state.deadlineAt !== message.delivery.deadlineAt
       ) {
         return null;
@@ -1271,6 +2546,7 @@ export class GossipProtocol {
         sender: receipt.sender,
         setHash: receipt.setHash,
         size: receipt.size,
+        group: receipt.group ?? null,
         bits: incomingBits,
         peerIds: null,
         message: null,
@@ -1289,6 +2565,7 @@ export class GossipProtocol {
         state.sender !== receipt.sender ||
         state.setHash !== receipt.setHash ||
         state.size !== receipt.size ||
+        state.group !== (receipt.group ?? null) ||
         state.deadlineAt !== receipt.deadlineAt
       ) return;
       changed = this.mergeDeliveryBits(state.bits, incomingBits);
@@ -1325,6 +2602,7 @@ export class GossipProtocol {
       createdAt: state.createdAt,
       updatedAt: state.updatedAt,
       deadlineAt: state.deadlineAt,
+      ...(state.group ? { group: state.group } : {}),
     };
   }
 
@@ -1400,8 +2678,9 @@ export class GossipProtocol {
         const repairId = this.sendDirect(targetPeerId, {
           __peerPigeonType: RELIABLE_REPAIR_TYPE,
           message: repairMessage,
-        });
+        }, { storeAndForward: false });
         if (repairId) {
+          this.deliveryRepairs += 1;
           state.repairAttemptsByPeer.set(targetPeerId, {
             attempts: attempt.attempts + 1,
             lastAttemptAt: now,
@@ -1488,10 +2767,22 @@ export class GossipProtocol {
     return Math.min(Math.max(0, connectedDegree), Math.ceil(Math.log2(liveN)));
   }
 
-  private selectFanoutPeers(excluded: Set<string>, channel: 'gossip' | 'cecr' | 'anti-entropy'): string[] {
+  private selectFanoutPeers(
+    excluded: Set<string>,
+    channel: 'gossip' | 'cecr' | 'anti-entropy',
+    accepts?: (peerId: string) => boolean,
+  ): string[] {
     const connected = Array.from(new Set(this.mesh.getConnectedPeers())).sort();
     const budget = this.cecrFanout(connected.length);
-    const eligible = connected.filter((peerId) => !excluded.has(peerId));
+    let eligible = connected.filter((peerId) => !excluded.has(peerId) && (!accepts || accepts(peerId)));
+    if (channel === 'gossip' && this.mesh.isPeerCongested) {
+      // Congested neighbours are left to anti-entropy unless every candidate is congested.
+      const uncongested = eligible.filter((peerId) => !this.mesh.isPeerCongested?.(peerId));
+      if (uncongested.length > 0 && uncongested.length < eligible.length) {
+        this.congestedFanoutSkips += eligible.length - uncongested.length;
+        eligible = uncongested;
+      }
+    }
     const count = Math.min(budget, eligible.length);
     if (count <= 0) return [];
 
@@ -1674,7 +2965,7 @@ export class GossipProtocol {
     let sent = false;
     for (const peerId of targets) {
       try {
-        this.mesh.send(peerId, JSON.stringify(message));
+        this.sendFrame(peerId, message);
         sent = true;
       } catch {
         // best-effort
@@ -1700,7 +2991,7 @@ export class GossipProtocol {
     let sent = false;
     for (const peerId of targets) {
       try {
-        this.mesh.send(peerId, JSON.stringify(message));
+        this.sendFrame(peerId, message);
         sent = true;
       } catch {
         // best-effort
@@ -1885,9 +3176,12 @@ export class GossipProtocol {
    * Send a direct message to a specific peer, routed through the mesh via XOR distance.
    * Delivers even if there is no direct connection to the target.
    */
-  sendDirect(targetPeerId: string, data: unknown): string | null {
+  sendDirect(targetPeerId: string, data: unknown, options: GossipDirectOptions = {}): string | null {
     const from = this.mesh.getClientId();
     if (!from) return null;
+    const timestamp = Date.now();
+    const expiresAt = this.resolveExpiresAt(options, timestamp);
+    const dedupeKey = this.resolveDedupeKey(options.dedupeKey);
 
     const message: DirectMessage = {
       id: this.generateMessageId(from),
@@ -1897,83 +3191,442 @@ export class GossipProtocol {
       data,
       hops: 0,
       maxHops: this.maxDirectHops,
-      timestamp: Date.now(),
+      timestamp,
       path: [this.compactRoutePeerId(from)],
       originConfigId: this.cecrConfigId(),
       originViewId: this.canonicalSetHash(this.canonicalPeerSet()),
+      ...(expiresAt !== undefined ? { expiresAt } : {}),
+      ...(dedupeKey !== undefined ? { dedupeKey } : {}),
     };
+    if (options.reliable && targetPeerId !== from) message.ack = true;
+    if (options.storeAndForward ?? this.storeAndForward) message.store = true;
+    // Span reports are not traced themselves.
+    const rootSpan = targetPeerId !== from && !GossipTracer.isReport(data)
+      ? this.tracer?.startTrace('direct.send', message.id, from, timestamp) ?? null
+      : null;
+    if (rootSpan) message.trace = this.tracer!.contextFor(rootSpan);
 
     this.markDirectSeen(message.id, message.timestamp);
-    this.routeDirect(message, null);
+    const state = message.ack ? this.trackDirectDelivery(message, options) : null;
+    const dispatch = (verified: boolean): void => {
+      let firstHop: string | null;
+      if (state) {
+        this.attemptDirectDelivery(state);
+        firstHop = state.firstHops[0] ?? null;
+      } else {
+        firstHop = this.routeDirect(message, null, verified);
+      }
+      if (rootSpan) this.tracer?.endHop(rootSpan, firstHop ? [firstHop] : [], false);
+    };
+    const authenticator = this.authenticator;
+    if (!authenticator) {
+      dispatch(false);
+      return message.id;
+    }
+    authenticator.sign(this.directSigningPayload(message)).then(
+      (signature) => {
+        if (this.destroyed) return;
+        message.signature = signature;
+        dispatch(true);
+      },
+      () => {
+        if (!this.destroyed) dispatch(false);
+      },
+    );
     return message.id;
   }
 
-  private routeDirect(message: DirectMessage, fromPeerId: string | null): void {
+  /**
+   * Send a direct message that the destination acknowledges along the
+   * reverse path. Unacknowledged attempts are retried over alternative
+   * first hops; the outcome is reported by `directDelivered`/`directFailed`.
+   */
+  sendDirectReliable(
+    targetPeerId: string,
+    data: unknown,
+    options: Omit<GossipDirectOptions, 'reliable'> = {}
+  ): string | null {
+    return this.sendDirect(targetPeerId, data, { ...options, reliable: true });
+  }
+
+  /**
+   * Return the sender-visible delivery state for a reliable direct message.
+   */
+  getDirectDeliveryStatus(messageId: string): GossipDirectDeliveryStatus | null {
+    const state = this.directDeliveryStates.get(messageId);
+    return state ? this.directDeliveryStatusForState(state) : null;
+  }
+
+  /**
+   * Whether a direct message to the peer has a first hop right now: it is a
+   * neighbor, or it is live in the CECR view and a neighbor makes progress.
+   */
+  hasDirectRoute(targetPeerId: string): boolean {
+    const self = this.mesh.getClientId();
+    if (!self || !targetPeerId || targetPeerId === self) return false;
+    if (this.mesh.getConnectedPeers().includes(targetPeerId)) return true;
+    if (!this.canonicalPeerSet().includes(targetPeerId)) return false;
+    return this.orderedRouteCandidates(targetPeerId, undefined, this.cecrConfigId()).length > 0;
+  }
+
+  /**
+   * Neighbours that make progress toward the peer, best first: the peer itself
+   * when it is a neighbour, otherwise the CECR next hops `routeDirect` tries.
+   */
+  getRouteCandidates(targetPeerId: string, fromPeerId?: string): string[] {
+    const self = this.mesh.getClientId();
+    if (!self || !targetPeerId || targetPeerId === self) return [];
+    if (this.mesh.getConnectedPeers().includes(targetPeerId)) return [targetPeerId];
+    if (!this.canonicalPeerSet().includes(targetPeerId)) return [];
+    return this.orderedRouteCandidates(targetPeerId, fromPeerId, this.cecrConfigId());
+  }
+
+  /**
+   * Forward one hop toward the destination, or surface the message here.
+   * Returns the neighbor it was handed to. First hops in `avoid` are only
+   * used when no other candidate accepts the frame.
+   */
+  private routeDirect(
+    message: DirectMessage,
+    fromPeerId: string | null,
+    verified: boolean = false,
+    avoid?: ReadonlySet<string>,
+  ): string | null {
+    // Checked per hop: signature verification may outlast a short lifetime.
+    if (this.messageExpired(message)) return null;
     const self = this.mesh.getClientId();
 
     // We are the destination
     if (message.to === self) {
+      if (message.ack === true) {
+        this.sendDirectAck(message);
+        if (this.acknowledgedDirectIds.has(message.id)) return null;
+        this.acknowledgedDirectIds.set(message.id, Date.now());
+      }
       const repairedMessage = this.reliableRepairMessage(message.data);
       if (repairedMessage) {
         const repairPath = this.extendRoutePath(
           repairedMessage.path,
           ...(Array.isArray(message.path) ? message.path.slice(1) : [self].filter(Boolean) as string[]),
         );
-        this.handleIncomingMessage({
+        // The repaired broadcast carries its origin's signature, not the
+        // repairing peer's, so it is authenticated like any other broadcast.
+        this.receiveGossip({
           ...repairedMessage,
           hops: Math.max(0, Math.floor(Number(repairedMessage.hops) || 0))
             + Math.max(1, Math.floor(Number(message.hops) || 0)),
           path: repairPath,
         }, fromPeerId ?? message.from);
-        return;
+        return null;
       }
-      this.emit('directMessageReceived', { message });
-      return;
+      if (this.tracer && GossipTracer.isReport(message.data)) {
+        this.tracer.handleReport(message.data, message.from);
+        return null;
+      }
+      if (this.repeatsDedupeKey(message.from, message.dedupeKey)) return null;
+      this.emit('directMessageReceived', { message, verified });
+      return null;
     }
 
     // Cached or merely discovered identifiers are not routable after their
-    // membership lease leaves the local live view.
-    if (!this.canonicalPeerSet().includes(message.to)) return;
+    // membership lease leaves the local live view. Custody-eligible messages
+    // still make XOR progress toward the ID on every peer, and are held where
+    // it stalls by a peer that offers store-and-forward.
+    const custody = message.store === true;
+    if (!custody && !this.canonicalPeerSet().includes(message.to)) return null;
 
-    if (message.hops >= message.maxHops) return;
+    if (message.hops >= message.maxHops) return null;
 
     // Is target directly connected? Short-circuit.
     const connected = this.mesh.getConnectedPeers();
-    if (connected.includes(message.to)) {
+    if (connected.includes(message.to) && !avoid?.has(message.to)) {
       try {
-        this.mesh.send(message.to, JSON.stringify({
+        this.sendFrame(message.to, {
           ...message,
           hops: message.hops + 1,
           path: this.extendRoutePath(message.path, message.to),
-        }));
+        });
+        return message.to;
       } catch { /* best-effort */ }
-      return;
+      if (!message.ack) return null;
     }
 
     // Try the deterministic CECR ordering. Every candidate is a measurable
     // prefix or raw-XOR improvement; failed sends fall through to the next.
-    for (const next of this.orderedRouteCandidates(
+    const candidates = this.orderedRouteCandidates(
       message.to,
       fromPeerId ?? undefined,
       message.originConfigId,
-    )) {
+    );
+    const fresh = avoid ? candidates.filter((peerId) => !avoid.has(peerId)) : candidates;
+    const retried = avoid ? candidates.filter((peerId) => avoid.has(peerId)) : [];
+    for (const next of [...fresh, ...retried]) {
       try {
-        this.mesh.send(next, JSON.stringify({
+        this.sendFrame(next, {
           ...message,
           hops: message.hops + 1,
           path: this.extendRoutePath(message.path, next),
-        }));
-        return;
+        });
+        return next;
       } catch {
         // try the next eligible progress candidate
       }
     }
+    if (custody && this.storeAndForward) this.holdDirect(message);
+    return null;
   }
 
   private handleIncomingDirect(message: DirectMessage, fromPeerId: string): void {
-    if (this.seenDirectIds.has(message.id)) return;
-    this.markDirectSeen(message.id, message.timestamp);
-    this.routeDirect(message, fromPeerId);
+    const receivedAt = Date.now();
+    const seenKey = this.directSeenKey(message);
+    if (this.hasSeenDirect(seenKey)) return;
+    const isDestination = message.to === this.mesh.getClientId();
+    if (isDestination) {
+      // A handed-over copy must not surface a second time.
+      if (seenKey !== message.id && !message.ack && this.hasSeenDirect(message.id)) return;
+      this.markDirectSeen(message.id, message.timestamp);
+    }
+    this.markDirectSeen(seenKey, message.timestamp);
+    const hop = this.beginTraceHop('direct.relay', message, message.from, fromPeerId, receivedAt);
+    const route = (verified: boolean = false): void => {
+      const next = this.routeDirect(hop ? { ...message, trace: this.tracer!.contextFor(hop) } : message, fromPeerId, verified);
+      if (hop) this.tracer?.endHop(hop, next ? [next] : [], isDestination);
+    };
+    if (!this.authenticator) {
+      route();
+      return;
+    }
+    // Relays verify when they already hold the origin key and otherwise
+    // forward; only the destination waits for key discovery.
+    void this.authenticateEnvelope('direct', message, fromPeerId, isDestination).then((verified) => {
+      if (verified === null || this.destroyed) return;
+      route(verified);
+    });
+  }
+
+  // ─── Acknowledged direct delivery ──────────────────────────────────
+
+  /**
+   * Retries and custodian handovers travel under their own keys so relays
+   * that saw an earlier copy still forward them.
+   */
+  private directSeenKey(message: DirectMessage): string {
+    const attempt = Math.floor(Number(message.attempt) || 0);
+    const key = attempt > 1 ? `${message.id}#${attempt}` : message.id;
+    return typeof message.heldBy === 'string' && message.heldBy ? `${key}@${message.heldBy}` : key;
+  }
+
+  private trackDirectDelivery(message: DirectMessage, options: GossipDirectOptions): GossipDirectDeliveryState {
+    const now = Date.now();
+    const state: GossipDirectDeliveryState = {
+      message,
+      ackTimeoutMs: Math.max(100, Math.floor(options.ackTimeoutMs ?? this.directAckTimeoutMs)),
+      maxAttempts: Math.max(1, Math.floor(options.maxAttempts ?? this.directMaxAttempts)),
+      attempts: 0,
+      firstHops: [],
+      delivered: false,
+      failureReason: null,
+      createdAt: now,
+      updatedAt: now,
+      deliveredAt: null,
+      timer: null,
+    };
+    this.directDeliveryStates.set(message.id, state);
+    while (this.directDeliveryStates.size > MAX_DIRECT_DELIVERY_STATES) {
+      const oldest = this.directDeliveryStates.values().next().value;
+      if (!oldest) break;
+      if (oldest.timer) clearTimeout(oldest.timer);
+      this.directDeliveryStates.delete(oldest.message.id);
+    }
+    return state;
+  }
+
+  private attemptDirectDelivery(state: GossipDirectDeliveryState): void {
+    if (this.destroyed || state.delivered || state.failureReason) return;
+    if (this.messageExpired(state.message)) {
+      this.failDirectDelivery(state, 'expired');
+      return;
+    }
+    state.attempts += 1;
+    state.updatedAt = Date.now();
+    const message = state.attempts > 1 ? { ...state.message, attempt: state.attempts } : state.message;
+    if (state.attempts > 1) this.markDirectSeen(this.directSeenKey(message), state.updatedAt);
+
+    const firstHop = this.routeDirect(message, null, false, new Set(state.firstHops));
+    if (firstHop) state.firstHops.push(firstHop);
+    if (!firstHop && state.attempts >= state.maxAttempts) {
+      this.failDirectDelivery(state, state.firstHops.length > 0 ? 'timeout' : 'no-route');
+      return;
+    }
+    // Without a first hop the attempt still waits out the ack timeout so
+    // membership or connections can recover before the next one.
+    state.timer = setTimeout(() => {
+      state.timer = null;
+      if (state.attempts < state.maxAttempts) this.attemptDirectDelivery(state);
+      else this.failDirectDelivery(state, state.firstHops.length > 0 ? 'timeout' : 'no-route');
+    }, state.ackTimeoutMs);
+  }
+
+  private failDirectDelivery(state: GossipDirectDeliveryState, reason: 'timeout' | 'no-route' | 'expired'): void {
+    if (state.delivered || state.failureReason) return;
+    if (state.timer) clearTimeout(state.timer);
+    state.timer = null;
+    state.failureReason = reason;
+    state.updatedAt = Date.now();
+    this.reportDirectOutcome(state, 'directFailed');
+  }
+
+  /**
+   * Outcomes can settle synchronously inside sendDirect or while the first
+   * hop is still being recorded; report them once the caller has the ID.
+   */
+  private reportDirectOutcome(state: GossipDirectDeliveryState, event: 'directDelivered' | 'directFailed'): void {
+    queueMicrotask(() => {
+      if (!this.destroyed) this.emit(event, this.directDeliveryStatusForState(state));
+    });
+  }
+
+  private sendDirectAck(message: DirectMessage): void {
+    const self = this.mesh.getClientId();
+    if (!self) return;
+    const ack: DirectAckMessage = {
+      id: this.generateMessageId(self),
+      type: 'direct-ack',
+      protocol: 'direct-ack/1',
+      messageId: message.id,
+      from: self,
+      to: message.from,
+      timestamp: Date.now(),
+      hops: 0,
+      maxHops: this.maxDirectHops,
+      route: this.extendRoutePath(message.path, self).reverse(),
+    };
+    this.markDirectSeen(ack.id, ack.timestamp);
+    const authenticator = this.authenticator;
+    if (!authenticator) {
+      this.forwardDirectAck(ack, null);
+      return;
+    }
+    // Signed so that no relay can report a delivery that never happened.
+    authenticator.sign(this.directAckSigningPayload(ack)).then(
+      (signature) => {
+        if (this.destroyed) return;
+        ack.signature = signature;
+        this.forwardDirectAck(ack, null);
+      },
+      () => {
+        if (!this.destroyed) this.forwardDirectAck(ack, null);
+      },
+    );
+  }
+
+  private handleIncomingDirectAck(ack: DirectAckMessage, fromPeerId: string): void {
+    if (this.hasSeenDirect(ack.id)) return;
+    this.markDirectSeen(ack.id, ack.timestamp);
+    if (ack.to === this.mesh.getClientId()) {
+      if (!this.authenticator) {
+        this.completeDirectDelivery(ack);
+        return;
+      }
+      // Relays forward acks as they are; the original sender checks the signature.
+      void this.authenticateEnvelope('direct-ack', ack, fromPeerId, true).then((verified) => {
+        if (verified === null || this.destroyed) return;
+        this.completeDirectDelivery(ack);
+      });
+      return;
+    }
+    if (ack.hops >= ack.maxHops) return;
+    this.forwardDirectAck(ack, fromPeerId);
+  }
+
+  /**
+   * Acks retrace the request's route while the next recorded hop is still a
+   * neighbor, then fall back to CECR progress toward the original sender.
+   */
+  private forwardDirectAck(ack: DirectAckMessage, fromPeerId: string | null): void {
+    const self = this.mesh.getClientId();
+    if (!self) return;
+    const connected = this.mesh.getConnectedPeers();
+    const position = ack.route.lastIndexOf(this.compactRoutePeerId(self));
+    const reverseHop = position >= 0 ? ack.route[position + 1] : undefined;
+    const candidates = [
+      connected.includes(ack.to) ? ack.to : null,
+      reverseHop ? connected.find((peerId) => peerId !== fromPeerId && this.compactRoutePeerId(peerId) === reverseHop) : null,
+      ...this.orderedRouteCandidates(ack.to, fromPeerId ?? undefined, this.cecrConfigId()),
+    ];
+    const tried = new Set<string>();
+    for (const next of candidates) {
+      if (!next || tried.has(next)) continue;
+      tried.add(next);
+      try {
+        this.sendFrame(next, { ...ack, hops: ack.hops + 1 });
+        return;
+      } catch {
+        // try the next candidate
+      }
+    }
+  }
+
+  private completeDirectDelivery(ack: DirectAckMessage): void {
+    const state = this.directDeliveryStates.get(ack.messageId);
+    if (!state || state.delivered || state.failureReason || state.message.to !== ack.from) return;
+    if (state.timer) clearTimeout(state.timer);
+    state.timer = null;
+    state.delivered = true;
+    state.deliveredAt = Date.now();
+    state.updatedAt = state.deliveredAt;
+    this.reportDirectOutcome(state, 'directDelivered');
+  }
+
+  private directDeliveryStatusForState(state: GossipDirectDeliveryState): GossipDirectDeliveryStatus {
+    return {
+      messageId: state.message.id,
+      to: state.message.to,
+      attempts: state.attempts,
+      maxAttempts: state.maxAttempts,
+      firstHops: [...state.firstHops],
+      delivered: state.delivered,
+      failed: state.failureReason !== null,
+      failureReason: state.failureReason,
+      createdAt: state.createdAt,
+      updatedAt: state.updatedAt,
+      deliveredAt: state.deliveredAt,
+    };
+  }
+
+  // ─── Store-and-forward ─────────────────────────────────────────────
+
+  private holdDirect(message: DirectMessage): void {
+    if (this.mailbox.has(message.id) || this.messageExpired(message)) return;
+    const expiresAt = Math.min(Date.now() + this.mailboxHoldMs, message.expiresAt ?? Infinity);
+    this.mailbox.set(message.id, { message, expiresAt });
+    while (this.mailbox.size > this.mailboxMaxMessages) {
+      const oldest = this.mailbox.keys().next().value;
+      if (!oldest) break;
+      this.mailbox.delete(oldest);
+    }
+  }
+
+  /**
+   * Hand held messages over once their target is live again. A handover
+   * that still finds no first hop stays in custody until it expires.
+   */
+  private flushMailbox(): void {
+    if (this.mailbox.size === 0 || this.destroyed) return;
+    const self = this.mesh.getClientId();
+    if (!self) return;
+    const now = Date.now();
+    const live = new Set(this.canonicalPeerSet());
+    for (const [id, held] of Array.from(this.mailbox.entries())) {
+      if (now > held.expiresAt) {
+        this.mailbox.delete(id);
+        continue;
+      }
+      if (!live.has(held.message.to)) continue;
+      const handover: DirectMessage = { ...held.message, heldBy: this.compactRoutePeerId(self) };
+      this.markDirectSeen(this.directSeenKey(handover), now);
+      if (this.routeDirect(handover, null)) this.mailbox.delete(id);
+    }
   }
 
   getCecrConfig(): Readonly<CecrConfigSnapshot> {
@@ -2029,7 +3682,9 @@ export class GossipProtocol {
       membershipEquivocations: this.mesh.getCecrMembershipEquivocations?.() ?? [],
       overlay,
       limitations: [
-        'membership, state, and routed frames are not cryptographically signed',
+        this.authenticator
+          ? 'membership and state frames are not cryptographically signed'
+          : 'membership, state, and routed frames are not cryptographically signed',
         'viewId uses the legacy 64-bit membership digest',
         'incarnation persistence is not available for applications that reuse a peer identity across processes',
       ],
@@ -2050,7 +3705,29 @@ export class GossipProtocol {
       totalMessagesTracked: this.messageLog.size,
       recentMessages: messages.filter((m) => m.age < 60_000),
       connectedPeers: this.mesh.getConnectedPeers().length,
-      discoveredPeers: this.mesh.getDiscoveredPeers().length
+      discoveredPeers: this.mesh.getDiscoveredPeers().length,
+      subscribedTopics: this.getSubscriptions(),
+      rejectedEnvelopes: this.rejectedEnvelopeCount,
+      congestedFanoutSkips: this.congestedFanoutSkips,
+      heldDirectMessages: this.mailbox.size,
+      heldBackMessages: this.heldBack.size,
+      receivedGossipFrames: this.receivedGossipFrames,
+      duplicateGossipFrames: this.duplicateGossipFrames,
+      duplicateRatio: this.receivedGossipFrames > 0 ? this.duplicateGossipFrames / this.receivedGossipFrames : 0,
+      antiEntropyRepairs: this.antiEntropyRepairs,
+      deliveryRepairs: this.deliveryRepairs,
+      plumtree: this.broadcastStrategy === 'plumtree'
+        ? {
+            eagerPeers: this.mesh.getConnectedPeers().filter((peerId) => !this.lazyPeers.has(peerId)).sort(),
+            lazyPeers: Array.from(this.lazyPeers).sort(),
+            prunes: this.plumtreePrunes,
+            grafts: this.plumtreeGrafts,
+          }
+        : null,
+      compression: this.mesh.getCompressionStats?.() ?? null,
+      dedup: this.seenFilter
+        ? { ...this.seenFilter.getStats(), retainedBytes: this.retainedBytes, maxRetainedBytes: this.maxRetainedBytes }
+        : null,
     };
   }
 
@@ -2059,7 +3736,7 @@ export class GossipProtocol {
     for (const [id, info] of this.messageLog.entries()) {
       if (now - info.timestamp > maxAgeMs) {
         this.messageLog.delete(id);
-        this.retainedMessages.delete(id);
+        this.dropRetained(id);
       }
     }
     for (const [id, timestamp] of this.seenDirectIds.entries()) {
@@ -2071,11 +3748,32 @@ export class GossipProtocol {
 
   private markDirectSeen(id: string, timestamp: number): void {
     this.seenDirectIds.set(id, timestamp || Date.now());
-    if (this.seenDirectIds.size > this.maxTrackedDirectIds) {
+    this.seenFilter?.add(`direct ${id}`);
+    if (this.seenDirectIds.size > this.exactSeenLimit) {
       this.pruneTracking();
     }
   }
 
+  private hasSeenDirect(id: string): boolean {
+    return this.seenDirectIds.has(id) || (this.seenFilter?.has(`direct ${id}`) ?? false);
+  }
+
+  private logMessage(
+    messageId: string,
+    info: { timestamp: number; sender: string | null; hops: number },
+    now?: number,
+  ): void {
+    this.messageLog.set(messageId, info);
+    this.seenFilter?.add(`gossip ${messageId}`);
+    if (this.messageLog.size > this.exactSeenLimit) {
+      this.pruneTracking(now);
+    }
+  }
+
+  private hasSeenGossip(messageId: string): boolean {
+    return this.messageLog.has(messageId) || (this.seenFilter?.has(`gossip ${messageId}`) ?? false);
+  }
+
   private pruneTracking(now: number = Date.now()): void {
     const minTimestamp = now - this.trackingRetentionMs;
 
@@ -2084,25 +3782,26 @@ export class GossipProtocol {
         break;
       }
       this.messageLog.delete(id);
-      this.retainedMessages.delete(id);
+      this.dropRetained(id);
     }
-    while (this.messageLog.size > this.maxTrackedMessages) {
+    while (this.messageLog.size > this.exactSeenLimit) {
       const oldest = this.messageLog.keys().next().value;
       if (!oldest) break;
       this.messageLog.delete(oldest);
-      this.retainedMessages.delete(oldest);
+      // The filter still answers for it, so its payload may stay retained.
+      if (!this.seenFilter) this.dropRetained(oldest);
     }
 
     for (const [id, retained] of this.retainedMessages.entries()) {
       if (
         retained.retainedAt < minTimestamp
         || now > this.initialSpreadDeadlineAt(retained.message)
-      ) this.retainedMessages.delete(id);
+      ) this.dropRetained(id);
     }
     while (this.retainedMessages.size > this.maxTrackedMessages) {
       const oldest = this.retainedMessages.keys().next().value;
       if (!oldest) break;
-      this.retainedMessages.delete(oldest);
+      this.dropRetained(oldest);
     }
 
     for (const [id, timestamp] of this.seenDirectIds.entries()) {
@@ -2111,7 +3810,7 @@ export class GossipProtocol {
       }
       this.seenDirectIds.delete(id);
     }
-    while (this.seenDirectIds.size > this.maxTrackedDirectIds) {
+    while (this.seenDirectIds.size > this.exactSeenLimit) {
       const oldest = this.seenDirectIds.keys().next().value;
       if (!oldest) break;
       this.seenDirectIds.delete(oldest);
@@ -2130,6 +3829,28 @@ export class GossipProtocol {
       if (now - Math.max(state.updatedAt, state.deadlineAt) <= this.trackingRetentionMs) continue;
       this.aggregateStates.delete(id);
     }
+    for (const [id, state] of this.directDeliveryStates.entries()) {
+      if (state.timer || now - state.updatedAt <= this.trackingRetentionMs) continue;
+      this.directDeliveryStates.delete(id);
+    }
+    for (const [id, timestamp] of this.acknowledgedDirectIds.entries()) {
+      if (timestamp >= minTimestamp) break;
+      this.acknowledgedDirectIds.delete(id);
+    }
+    while (this.acknowledgedDirectIds.size > this.maxTrackedDirectIds) {
+      const oldest = this.acknowledgedDirectIds.keys().next().value;
+      if (!oldest) break;
+      this.acknowledgedDirectIds.delete(oldest);
+    }
+    for (const [key, timestamp] of this.surfacedDedupeKeys.entries()) {
+      if (timestamp >= minTimestamp) break;
+      this.surfacedDedupeKeys.delete(key);
+    }
+    while (this.surfacedDedupeKeys.size > this.maxTrackedDirectIds) {
+      const oldest = this.surfacedDedupeKeys.keys().next().value;
+      if (!oldest) break;
+      this.surfacedDedupeKeys.delete(oldest);
+    }
   }
 
   on<K extends keyof GossipEvents>(event: K, callback: GossipEvents[K]): void {
@@ -2155,9 +3876,37 @@ export class GossipProtocol {
     this.deliveryStates.clear();
     this.aggregateStates.clear();
     this.retainedMessages.clear();
+    this.retainedBytes = 0;
+    this.seenFilter?.clear();
     this.initialSpreadRepairQueued = false;
     this.dirtyDeliveryReceiptIds.clear();
     this.cecrRemoteStates.clear();
+    this.subscribedTopics.clear();
+    this.topicInterestByPeer.clear();
+    this.topicAdvertisementByPeer.clear();
+    this.topicAdvertisementQueued = false;
+    for (const state of this.directDeliveryStates.values()) {
+      if (state.timer) clearTimeout(state.timer);
+    }
+    this.directDeliveryStates.clear();
+    this.acknowledgedDirectIds.clear();
+    this.surfacedDedupeKeys.clear();
+    this.tracer?.destroy();
+    this.mailbox.clear();
+    this.heldBack.clear();
+    this.orderSequences.clear();
+    this.orderDelivered.clear();
+    this.orderPendingDeps.clear();
+    if (this.holdbackTimer) {
+      clearTimeout(this.holdbackTimer.timer);
+      this.holdbackTimer = null;
+    }
+    for (const pending of this.pendingGrafts.values()) {
+      if (pending.timer) clearTimeout(pending.timer);
+    }
+    this.pendingGrafts.clear();
+    this.pendingAnnouncements.clear();
+    this.lazyPeers.clear();
     if (this.cecrSyncTimer) {
       clearInterval(this.cecrSyncTimer);
       this.cecrSyncTimer = null;
@@ -2183,13 +3932,24 @@ export class GossipProtocol {
 
   private tryParseGossipMessage(
     raw: any
-  ): GossipMessage | DirectMessage | CecrStateMessage | CecrDeliveryStateMessage | GossipAggregateMessage | GossipAntiEntropyMessage | null {
+  ):
+    | GossipMessage
+    | DirectMessage
+    | CecrStateMessage
+    | CecrDeliveryStateMessage
+    | GossipAggregateMessage
+    | GossipAntiEntropyMessage
+    | GossipTopicInterestMessage
+    | DirectAckMessage
+    | null {
     const toEnvelope = (value: any): any | null => {
       if (!value) return null;
       if (typeof value === 'object' && typeof value.id === 'string' && typeof value.type === 'string') {
         return value;
       }
 
+      if (isBinaryWireFrame(value)) return decodeWireFrame(value);
+
       let text: string;
       if (typeof value === 'string') {
         text = value;
@@ -2204,7 +3964,7 @@ export class GossipProtocol {
       }
 
       try {
-        return JSON.parse(text);
+        return wireJsonParse(text);
       } catch {
         return null;
       }
@@ -2213,7 +3973,19 @@ export class GossipProtocol {
     const parsed = toEnvelope(raw);
     if (!parsed || typeof parsed !== 'object' || typeof parsed.id !== 'string') return null;
 
+    if (
+      (parsed.type === 'gossip' || parsed.type === 'direct')
+      && parsed.expiresAt !== undefined
+      && !Number.isFinite(parsed.expiresAt)
+    ) return null;
+    // The trace context is diagnostic only; a malformed one is dropped, not the frame.
+    if ((parsed.type === 'gossip' || parsed.type === 'direct') && parsed.trace !== undefined && !GossipTracer.isValidContext(parsed.trace)) {
+      delete parsed.trace;
+    }
+
     if (parsed.type === 'gossip') {
+      if (parsed.order !== undefined && !this.validOrderEnvelope(parsed.order)) return null;
+      if (parsed.group !== undefined && !this.normalizedTopic(parsed.group)) return null;
       return parsed as GossipMessage;
     }
 
@@ -2221,6 +3993,21 @@ export class GossipProtocol {
       return parsed as DirectMessage;
     }
 
+    if (
+      parsed.type === 'direct-ack' &&
+      parsed.protocol === 'direct-ack/1' &&
+      typeof parsed.messageId === 'string' &&
+      typeof parsed.from === 'string' &&
+      typeof parsed.to === 'string' &&
+      typeof parsed.hops === 'number' &&
+      typeof parsed.maxHops === 'number' &&
+      Array.isArray(parsed.route) &&
+      parsed.route.length <= MAX_ROUTE_TRACE_PEERS + 1 &&
+      parsed.route.every((peerId: unknown) => typeof peerId === 'string')
+    ) {
+      return parsed as DirectAckMessage;
+    }
+
     if (
       parsed.type === 'cecr-state' &&
       typeof parsed.from === 'string' &&
@@ -2258,15 +4045,34 @@ export class GossipProtocol {
       parsed.type === 'gossip-ae' &&
       parsed.protocol === 'gossip-ae/1' &&
       typeof parsed.from === 'string' &&
-      (parsed.mode === 'summary' || parsed.mode === 'request') &&
+      (parsed.mode === 'summary' || parsed.mode === 'request' || parsed.mode === 'prune') &&
       Array.isArray(parsed.messageIds)
     ) {
       return parsed as GossipAntiEntropyMessage;
     }
 
+    if (
+      parsed.type === 'gossip-topics' &&
+      parsed.protocol === 'gossip-topics/1' &&
+      typeof parsed.from === 'string' &&
+      parsed.topics &&
+      typeof parsed.topics === 'object' &&
+      !Array.isArray(parsed.topics)
+    ) {
+      return parsed as GossipTopicInterestMessage;
+    }
+
     return null;
   }
 
+  /** Payload-carrying envelopes ride the app lane; everything else is control traffic. */
+  private sendFrame(peerId: string, frame: object): void {
+    const type = (frame as { type?: unknown }).type;
+    const priority = type === 'gossip' || type === 'direct' ? 'app' : 'control';
+    if (this.mesh.sendFrame) this.mesh.sendFrame(peerId, frame, { priority });
+    else this.mesh.send(peerId, wireJsonStringify(frame));
+  }
+
   private generateMessageId(sender: string | null): string {
     const safeSender = (sender ?? 'unknown').toString();
     const senderId = sha1Hex(safeSender);
@@ -0,0 +1,282 @@
+import type { GossipMessage } from './gossip.js';
+import type { RpcHandler, RpcRequestOptions } from './rpc.js';
+
+export const HISTORY_FETCH_METHOD = 'pp-history/fetch';
+
+const MAX_CHANNEL_LENGTH = 256;
+
+/** A retained broadcast as served to late joiners. */
+export type HistoryMessage = {
+  messageId: string;
+  /** The topic it was published to, or null for a plain broadcast. */
+  channel: string | null;
+  sender: string | null;
+  timestamp: number;
+  data: unknown;
+  metadata: Record<string, unknown>;
+  /** The publisher's expiry, after which the message is neither kept nor served. */
+  expiresAt?: number;
+  /**
+   * Whether this peer verified the origin's signature itself. Messages
+   * fetched from neighbours never are, and are not served onward.
+   */
+  verified: boolean;
+};
+
+export type HistoryFetchOptions = {
+  /** Only messages with a timestamp after this epoch millisecond. */
+  since?: number;
+  /** Most recent messages to return. Default and ceiling `maxFetchResults`. */
+  limit?: number;
+  /** A topic, or null for plain broadcasts. Omit for every channel. */
+  channel?: string | null;
+  /** Neighbours to ask. Defaults to every connected peer. */
+  peerIds?: string[];
+  /** Per-neighbour deadline. Defaults to the RPC default. */
+  timeoutMs?: number;
+};
+
+export type PeerPigeonHistoryOptions = {
+  /** Messages kept per channel. Default 200. */
+  maxMessagesPerChannel?: number;
+  /** Age past which messages are forgotten. Default 10 minutes. */
+  maxAgeMs?: number;
+  /** Most messages returned to a single fetch, locally or remotely. Default 200. */
+  maxFetchResults?: number;
+  /** How far ahead of the local clock a fetched message may be dated. Default 5 seconds. */
+  maxClockSkewMs?: number;
+};
+
+type HistoryReceivedData = { message: GossipMessage; local: boolean; verified?: boolean };
+
+interface HistoryMeshLike {
+  getConnectedPeers(): string[];
+}
+
+interface HistoryGossipLike {
+  getSubscriptions(): string[];
+  on(event: 'messageReceived', callback: (data: HistoryReceivedData) => void): void;
+  off(event: 'messageReceived', callback: (data: HistoryReceivedData) => void): void;
+}
+
+interface HistoryRpcLike {
+  register(method: string, handler: RpcHandler): () => void;
+  request<T = unknown>(peerId: string, method: string, params?: unknown, options?: RpcRequestOptions): Promise<T>;
+}
+
+type HistoryQuery = { since: number; limit: number; channel: string | null | undefined };
+
+/**
+ * Keeps recent broadcasts per channel and serves them to neighbours that
+ * joined late, over the `pp-history/fetch` RPC method. Like delivery, retention
+ * follows subscriptions: a peer keeps only the topics it subscribes to. Group
+ * broadcasts and protocol payloads are not retained, since any neighbour may ask.
+ * Only messages that arrived over gossip are served; fetched ones cannot be
+ * authenticated here, so one neighbour's answer never spreads further.
+ */
+export class PeerPigeonHistory {
+  private readonly mesh: HistoryMeshLike;
+  private readonly gossip: HistoryGossipLike;
+  private readonly rpc: HistoryRpcLike;
+  private readonly maxMessagesPerChannel: number;
+  private readonly maxAgeMs: number;
+  private readonly maxFetchResults: number;
+  private readonly maxClockSkewMs: number;
+  /** Channel (`''` for plain broadcasts) to messages in timestamp order. */
+  private readonly channels = new Map<string, HistoryMessage[]>();
+  /** Message ID to arrival sequence, the tie-break within one millisecond. */
+  private readonly known = new Map<string, number>();
+  /** IDs of retained messages that came from a fetch rather than gossip. */
+  private readonly fetched = new Set<string>();
+  private nextSequence = 0;
+  private readonly unregister: () => void;
+  private destroyed = false;
+
+  private readonly onMessageBound = (data: HistoryReceivedData): void => {
+    const { message } = data;
+    if (message.group || this.isProtocolPayload(message.data)) return;
+    this.retain({
+      messageId: message.id,
+      channel: message.topic ?? null,
+      sender: message.sender,
+      timestamp: message.timestamp,
+      data: message.data,
+      metadata: message.metadata ?? {},
+      ...(message.expiresAt !== undefined ? { expiresAt: message.expiresAt } : {}),
+      verified: data.verified === true,
+    }, false);
+  };
+
+  constructor(mesh: HistoryMeshLike, gossip: HistoryGossipLike, rpc: HistoryRpcLike, options: PeerPigeonHistoryOptions = {}) {
+    this.mesh = mesh;
+    this.gossip = gossip;
+    this.rpc = rpc;
+    this.maxMessagesPerChannel = options.maxMessagesPerChannel ?? 200;
+    this.maxAgeMs = options.maxAgeMs ?? 10 * 60_000;
+    this.maxFetchResults = options.maxFetchResults ?? 200;
+    this.maxClockSkewMs = options.maxClockSkewMs ?? 5_000;
+    for (const [name, value] of [
+      ['maxMessagesPerChannel', this.maxMessagesPerChannel],
+      ['maxAgeMs', this.maxAgeMs],
+      ['maxFetchResults', this.maxFetchResults],
+      ['maxClockSkewMs', this.maxClockSkewMs],
+    ] as const) {
+      if (!Number.isSafeInteger(value) || value < 1) {
+        throw new RangeError(`history.${name} must be a positive safe integer`);
+      }
+    }
+    this.gossip.on('messageReceived', this.onMessageBound);
+    this.unregister = this.rpc.register(HISTORY_FETCH_METHOD, (params) => this.query(this.parseQuery(params), true));
+  }
+
+  /**
+   * Ask neighbours for retained broadcasts. Answers are merged with what this
+   * peer holds, deduplicated by message ID and returned oldest first. A
+   * neighbour that fails or has history disabled is skipped, and so are
+   * messages dated in the future or published to topics this peer does not
+   * subscribe to.
+   */
+  async fetchHistory(options: HistoryFetchOptions = {}): Promise<HistoryMessage[]> {
+    if (this.destroyed) throw new Error('History service is closed');
+    const query = this.parseQuery(options);
+    const peerIds = options.peerIds ?? this.mesh.getConnectedPeers();
+    const requestOptions: RpcRequestOptions = options.timeoutMs === undefined ? {} : { timeoutMs: options.timeoutMs };
+    const params = { since: query.since, limit: query.limit, ...(query.channel !== undefined ? { channel: query.channel } : {}) };
+    const answers = await Promise.allSettled(
+      peerIds.map((peerId) => this.rpc.request<unknown>(peerId, HISTORY_FETCH_METHOD, params, requestOptions))
+    );
+    const subscriptions = new Set(this.gossip.getSubscriptions());
+    for (const answer of answers) {
+      if (answer.status !== 'fulfilled' || !Array.isArray(answer.value)) continue;
+      for (const candidate of answer.value.slice(0, this.maxFetchResults)) {
+        const message = this.parseMessage(candidate);
+        if (message && (message.channel === null || subscriptions.has(message.channel))) this.retain(message, true);
+      }
+    }
+    return this.query(query);
+  }
+
+  /** Messages this peer holds, oldest first. */
+  getRetained(channel?: string | null): HistoryMessage[] {
+    return this.query({ since: 0, limit: Number.MAX_SAFE_INTEGER, channel: channel === undefined ? undefined : this.normalizeChannel(channel) });
+  }
+
+  destroy(): void {
+    if (this.destroyed) return;
+    this.destroyed = true;
+    this.gossip.off('messageReceived', this.onMessageBound);
+    this.unregister();
+    this.channels.clear();
+    this.known.clear();
+    this.fetched.clear();
+  }
+
+  private retain(message: HistoryMessage, fetched: boolean): void {
+    if (this.destroyed || this.known.has(message.messageId)) return;
+    const now = Date.now();
+    if (message.timestamp < now - this.maxAgeMs || this.isExpired(message, now)) return;
+    // A future date would outlive maxAgeMs and always sort as the newest.
+    if (message.timestamp > now + this.maxClockSkewMs) return;
+    const key = message.channel ?? '';
+    const messages = this.channels.get(key) ?? [];
+    let index = messages.length;
+    while (index > 0 && this.compare(messages[index - 1], message) > 0) index -= 1;
+    messages.splice(index, 0, message);
+    this.known.set(message.messageId, this.nextSequence++);
+    if (fetched) this.fetched.add(message.messageId);
+    while (messages.length > this.maxMessagesPerChannel) this.forget(messages.shift()!);
+    this.channels.set(key, messages);
+  }
+
+  private forget(message: HistoryMessage): void {
+    this.known.delete(message.messageId);
+    this.fetched.delete(message.messageId);
+  }
+
+  /** `served` leaves out fetched messages, for answers to neighbours. */
+  private query({ since, limit, channel }: HistoryQuery, served: boolean = false): HistoryMessage[] {
+    this.prune();
+    const sources = channel === undefined
+      ? Array.from(this.channels.values())
+      : [this.channels.get(channel ?? '') ?? []];
+    const matches = sources
+      .flat()
+      .filter((message) => message.timestamp > since && !(served && this.fetched.has(message.messageId)))
+      .sort((left, right) => this.compare(left, right));
+    return matches.slice(Math.max(0, matches.length - limit)).map((message) => ({ ...message }));
+  }
+
+  private prune(): void {
+    const now = Date.now();
+    const cutoff = now - this.maxAgeMs;
+    for (const [key, messages] of this.channels) {
+      while (messages.length > 0 && messages[0].timestamp < cutoff) this.forget(messages.shift()!);
+      // Expiry is per message and not in timestamp order.
+      const live = messages.filter((message) => {
+        if (!this.isExpired(message, now)) return true;
+        this.forget(message);
+        return false;
+      });
+      if (live.length === 0) this.channels.delete(key);
+      else if (live.length !== messages.length) this.channels.set(key, live);
+    }
+  }
+
+  private isExpired(message: HistoryMessage, now: number): boolean {
+    return message.expiresAt !== undefined && message.expiresAt <= now;
+  }
+
+  /** Timestamp order; messages from the same millisecond keep their arrival order. */
+  private compare(left: HistoryMessage, right: HistoryMessage): number {
+    return left.timestamp - right.timestamp
+      || (this.known.get(left.messageId) ?? this.nextSequence) - (this.known.get(right.messageId) ?? this.nextSequence);
+  }
+
+  private parseQuery(value: unknown): HistoryQuery {
+    const params = (value && typeof value === 'object' ? value : {}) as { since?: unknown; limit?: unknown; channel?: unknown };
+    const since = params.since === undefined ? 0 : Number(params.since);
+    if (!Number.isFinite(since)) throw new TypeError('History since must be a finite timestamp');
+    const limit = params.limit === undefined ? this.maxFetchResults : Number(params.limit);
+    if (!Number.isSafeInteger(limit) || limit < 1) throw new RangeError('History limit must be a positive safe integer');
+    return {
+      since,
+      limit: Math.min(limit, this.maxFetchResults),
+      channel: params.channel === undefined ? undefined : this.normalizeChannel(params.channel),
+    };
+  }
+
+  private normalizeChannel(channel: unknown): string | null {
+    if (channel === null) return null;
+    const name = typeof channel === 'string' ? channel.trim() : '';
+    if (!name || name.length > MAX_CHANNEL_LENGTH) {
+      throw new TypeError(`History channel must be null or a non-empty string of at most ${MAX_CHANNEL_LENGTH} characters`);
+    }
+    return name;
+  }
+
+  private parseMessage(value: unknown): HistoryMessage | null {
+    const candidate = value as Partial<HistoryMessage> | null;
+    if (!candidate || typeof candidate !== 'object') return null;
+    if (typeof candidate.messageId !== 'string' || !candidate.messageId) return null;
+    if (typeof candidate.timestamp !== 'number' || !Number.isFinite(candidate.timestamp)) return null;
+    if (candidate.channel !== null && (typeof candidate.channel !== 'string' || !candidate.channel)) return null;
+    if (candidate.sender !== null && typeof candidate.sender !== 'string') return null;
+    if (candidate.expiresAt !== undefined && (typeof candidate.expiresAt !== 'number' || !Number.isFinite(candidate.expiresAt))) return null;
+    if (this.isProtocolPayload(candidate.data)) return null;
+    const metadata = candidate.metadata && typeof candidate.metadata === 'object' ? candidate.metadata : {};
+    return {
+      messageId: candidate.messageId,
+      channel: candidate.channel,
+      sender: candidate.sender,
+      timestamp: candidate.timestamp,
+      data: candidate.data,
+      metadata,
+      ...(candidate.expiresAt !== undefined ? { expiresAt: candidate.expiresAt } : {}),
+      verified: false,
+    };
+  }
+
+  private isProtocolPayload(data: unknown): boolean {
+    return !!data && typeof data === 'object' && typeof (data as { __ppType?: unknown }).__ppType === 'string';
+  }
+}
@@ -7,14 +7,61 @@ import type {
   GossipAggregateDeliveryStatus,
   GossipBroadcastOptions,
   GossipDeliveryStatus,
+  GossipDirectDeliveryStatus,
+  GossipDirectOptions,
+  GossipEnvelopeRejection,
   GossipMessage,
   GossipProtocolOptions,
 } from './gossip.js';
 import { PeerPigeonStorage } from './storage.js';
 import type { StorageOptions } from './storage.js';
 import { PeerPigeonCryptoProtocol } from './crypto.js';
+import { PeerPigeonRpc } from './rpc.js';
+import type { PeerPigeonRpcOptions, RpcHandler, RpcRequestOptions } from './rpc.js';
+import { PeerPigeonOutbox } from './outbox.js';
+import type { OutboxStatus, PeerPigeonOutboxOptions } from './outbox.js';
+import { PeerPigeonHistory } from './history.js';
+import { PeerPigeonAnycast } from './anycast.js';
+import type { AnycastMessage, AnycastResult, AnycastSendOptions, PeerPigeonAnycastOptions } from './anycast.js';
+import { PeerPigeonStreams } from './streams.js';
+import type { PeerPigeonStreamsOptions, PeerStream, PeerStreamOpenOptions } from './streams.js';
+import { PeerPigeonCircuits } from './circuits.js';
+import type { PeerPigeonCircuitsOptions } from './circuits.js';
+import { PeerPigeonFiles } from './files.js';
+import type { FileSendOptions, FileTransferInfo, FileTransferProgress, PeerPigeonFilesOptions, ReceivedFile } from './files.js';
+import type { HistoryFetchOptions, HistoryMessage, PeerPigeonHistoryOptions } from './history.js';
+import {
+  WIRE_CODEC_BINARY,
+  WIRE_CODEC_JSON,
+  WIRE_HELLO_TYPE,
+  decodeWireFrame,
+  encodeWireFrame,
+  isBinaryWireFrame,
+  isWireHello,
+  wireJsonStringify,
+} from './wire-codec.js';
+import type { WireCodec, WireHello } from './wire-codec.js';
+import { WireReassembler, fragmentWireFrame, parseWireFragment, wireFrameByteLength } from './wire-fragments.js';
+import { InboundRateLimiter, inboundFrameTypes } from './rate-limit.js';
+import type { InboundRateLimitOptions, InboundRateLimitStats } from './rate-limit.js';
+import { PeerSendQueues, outboundFrameBytes } from './send-queue.js';
+import type { SendPriority, SendQueueOptions, SendQueueStats } from './send-queue.js';
+import {
+  WIRE_COMPRESSION_DEFLATE,
+  compressWireFrame,
+  decompressWireFrame,
+  isCompressedWireFrame,
+} from './compression.js';
+import type { WireCompressionOptions, WireCompressionStats } from './compression.js';
+import { MetricsRegistry, formatOpenMetrics } from './metrics.js';
+import { TRACE_REPORT_TYPE } from './tracing.js';
+import { FrameRouter } from './frame-router.js';
+import type { FrameHandler } from './frame-router.js';
+import type { MessageTrace, OtlpTraceExport } from './tracing.js';
+import type { MeshTransportStats, MetricFamily, MetricSample, MetricsSnapshot, PeerTrafficStats } from './metrics.js';
 export { sha1Hex } from './sha1.js';
 import type {
+  OnionDirectOptions,
   PeerPigeonCryptoOptions,
   PeerPigeonKeyPair,
   PeerPublicKey,
@@ -42,6 +89,17 @@ const PREFERRED_INITIATOR_GRACE_MS = 4_000;
 // the edge has remained usable for a full maintenance window.
 const STABLE_PEER_CONNECTION_MS = 10_000;
 
+const SEND_QUEUE_POLL_MS = 100;
+
+const DEFAULT_COMPRESSION_THRESHOLD_BYTES = 1_024;
+
+const MAX_MEMBERSHIP_GROUPS = 64;
+const MAX_GROUP_NAME_LENGTH = 256;
+const MAX_MEMBERSHIP_SERVICES = 64;
+const MAX_SERVICE_CAPABILITIES = 16;
+const MAX_CAPABILITY_KEY_LENGTH = 64;
+const MAX_CAPABILITY_VALUE_LENGTH = 256;
+
 function canonicalSignalingUrl(value: string): string | null {
   try {
     const url = new URL(String(value || '').trim());
@@ -272,8 +330,58 @@ export interface PartialMeshConfig {
 
   /** Maximum accepted clock skew for CECR membership timestamps. Default 5 seconds. */
   membershipClockSkewMs?: number;
+
+  /**
+   * Envelope encoding. `auto` (default) offers the binary codec to each peer
+   * on connect and uses it once the peer offers it back; `json` never offers
+   * it. Both settings always accept binary frames.
+   */
+  wireCodec?: 'auto' | 'json';
+
+  /**
+   * Largest frame handed to a data channel in one send. Larger frames are
+   * split into fragments and reassembled by the next hop. Default 16 KiB,
+   * the interoperable SCTP message size across browsers.
+   */
+  maxFrameBytes?: number;
+
+  /** Largest frame sent or reassembled after fragmentation. Default 8 MiB. */
+  maxMessageBytes?: number;
+
+  /** Time allowed for all fragments of one frame to arrive. Default 30 seconds. */
+  fragmentTimeoutMs?: number;
+
+  /**
+   * Token-bucket limits on inbound frames per neighbour and per frame type.
+   * Enabled with a generous per-neighbour budget by default; false disables it.
+   */
+  rateLimit?: InboundRateLimitOptions | false;
+
+  /**
+   * Per-neighbour outbound queues. Frames wait in control, app and bulk
+   * lanes while a data channel buffers more than the high-water mark.
+   */
+  sendQueue?: SendQueueOptions;
+
+  /**
+   * Deflate frames of at least `thresholdBytes` (default 1 KiB) for
+   * neighbours that offer it in their wire hello. Off by default; neighbours
+   * that never offer it keep receiving plain frames.
+   */
+  compression?: boolean | WireCompressionOptions;
 }
 
+export type PeerSendOptions = {
+  /** Drain lane while the channel is congested. Default 'app'. */
+  priority?: SendPriority;
+};
+
+export type PeerBackpressureEvent = {
+  peerId: string;
+  /** True while frames to this neighbour are queued or its channel is over the high-water mark. */
+  congested: boolean;
+};
+
 export interface PeerConnection {
   id: string;
   connected: boolean;
@@ -305,10 +413,32 @@ export type CecrMembershipRecordSnapshot = {
   state: 'alive' | 'left';
   issuedAt: number;
   validUntil: number | null;
+  /** Multicast groups the peer had joined when it issued this record. */
+  groups?: string[];
+  /** Services the peer offered when it issued this record. */
+  services?: ServiceAdvertisement;
+};
+
+/** Application-defined attributes of one advertised service, such as `version` or `role`. */
+export type ServiceCapabilities = Record<string, string | number | boolean>;
+
+/** Service name to its capabilities, as carried in a CECR membership record. */
+export type ServiceAdvertisement = Record<string, ServiceCapabilities>;
+
+export type ServiceQuery = {
+  service?: string;
+  /** Matches the `version` capability exactly or as a dotted prefix: `1.4` matches `1.4.2`. */
+  version?: string;
+};
+
+export type ServiceMatch = {
+  peerId: string;
+  service: string;
+  capabilities: ServiceCapabilities;
 };
 
 type CecrMembershipRecord = CecrMembershipRecordSnapshot;
-type CecrWireMembershipRecord = [number, number, 'alive' | 'left', number, number | null];
+type CecrWireMembershipRecord = [number, number, 'alive' | 'left', number, number | null, string[]?, ServiceAdvertisement?];
 
 export type PeerGraphNode = {
   peerId: string;
@@ -344,6 +474,17 @@ export type PeerGraphSnapshot = {
   generatedAt: number;
 };
 
+export type PeerThrottledEvent = {
+  peerId: string;
+  /** Which budget ran out. */
+  limit: 'peer' | 'type';
+  frameType: string | null;
+  /** Frames dropped from this neighbour so far. */
+  droppedFrames: number;
+  /** The neighbour was disconnected as a repeat offender. */
+  disconnected: boolean;
+};
+
 export type PartialMeshRuntimeConfig = Pick<Required<PartialMeshConfig>,
   | 'minPeers'
   | 'maxPeers'
@@ -372,6 +513,14 @@ export type PartialMeshEvents = {
   'mesh:membership': (peers: string[]) => void;
   'mesh:capacity': (capacities: PeerCapacitySnapshot[]) => void;
   'mesh:graph': (snapshot: PeerGraphSnapshot) => void;
+  /** Live multicast group rosters changed; see `joinGroup()`. */
+  'mesh:groups': (rosters: Record<string, string[]>) => void;
+  /** Services advertised by live remote peers changed; see `advertise()`. */
+  'services:changed': (directory: Record<string, ServiceAdvertisement>) => void;
+  /** A neighbour started exceeding its inbound budget, or was disconnected for it. */
+  'peer:throttled': (event: PeerThrottledEvent) => void;
+  /** A neighbour became congested, or drained below the high-water mark again. */
+  'peer:backpressure': (event: PeerBackpressureEvent) => void;
 };
 
 /**
@@ -388,11 +537,40 @@ export class PartialMesh {
   private selfAliases: Set<string> = new Set();
   private retiredPeerIds: Set<string> = new Set();
   private eventHandlers: Map<keyof PartialMeshEvents, Set<Function>> = new Map();
+  /** Protocol frames claimed by type; they bypass `peer:data`. */
+  private frameRouter = new FrameRouter();
   private connecting: Set<string> = new Set();
   private connectionStartedAtMs: Map<string, number> = new Map();
   /** First local observation of FreeRTC negotiations not tracked by PartialMesh. */
   private orphanRtcFirstSeenAtMs: Map<string, number> = new Map();
   private peerConnectedAtMs: Map<string, number> = new Map();
+  /** Codec each connected peer has offered back in its wire hello. */
+  private peerWireCodecs: Map<string, WireCodec> = new Map();
+  private reassembler: WireReassembler;
+  private rateLimiter: InboundRateLimiter | null;
+  private sendQueues: PeerSendQueues;
+  /** Polls congested channels whose transport never fires `bufferedamountlow`. */
+  private sendQueueTimer: ReturnType<typeof setTimeout> | null = null;
+  /** Smallest frame worth compressing, or null when compression is off. */
+  private compressionThresholdBytes: number | null;
+  /** Neighbours whose wire hello offered deflate. */
+  private peerCompression: Set<string> = new Set();
+  /**
+   * (De)compression is asynchronous; while a neighbour has a pending chain,
+   * every later frame to or from it waits behind it to keep the link ordered.
+   */
+  private outboundChains: Map<string, Promise<void>> = new Map();
+  /** Uncompressed bytes waiting in each outbound chain, counted against the send queue. */
+  private outboundChainBytes: Map<string, number> = new Map();
+  private inboundChains: Map<string, Promise<void>> = new Map();
+  private compressionCounters = {
+    compressedFrames: 0,
+    incompressibleFrames: 0,
+    uncompressedBytes: 0,
+    compressedBytes: 0,
+    decompressedFrames: 0,
+    failedFrames: 0,
+  };
   private discoveredAtMs: Map<string, number> = new Map();
   /** Peers present in the relay's latest un-graced discovery snapshot. */
   private activeSignalingPeers: Set<string> = new Set();
@@ -407,6 +585,14 @@ export class PartialMesh {
   private lastSignalingReconnectAtMs: number = 0;
   private dialFailureCount: Map<string, number> = new Map();
   private dialBackoffUntilMs: Map<string, number> = new Map();
+  /** Per-neighbour data channel traffic, dropped with the neighbour. */
+  private peerTraffic: Map<string, PeerTrafficStats> = new Map();
+  private transportCounters = {
+    totals: { framesIn: 0, bytesIn: 0, framesOut: 0, bytesOut: 0 } as PeerTrafficStats,
+    dialSuccesses: 0,
+    dialFailures: 0,
+    signalingReconnects: 0,
+  };
   private rebalanceCooldownUntilMs: number = 0;
   private rebalanceAttemptAtMs: Map<string, number> = new Map();
   private pendingRebalanceDropByTarget: Map<string, string> = new Map();
@@ -417,6 +603,14 @@ export class PartialMesh {
   private membershipEquivocationAtById: Map<string, number> = new Map();
   private membershipIncarnation: number = Date.now();
   private membershipSequence = 0;
+  /** Multicast groups joined here; carried in the local membership record. */
+  private localGroups: Set<string> = new Set();
+  /** Rosters last reported through `mesh:groups`. */
+  private groupRosterSignature = '';
+  /** Services offered here; carried in the local membership record. */
+  private localServices: Map<string, ServiceCapabilities> = new Map();
+  /** Directory last reported through `services:changed`. */
+  private serviceDirectorySignature = '';
   /** Relayed per-peer capacity used to give scarce, underfilled peers priority. */
   private peerCapacityById: Map<string, PeerCapacityAdvertisement> = new Map();
   /** Relayed adjacency snapshots used to reconstruct the known network graph. */
@@ -461,9 +655,19 @@ export class PartialMesh {
       membershipGossipIntervalMs: config.membershipGossipIntervalMs ?? 5_000,
       membershipTombstoneRetentionMs: config.membershipTombstoneRetentionMs ?? 120_000,
       membershipClockSkewMs: config.membershipClockSkewMs ?? 5_000,
+      wireCodec: config.wireCodec ?? 'auto',
+      maxFrameBytes: config.maxFrameBytes ?? 16_384,
+      maxMessageBytes: config.maxMessageBytes ?? 8 * 1024 * 1024,
+      fragmentTimeoutMs: config.fragmentTimeoutMs ?? 30_000,
+      rateLimit: config.rateLimit ?? {},
+      sendQueue: config.sendQueue ?? {},
+      compression: config.compression ?? false,
     };
 
     this.validatePeerLimits(this.config.minPeers, this.config.maxPeers, this.config.tolerantPeers);
+    if (this.config.wireCodec !== 'auto' && this.config.wireCodec !== 'json') {
+      throw new RangeError("wireCodec must be 'auto' or 'json'");
+    }
     if (!Number.isSafeInteger(this.config.membershipLeaseMs) || this.config.membershipLeaseMs < 3_000) {
       throw new RangeError('membershipLeaseMs must be a safe integer of at least 3000');
     }
@@ -484,6 +688,44 @@ export class PartialMesh {
     ) {
       throw new RangeError('membershipTombstoneRetentionMs must be at least lease + 2*clockSkew + gossipInterval');
     }
+    if (!Number.isSafeInteger(this.config.maxFrameBytes) || this.config.maxFrameBytes < 1_024) {
+      throw new RangeError('maxFrameBytes must be a safe integer of at least 1024');
+    }
+    if (!Number.isSafeInteger(this.config.maxMessageBytes) || this.config.maxMessageBytes < this.config.maxFrameBytes) {
+      throw new RangeError('maxMessageBytes must be a safe integer no smaller than maxFrameBytes');
+    }
+    if (!Number.isSafeInteger(this.config.fragmentTimeoutMs) || this.config.fragmentTimeoutMs < 1) {
+      throw new RangeError('fragmentTimeoutMs must be a positive safe integer');
+    }
+    const compression = this.config.compression;
+    this.compressionThresholdBytes = compression === false
+      ? null
+      : (compression === true ? {} : compression).thresholdBytes ?? DEFAULT_COMPRESSION_THRESHOLD_BYTES;
+    if (
+      this.compressionThresholdBytes !== null
+      && (!Number.isSafeInteger(this.compressionThresholdBytes) || this.compressionThresholdBytes < 64)
+    ) {
+      throw new RangeError('compression.thresholdBytes must be a safe integer of at least 64');
+    }
+    this.reassembler = new WireReassembler({
+      maxMessageBytes: this.config.maxMessageBytes,
+      timeoutMs: this.config.fragmentTimeoutMs,
+    });
+    this.rateLimiter = this.config.rateLimit === false ? null : new InboundRateLimiter(this.config.rateLimit);
+    this.sendQueues = new PeerSendQueues(
+      this.config.sendQueue,
+      {
+        send: (peerId, data) => {
+          this.signalingClient.send(peerId, data);
+          this.noteTraffic(peerId, data, 'out');
+        },
+        bufferedAmount: (peerId) => this.signalingClient?.getBufferedAmount?.(peerId) ?? 0,
+      },
+      (peerId, congested) => {
+        if (congested) this.scheduleSendQueueFlush();
+        this.emit('peer:backpressure', { peerId, congested });
+      },
+    );
 
     // Initialize event handler maps
     const events: (keyof PartialMeshEvents)[] = [
@@ -500,7 +742,11 @@ export class PartialMesh {
       'mesh:ready',
       'mesh:membership',
       'mesh:capacity',
-      'mesh:graph'
+      'mesh:graph',
+      'mesh:groups',
+      'services:changed',
+      'peer:throttled',
+      'peer:backpressure'
     ];
     events.forEach(event => this.eventHandlers.set(event, new Set()));
   }
@@ -1213,7 +1459,8 @@ export class PartialMesh {
       previousPeerSignalUrls,
       retiredPeerIds,
       iceServers: this.config.iceServers,
-      trickleIce: this.config.trickleIce
+      trickleIce: this.config.trickleIce,
+      bufferedAmountLowThreshold: this.sendQueues.lowWaterMarkBytes,
     });
 
     // Set up signaling event handlers
@@ -1221,6 +1468,7 @@ export class PartialMesh {
       const rawClientId = data?.clientId;
       const nextClientId = this.normalizePeerId(rawClientId);
       this.clientId = nextClientId;
+      if (this.lastSignalingReconnectAtMs > 0) this.transportCounters.signalingReconnects += 1;
       this.lastSignalingReconnectAtMs = Date.now();
       this.addSelfAlias(nextClientId);
       this.addSelfAlias(data?.requestedClientId);
@@ -1307,8 +1555,10 @@ export class PartialMesh {
       this.connectionStartedAtMs.delete(peerId);
       peerConnection.connected = true;
       this.peerConnectedAtMs.set(peerId, Date.now());
+      this.transportCounters.dialSuccesses += 1;
       this.connecting.delete(peerId);
       this.noteLocalCapacityChanged();
+      this.sendWireHello(peerId);
       this.emit('peer:connected', peerId);
 
       const rebalanceDropPeerId = this.pendingRebalanceDropByTarget.get(peerId);
@@ -1358,6 +1608,12 @@ export class PartialMesh {
         const connectedAt = this.peerConnectedAtMs.get(peerId) ?? 0;
         this.peers.delete(peerId);
         this.peerConnectedAtMs.delete(peerId);
+        this.peerWireCodecs.delete(peerId);
+        this.dropPeerCompression(peerId);
+        this.peerTraffic.delete(peerId);
+        this.reassembler.dropPeer(peerId);
+        this.rateLimiter?.dropPeer(peerId);
+        this.sendQueues.dropPeer(peerId);
         this.connecting.delete(peerId);
         if (wasConnected) {
           this.noteTransportDisconnect(peerId, connectedAt, data.reason);
@@ -1381,12 +1637,11 @@ export class PartialMesh {
     });
 
     this.signalingClient.on('rtc:data', (data: { peerId: string; data: any }) => {
-      const msg = this.tryParseMembership(data.data);
-      if (msg) {
-        this.mergeMembership(msg.peers, msg.retiredPeers, msg.capacities, msg.topology, data.peerId, msg.records);
-      } else {
-        this.emit('peer:data', data);
-      }
+      this.handleRtcData(data.peerId, data.data);
+    });
+
+    this.signalingClient.on('rtc:drain', (data: { peerId: string }) => {
+      this.sendQueues.flush(this.normalizePeerId(data?.peerId));
     });
 
     this.signalingClient.on('error', (error: any) => {
@@ -1723,6 +1978,7 @@ export class PartialMesh {
   }
 
   private noteDialFailure(peerId: string): void {
+    this.transportCounters.dialFailures += 1;
     const failures = (this.dialFailureCount.get(peerId) ?? 0) + 1;
     this.dialFailureCount.set(peerId, failures);
     // FreeRTC has already exhausted the current negotiation generation. Keep
@@ -2060,6 +2316,12 @@ export class PartialMesh {
       this.orphanRtcFirstSeenAtMs.delete(peerId);
       this.peers.delete(peerId);
       this.peerConnectedAtMs.delete(peerId);
+      this.peerWireCodecs.delete(peerId);
+      this.dropPeerCompression(peerId);
+      this.peerTraffic.delete(peerId);
+      this.reassembler.dropPeer(peerId);
+      this.rateLimiter?.dropPeer(peerId);
+      this.sendQueues.dropPeer(peerId);
       this.connecting.delete(peerId);
       // Close the underlying FreeRTC connection (no-op if already closed).
       try {
@@ -2086,22 +2348,360 @@ export class PartialMesh {
   }
 
   /**
-   * Send data to a specific peer
+   * Send data to a specific peer. Returns false when the peer is congested
+   * and the data was queued behind its channel buffer.
    */
-  public send(peerId: string, data: string | ArrayBuffer | ArrayBufferView): void {
+  public send(peerId: string, data: string | ArrayBuffer | ArrayBufferView, options: PeerSendOptions = {}): boolean {
     const peerConnection = this.peers.get(peerId);
     if (peerConnection && peerConnection.connected) {
-      this.signalingClient.send(peerId, data);
+      return this.transmit(peerId, data, options.priority ?? 'app');
     } else {
       throw new Error(`Peer ${peerId} is not connected`);
     }
   }
 
+  /**
+   * Send one protocol envelope using the codec negotiated with the peer.
+   */
+  public sendFrame(peerId: string, frame: object, options: PeerSendOptions = {}): boolean {
+    return this.send(peerId, this.encodeFrameFor(peerId, frame), options);
+  }
+
+  /** Whether frames to the peer are queued or its channel is over the high-water mark. */
+  public isPeerCongested(peerId: string): boolean {
+    return this.sendQueues.isCongested(peerId);
+  }
+
+  public getSendQueueStats(): SendQueueStats {
+    return this.sendQueues.getStats();
+  }
+
+  private scheduleSendQueueFlush(): void {
+    if (this.sendQueueTimer) return;
+    this.sendQueueTimer = setTimeout(() => {
+      this.sendQueueTimer = null;
+      this.sendQueues.flushAll();
+      if (this.sendQueues.hasCongestedPeers()) this.scheduleSendQueueFlush();
+    }, SEND_QUEUE_POLL_MS);
+  }
+
+  /** The envelope codec currently used toward a peer. */
+  public getPeerWireCodec(peerId: string): WireCodec {
+    return this.peerWireCodecs.get(peerId) ?? WIRE_CODEC_JSON;
+  }
+
+  /**
+   * Hand a frame to the peer's send queue, splitting it when it exceeds
+   * maxFrameBytes. Fragments use the peer's negotiated codec.
+   */
+  private transmit(
+    peerId: string,
+    data: string | ArrayBuffer | ArrayBufferView,
+    priority: SendPriority,
+  ): boolean {
+    const size = wireFrameByteLength(data, this.config.maxMessageBytes);
+    if (size > this.config.maxMessageBytes) {
+      throw new RangeError(`Frame of ${size} bytes exceeds maxMessageBytes (${this.config.maxMessageBytes})`);
+    }
+    const compress = this.compressesFor(peerId, size);
+    // Control frames drain first anyway, so one that is sent as-is need not
+    // wait for the compression ahead of it.
+    if (!compress && (priority === 'control' || !this.outboundChains.has(peerId))) {
+      return this.enqueueFragments(peerId, data, priority);
+    }
+    const queuedBytes = outboundFrameBytes(data);
+    const pending = this.outboundChainBytes.get(peerId) ?? 0;
+    if (!this.sendQueues.accepts(peerId, pending + queuedBytes, priority)) {
+      throw new Error(`Send queue for peer ${peerId} is full`);
+    }
+    this.chainOutbound(peerId, data, priority, compress, queuedBytes);
+    return !this.sendQueues.isCongested(peerId);
+  }
+
+  private enqueueFragments(peerId: string, data: string | ArrayBuffer | ArrayBufferView, priority: SendPriority): boolean {
+    const fragments = fragmentWireFrame(data, this.config.maxFrameBytes, this.getPeerWireCodec(peerId) === WIRE_CODEC_BINARY);
+    return this.sendQueues.enqueue(peerId, fragments ?? [data], priority);
+  }
+
+  private compressesFor(peerId: string, size: number): boolean {
+    return this.compressionThresholdBytes !== null
+      && size >= this.compressionThresholdBytes
+      && this.peerCompression.has(peerId);
+  }
+
+  /**
+   * Queue a frame behind the neighbour's pending compression work. The
+   * caller has already checked that the send queue has room; a channel that
+   * fails once the frame is ready is reported as `peer:error`.
+   */
+  private chainOutbound(
+    peerId: string,
+    data: string | ArrayBuffer | ArrayBufferView,
+    priority: SendPriority,
+    compress: boolean,
+    queuedBytes: number,
+  ): void {
+    const previous = this.outboundChains.get(peerId) ?? Promise.resolve();
+    this.outboundChainBytes.set(peerId, (this.outboundChainBytes.get(peerId) ?? 0) + queuedBytes);
+    const next: Promise<void> = previous
+      .then(async () => {
+        let frame = data;
+        if (compress) {
+          const compressed = await compressWireFrame(data);
+          if (compressed) {
+            this.compressionCounters.compressedFrames += 1;
+            this.compressionCounters.uncompressedBytes += compressed.originalBytes;
+            this.compressionCounters.compressedBytes += compressed.frame.length;
+            frame = compressed.frame;
+          } else {
+            this.compressionCounters.incompressibleFrames += 1;
+          }
+        }
+        if (this.outboundChains.has(peerId) && this.peers.get(peerId)?.connected) {
+          this.releaseChainBytes(peerId, queuedBytes);
+          this.enqueueFragments(peerId, frame, priority);
+        }
+      })
+      .catch((error) => {
+        this.emit('peer:error', { peerId, error });
+      })
+      .finally(() => {
+        if (this.outboundChains.get(peerId) === next) {
+          this.outboundChains.delete(peerId);
+          this.outboundChainBytes.delete(peerId);
+        }
+      });
+    this.outboundChains.set(peerId, next);
+  }
+
+  private releaseChainBytes(peerId: string, bytes: number): void {
+    const remaining = (this.outboundChainBytes.get(peerId) ?? 0) - bytes;
+    if (remaining > 0) this.outboundChainBytes.set(peerId, remaining);
+    else this.outboundChainBytes.delete(peerId);
+  }
+
+  private dropPeerCompression(peerId: string): void {
+    this.peerCompression.delete(peerId);
+    this.outboundChains.delete(peerId);
+    this.outboundChainBytes.delete(peerId);
+    this.inboundChains.delete(peerId);
+  }
+
+  private handleRtcData(peerId: string, raw: any, reassembled: boolean = false): void {
+    if (!reassembled) this.noteTraffic(peerId, raw, 'in');
+    if (
+      (this.compressionThresholdBytes !== null && isCompressedWireFrame(raw))
+      || this.inboundChains.has(peerId)
+    ) {
+      this.chainInbound(peerId, raw, reassembled);
+      return;
+    }
+    this.processRtcData(peerId, raw, reassembled);
+  }
+
+  /**
+   * Inflate compressed frames in arrival order. A whole compressed frame is
+   * charged to the neighbour's budget before any work is spent on it.
+   */
+  private chainInbound(peerId: string, raw: any, reassembled: boolean): void {
+    const compressed = this.compressionThresholdBytes !== null && isCompressedWireFrame(raw);
+    if (compressed && !reassembled && !this.admitInboundFrame(peerId, [], true)) return;
+    const previous = this.inboundChains.get(peerId) ?? Promise.resolve();
+    const next: Promise<void> = previous
+      .then(async () => {
+        const frame = compressed ? await decompressWireFrame(raw, this.config.maxMessageBytes) : raw;
+        if (compressed) {
+          if (frame === null) {
+            this.compressionCounters.failedFrames += 1;
+            return;
+          }
+          this.compressionCounters.decompressedFrames += 1;
+        }
+        // The chain is dropped with the neighbour and on destroy.
+        if (this.inboundChains.has(peerId)) this.processRtcData(peerId, frame, compressed || reassembled);
+      })
+      .catch(() => {
+        // a throwing event handler must not stall the neighbour's later frames
+      })
+      .finally(() => {
+        if (this.inboundChains.get(peerId) === next) this.inboundChains.delete(peerId);
+      });
+    this.inboundChains.set(peerId, next);
+  }
+
+  private processRtcData(peerId: string, raw: any, reassembled: boolean): void {
+    const binary = isBinaryWireFrame(raw);
+    const frame = binary ? decodeWireFrame(raw) : raw;
+    if (binary && frame === null) return;
+    const fragment = parseWireFragment(frame);
+    if (fragment) {
+      if (!this.admitInboundFrame(peerId, [], true)) return;
+      const normalizedPeerId = this.normalizePeerId(peerId);
+      const complete = normalizedPeerId ? this.reassembler.accept(normalizedPeerId, fragment) : null;
+      // A reassembled frame is processed exactly like one that arrived whole,
+      // except that its fragments already paid the per-neighbour budget.
+      if (complete !== null) this.handleRtcData(peerId, complete, true);
+      return;
+    }
+    if (this.rateLimiter) {
+      const frameTypes = inboundFrameTypes(frame, this.rateLimiter.hasTypeLimits);
+      if (!this.admitInboundFrame(peerId, frameTypes, !reassembled)) return;
+    }
+    if (this.handleWireHello(peerId, frame)) return;
+    const msg = this.tryParseMembership(frame);
+    if (msg) {
+      this.mergeMembership(msg.peers, msg.retiredPeers, msg.capacities, msg.topology, peerId, msg.records);
+    } else if (!this.routeFrame(peerId, frame)) {
+      // Binary envelopes surface already decoded; JSON text is passed through.
+      this.emit('peer:data', { peerId, data: frame });
+    }
+  }
+
+  /**
+   * Charge an inbound frame to the neighbour's budgets. Drops are reported
+   * once per throttling episode, and repeat offenders are disconnected.
+   */
+  private admitInboundFrame(peerId: string, frameTypes: string[], chargePeer: boolean): boolean {
+    const normalizedPeerId = this.normalizePeerId(peerId);
+    if (!this.rateLimiter || !normalizedPeerId) return true;
+    const decision = this.rateLimiter.accept(normalizedPeerId, frameTypes, chargePeer);
+    if (decision.accepted) return true;
+    if (decision.firstDrop || decision.offender) {
+      this.emit('peer:throttled', {
+        peerId: normalizedPeerId,
+        limit: decision.limit,
+        frameType: decision.frameType,
+        droppedFrames: this.rateLimiter.getStats().droppedByPeer[normalizedPeerId] ?? 0,
+        disconnected: decision.offender,
+      });
+    }
+    if (decision.offender) {
+      this.rateLimiter.dropPeer(normalizedPeerId);
+      this.disconnectFromPeer(normalizedPeerId, 'rate_limited');
+    }
+    return false;
+  }
+
+  /** Data channel traffic per neighbour plus dial and signaling outcomes. */
+  public getTransportStats(): MeshTransportStats {
+    const peers: Record<string, PeerTrafficStats> = {};
+    for (const [peerId, traffic] of this.peerTraffic) peers[peerId] = { ...traffic };
+    const { totals, dialSuccesses, dialFailures, signalingReconnects } = this.transportCounters;
+    return { peers, totals: { ...totals }, dialSuccesses, dialFailures, signalingReconnects };
+  }
+
+  private noteTraffic(rawPeerId: string, data: unknown, direction: 'in' | 'out'): void {
+    const peerId = this.normalizePeerId(rawPeerId);
+    if (!peerId) return;
+    const bytes = typeof data === 'string' || data instanceof ArrayBuffer || ArrayBuffer.isView(data)
+      ? wireFrameByteLength(data)
+      : 0;
+    let traffic = this.peerTraffic.get(peerId);
+    if (!traffic && this.peers.has(peerId)) {
+      traffic = { framesIn: 0, bytesIn: 0, framesOut: 0, bytesOut: 0 };
+      this.peerTraffic.set(peerId, traffic);
+    }
+    for (const counters of traffic ? [traffic, this.transportCounters.totals] : [this.transportCounters.totals]) {
+      if (direction === 'in') {
+        counters.framesIn += 1;
+        counters.bytesIn += bytes;
+      } else {
+        counters.framesOut += 1;
+        counters.bytesOut += bytes;
+      }
+    }
+  }
+
+  /** Deflate savings and failures, or null when compression is disabled. */
+  public getCompressionStats(): WireCompressionStats | null {
+    if (this.compressionThresholdBytes === null) return null;
+    const counters = this.compressionCounters;
+    return {
+      negotiatedPeers: this.peerCompression.size,
+      ...counters,
+      ratio: counters.uncompressedBytes > 0 ? counters.compressedBytes / counters.uncompressedBytes : 1,
+    };
+  }
+
+  /** Inbound frames dropped by the rate limiter, or null when it is disabled. */
+  public getRateLimitStats(): InboundRateLimitStats | null {
+    return this.rateLimiter?.getStats() ?? null;
+  }
+
+  private encodeFrameFor(peerId: string, frame: object): string | Uint8Array {
+    return this.peerWireCodecs.get(peerId) === WIRE_CODEC_BINARY
+      ? encodeWireFrame(frame)
+      : wireJsonStringify(frame);
+  }
+
+  private sendWireHello(peerId: string): void {
+    if (this.config.wireCodec !== 'auto' && this.compressionThresholdBytes === null) return;
+    const hello: WireHello = {
+      __ppWire: WIRE_HELLO_TYPE,
+      codecs: this.config.wireCodec === 'auto' ? [WIRE_CODEC_BINARY, WIRE_CODEC_JSON] : [WIRE_CODEC_JSON],
+    };
+    if (this.compressionThresholdBytes !== null) hello.compression = [WIRE_COMPRESSION_DEFLATE];
+    try {
+      // Always JSON: pre-codec peers ignore it as an unknown data frame.
+      const raw = JSON.stringify(hello);
+      this.signalingClient?.send(peerId, raw);
+      this.noteTraffic(peerId, raw, 'out');
+    } catch {
+      // best-effort; the peer stays on JSON
+    }
+  }
+
+  private handleWireHello(peerId: string, raw: unknown): boolean {
+    let value = raw;
+    if (typeof raw === 'string') {
+      if (!raw.startsWith('{"__ppWire"')) return false;
+      try {
+        value = JSON.parse(raw);
+      } catch {
+        return false;
+      }
+    }
+    if (!isWireHello(value)) return false;
+    const normalizedPeerId = this.normalizePeerId(peerId);
+    if (
+      normalizedPeerId
+      && this.config.wireCodec === 'auto'
+      && value.codecs.includes(WIRE_CODEC_BINARY)
+    ) {
+      this.peerWireCodecs.set(normalizedPeerId, WIRE_CODEC_BINARY);
+    }
+    if (
+      normalizedPeerId
+      && this.compressionThresholdBytes !== null
+      && Array.isArray(value.compression)
+      && value.compression.includes(WIRE_COMPRESSION_DEFLATE)
+    ) {
+      this.peerCompression.add(normalizedPeerId);
+    }
+    return true;
+  }
+
   /**
    * Broadcast data to all connected peers
    */
   public broadcast(data: string | ArrayBuffer | ArrayBufferView): void {
-    this.signalingClient?.broadcast(data);
+    const size = wireFrameByteLength(data, this.config.maxFrameBytes);
+    if (
+      !this.sendQueues.hasCongestedPeers()
+      && this.outboundChains.size === 0
+      && size <= this.config.maxFrameBytes
+      && (this.compressionThresholdBytes === null || this.peerCompression.size === 0 || size < this.compressionThresholdBytes)
+    ) {
+      this.signalingClient?.broadcast(data);
+      return;
+    }
+    for (const peerId of this.getConnectedPeers()) {
+      try {
+        this.transmit(peerId, data, 'app');
+      } catch {
+        // best-effort, like the unfragmented broadcast
+      }
+    }
   }
 
   /**
@@ -2137,7 +2737,11 @@ export class PartialMesh {
   public getCecrMembershipRecords(): CecrMembershipRecordSnapshot[] {
     this.pruneMembershipRecords();
     return Array.from(this.membershipRecordsById.values())
-      .map((record) => ({ ...record }))
+      .map((record) => ({
+        ...record,
+        ...(record.groups ? { groups: record.groups.slice() } : {}),
+        ...(record.services ? { services: this.copyServiceAdvertisement(record.services) } : {}),
+      }))
       .sort((left, right) => left.peerId.localeCompare(right.peerId));
   }
 
@@ -2146,6 +2750,173 @@ export class PartialMesh {
     return Array.from(this.membershipEquivocationAtById.keys()).sort();
   }
 
+  /**
+   * Join a multicast group. Membership travels in this peer's CECR record,
+   * so it shares that record's lease and ends with its tombstone.
+   */
+  public joinGroup(group: string): boolean {
+    if (typeof group !== 'string' || group.length === 0 || group.length > MAX_GROUP_NAME_LENGTH) {
+      throw new TypeError(`group must be a non-empty string of at most ${MAX_GROUP_NAME_LENGTH} characters`);
+    }
+    if (this.localGroups.has(group)) return false;
+    if (this.localGroups.size >= MAX_MEMBERSHIP_GROUPS) {
+      throw new RangeError(`Cannot join more than ${MAX_MEMBERSHIP_GROUPS} groups`);
+    }
+    this.localGroups.add(group);
+    this.announceLocalGroups();
+    return true;
+  }
+
+  public leaveGroup(group: string): boolean {
+    if (!this.localGroups.delete(group)) return false;
+    this.announceLocalGroups();
+    return true;
+  }
+
+  public getJoinedGroups(): string[] {
+    return Array.from(this.localGroups).sort();
+  }
+
+  /** Sorted live members of a group, including the local peer once it joined. */
+  public getGroupMembers(group: string): string[] {
+    return this.getGroupRosters()[group] ?? [];
+  }
+
+  /** Live members of every group that any known peer has joined. */
+  public getGroupRosters(): Record<string, string[]> {
+    this.pruneMembershipRecords(Date.now(), false);
+    const rosters = new Map<string, string[]>();
+    const addMember = (group: string, peerId: string): void => {
+      const members = rosters.get(group);
+      if (members) members.push(peerId);
+      else rosters.set(group, [peerId]);
+    };
+    const self = this.normalizePeerId(this.clientId);
+    if (self) {
+      for (const group of this.localGroups) addMember(group, self);
+    }
+    for (const peerId of this.globalPeers) {
+      for (const group of this.membershipRecordsById.get(peerId)?.groups ?? []) addMember(group, peerId);
+    }
+    const result: Record<string, string[]> = {};
+    for (const group of Array.from(rosters.keys()).sort()) result[group] = rosters.get(group)!.sort();
+    return result;
+  }
+
+  private announceLocalGroups(): void {
+    if (this.renewLocalMembership(true)) this.broadcastMembership();
+    this.noteGroupRosters();
+  }
+
+  private noteGroupRosters(): void {
+    const rosters = this.getGroupRosters();
+    const signature = JSON.stringify(rosters);
+    if (signature === this.groupRosterSignature) return;
+    this.groupRosterSignature = signature;
+    this.emit('mesh:groups', rosters);
+  }
+
+  /**
+   * Replace the services this peer offers. Like groups, the advertisement
+   * rides in this peer's CECR record, so it lapses with the record's lease
+   * and is withdrawn by its tombstone.
+   */
+  public advertise(services: ServiceAdvertisement): void {
+    const normalized = this.normalizeServiceAdvertisement(services, 'alive');
+    if (normalized === null) {
+      throw new TypeError(
+        `services must map at most ${MAX_MEMBERSHIP_SERVICES} names to objects of at most `
+        + `${MAX_SERVICE_CAPABILITIES} string, number or boolean capabilities`,
+      );
+    }
+    this.localServices = new Map(Object.entries(normalized ?? {}));
+    this.announceLocalServices();
+  }
+
+  /** Offer one service, keeping the others. Returns false when it was already offered as is. */
+  public advertiseService(service: string, capabilities: ServiceCapabilities = {}): boolean {
+    if (typeof service !== 'string' || service.length === 0 || service.length > MAX_GROUP_NAME_LENGTH) {
+      throw new TypeError(`service must be a non-empty string of at most ${MAX_GROUP_NAME_LENGTH} characters`);
+    }
+    const normalized = this.normalizeServiceAdvertisement({ [service]: capabilities }, 'alive');
+    if (!normalized) throw new TypeError(`capabilities must be at most ${MAX_SERVICE_CAPABILITIES} string, number or boolean values`);
+    const existing = this.localServices.get(service);
+    if (existing && JSON.stringify(existing) === JSON.stringify(normalized[service])) return false;
+    if (!existing && this.localServices.size >= MAX_MEMBERSHIP_SERVICES) {
+      throw new RangeError(`Cannot advertise more than ${MAX_MEMBERSHIP_SERVICES} services`);
+    }
+    this.localServices.set(service, normalized[service]);
+    this.announceLocalServices();
+    return true;
+  }
+
+  public withdrawService(service: string): boolean {
+    if (!this.localServices.delete(service)) return false;
+    this.announceLocalServices();
+    return true;
+  }
+
+  public getAdvertisedServices(): string[] {
+    return Array.from(this.localServices.keys()).sort();
+  }
+
+  public getAdvertisement(): ServiceAdvertisement {
+    return this.copyServiceAdvertisement(Object.fromEntries(this.localServices));
+  }
+
+  /** Sorted live remote peers whose membership record offers the service. */
+  public getServiceProviders(service: string): string[] {
+    return Object.entries(this.getServiceDirectory())
+      .filter(([, services]) => Object.prototype.hasOwnProperty.call(services, service))
+      .map(([peerId]) => peerId);
+  }
+
+  /** Services offered by each live remote peer that advertises any. */
+  public getServiceDirectory(): Record<string, ServiceAdvertisement> {
+    this.pruneMembershipRecords(Date.now(), false);
+    const directory: Record<string, ServiceAdvertisement> = {};
+    for (const peerId of Array.from(this.globalPeers).sort()) {
+      const services = this.membershipRecordsById.get(peerId)?.services;
+      if (services) directory[peerId] = this.copyServiceAdvertisement(services);
+    }
+    return directory;
+  }
+
+  /** Live remote peers offering a matching service, ordered by peer and service. */
+  public findPeers(query: ServiceQuery = {}): ServiceMatch[] {
+    const matches: ServiceMatch[] = [];
+    for (const [peerId, services] of Object.entries(this.getServiceDirectory())) {
+      for (const service of Object.keys(services).sort()) {
+        if (query.service !== undefined && service !== query.service) continue;
+        const capabilities = services[service];
+        if (query.version !== undefined && !this.versionMatches(capabilities.version, query.version)) continue;
+        matches.push({ peerId, service, capabilities });
+      }
+    }
+    return matches;
+  }
+
+  private versionMatches(version: unknown, wanted: string): boolean {
+    const value = String(version ?? '');
+    return value === wanted || value.startsWith(`${wanted}.`);
+  }
+
+  private announceLocalServices(): void {
+    if (this.renewLocalMembership(true)) this.broadcastMembership();
+  }
+
+  private noteServiceDirectory(): void {
+    const directory = this.getServiceDirectory();
+    const signature = JSON.stringify(directory);
+    if (signature === this.serviceDirectorySignature) return;
+    this.serviceDirectorySignature = signature;
+    this.emit('services:changed', directory);
+  }
+
+  private copyServiceAdvertisement(services: ServiceAdvertisement): ServiceAdvertisement {
+    return Object.fromEntries(Object.entries(services).map(([name, capabilities]) => [name, { ...capabilities }]));
+  }
+
   public getCecrMembershipConfig(): Readonly<{
     leaseMs: number;
     gossipIntervalMs: number;
@@ -2421,6 +3192,27 @@ export class PartialMesh {
     }
   }
 
+  /**
+   * Claim inbound frames whose `type` is `type`. They are parsed once and go
+   * to this handler alone instead of `peer:data`; one handler per type.
+   */
+  public onFrame(type: string, handler: FrameHandler): void {
+    this.frameRouter.on(type, handler);
+  }
+
+  public offFrame(type: string, handler: FrameHandler): void {
+    this.frameRouter.off(type, handler);
+  }
+
+  private routeFrame(peerId: string, frame: unknown): boolean {
+    try {
+      return this.frameRouter.dispatch(peerId, frame);
+    } catch (err) {
+      console.error('Error in frame handler:', err);
+      return true;
+    }
+  }
+
   /**
    * Emit an event
    */
@@ -2456,6 +3248,8 @@ export class PartialMesh {
         state: 'alive',
         issuedAt: now,
         validUntil: now + this.config.membershipLeaseMs,
+        ...(this.localGroups.size > 0 ? { groups: this.getJoinedGroups() } : {}),
+        ...(this.localServices.size > 0 ? { services: this.getAdvertisement() } : {}),
       });
       return true;
     }
@@ -2484,18 +3278,35 @@ export class PartialMesh {
       } else if (record.validUntil !== null) {
         return false;
       }
-      const normalized = { ...record, peerId };
+      const groups = this.normalizeMembershipNames(record.groups, record.state, MAX_MEMBERSHIP_GROUPS);
+      const services = this.normalizeServiceAdvertisement(record.services, record.state);
+      if (groups === null || services === null) return false;
+      const normalized: CecrMembershipRecord = { ...record, peerId };
+      if (groups) normalized.groups = groups;
+      else delete normalized.groups;
+      if (services) normalized.services = services;
+      else delete normalized.services;
       const existing = this.membershipRecordsById.get(peerId);
       if (
         existing && existing.incarnation === normalized.incarnation &&
         existing.sequence === normalized.sequence
       ) {
+        // Peers that predate groups or services relay records without them;
+        // only two different lists for one version are a conflict. Both are
+        // normalized, so their JSON is canonical.
+        const same = (left?: unknown, right?: unknown): boolean =>
+          !left || !right || JSON.stringify(left) === JSON.stringify(right);
         const identical = existing.state === normalized.state &&
-          existing.issuedAt === normalized.issuedAt && existing.validUntil === normalized.validUntil;
+          existing.issuedAt === normalized.issuedAt && existing.validUntil === normalized.validUntil &&
+          same(existing.groups, normalized.groups) && same(existing.services, normalized.services);
         if (!identical) {
           this.membershipEquivocationAtById.set(peerId, now);
           return true;
         }
+        if ((!existing.groups && normalized.groups) || (!existing.services && normalized.services)) {
+          this.membershipRecordsById.set(peerId, normalized);
+          return true;
+        }
         return false;
       }
       if (!this.isMembershipRecordNewer(normalized, existing)) return false;
@@ -2503,6 +3314,41 @@ export class PartialMesh {
       return true;
     }
 
+    /** Sorted, de-duplicated group names of an alive record; undefined for none, null when malformed. */
+    private normalizeMembershipNames(names: unknown, state: 'alive' | 'left', max: number): string[] | undefined | null {
+      if (names === undefined || state !== 'alive') return undefined;
+      if (!Array.isArray(names) || names.length > max) return null;
+      if (!names.every((name) => typeof name === 'string' && name.length > 0 && name.length <= MAX_GROUP_NAME_LENGTH)) {
+        return null;
+      }
+      return names.length > 0 ? Array.from(new Set(names as string[])).sort() : undefined;
+    }
+
+    /** Services of an alive record with names and capabilities in sorted order; undefined for none, null when malformed. */
+    private normalizeServiceAdvertisement(services: unknown, state: 'alive' | 'left'): ServiceAdvertisement | undefined | null {
+      if (services === undefined || state !== 'alive') return undefined;
+      if (!services || typeof services !== 'object' || Array.isArray(services)) return null;
+      const entries = Object.entries(services as Record<string, unknown>);
+      if (entries.length > MAX_MEMBERSHIP_SERVICES) return null;
+      const normalized: ServiceAdvertisement = {};
+      for (const [name, capabilities] of entries.sort(([left], [right]) => (left < right ? -1 : left > right ? 1 : 0))) {
+        if (name.length === 0 || name.length > MAX_GROUP_NAME_LENGTH) return null;
+        if (!capabilities || typeof capabilities !== 'object' || Array.isArray(capabilities)) return null;
+        const attributes = Object.entries(capabilities as Record<string, unknown>);
+        if (attributes.length > MAX_SERVICE_CAPABILITIES) return null;
+        const copy: ServiceCapabilities = {};
+        for (const [key, value] of attributes.sort(([left], [right]) => (left < right ? -1 : left > right ? 1 : 0))) {
+          if (key.length === 0 || key.length > MAX_CAPABILITY_KEY_LENGTH) return null;
+          if (typeof value === 'string' ? value.length > MAX_CAPABILITY_VALUE_LENGTH : typeof value === 'number' ? !Number.isFinite(value) : typeof value !== 'boolean') {
+            return null;
+          }
+          Object.defineProperty(copy, key, { value, enumerable: true, writable: true, configurable: true });
+        }
+        Object.defineProperty(normalized, name, { value: copy, enumerable: true, writable: true, configurable: true });
+      }
+      return entries.length > 0 ? normalized : undefined;
+    }
+
     private rebuildGlobalMembership(emitChanges: boolean = true): boolean {
       const now = Date.now();
       const next = new Set<string>();
@@ -2525,6 +3371,8 @@ export class PartialMesh {
         this.emit('mesh:membership', Array.from(this.globalPeers));
         this.emit('mesh:capacity', this.getPeerCapacities());
         this.emit('mesh:graph', this.getGraphSnapshot());
+        this.noteGroupRosters();
+        this.noteServiceDirectory();
       }
       return true;
     }
@@ -2555,13 +3403,17 @@ export class PartialMesh {
       for (const record of this.membershipRecordsById.values()) {
         if (record.state === 'alive' && (record.validUntil == null || record.validUntil <= now)) continue;
         if (record.state === 'left' && now - record.issuedAt > this.config.membershipTombstoneRetentionMs) continue;
-        records[record.peerId] = [
+        const wire: CecrWireMembershipRecord = [
           record.incarnation,
           record.sequence,
           record.state,
           record.issuedAt,
           record.validUntil,
         ];
+        // Older peers read the first five fields and ignore the group and service lists.
+        if (record.groups || record.services) wire[5] = record.groups ?? [];
+        if (record.services) wire[6] = record.services;
+        records[record.peerId] = wire;
       }
       return records;
     }
@@ -2587,7 +3439,7 @@ export class PartialMesh {
         capacities[self] = [this.config.maxPeers, this.getConnectedPeerCount(), this.localCapacityUpdatedAtMs];
         topology[self] = [this.getConnectedPeers().slice().sort(), this.localTopologyUpdatedAtMs];
       }
-      const payload = JSON.stringify({
+      const payload = this.encodeFrameFor(toPeerId, {
         __membership: true,
         peers: Array.from(all),
         retiredPeers: Array.from(this.retiredPeerIds),
@@ -2596,7 +3448,7 @@ export class PartialMesh {
         topology,
       });
       try {
-        this.signalingClient?.send(toPeerId, payload);
+        this.transmit(toPeerId, payload, 'control');
       } catch {
         // best-effort
       }
@@ -2662,6 +3514,8 @@ export class PartialMesh {
           state: rawRecord[2] === 'left' ? 'left' : 'alive',
           issuedAt: Math.floor(Number(rawRecord[3])),
           validUntil: rawRecord[4] === null ? null : Math.floor(Number(rawRecord[4])),
+          ...(rawRecord[5] !== undefined ? { groups: rawRecord[5] } : {}),
+          ...(rawRecord[6] !== undefined ? { services: rawRecord[6] } : {}),
         };
         if (this.mergeMembershipRecord(record, now)) membershipChanged = true;
       }
@@ -2738,6 +3592,10 @@ export class PartialMesh {
         this.emit('mesh:membership', Array.from(this.globalPeers));
         if (capacityChanged) this.emit('mesh:capacity', this.getPeerCapacities());
         if (membershipChanged || topologyChanged) this.emit('mesh:graph', this.getGraphSnapshot());
+        if (membershipChanged) {
+          this.noteGroupRosters();
+          this.noteServiceDirectory();
+        }
         this.broadcastMembership(fromPeerId);
         if (this.config.autoConnect) {
           this.maintainPeerConnections();
@@ -2774,11 +3632,28 @@ export class PartialMesh {
     this.connectionStartedAtMs.clear();
     this.orphanRtcFirstSeenAtMs.clear();
     this.peerConnectedAtMs.clear();
+    this.peerWireCodecs.clear();
+    this.peerCompression.clear();
+    this.peerTraffic.clear();
+    this.outboundChains.clear();
+    this.outboundChainBytes.clear();
+    this.inboundChains.clear();
+    this.reassembler.clear();
+    this.rateLimiter?.clear();
+    this.sendQueues.clear();
+    if (this.sendQueueTimer) {
+      clearTimeout(this.sendQueueTimer);
+      this.sendQueueTimer = null;
+    }
     this.rebalanceAttemptAtMs.clear();
     this.pendingRebalanceDropByTarget.clear();
     this.globalPeers.clear();
     this.membershipRecordsById.clear();
     this.membershipEquivocationAtById.clear();
+    this.localGroups.clear();
+    this.groupRosterSignature = '';
+    this.localServices.clear();
+    this.serviceDirectorySignature = '';
     this.peerCapacityById.clear();
     this.peerTopologyById.clear();
     this.selfAliases.clear();
@@ -2814,6 +3689,34 @@ export type PeerPigeonNodeOptions = PartialMeshConfig & {
   crypto?: false | (Omit<PeerPigeonCryptoOptions, 'roomId'> & { roomId?: string });
   /** Disabled by default. Pass options to attach encrypted synchronized storage. */
   storage?: false | PeerPigeonNodeStorageOptions;
+  /**
+   * Disabled by default. Signs every originated gossip and direct envelope
+   * with the crypto identity and drops inbound frames whose signature fails.
+   * With `requireSignatures`, unsigned or unverifiable frames are dropped too.
+   * Circuit opens are signed as well and always refused unless they verify.
+   */
+  signing?: false | { requireSignatures?: boolean };
+  /** Request/response calls over routed direct messages. */
+  rpc?: PeerPigeonRpcOptions;
+  /**
+   * Disabled by default. Holds broadcasts, direct messages and storage sync
+   * sent while no neighbour is connected, and reliable ones until their
+   * receipt arrives, in a durable store that is flushed on `ready`.
+   */
+  outbox?: false | PeerPigeonOutboxOptions;
+  /**
+   * Disabled by default. Keeps recent broadcasts per topic and serves them to
+   * neighbours calling `fetchHistory()`.
+   */
+  history?: false | PeerPigeonHistoryOptions;
+  /** Delivery to the nearest provider of a named service. */
+  anycast?: PeerPigeonAnycastOptions;
+  /** Flow control for byte streams opened with `openStream()`. */
+  streams?: PeerPigeonStreamsOptions;
+  /** Relayed circuits carrying streams to peers that are not neighbours. */
+  circuits?: PeerPigeonCircuitsOptions;
+  /** Chunking, windowing and timeouts for `sendFile()`. */
+  files?: PeerPigeonFilesOptions;
 };
 
 export type PeerPigeonNodeMessage = {
@@ -2824,6 +3727,16 @@ export type PeerPigeonNodeMessage = {
   fromPeerId: string | null;
   messageId: string;
   hops: number;
+  /** True when the origin signature matched the sender's announced key. */
+  verified: boolean;
+  /** Set for broadcasts published to a topic with `publish()`. */
+  topic?: string;
+  /** Set for broadcasts sent to a multicast group with `broadcastToGroup()`. */
+  group?: string;
+  /** A sequenced broadcast surfaced before all its predecessors arrived; see `gossip.ordering`. */
+  outOfOrder?: boolean;
+  /** Set for direct messages sent with `sendAnonymousDirect()`; `fromPeerId` is null. */
+  anonymous?: boolean;
   message: GossipMessage | DirectMessage;
 };
 
@@ -2833,14 +3746,29 @@ export type PeerPigeonNodeEvents = {
   peerDisconnected: (peerId: string) => void;
   graphChanged: (snapshot: PeerGraphSnapshot) => void;
   capacityChanged: (capacities: PeerCapacitySnapshot[]) => void;
+  groupsChanged: (rosters: Record<string, string[]>) => void;
+  /** The services advertised by live remote peers changed. */
+  servicesChanged: (directory: Record<string, ServiceAdvertisement>) => void;
+  peerThrottled: (event: PeerThrottledEvent) => void;
+  peerBackpressure: (event: PeerBackpressureEvent) => void;
   keyDiscovered: (key: PeerPublicKey) => void;
   message: (message: PeerPigeonNodeMessage) => void;
+  /** A payload sent with `sendAnycast()` to a service this node advertises. */
+  anycast: (message: AnycastMessage) => void;
+  /** A neighbour opened a stream with `openStream()`. */
+  incomingStream: (stream: PeerStream) => void;
+  /** A peer offered a file; answer with `acceptFile()` or `rejectFile()`. */
+  fileOffer: (offer: FileTransferInfo) => void;
+  fileProgress: (progress: FileTransferProgress) => void;
   deliveryProgress: (status: GossipDeliveryStatus) => void;
   deliveryComplete: (status: GossipDeliveryStatus) => void;
   deliveryTimeout: (status: GossipDeliveryStatus) => void;
+  directDelivered: (status: GossipDirectDeliveryStatus) => void;
+  directFailed: (status: GossipDirectDeliveryStatus) => void;
   aggregateProgress: (status: GossipAggregateDeliveryStatus) => void;
   aggregateSettled: (status: GossipAggregateDeliveryStatus) => void;
   cecrStateChanged: (state: CecrStateSnapshot) => void;
+  envelopeRejected: (rejection: GossipEnvelopeRejection) => void;
   error: (error: Error) => void;
 };
 
@@ -2853,16 +3781,52 @@ export class PeerPigeonNode {
   public readonly mesh: PartialMesh;
   public readonly gossip: GossipProtocol;
   public readonly crypto: PeerPigeonCryptoProtocol | null;
+  public readonly rpc: PeerPigeonRpc;
   public storage: PeerPigeonStorage | null = null;
+  public readonly outbox: PeerPigeonOutbox | null;
+  public readonly history: PeerPigeonHistory | null;
+  public readonly anycast: PeerPigeonAnycast;
+  public readonly streams: PeerPigeonStreams;
+  public readonly circuits: PeerPigeonCircuits;
+  public readonly files: PeerPigeonFiles;
+  /** Built-in collectors are registered; applications may add their own. */
+  public readonly metrics = new MetricsRegistry();
 
   private readonly storageOptions: false | PeerPigeonNodeStorageOptions;
   private readonly callbacks: Partial<Record<keyof PeerPigeonNodeEvents, Set<Function>>> = {};
   private started = false;
 
   constructor(options: PeerPigeonNodeOptions = {}) {
-    const { gossip = {}, crypto = {}, storage = false, ...meshOptions } = options;
+    const {
+      gossip = {},
+      crypto = {},
+      storage = false,
+      signing = false,
+      rpc = {},
+      outbox = false,
+      history = false,
+      anycast = {},
+      streams = {},
+      circuits = {},
+      files = {},
+      ...meshOptions
+    } = options;
+    if (signing && crypto === false) throw new Error('signing requires crypto to be enabled');
     this.mesh = new PartialMesh(meshOptions);
     this.gossip = new GossipProtocol(this.mesh, gossip);
+    this.rpc = new PeerPigeonRpc(this.mesh, this.gossip, rpc);
+    this.outbox = outbox === false
+      ? null
+      : new PeerPigeonOutbox(this.mesh, this.gossip, outbox, (error) => this.emitError(error));
+    this.history = history === false ? null : new PeerPigeonHistory(this.mesh, this.gossip, this.rpc, history);
+    this.anycast = new PeerPigeonAnycast(this.mesh, this.gossip, anycast, (message) => this.emit('anycast', message));
+    this.streams = new PeerPigeonStreams(this.mesh, streams, (stream) => this.emit('incomingStream', stream));
+    this.circuits = new PeerPigeonCircuits(this.mesh, this.gossip, circuits, (stream) => this.emit('incomingStream', stream));
+    this.files = new PeerPigeonFiles(this.mesh, this.gossip, files, {
+      offer: (offer) => this.emit('fileOffer', offer),
+      progress: (progress) => this.emit('fileProgress', progress),
+    });
+    this.metrics.register(() => this.collectNodeMetrics());
     this.storageOptions = storage;
 
     if (crypto === false) {
@@ -2874,6 +3838,12 @@ export class PeerPigeonNode {
         ...crypto,
         roomId: String(crypto.roomId ?? `${networkId}:${sessionId}`).trim(),
       });
+      // Installed before init so the first key announcement is already signed.
+      if (signing) {
+        const authenticator = this.crypto.createEnvelopeAuthenticator(signing);
+        this.gossip.setEnvelopeAuthenticator(authenticator);
+        this.circuits.setAuthenticator(authenticator);
+      }
     }
 
     this.bindComponentEvents();
@@ -2888,6 +3858,7 @@ export class PeerPigeonNode {
     this.started = true;
     try {
       if (this.crypto) await this.crypto.init();
+      if (this.outbox) await this.outbox.init();
       if (this.storageOptions !== false) {
         const userId = String(
           this.storageOptions.userId
@@ -2901,7 +3872,7 @@ export class PeerPigeonNode {
           userId,
           peerId: this.mesh.getClientId() ?? '',
           sessionId: storageOptions.sessionId ?? `${config.networkId}:${config.sessionId}`,
-          gossip: this.gossip,
+          gossip: this.outbox ? this.outboxGossip(this.outbox) : this.gossip,
         });
         await this.storage.init();
       }
@@ -2932,6 +3903,33 @@ export class PeerPigeonNode {
     return this.mesh.getPeerCapacities();
   }
 
+  getRateLimitStats(): InboundRateLimitStats | null {
+    return this.mesh.getRateLimitStats();
+  }
+
+  getSendQueueStats(): SendQueueStats {
+    return this.mesh.getSendQueueStats();
+  }
+
+  getCompressionStats(): WireCompressionStats | null {
+    return this.mesh.getCompressionStats();
+  }
+
+  getTransportStats(): MeshTransportStats {
+    return this.mesh.getTransportStats();
+  }
+
+  /** Scrape every registered collector, as JSON or as OpenMetrics text for Prometheus. */
+  getMetrics(format?: 'json'): MetricsSnapshot;
+  getMetrics(format: 'openmetrics'): string;
+  getMetrics(format: 'json' | 'openmetrics' = 'json'): MetricsSnapshot | string {
+    if (format !== 'json' && format !== 'openmetrics') {
+      throw new RangeError('Metrics format must be "json" or "openmetrics"');
+    }
+    const snapshot = this.metrics.collect();
+    return format === 'openmetrics' ? formatOpenMetrics(snapshot) : snapshot;
+  }
+
   getXorDistance(peerId: string, fromPeerId?: string): string | null {
     return this.mesh.getXorDistance(peerId, fromPeerId ?? this.mesh.getClientId());
   }
@@ -2954,7 +3952,9 @@ export class PeerPigeonNode {
   getActiveSignalingPeers(): string[] { return this.mesh.getActiveSignalingPeers(); }
   getGlobalPeers(): string[] { return this.mesh.getGlobalPeers(); }
 
+  /** With the outbox enabled, returns the outbox entry ID while no neighbour is connected. */
   broadcast(data: unknown, metadata: Record<string, unknown> = {}, options: GossipBroadcastOptions = {}): string {
+    if (this.outbox) return this.outbox.broadcast(data, metadata, options);
     return this.gossip.broadcast(data, metadata, options);
   }
 
@@ -2963,11 +3963,187 @@ export class PeerPigeonNode {
     metadata: Record<string, unknown> = {},
     options: Omit<GossipBroadcastOptions, 'trackDelivery'> = {}
   ): string {
+    if (this.outbox) return this.outbox.broadcast(data, metadata, { ...options, trackDelivery: true });
     return this.gossip.broadcastReliable(data, metadata, options);
   }
 
-  sendDirect(peerId: string, data: unknown): string | null {
-    return this.gossip.sendDirect(peerId, data);
+  publish(
+    topic: string,
+    data: unknown,
+    metadata: Record<string, unknown> = {},
+    options: Omit<GossipBroadcastOptions, 'trackDelivery'> = {}
+  ): string {
+    return this.gossip.publish(topic, data, metadata, options);
+  }
+
+  subscribe(topic: string): () => void {
+    return this.gossip.subscribe(topic);
+  }
+
+  unsubscribe(topic: string): boolean {
+    return this.gossip.unsubscribe(topic);
+  }
+
+  getSubscriptions(): string[] {
+    return this.gossip.getSubscriptions();
+  }
+
+  /** Join a multicast group; the membership spreads with this peer's CECR record. */
+  joinGroup(group: string): boolean {
+    return this.mesh.joinGroup(group);
+  }
+
+  leaveGroup(group: string): boolean {
+    return this.mesh.leaveGroup(group);
+  }
+
+  getJoinedGroups(): string[] {
+    return this.mesh.getJoinedGroups();
+  }
+
+  getGroupMembers(group: string): string[] {
+    return this.mesh.getGroupMembers(group);
+  }
+
+  /**
+   * Broadcast to the members of a multicast group. With `trackDelivery` the
+   * delivery audience is the group roster captured at send time.
+   */
+  broadcastToGroup(
+    group: string,
+    data: unknown,
+    metadata: Record<string, unknown> = {},
+    options: GossipBroadcastOptions = {}
+  ): string {
+    return this.gossip.broadcastToGroup(group, data, metadata, options);
+  }
+
+  /**
+   * Replace the services this node offers, each with application-defined
+   * capabilities. The advertisement spreads with this peer's CECR record.
+   */
+  advertise(services: ServiceAdvertisement): void {
+    this.mesh.advertise(services);
+  }
+
+  /** Offer one service, keeping the others. */
+  advertiseService(service: string, capabilities: ServiceCapabilities = {}): boolean {
+    return this.mesh.advertiseService(service, capabilities);
+  }
+
+  withdrawService(service: string): boolean {
+    return this.mesh.withdrawService(service);
+  }
+
+  getAdvertisedServices(): string[] {
+    return this.mesh.getAdvertisedServices();
+  }
+
+  /** Live remote peers offering a service, optionally at a version. */
+  findPeers(query: ServiceQuery = {}): ServiceMatch[] {
+    return this.mesh.findPeers(query);
+  }
+
+  getServiceDirectory(): Record<string, ServiceAdvertisement> {
+    return this.mesh.getServiceDirectory();
+  }
+
+  /** Reachable providers of a service, nearest first. */
+  getServiceProviders(service: string): string[] {
+    return this.anycast.rankProviders(service);
+  }
+
+  /**
+   * Send to the nearest reachable provider of `service`, failing over to the
+   * next nearest when it does not acknowledge or leaves the mesh.
+   */
+  sendAnycast(service: string, data: unknown, options: AnycastSendOptions = {}): Promise<AnycastResult> {
+    return this.anycast.send(service, data, options);
+  }
+
+  /**
+   * Open a flow-controlled byte stream, multiplexed over the data channel to
+   * a neighbour or carried over a relayed circuit to any other peer. The peer
+   * receives it as `incomingStream`.
+   */
+  openStream(peerId: string, options: PeerStreamOpenOptions = {}): PeerStream {
+    if (this.mesh.getConnectedPeers().includes(peerId)) return this.streams.open(peerId, options);
+    return this.circuits.open(peerId, options);
+  }
+
+  /**
+   * Offer a file and send it once the peer accepts. Resolves after the peer
+   * verified its SHA-256; interrupted transfers resume from the last ack.
+   */
+  sendFile(peerId: string, file: Blob | ArrayBuffer | ArrayBufferView, options: FileSendOptions = {}): Promise<FileTransferInfo> {
+    return this.files.send(peerId, file, options);
+  }
+
+  acceptFile(transferId: string): Promise<ReceivedFile> {
+    return this.files.accept(transferId);
+  }
+
+  rejectFile(transferId: string, reason?: string): boolean {
+    return this.files.reject(transferId, reason);
+  }
+
+  cancelFileTransfer(transferId: string): boolean {
+    return this.files.cancel(transferId);
+  }
+
+  sendDirect(peerId: string, data: unknown, options: GossipDirectOptions = {}): string | null {
+    if (this.outbox) return this.outbox.sendDirect(peerId, data, options);
+    return this.gossip.sendDirect(peerId, data, options);
+  }
+
+  sendDirectReliable(
+    peerId: string,
+    data: unknown,
+    options: Omit<GossipDirectOptions, 'reliable'> = {}
+  ): string | null {
+    if (this.outbox) return this.outbox.sendDirect(peerId, data, { ...options, reliable: true });
+    return this.gossip.sendDirectReliable(peerId, data, options);
+  }
+
+  getOutboxStatus(): OutboxStatus | null {
+    return this.outbox?.getStatus() ?? null;
+  }
+
+  /**
+   * Catch up on broadcasts sent before this peer joined. Neighbours with
+   * history enabled answer from what they retained; results are deduplicated
+   * and ordered oldest first.
+   */
+  async fetchHistory(options: HistoryFetchOptions = {}): Promise<HistoryMessage[]> {
+    if (!this.history) throw new Error('History is disabled for this node');
+    return await this.history.fetchHistory(options);
+  }
+
+  getDirectDeliveryStatus(messageId: string): GossipDirectDeliveryStatus | null {
+    return this.gossip.getDirectDeliveryStatus(messageId);
+  }
+
+  /** Per-hop spans of a message this node originated; needs `gossip.tracing`. */
+  getTrace(messageId: string): MessageTrace | null {
+    return this.gossip.getTrace(messageId);
+  }
+
+  /** Collected traces in OpenTelemetry's OTLP/JSON format, ready to POST to a collector's `/v1/traces`. */
+  exportTraces(messageIds?: string[]): OtlpTraceExport {
+    return this.gossip.exportTraces(messageIds);
+  }
+
+  /** Serve `method` to remote `request()` callers. Returns an unregister function. */
+  register(method: string, handler: RpcHandler): () => void {
+    return this.rpc.register(method, handler);
+  }
+
+  unregister(method: string): boolean {
+    return this.rpc.unregister(method);
+  }
+
+  request<T = unknown>(peerId: string, method: string, params?: unknown, options: RpcRequestOptions = {}): Promise<T> {
+    return this.rpc.request<T>(peerId, method, params, options);
   }
 
   getDeliveryStatus(messageId: string): GossipDeliveryStatus | null {
@@ -3000,6 +4176,12 @@ export class PeerPigeonNode {
     return await this.crypto.sendEncryptedDirect(peerId, plaintext, timeoutMs);
   }
 
+  /** Onion-route an encrypted direct message so no hop learns both ends. */
+  async sendAnonymousDirect(peerId: string, plaintext: string, options?: OnionDirectOptions): Promise<string> {
+    if (!this.crypto) throw new Error('Crypto is disabled for this node');
+    return await this.crypto.sendAnonymousDirect(peerId, plaintext, options);
+  }
+
   getKeyPair(): Readonly<PeerPigeonKeyPair> {
     if (!this.crypto) throw new Error('Crypto is disabled for this node');
     return this.crypto.getKeyPair();
@@ -3042,6 +4224,13 @@ export class PeerPigeonNode {
   async destroy(): Promise<void> {
     if (this.storage) await this.storage.close();
     this.storage = null;
+    this.history?.destroy();
+    this.anycast.destroy();
+    this.streams.destroy();
+    this.circuits.destroy();
+    this.files.destroy();
+    this.rpc.destroy();
+    await this.outbox?.destroy();
     this.crypto?.destroy();
     this.gossip.destroy();
     this.mesh.destroy();
@@ -3049,17 +4238,121 @@ export class PeerPigeonNode {
     for (const callbacks of Object.values(this.callbacks)) callbacks?.clear();
   }
 
+  private collectNodeMetrics(): MetricFamily[] {
+    const transport = this.mesh.getTransportStats();
+    const gossip = this.gossip.getStats();
+    const one = (value: number, labels: Record<string, string> = {}): MetricSample => ({ labels, value });
+    const perPeer = (unit: 'frames' | 'bytes'): MetricSample[] => Object.entries(transport.peers).flatMap(([peer, traffic]) => [
+      one(unit === 'frames' ? traffic.framesIn : traffic.bytesIn, { peer, direction: 'in' }),
+      one(unit === 'frames' ? traffic.framesOut : traffic.bytesOut, { peer, direction: 'out' }),
+    ]);
+    const families: MetricFamily[] = [
+      {
+        name: 'peerpigeon_peer_frames',
+        type: 'counter',
+        help: 'Data channel frames exchanged with a connected neighbour.',
+        samples: perPeer('frames'),
+      },
+      {
+        name: 'peerpigeon_peer_bytes',
+        type: 'counter',
+        help: 'Data channel bytes exchanged with a connected neighbour.',
+        samples: perPeer('bytes'),
+      },
+      {
+        name: 'peerpigeon_frames',
+        type: 'counter',
+        help: 'Data channel frames exchanged with all neighbours, departed ones included.',
+        samples: [one(transport.totals.framesIn, { direction: 'in' }), one(transport.totals.framesOut, { direction: 'out' })],
+      },
+      {
+        name: 'peerpigeon_bytes',
+        type: 'counter',
+        help: 'Data channel bytes exchanged with all neighbours, departed ones included.',
+        samples: [one(transport.totals.bytesIn, { direction: 'in' }), one(transport.totals.bytesOut, { direction: 'out' })],
+      },
+      {
+        name: 'peerpigeon_duplicate_frames',
+        type: 'counter',
+        help: 'Broadcast payload frames dropped as duplicates.',
+        samples: [one(gossip.duplicateGossipFrames)],
+      },
+      {
+        name: 'peerpigeon_repairs',
+        type: 'counter',
+        help: 'Broadcast payloads re-sent to peers that missed them.',
+        samples: [
+          one(gossip.antiEntropyRepairs, { kind: 'anti-entropy' }),
+          one(gossip.deliveryRepairs, { kind: 'delivery' }),
+        ],
+      },
+      {
+        name: 'peerpigeon_dials',
+        type: 'counter',
+        help: 'Neighbour connections by outcome.',
+        samples: [one(transport.dialSuccesses, { result: 'success' }), one(transport.dialFailures, { result: 'failure' })],
+      },
+      {
+        name: 'peerpigeon_signaling_reconnects',
+        type: 'counter',
+        help: 'Signaling connections after the first one.',
+        samples: [one(transport.signalingReconnects)],
+      },
+      {
+        name: 'peerpigeon_rejected_envelopes',
+        type: 'counter',
+        help: 'Gossip and direct envelopes that failed validation.',
+        samples: [one(gossip.rejectedEnvelopes)],
+      },
+      {
+        name: 'peerpigeon_connected_peers',
+        type: 'gauge',
+        help: 'Neighbours with an open data channel.',
+        samples: [one(gossip.connectedPeers)],
+      },
+      {
+        name: 'peerpigeon_global_peers',
+        type: 'gauge',
+        help: 'Live peers in the converged CECR membership.',
+        samples: [one(this.mesh.getGlobalPeers().length)],
+      },
+    ];
+    if (this.storage) {
+      const mutations = this.storage.getMutationStats();
+      families.push({
+        name: 'peerpigeon_storage_mutations',
+        type: 'counter',
+        help: 'Storage mutations from other peers by outcome.',
+        samples: [one(mutations.applied, { result: 'applied' }), one(mutations.rejected, { result: 'rejected' })],
+      });
+    }
+    return families;
+  }
+
+  /** Storage sync frames go through the outbox so offline writes reach peers later. */
+  private outboxGossip(outbox: PeerPigeonOutbox): NonNullable<StorageOptions['gossip']> {
+    return {
+      broadcast: (data, metadata) => outbox.broadcast(data, metadata),
+      on: (event, callback) => this.gossip.on(event, callback),
+      off: (event, callback) => this.gossip.off(event, callback),
+    };
+  }
+
   private bindComponentEvents(): void {
     this.mesh.on('mesh:ready', () => this.emit('ready', undefined));
     this.mesh.on('peer:connected', (peerId) => this.emit('peerConnected', peerId));
     this.mesh.on('peer:disconnected', (peerId) => this.emit('peerDisconnected', peerId));
     this.mesh.on('mesh:graph', (snapshot) => this.emit('graphChanged', snapshot));
     this.mesh.on('mesh:capacity', (capacities) => this.emit('capacityChanged', capacities));
+    this.mesh.on('mesh:groups', (rosters) => this.emit('groupsChanged', rosters));
+    this.mesh.on('services:changed', (directory) => this.emit('servicesChanged', directory));
+    this.mesh.on('peer:throttled', (event) => this.emit('peerThrottled', event));
+    this.mesh.on('peer:backpressure', (event) => this.emit('peerBackpressure', event));
     this.mesh.on('signaling:connected', ({ clientId }) => this.storage?.setPeerId(clientId));
     this.mesh.on('signaling:error', (error) => this.emitError(error));
     this.mesh.on('peer:error', ({ error }) => this.emitError(error));
 
-    this.gossip.on('messageReceived', ({ message, local, fromPeer }) => {
+    this.gossip.on('messageReceived', ({ message, local, fromPeer, verified, outOfOrder }) => {
       if (this.isReservedPayload(message.data)) return;
       this.emit('message', {
         kind: 'broadcast',
@@ -3069,10 +4362,14 @@ export class PeerPigeonNode {
         fromPeerId: fromPeer ?? message.sender,
         messageId: message.id,
         hops: message.hops,
+        verified,
+        ...(message.topic ? { topic: message.topic } : {}),
+        ...(message.group ? { group: message.group } : {}),
+        ...(outOfOrder ? { outOfOrder } : {}),
         message,
       });
     });
-    this.gossip.on('directMessageReceived', ({ message }) => {
+    this.gossip.on('directMessageReceived', ({ message, verified }) => {
       if (this.isReservedPayload(message.data)) return;
       this.emit('message', {
         kind: 'direct',
@@ -3082,18 +4379,22 @@ export class PeerPigeonNode {
         fromPeerId: message.from,
         messageId: message.id,
         hops: message.hops,
+        verified,
         message,
       });
     });
     this.gossip.on('deliveryProgress', (status) => this.emit('deliveryProgress', status));
     this.gossip.on('deliveryComplete', (status) => this.emit('deliveryComplete', status));
     this.gossip.on('deliveryTimeout', (status) => this.emit('deliveryTimeout', status));
+    this.gossip.on('directDelivered', (status) => this.emit('directDelivered', status));
+    this.gossip.on('directFailed', (status) => this.emit('directFailed', status));
     this.gossip.on('aggregateProgress', (status) => this.emit('aggregateProgress', status));
     this.gossip.on('aggregateSettled', (status) => this.emit('aggregateSettled', status));
     this.gossip.on('cecrStateChanged', (state) => this.emit('cecrStateChanged', state));
+    this.gossip.on('envelopeRejected', (rejection) => this.emit('envelopeRejected', rejection));
 
     this.crypto?.on('keyDiscovered', (key) => this.emit('keyDiscovered', key));
-    this.crypto?.on('encryptedBroadcastReceived', ({ plaintext, message, local, fromPeer }) => {
+    this.crypto?.on('encryptedBroadcastReceived', ({ plaintext, message, local, fromPeer, verified }) => {
       this.emit('message', {
         kind: 'broadcast',
         data: plaintext,
@@ -3102,10 +4403,11 @@ export class PeerPigeonNode {
         fromPeerId: fromPeer ?? message.sender,
         messageId: message.id,
         hops: message.hops,
+        verified,
         message,
       });
     });
-    this.crypto?.on('encryptedDirectReceived', ({ plaintext, message }) => {
+    this.crypto?.on('encryptedDirectReceived', ({ plaintext, message, verified }) => {
       this.emit('message', {
         kind: 'direct',
         data: plaintext,
@@ -3114,6 +4416,21 @@ export class PeerPigeonNode {
         fromPeerId: message.from,
         messageId: message.id,
         hops: message.hops,
+        verified,
+        message,
+      });
+    });
+    this.crypto?.on('anonymousDirectReceived', ({ plaintext, message }) => {
+      this.emit('message', {
+        kind: 'direct',
+        data: plaintext,
+        encrypted: true,
+        local: false,
+        fromPeerId: null,
+        messageId: message.id,
+        hops: message.hops,
+        verified: false,
+        anonymous: true,
         message,
       });
     });
@@ -3122,9 +4439,12 @@ export class PeerPigeonNode {
 
   private isReservedPayload(data: unknown): boolean {
     if (PeerPigeonCryptoProtocol.isProtocolPayload(data)) return true;
+    if (PeerPigeonRpc.isProtocolPayload(data)) return true;
+    if (PeerPigeonAnycast.isProtocolPayload(data)) return true;
+    if (PeerPigeonFiles.isProtocolPayload(data)) return true;
     if (!data || typeof data !== 'object') return false;
     const type = (data as { __ppType?: unknown }).__ppType;
-    return typeof type === 'string' && type.startsWith('pp-storage-');
+    return typeof type === 'string' && (type.startsWith('pp-storage-') || type === TRACE_REPORT_TYPE);
   }
 
   private emitError(error: unknown): void {
@@ -3151,10 +4471,42 @@ export type {
   GossipBroadcastOptions,
   GossipAggregateDeliveryStatus,
   GossipDeliveryStatus,
+  GossipDirectDeliveryStatus,
+  GossipDirectOptions,
+  GossipEnvelopeAuthenticator,
+  GossipEnvelopeRejection,
   GossipMessage,
+  GossipOrderEnvelope,
+  GossipOrderReference,
   GossipProtocolOptions,
   GossipStats,
 } from './gossip.js';
+export {
+  WIRE_CODEC_BINARY,
+  WIRE_CODEC_JSON,
+  decodeWireFrame,
+  encodeWireFrame,
+  wireJsonParse,
+  wireJsonStringify,
+} from './wire-codec.js';
+export type { WireCodec } from './wire-codec.js';
+export type {
+  InboundRateLimitOptions,
+  InboundRateLimitStats,
+  TokenBucketLimit,
+} from './rate-limit.js';
+export type { SendPriority, SendQueueOptions, SendQueueStats } from './send-queue.js';
+export type { WireCompressionOptions, WireCompressionStats } from './compression.js';
+export { MetricsRegistry, OPENMETRICS_CONTENT_TYPE, formatOpenMetrics } from './metrics.js';
+export type {
+  MeshTransportStats,
+  MetricFamily,
+  MetricSample,
+  MetricType,
+  MetricsCollector,
+  MetricsSnapshot,
+  PeerTrafficStats,
+} from './metrics.js';
 export { PeerPigeonStorage };
 export type {
   StorageSpace,
@@ -3166,12 +4518,56 @@ export type {
   StorageSyncFilterContext,
   StorageChangeOrigin,
   StorageUnsubscribe,
+  StorageMutationStats,
   StorageEvents,
 } from './storage.js';
+export { PeerPigeonRpc, RpcError } from './rpc.js';
+export { PeerPigeonOutbox, MemoryOutboxStore } from './outbox.js';
+export type { OutboxEntry, OutboxStatus, OutboxStore, PeerPigeonOutboxOptions } from './outbox.js';
+export { PeerPigeonHistory, HISTORY_FETCH_METHOD } from './history.js';
+export { GossipTracer, TRACE_REPORT_TYPE } from './tracing.js';
+export { RotatingBloomFilter } from './dedup-filter.js';
+export type { DedupFilterStats, DedupOptions } from './dedup-filter.js';
+export { PeerPigeonAnycast, ANYCAST_TYPE } from './anycast.js';
+export type { AnycastMessage, AnycastResult, AnycastSendOptions, PeerPigeonAnycastOptions } from './anycast.js';
+export { FrameRouter } from './frame-router.js';
+export type { FrameHandler } from './frame-router.js';
+export { PeerPigeonStreams, STREAM_FRAME_TYPE } from './streams.js';
+export type { PeerPigeonStreamsOptions, PeerStream, PeerStreamOpenOptions } from './streams.js';
+export { PeerPigeonCircuits, CIRCUIT_FRAME_TYPE } from './circuits.js';
+export type { CircuitStats, PeerPigeonCircuitsOptions } from './circuits.js';
+export { PeerPigeonFiles, FileTransferError, FILE_TRANSFER_TYPE } from './files.js';
+export type {
+  FileSendOptions,
+  FileTransferErrorCode,
+  FileTransferInfo,
+  FileTransferProgress,
+  PeerPigeonFilesOptions,
+  ReceivedFile,
+} from './files.js';
+export type {
+  MessageTrace,
+  OtlpAttribute,
+  OtlpTraceExport,
+  TraceContext,
+  TraceSpan,
+  TraceSpanName,
+  TracingOptions,
+} from './tracing.js';
+export type { HistoryFetchOptions, HistoryMessage, PeerPigeonHistoryOptions } from './history.js';
+export type {
+  PeerPigeonRpcOptions,
+  RpcErrorCode,
+  RpcHandler,
+  RpcHandlerContext,
+  RpcRequestOptions,
+} from './rpc.js';
 export { PeerPigeonCryptoProtocol };
 export type {
   EncryptedBroadcastPayload,
   EncryptedDirectPayload,
+  OnionDirectOptions,
+  OnionDirectPayload,
   PeerPigeonCryptoEvents,
   PeerPigeonCryptoOptions,
   PeerPigeonKeyPair,
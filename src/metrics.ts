@@ -0,0 +1,121 @@
+export const OPENMETRICS_CONTENT_TYPE = 'application/openmetrics-text; version=1.0.0; charset=utf-8';
+
+const METRIC_NAME = /^[a-zA-Z_:][a-zA-Z0-9_:]*$/;
+const LABEL_NAME = /^[a-zA-Z_][a-zA-Z0-9_]*$/;
+
+export type MetricType = 'counter' | 'gauge';
+
+export type MetricSample = {
+  labels: Record<string, string>;
+  value: number;
+};
+
+/** One metric and its labelled samples. Counter names omit the `_total` suffix. */
+export type MetricFamily = {
+  name: string;
+  type: MetricType;
+  help: string;
+  samples: MetricSample[];
+};
+
+export type MetricsSnapshot = {
+  collectedAt: number;
+  metrics: MetricFamily[];
+};
+
+/** Called on every scrape; returns the families it currently knows. */
+export type MetricsCollector = () => MetricFamily[];
+
+/** Frames and bytes handed to or received from one neighbour's data channel. */
+export type PeerTrafficStats = {
+  framesIn: number;
+  bytesIn: number;
+  framesOut: number;
+  bytesOut: number;
+};
+
+export type MeshTransportStats = {
+  /** Connected neighbours; a neighbour's counters go when it disconnects. */
+  peers: Record<string, PeerTrafficStats>;
+  /** All traffic since the mesh started, departed neighbours included. */
+  totals: PeerTrafficStats;
+  /** Data channels that opened. */
+  dialSuccesses: number;
+  /** Negotiations that failed and connections that dropped before becoming stable. */
+  dialFailures: number;
+  /** Signaling connections after the first one. */
+  signalingReconnects: number;
+};
+
+/**
+ * Pull-based metrics: collectors read the components' own counters when
+ * scraped, so nothing is recorded twice and no timers run.
+ */
+export class MetricsRegistry {
+  private readonly collectors = new Set<MetricsCollector>();
+
+  /** Add a collector. Returns a function that removes it. */
+  register(collector: MetricsCollector): () => void {
+    if (typeof collector !== 'function') throw new TypeError('Metrics collector must be a function');
+    this.collectors.add(collector);
+    return () => {
+      this.collectors.delete(collector);
+    };
+  }
+
+  /** Families with the same name from several collectors are merged. */
+  collect(): MetricsSnapshot {
+    const families = new Map<string, MetricFamily>();
+    for (const collector of this.collectors) {
+      for (const family of collector()) {
+        if (!METRIC_NAME.test(family.name)) throw new TypeError(`Invalid metric name ${family.name}`);
+        const existing = families.get(family.name);
+        if (existing && existing.type !== family.type) {
+          throw new Error(`Metric ${family.name} is registered as both ${existing.type} and ${family.type}`);
+        }
+        if (existing) existing.samples.push(...family.samples);
+        else families.set(family.name, { ...family, samples: [...family.samples] });
+      }
+    }
+    return {
+      collectedAt: Date.now(),
+      metrics: Array.from(families.values()).sort((left, right) => left.name.localeCompare(right.name)),
+    };
+  }
+
+  toOpenMetrics(): string {
+    return formatOpenMetrics(this.collect());
+  }
+}
+
+/** Render a snapshot in the OpenMetrics text format, which Prometheus scrapes. */
+export function formatOpenMetrics(snapshot: MetricsSnapshot): string {
+  const lines: string[] = [];
+  for (const family of snapshot.metrics) {
+    lines.push(`# TYPE ${family.name} ${family.type}`);
+    if (family.help) lines.push(`# HELP ${family.name} ${escapeText(family.help)}`);
+    const sampleName = family.type === 'counter' ? `${family.name}_total` : family.name;
+    for (const sample of family.samples) {
+      const labels = Object.entries(sample.labels)
+        .map(([name, value]) => {
+          if (!LABEL_NAME.test(name)) throw new TypeError(`Invalid label name ${name} on ${family.name}`);
+          return `${name}="${escapeText(value)}"`;
+        })
+        .join(',');
+      lines.push(`${sampleName}${labels ? `{${labels}}` : ''} ${formatValue(sample.value)}`);
+    }
+  }
+  lines.push('# EOF');
+  return `${lines.join('\n')}\n`;
+}
+
+function escapeText(value: string): string {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatValue(value: number): string {
+  if (Number.isNaN(value)) return 'NaN';
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
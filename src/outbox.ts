@@ -0,0 +1,408 @@
+import type {
+  GossipBroadcastOptions,
+  GossipDeliveryStatus,
+  GossipDirectDeliveryStatus,
+  GossipDirectOptions,
+} from './gossip.js';
+
+/**
+ * One message waiting in the outbox. Entries are plain data so that a store
+ * can persist them as-is; relative lifetimes are resolved to `expiresAt`
+ * when the entry is created, so a reload does not extend them.
+ */
+export type OutboxEntry = {
+  id: string;
+  kind: 'broadcast' | 'direct';
+  data: unknown;
+  metadata?: Record<string, unknown>;
+  /** Direct target. */
+  peerId?: string;
+  options: GossipBroadcastOptions | GossipDirectOptions;
+  createdAt: number;
+  /** `queued` waits for a connected mesh; `awaiting-ack` was sent and waits for its receipt. */
+  state: 'queued' | 'awaiting-ack';
+  /** Message ID of the latest send attempt. */
+  messageId: string | null;
+  attempts: number;
+};
+
+/**
+ * Durable backing for the outbox. Browsers default to IndexedDB; Node hosts
+ * pass their own, for example one backed by a file or a database.
+ */
+export interface OutboxStore {
+  load(): Promise<OutboxEntry[]>;
+  put(entry: OutboxEntry): Promise<void>;
+  delete(id: string): Promise<void>;
+  close?(): void | Promise<void>;
+}
+
+export type PeerPigeonOutboxOptions = {
+  /** Defaults to IndexedDB where available, else memory that does not survive a reload. */
+  store?: OutboxStore;
+  /** IndexedDB name for the default store. Default `peerpigeon-outbox-v1`. */
+  dbName?: string;
+  /** Entries held before new sends are refused. Default 1000. */
+  maxEntries?: number;
+  /** Sends of one reliable entry before it is dropped. Default 5. */
+  maxAttempts?: number;
+};
+
+export type OutboxStatus = {
+  /** Whether entries survive a reload. */
+  persistent: boolean;
+  queued: number;
+  awaitingAck: number;
+  /** Entries dropped because they expired or ran out of attempts. */
+  dropped: number;
+  lastFlushAt: number | null;
+  entries: Array<Pick<OutboxEntry, 'id' | 'kind' | 'peerId' | 'state' | 'messageId' | 'attempts' | 'createdAt'>>;
+};
+
+interface OutboxMeshLike {
+  getConnectedPeers(): string[];
+  on(event: 'mesh:ready', handler: () => void): void;
+}
+
+interface OutboxGossipLike {
+  broadcast(data: unknown, metadata?: Record<string, unknown>, options?: GossipBroadcastOptions): string;
+  sendDirect(peerId: string, data: unknown, options?: GossipDirectOptions): string | null;
+  on(event: 'deliveryComplete' | 'deliveryTimeout', callback: (status: GossipDeliveryStatus) => void): void;
+  on(event: 'directDelivered' | 'directFailed', callback: (status: GossipDirectDeliveryStatus) => void): void;
+  off(event: 'deliveryComplete' | 'deliveryTimeout', callback: (status: GossipDeliveryStatus) => void): void;
+  off(event: 'directDelivered' | 'directFailed', callback: (status: GossipDirectDeliveryStatus) => void): void;
+}
+
+export class MemoryOutboxStore implements OutboxStore {
+  private readonly entries = new Map<string, OutboxEntry>();
+
+  async load(): Promise<OutboxEntry[]> {
+    return Array.from(this.entries.values(), (entry) => ({ ...entry }));
+  }
+
+  async put(entry: OutboxEntry): Promise<void> {
+    this.entries.set(entry.id, { ...entry });
+  }
+
+  async delete(id: string): Promise<void> {
+    this.entries.delete(id);
+  }
+}
+
+class IndexedDbOutboxStore implements OutboxStore {
+  private static readonly storeName = 'entries';
+
+  private constructor(private readonly db: IDBDatabase) {}
+
+  static async open(dbName: string): Promise<IndexedDbOutboxStore> {
+    const db = await new Promise<IDBDatabase>((resolve, reject) => {
+      const req = indexedDB.open(dbName, 1);
+      req.onupgradeneeded = () => {
+        if (!req.result.objectStoreNames.contains(IndexedDbOutboxStore.storeName)) {
+          req.result.createObjectStore(IndexedDbOutboxStore.storeName, { keyPath: 'id' });
+        }
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error ?? new Error('Failed to open IndexedDB'));
+    });
+    return new IndexedDbOutboxStore(db);
+  }
+
+  load(): Promise<OutboxEntry[]> {
+    return new Promise((resolve, reject) => {
+      const req = this.db.transaction(IndexedDbOutboxStore.storeName, 'readonly')
+        .objectStore(IndexedDbOutboxStore.storeName)
+        .getAll();
+      req.onsuccess = () => resolve(req.result as OutboxEntry[]);
+      req.onerror = () => reject(req.error ?? new Error('IndexedDB read failed'));
+    });
+  }
+
+  put(entry: OutboxEntry): Promise<void> {
+    return this.write((store) => store.put(entry));
+  }
+
+  delete(id: string): Promise<void> {
+    return this.write((store) => store.delete(id));
+  }
+
+  close(): void {
+    this.db.close();
+  }
+
+  private write(factory: (store: IDBObjectStore) => IDBRequest<any>): Promise<void> {
+    return new Promise((resolve, reject) => {
+      const tx = this.db.transaction(IndexedDbOutboxStore.storeName, 'readwrite');
+      const req = factory(tx.objectStore(IndexedDbOutboxStore.storeName));
+      req.onerror = () => reject(req.error ?? new Error('IndexedDB write failed'));
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error ?? new Error('IndexedDB transaction failed'));
+      tx.onabort = () => reject(tx.error ?? new Error('IndexedDB transaction aborted'));
+    });
+  }
+}
+
+/**
+ * Holds broadcasts and direct messages sent while no neighbour is connected,
+ * and reliable ones until their receipt arrives, in a durable store. Queued
+ * entries are sent in order when `mesh:ready` fires, including after a
+ * reload. An entry that times out, or is still unacknowledged at reload, is
+ * sent again as a new message with a new ID; every attempt carries the entry
+ * ID as its `dedupeKey`, so receivers surface the entry once.
+ */
+export class PeerPigeonOutbox {
+  private readonly mesh: OutboxMeshLike;
+  private readonly gossip: OutboxGossipLike;
+  private readonly options: PeerPigeonOutboxOptions;
+  private readonly maxEntries: number;
+  private readonly maxAttempts: number;
+  /** Insertion order is send order. */
+  private readonly entries = new Map<string, OutboxEntry>();
+  private store: OutboxStore | null = null;
+  private persistent = false;
+  private dropped = 0;
+  private lastFlushAt: number | null = null;
+  private flushing = false;
+  private destroyed = false;
+
+  private readonly onSettled = (status: GossipDeliveryStatus | GossipDirectDeliveryStatus): void => {
+    const entry = this.entryForMessage(status.messageId);
+    if (entry) this.remove(entry);
+  };
+
+  private readonly onUnacknowledged = (status: GossipDeliveryStatus | GossipDirectDeliveryStatus): void => {
+    const entry = this.entryForMessage(status.messageId);
+    if (!entry) return;
+    if (entry.attempts >= this.maxAttempts) {
+      this.dropped += 1;
+      this.remove(entry);
+      return;
+    }
+    entry.state = 'queued';
+    entry.messageId = null;
+    this.persist(entry);
+    // In a stable mesh no `mesh:ready` comes to send it again.
+    this.flush();
+  };
+
+  private readonly onReady = (): void => {
+    this.flush();
+  };
+
+  constructor(
+    mesh: OutboxMeshLike,
+    gossip: OutboxGossipLike,
+    options: PeerPigeonOutboxOptions = {},
+    private readonly onError: (error: unknown) => void = () => {},
+  ) {
+    this.mesh = mesh;
+    this.gossip = gossip;
+    this.options = options;
+    this.maxEntries = options.maxEntries ?? 1_000;
+    this.maxAttempts = options.maxAttempts ?? 5;
+    if (!Number.isSafeInteger(this.maxEntries) || this.maxEntries < 1) {
+      throw new RangeError('outbox.maxEntries must be a positive safe integer');
+    }
+    if (!Number.isSafeInteger(this.maxAttempts) || this.maxAttempts < 1) {
+      throw new RangeError('outbox.maxAttempts must be a positive safe integer');
+    }
+    this.mesh.on('mesh:ready', this.onReady);
+    this.gossip.on('deliveryComplete', this.onSettled);
+    this.gossip.on('directDelivered', this.onSettled);
+    this.gossip.on('deliveryTimeout', this.onUnacknowledged);
+    this.gossip.on('directFailed', this.onUnacknowledged);
+  }
+
+  /**
+   * Open the store and restore entries left by a previous session ahead of
+   * anything queued since. Restored entries are all queued again: their
+   * receipts, if any, were tracked in memory that no longer exists.
+   */
+  async init(): Promise<void> {
+    if (this.store || this.destroyed) return;
+    const { store, persistent } = await this.openStore();
+    this.store = store;
+    this.persistent = persistent;
+    const restored = (await store.load())
+      .filter((entry) => entry && typeof entry.id === 'string' && !this.entries.has(entry.id))
+      .sort((left, right) => left.createdAt - right.createdAt);
+    const pending = Array.from(this.entries.values());
+    this.entries.clear();
+    for (const entry of restored) {
+      this.entries.set(entry.id, { ...entry, state: 'queued', messageId: null });
+    }
+    for (const entry of pending) {
+      this.entries.set(entry.id, entry);
+      this.persist(entry);
+    }
+    if (this.isOnline()) this.flush();
+  }
+
+  /**
+   * Broadcast now, or queue until the mesh is ready. Returns the message ID,
+   * or the outbox entry ID while the entry is queued.
+   */
+  broadcast(data: unknown, metadata: Record<string, unknown> = {}, options: GossipBroadcastOptions = {}): string {
+    return this.submit({ kind: 'broadcast', data, metadata, options: this.resolveLifetime(options) });
+  }
+
+  /** Like `broadcast()`, for a direct message. */
+  sendDirect(peerId: string, data: unknown, options: GossipDirectOptions = {}): string {
+    return this.submit({ kind: 'direct', data, peerId, options: this.resolveLifetime(options) });
+  }
+
+  /** Send queued entries in order. Called on `mesh:ready`; safe to call at any time. */
+  flush(): void {
+    if (this.flushing || this.destroyed || !this.isOnline()) return;
+    this.flushing = true;
+    try {
+      for (const entry of Array.from(this.entries.values())) {
+        if (entry.state !== 'queued') continue;
+        if (!this.dispatch(entry)) break;
+      }
+      this.lastFlushAt = Date.now();
+    } finally {
+      this.flushing = false;
+    }
+  }
+
+  getStatus(): OutboxStatus {
+    const entries = Array.from(this.entries.values(), ({ id, kind, peerId, state, messageId, attempts, createdAt }) => ({
+      id,
+      kind,
+      ...(peerId !== undefined ? { peerId } : {}),
+      state,
+      messageId,
+      attempts,
+      createdAt,
+    }));
+    return {
+      persistent: this.persistent,
+      queued: entries.filter((entry) => entry.state === 'queued').length,
+      awaitingAck: entries.filter((entry) => entry.state === 'awaiting-ack').length,
+      dropped: this.dropped,
+      lastFlushAt: this.lastFlushAt,
+      entries,
+    };
+  }
+
+  async destroy(): Promise<void> {
+    if (this.destroyed) return;
+    this.destroyed = true;
+    this.gossip.off('deliveryComplete', this.onSettled);
+    this.gossip.off('directDelivered', this.onSettled);
+    this.gossip.off('deliveryTimeout', this.onUnacknowledged);
+    this.gossip.off('directFailed', this.onUnacknowledged);
+    // Entries stay in the store for the next session.
+    this.entries.clear();
+    await this.store?.close?.();
+    this.store = null;
+  }
+
+  private submit(fields: Pick<OutboxEntry, 'kind' | 'data' | 'metadata' | 'peerId' | 'options'>): string {
+    if (this.destroyed) throw new Error('Outbox is closed');
+    if (this.entries.size >= this.maxEntries) throw new Error('Outbox is full');
+    const entry: OutboxEntry = {
+      id: `outbox-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`,
+      ...fields,
+      createdAt: Date.now(),
+      state: 'queued',
+      messageId: null,
+      attempts: 0,
+    };
+    this.entries.set(entry.id, entry);
+    // Older queued entries go first so the mesh sees sends in call order.
+    this.flush();
+    if (entry.state === 'queued' && this.entries.has(entry.id)) this.persist(entry);
+    return entry.messageId ?? entry.id;
+  }
+
+  /** Send one entry. Returns false when it has to stay queued. */
+  private dispatch(entry: OutboxEntry): boolean {
+    const expiresAt = entry.options.expiresAt;
+    if (expiresAt !== undefined && expiresAt <= Date.now()) {
+      this.dropped += 1;
+      this.remove(entry);
+      return true;
+    }
+    const options = { ...entry.options, dedupeKey: entry.id };
+    let messageId: string | null;
+    try {
+      messageId = entry.kind === 'broadcast'
+        ? this.gossip.broadcast(entry.data, entry.metadata ?? {}, options as GossipBroadcastOptions)
+        : this.gossip.sendDirect(entry.peerId ?? '', entry.data, options as GossipDirectOptions);
+    } catch (error) {
+      // Left queued, an entry the protocol refuses would block every later one.
+      this.dropped += 1;
+      this.remove(entry);
+      this.onError(error);
+      return true;
+    }
+    if (messageId === null) return false;
+    entry.attempts += 1;
+    entry.messageId = messageId;
+    if (!this.awaitsReceipt(entry)) {
+      this.remove(entry);
+      return true;
+    }
+    entry.state = 'awaiting-ack';
+    this.persist(entry);
+    return true;
+  }
+
+  private awaitsReceipt(entry: OutboxEntry): boolean {
+    return entry.kind === 'broadcast'
+      ? (entry.options as GossipBroadcastOptions).trackDelivery === true
+      : (entry.options as GossipDirectOptions).reliable === true;
+  }
+
+  /** Checked up front, so no entry is queued with a lifetime the protocol refuses. */
+  private resolveLifetime<T extends { ttlMs?: number; expiresAt?: number }>(options: T): T {
+    if (options.expiresAt !== undefined) {
+      if (!Number.isFinite(options.expiresAt) || options.expiresAt <= Date.now()) {
+        throw new RangeError('expiresAt must be a finite timestamp in the future');
+      }
+      return { ...options };
+    }
+    if (options.ttlMs === undefined) return { ...options };
+    if (!Number.isFinite(options.ttlMs) || options.ttlMs <= 0) {
+      throw new RangeError('ttlMs must be a positive finite number');
+    }
+    const { ttlMs, ...rest } = options;
+    return { ...rest, expiresAt: Date.now() + ttlMs } as T;
+  }
+
+  private isOnline(): boolean {
+    return this.mesh.getConnectedPeers().length > 0;
+  }
+
+  private entryForMessage(messageId: string): OutboxEntry | null {
+    for (const entry of this.entries.values()) {
+      if (entry.messageId === messageId) return entry;
+    }
+    return null;
+  }
+
+  private remove(entry: OutboxEntry): void {
+    if (!this.entries.delete(entry.id)) return;
+    this.store?.delete(entry.id).catch(this.onError);
+  }
+
+  /** Before `init()` entries live in memory only; `init()` writes them through. */
+  private persist(entry: OutboxEntry): void {
+    this.store?.put({ ...entry }).catch(this.onError);
+  }
+
+  private async openStore(): Promise<{ store: OutboxStore; persistent: boolean }> {
+    if (this.options.store) return { store: this.options.store, persistent: !(this.options.store instanceof MemoryOutboxStore) };
+    if (typeof indexedDB !== 'undefined') {
+      try {
+        const dbName = String(this.options.dbName ?? 'peerpigeon-outbox-v1').trim() || 'peerpigeon-outbox-v1';
+        return { store: await IndexedDbOutboxStore.open(dbName), persistent: true };
+      } catch {
+        // fall through to memory, like storage does
+      }
+    }
+    return { store: new MemoryOutboxStore(), persistent: false };
+  }
+}
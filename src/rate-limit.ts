@@ -0,0 +1,236 @@
+/**
+ * Inbound flood protection. Every frame a neighbour sends is charged to a
+ * token bucket for that neighbour and, when configured, to one bucket per
+ * frame type, before any protocol layer parses or stores it.
+ */
+
+export type TokenBucketLimit = {
+  /** Sustained frames per second. */
+  ratePerSecond: number;
+  /** Frames accepted in one burst. Defaults to one second of `ratePerSecond`. */
+  burst?: number;
+};
+
+export type InboundRateLimitOptions = {
+  /** Budget for all frames from one neighbour. Default 1000/s with bursts of 2000; null disables it. */
+  perPeer?: TokenBucketLimit | null;
+  /**
+   * Budgets keyed by envelope type (`gossip`, `direct`, `cecr-state`,
+   * `membership`, ...) or by the `__ppType` of the payload a frame carries.
+   */
+  perType?: Record<string, TokenBucketLimit>;
+  /** Drops within `offenseWindowMs` after which the neighbour is disconnected. Default 500; 0 never disconnects. */
+  disconnectAfterDrops?: number;
+  /** Default 10 seconds. */
+  offenseWindowMs?: number;
+};
+
+export type InboundRateLimitDecision =
+  | { accepted: true }
+  | {
+      accepted: false;
+      /** Which budget ran out. */
+      limit: 'peer' | 'type';
+      /** The exhausted type budget, or the frame's envelope type for peer drops. */
+      frameType: string | null;
+      /** First drop since this neighbour last had a frame accepted. */
+      firstDrop: boolean;
+      /** Drops in the current offense window reached `disconnectAfterDrops`. */
+      offender: boolean;
+    };
+
+export type InboundRateLimitStats = {
+  droppedFrames: number;
+  droppedByType: Record<string, number>;
+  droppedByPeer: Record<string, number>;
+  /** Neighbours whose latest frame was dropped. */
+  throttledPeers: string[];
+};
+
+type TokenBucket = {
+  tokens: number;
+  updatedAt: number;
+};
+
+type PeerLimitState = {
+  bucket: TokenBucket | null;
+  types: Map<string, TokenBucket>;
+  throttled: boolean;
+  windowStartedAt: number;
+  windowDrops: number;
+  dropped: number;
+};
+
+const DEFAULT_PER_PEER_LIMIT: TokenBucketLimit = { ratePerSecond: 1_000, burst: 2_000 };
+
+function normalizeLimit(limit: TokenBucketLimit, name: string): Required<TokenBucketLimit> {
+  if (!limit || !Number.isFinite(limit.ratePerSecond) || limit.ratePerSecond <= 0) {
+    throw new RangeError(`${name}.ratePerSecond must be a positive finite number`);
+  }
+  const burst = limit.burst ?? Math.max(1, limit.ratePerSecond);
+  if (!Number.isFinite(burst) || burst < 1) {
+    throw new RangeError(`${name}.burst must be a finite number of at least 1`);
+  }
+  return { ratePerSecond: limit.ratePerSecond, burst };
+}
+
+/**
+ * Types a frame is charged to: its envelope type and, for routed payloads,
+ * the payload's `__ppType`. JSON text is only parsed when `parseText` is set.
+ */
+export function inboundFrameTypes(frame: unknown, parseText: boolean): string[] {
+  let value = frame;
+  if (typeof frame === 'string') {
+    if (!parseText || !frame.startsWith('{')) return [];
+    try {
+      value = JSON.parse(frame);
+    } catch {
+      return [];
+    }
+  }
+  if (!value || typeof value !== 'object') return [];
+  const envelope = value as { __membership?: unknown; __ppWire?: unknown; type?: unknown; data?: { __ppType?: unknown } };
+  if (envelope.__membership === true) return ['membership'];
+  if (typeof envelope.__ppWire === 'string') return [envelope.__ppWire];
+  const types: string[] = [];
+  if (typeof envelope.type === 'string') types.push(envelope.type);
+  const payloadType = envelope.data && typeof envelope.data === 'object' ? envelope.data.__ppType : undefined;
+  if (typeof payloadType === 'string') types.push(payloadType);
+  return types;
+}
+
+export class InboundRateLimiter {
+  private readonly perPeer: Required<TokenBucketLimit> | null;
+  private readonly perType: Map<string, Required<TokenBucketLimit>>;
+  private readonly disconnectAfterDrops: number;
+  private readonly offenseWindowMs: number;
+  private readonly peers = new Map<string, PeerLimitState>();
+  private droppedFrames = 0;
+  private readonly droppedByType = new Map<string, number>();
+
+  constructor(options: InboundRateLimitOptions = {}) {
+    this.perPeer = options.perPeer === null
+      ? null
+      : normalizeLimit(options.perPeer ?? DEFAULT_PER_PEER_LIMIT, 'rateLimit.perPeer');
+    this.perType = new Map(Object.entries(options.perType ?? {})
+      .map(([type, limit]) => [type, normalizeLimit(limit, `rateLimit.perType.${type}`)]));
+    this.disconnectAfterDrops = options.disconnectAfterDrops ?? 500;
+    this.offenseWindowMs = options.offenseWindowMs ?? 10_000;
+    if (!Number.isSafeInteger(this.disconnectAfterDrops) || this.disconnectAfterDrops < 0) {
+      throw new RangeError('rateLimit.disconnectAfterDrops must be a non-negative safe integer');
+    }
+    if (!Number.isSafeInteger(this.offenseWindowMs) || this.offenseWindowMs < 1) {
+      throw new RangeError('rateLimit.offenseWindowMs must be a positive safe integer');
+    }
+  }
+
+  /** Whether any type budget is configured, so callers know to classify frames. */
+  get hasTypeLimits(): boolean {
+    return this.perType.size > 0;
+  }
+
+  /**
+   * Charge one frame. `chargePeer` is false for a frame reassembled from
+   * fragments that were already charged one by one.
+   */
+  accept(
+    peerId: string,
+    frameTypes: readonly string[],
+    chargePeer: boolean = true,
+    now: number = Date.now(),
+  ): InboundRateLimitDecision {
+    const state = this.stateFor(peerId, now);
+    const charged: TokenBucket[] = [];
+
+    if (chargePeer && this.perPeer) {
+      state.bucket ??= { tokens: this.perPeer.burst, updatedAt: now };
+      if (!this.refill(state.bucket, this.perPeer, now)) {
+        return this.drop(peerId, state, 'peer', frameTypes[0] ?? null, now);
+      }
+      charged.push(state.bucket);
+    }
+    for (const type of frameTypes) {
+      const limit = this.perType.get(type);
+      if (!limit) continue;
+      let bucket = state.types.get(type);
+      if (!bucket) {
+        bucket = { tokens: limit.burst, updatedAt: now };
+        state.types.set(type, bucket);
+      }
+      if (!this.refill(bucket, limit, now)) return this.drop(peerId, state, 'type', type, now);
+      charged.push(bucket);
+    }
+
+    // Tokens are only spent once every budget the frame touches has one.
+    for (const bucket of charged) bucket.tokens -= 1;
+    state.throttled = false;
+    return { accepted: true };
+  }
+
+  dropPeer(peerId: string): void {
+    this.peers.delete(peerId);
+  }
+
+  clear(): void {
+    this.peers.clear();
+  }
+
+  getStats(): InboundRateLimitStats {
+    const droppedByPeer: Record<string, number> = {};
+    const throttledPeers: string[] = [];
+    for (const [peerId, state] of this.peers) {
+      if (state.dropped > 0) droppedByPeer[peerId] = state.dropped;
+      if (state.throttled) throttledPeers.push(peerId);
+    }
+    return {
+      droppedFrames: this.droppedFrames,
+      droppedByType: Object.fromEntries(this.droppedByType),
+      droppedByPeer,
+      throttledPeers: throttledPeers.sort(),
+    };
+  }
+
+  private stateFor(peerId: string, now: number): PeerLimitState {
+    let state = this.peers.get(peerId);
+    if (!state) {
+      state = { bucket: null, types: new Map(), throttled: false, windowStartedAt: now, windowDrops: 0, dropped: 0 };
+      this.peers.set(peerId, state);
+    }
+    return state;
+  }
+
+  /** Refill a bucket for the time elapsed and report whether a token is available. */
+  private refill(bucket: TokenBucket, limit: Required<TokenBucketLimit>, now: number): boolean {
+    const elapsed = Math.max(0, now - bucket.updatedAt);
+    bucket.tokens = Math.min(limit.burst, bucket.tokens + (elapsed * limit.ratePerSecond) / 1_000);
+    bucket.updatedAt = now;
+    return bucket.tokens >= 1;
+  }
+
+  private drop(
+    peerId: string,
+    state: PeerLimitState,
+    limit: 'peer' | 'type',
+    frameType: string | null,
+    now: number,
+  ): InboundRateLimitDecision {
+    if (now - state.windowStartedAt >= this.offenseWindowMs) {
+      state.windowStartedAt = now;
+      state.windowDrops = 0;
+    }
+    state.windowDrops += 1;
+    state.dropped += 1;
+    this.droppedFrames += 1;
+    const key = frameType ?? 'unknown';
+    this.droppedByType.set(key, (this.droppedByType.get(key) ?? 0) + 1);
+    const firstDrop = !state.throttled;
+    state.throttled = true;
+    return {
+      accepted: false,
+      limit,
+      frameType,
+      firstDrop,
+      offender: this.disconnectAfterDrops > 0 && state.windowDrops >= this.disconnectAfterDrops,
+    };
+  }
+}
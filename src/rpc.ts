@@ -0,0 +1,358 @@
+import type { DirectMessage } from './gossip.js';
+
+export const RPC_REQUEST_TYPE = 'pp-rpc-request-v1';
+export const RPC_RESPONSE_TYPE = 'pp-rpc-response-v1';
+export const RPC_CANCEL_TYPE = 'pp-rpc-cancel-v1';
+
+const MAX_RPC_METHOD_LENGTH = 256;
+
+/**
+ * Codes raised locally are `no-route`, `timeout`, `aborted` and `closed`.
+ * Remote failures carry `method-not-found`, the string `code` of the error a
+ * handler threw, or `remote-error`.
+ */
+export type RpcErrorCode =
+  | 'no-route'
+  | 'timeout'
+  | 'aborted'
+  | 'closed'
+  | 'method-not-found'
+  | 'remote-error'
+  | (string & {});
+
+export class RpcError extends Error {
+  readonly code: RpcErrorCode;
+  readonly peerId: string;
+  readonly method: string;
+  /** Structured detail supplied by the remote handler, if any. */
+  readonly data?: unknown;
+
+  constructor(code: RpcErrorCode, message: string, details: { peerId: string; method: string; data?: unknown }) {
+    super(message);
+    this.name = 'RpcError';
+    this.code = code;
+    this.peerId = details.peerId;
+    this.method = details.method;
+    if (details.data !== undefined) this.data = details.data;
+  }
+}
+
+export type RpcHandlerContext = {
+  peerId: string;
+  method: string;
+  requestId: string;
+  /** Whether the request envelope carried a verified origin signature. */
+  verified: boolean;
+  /** Aborted when the caller cancels or its deadline passes. */
+  signal: AbortSignal;
+};
+
+export type RpcHandler = (params: unknown, context: RpcHandlerContext) => unknown | Promise<unknown>;
+
+export type RpcRequestOptions = {
+  /** Overrides the default request timeout. */
+  timeoutMs?: number;
+  /** Aborting rejects the call and cancels the remote handler. */
+  signal?: AbortSignal;
+};
+
+export type PeerPigeonRpcOptions = {
+  /** Default request timeout. Default 10 seconds. */
+  defaultTimeoutMs?: number;
+  /** Longest a handler runs for a remote caller, whatever deadline it asks for. Default 60 seconds. */
+  maxHandlerTimeoutMs?: number;
+};
+
+type RpcRequestPayload = {
+  __ppType: typeof RPC_REQUEST_TYPE;
+  id: string;
+  method: string;
+  params: unknown;
+  timeoutMs: number;
+};
+
+type RpcResponsePayload = {
+  __ppType: typeof RPC_RESPONSE_TYPE;
+  id: string;
+  ok: boolean;
+  result?: unknown;
+  error?: { code: string; message: string; data?: unknown };
+};
+
+type RpcCancelPayload = {
+  __ppType: typeof RPC_CANCEL_TYPE;
+  id: string;
+};
+
+type DirectReceivedData = { message: DirectMessage; verified?: boolean };
+
+interface RpcMeshLike {
+  getClientId(): string | null;
+}
+
+interface RpcGossipLike {
+  sendDirect(targetPeerId: string, data: unknown): string | null;
+  hasDirectRoute(targetPeerId: string): boolean;
+  on(event: 'directMessageReceived', callback: (data: DirectReceivedData) => void): void;
+  off(event: 'directMessageReceived', callback: (data: DirectReceivedData) => void): void;
+}
+
+type PendingRequest = {
+  peerId: string;
+  method: string;
+  resolve: (value: unknown) => void;
+  reject: (error: RpcError) => void;
+  timer: ReturnType<typeof setTimeout>;
+  signal?: AbortSignal;
+  onAbort?: () => void;
+};
+
+/**
+ * Request/response calls over CECR-routed direct messages. Requests and
+ * responses are ordinary direct payloads, so they inherit routing, envelope
+ * signing and fragmentation from the layers below.
+ */
+export class PeerPigeonRpc {
+  private readonly mesh: RpcMeshLike;
+  private readonly gossip: RpcGossipLike;
+  private readonly defaultTimeoutMs: number;
+  private readonly maxHandlerTimeoutMs: number;
+  private readonly handlers = new Map<string, RpcHandler>();
+  private readonly pending = new Map<string, PendingRequest>();
+  /** Handlers still running, keyed by caller and request ID. */
+  private readonly running = new Map<string, { controller: AbortController; timer: ReturnType<typeof setTimeout> }>();
+  private destroyed = false;
+
+  private readonly onDirectMessageBound = (data: DirectReceivedData): void => {
+    this.handleDirectMessage(data.message, data.verified === true);
+  };
+
+  constructor(mesh: RpcMeshLike, gossip: RpcGossipLike, options: PeerPigeonRpcOptions = {}) {
+    this.mesh = mesh;
+    this.gossip = gossip;
+    this.defaultTimeoutMs = Math.max(1, Math.floor(options.defaultTimeoutMs ?? 10_000));
+    this.maxHandlerTimeoutMs = Math.max(1, Math.min(Math.floor(options.maxHandlerTimeoutMs ?? 60_000), 2_147_483_647));
+    this.gossip.on('directMessageReceived', this.onDirectMessageBound);
+  }
+
+  /** Serve `method` for remote callers. Returns a function that unregisters it. */
+  register(method: string, handler: RpcHandler): () => void {
+    const name = this.requireMethod(method);
+    if (typeof handler !== 'function') throw new TypeError('RPC handler must be a function');
+    if (this.handlers.has(name)) throw new Error(`RPC method ${name} is already registered`);
+    this.handlers.set(name, handler);
+    return () => {
+      if (this.handlers.get(name) === handler) this.handlers.delete(name);
+    };
+  }
+
+  unregister(method: string): boolean {
+    return this.handlers.delete(String(method ?? '').trim());
+  }
+
+  getRegisteredMethods(): string[] {
+    return Array.from(this.handlers.keys()).sort();
+  }
+
+  /**
+   * Call `method` on a peer. Rejects with an RpcError when no route exists,
+   * the deadline passes, the signal aborts, or the remote handler fails.
+   */
+  request<T = unknown>(peerId: string, method: string, params?: unknown, options: RpcRequestOptions = {}): Promise<T> {
+    const target = String(peerId ?? '').trim();
+    let name: string;
+    try {
+      name = this.requireMethod(method);
+    } catch (error) {
+      return Promise.reject(error);
+    }
+    const fail = (code: RpcErrorCode, message: string): Promise<T> =>
+      Promise.reject(new RpcError(code, message, { peerId: target, method: name }));
+
+    if (this.destroyed) return fail('closed', 'RPC service is closed');
+    if (options.signal?.aborted) return fail('aborted', `RPC ${name} was aborted`);
+    if (!target || target === this.mesh.getClientId() || !this.gossip.hasDirectRoute(target)) {
+      return fail('no-route', `No route to peer ${target || '(empty)'}`);
+    }
+
+    const timeoutMs = Math.max(1, Math.floor(Number(options.timeoutMs ?? this.defaultTimeoutMs)));
+    const id = this.makeRequestId();
+    const request: RpcRequestPayload = { __ppType: RPC_REQUEST_TYPE, id, method: name, params: params ?? null, timeoutMs };
+
+    return new Promise<T>((resolve, reject) => {
+      const entry: PendingRequest = {
+        peerId: target,
+        method: name,
+        resolve: resolve as (value: unknown) => void,
+        reject,
+        timer: setTimeout(() => this.abandon(id, 'timeout', `RPC ${name} timed out after ${timeoutMs}ms`), timeoutMs),
+      };
+      if (options.signal) {
+        entry.signal = options.signal;
+        entry.onAbort = () => this.abandon(id, 'aborted', `RPC ${name} was aborted`);
+        options.signal.addEventListener('abort', entry.onAbort, { once: true });
+      }
+      this.pending.set(id, entry);
+      if (this.gossip.sendDirect(target, request) === null) {
+        this.settle(id)?.reject(new RpcError('no-route', `No route to peer ${target}`, { peerId: target, method: name }));
+      }
+    });
+  }
+
+  destroy(): void {
+    if (this.destroyed) return;
+    this.destroyed = true;
+    this.gossip.off('directMessageReceived', this.onDirectMessageBound);
+    for (const id of Array.from(this.pending.keys())) {
+      const entry = this.settle(id);
+      entry?.reject(new RpcError('closed', 'RPC service is closed', { peerId: entry.peerId, method: entry.method }));
+    }
+    for (const { controller, timer } of this.running.values()) {
+      clearTimeout(timer);
+      controller.abort();
+    }
+    this.running.clear();
+    this.handlers.clear();
+  }
+
+  static isProtocolPayload(value: unknown): boolean {
+    if (!value || typeof value !== 'object') return false;
+    const type = (value as { __ppType?: unknown }).__ppType;
+    return type === RPC_REQUEST_TYPE || type === RPC_RESPONSE_TYPE || type === RPC_CANCEL_TYPE;
+  }
+
+  private handleDirectMessage(message: DirectMessage, verified: boolean): void {
+    const payload = message.data as { __ppType?: unknown; id?: unknown } | null;
+    if (!payload || typeof payload !== 'object' || typeof payload.id !== 'string' || !payload.id) return;
+    if (payload.__ppType === RPC_RESPONSE_TYPE) {
+      this.handleResponse(message.from, payload as RpcResponsePayload);
+    } else if (payload.__ppType === RPC_REQUEST_TYPE) {
+      this.handleRequest(message.from, payload as RpcRequestPayload, verified);
+    } else if (payload.__ppType === RPC_CANCEL_TYPE) {
+      const key = this.runningKey(message.from, payload.id);
+      const running = this.running.get(key);
+      if (!running) return;
+      clearTimeout(running.timer);
+      this.running.delete(key);
+      running.controller.abort();
+    }
+  }
+
+  private handleResponse(fromPeerId: string, response: RpcResponsePayload): void {
+    const entry = this.pending.get(response.id);
+    // Only the peer that was asked may answer.
+    if (!entry || entry.peerId !== fromPeerId) return;
+    this.settle(response.id);
+    if (response.ok === true) {
+      entry.resolve(response.result);
+      return;
+    }
+    const error = response.error && typeof response.error === 'object' ? response.error : null;
+    entry.reject(new RpcError(
+      typeof error?.code === 'string' && error.code ? error.code : 'remote-error',
+      typeof error?.message === 'string' ? error.message : `RPC ${entry.method} failed on peer ${fromPeerId}`,
+      { peerId: fromPeerId, method: entry.method, data: error?.data },
+    ));
+  }
+
+  private handleRequest(fromPeerId: string, request: RpcRequestPayload, verified: boolean): void {
+    const method = typeof request.method === 'string' ? request.method : '';
+    const handler = this.handlers.get(method);
+    if (!handler) {
+      this.respond(fromPeerId, {
+        __ppType: RPC_RESPONSE_TYPE,
+        id: request.id,
+        ok: false,
+        error: { code: 'method-not-found', message: `RPC method ${method || '(empty)'} is not registered` },
+      });
+      return;
+    }
+
+    const key = this.runningKey(fromPeerId, request.id);
+    if (this.running.has(key)) return;
+    const controller = new AbortController();
+    // The caller gives up at its deadline, so the handler may as well.
+    const deadlineMs = Math.max(1, Math.min(Math.floor(Number(request.timeoutMs) || this.defaultTimeoutMs), this.maxHandlerTimeoutMs));
+    const timer = setTimeout(() => {
+      this.running.delete(key);
+      controller.abort();
+    }, deadlineMs);
+    this.running.set(key, { controller, timer });
+
+    const context: RpcHandlerContext = { peerId: fromPeerId, method, requestId: request.id, verified, signal: controller.signal };
+    Promise.resolve()
+      .then(() => handler(request.params, context))
+      .then(
+        (result) => ({ __ppType: RPC_RESPONSE_TYPE, id: request.id, ok: true, result: result ?? null }) as RpcResponsePayload,
+        (error: unknown) => ({ __ppType: RPC_RESPONSE_TYPE, id: request.id, ok: false, error: this.describeError(error) }) as RpcResponsePayload,
+      )
+      .then((response) => {
+        if (this.running.get(key)?.controller !== controller) return; // cancelled or timed out
+        clearTimeout(timer);
+        this.running.delete(key);
+        this.respond(fromPeerId, response);
+      });
+  }
+
+  private describeError(error: unknown): { code: string; message: string; data?: unknown } {
+    const value = error as { code?: unknown; message?: unknown; data?: unknown } | null;
+    const described: { code: string; message: string; data?: unknown } = {
+      code: typeof value?.code === 'string' && value.code ? value.code : 'remote-error',
+      message: typeof value?.message === 'string' ? value.message : String(error),
+    };
+    if (value && typeof value === 'object' && value.data !== undefined) described.data = value.data;
+    return described;
+  }
+
+  private respond(peerId: string, response: RpcResponsePayload): void {
+    if (this.destroyed) return;
+    try {
+      this.gossip.sendDirect(peerId, response);
+    } catch {
+      // an unencodable result surfaces to the caller as a timeout
+    }
+  }
+
+  private abandon(id: string, code: RpcErrorCode, message: string): void {
+    const entry = this.settle(id);
+    if (!entry) return;
+    const cancel: RpcCancelPayload = { __ppType: RPC_CANCEL_TYPE, id };
+    try {
+      this.gossip.sendDirect(entry.peerId, cancel);
+    } catch {
+      // best-effort; the remote deadline still stops the handler
+    }
+    entry.reject(new RpcError(code, message, { peerId: entry.peerId, method: entry.method }));
+  }
+
+  private settle(id: string): PendingRequest | null {
+    const entry = this.pending.get(id);
+    if (!entry) return null;
+    this.pending.delete(id);
+    clearTimeout(entry.timer);
+    if (entry.signal && entry.onAbort) entry.signal.removeEventListener('abort', entry.onAbort);
+    return entry;
+  }
+
+  private requireMethod(method: unknown): string {
+    const name = typeof method === 'string' ? method.trim() : '';
+    if (!name || name.length > MAX_RPC_METHOD_LENGTH) {
+      throw new TypeError(`RPC method must be a non-empty string of at most ${MAX_RPC_METHOD_LENGTH} characters`);
+    }
+    return name;
+  }
+
+  private runningKey(peerId: string, id: string): string {
+    return `${peerId}\n${id}`;
+  }
+
+  private makeRequestId(): string {
+    try {
+      const bytes = new Uint8Array(16);
+      globalThis.crypto.getRandomValues(bytes);
+      return Array.from(bytes, (value) => value.toString(16).padStart(2, '0')).join('');
+    } catch {
+      return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 14)}`;
+    }
+  }
+}
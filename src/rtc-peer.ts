@@ -2,6 +2,8 @@ type PeerEvents = {
   signal: (signal: any) => void;
   connect: () => void;
   data: (data: any) => void;
+  /** The send buffer fell below `bufferedAmountLowThreshold`. */
+  drain: () => void;
   close: () => void;
   error: (err: any) => void;
   debug: (snapshot: { reason: string; signalingState: string; iceConnectionState: string; connectionState: string; dataChannelState: string }) => void;
@@ -12,6 +14,7 @@ interface RtcPeerOptions {
   trickle?: boolean;
   trickleIce?: boolean;
   config?: RTCConfiguration;
+  bufferedAmountLowThreshold?: number;
 }
 
 class TinyEmitter {
@@ -41,6 +44,7 @@ export class RtcPeer {
 
   private readonly initiator: boolean;
   private readonly trickleIce: boolean;
+  private readonly bufferedAmountLowThreshold: number;
   private readonly pc: RTCPeerConnection;
   private dc: RTCDataChannel | null = null;
   private readonly emitter = new TinyEmitter();
@@ -49,6 +53,7 @@ export class RtcPeer {
   constructor(options: RtcPeerOptions) {
     this.initiator = options.initiator;
     this.trickleIce = options.trickleIce ?? options.trickle ?? true;
+    this.bufferedAmountLowThreshold = options.bufferedAmountLowThreshold ?? 0;
     this.pc = new RTCPeerConnection(options.config ?? {});
 
     this.pc.onicecandidate = (event) => {
@@ -118,6 +123,11 @@ export class RtcPeer {
     this.dc.send(data as any);
   }
 
+  /** Bytes accepted by `send` but not yet transmitted; pair with the `drain` event. */
+  get bufferedAmount(): number {
+    return this.dc?.bufferedAmount ?? 0;
+  }
+
   destroy(): void {
     if (this.destroyed) return;
     this.destroyed = true;
@@ -139,6 +149,7 @@ export class RtcPeer {
 
   private attachDataChannel(channel: RTCDataChannel): void {
     this.dc = channel;
+    channel.bufferedAmountLowThreshold = this.bufferedAmountLowThreshold;
     this.emitDebugSnapshot('datachannel-attached');
 
     channel.onopen = () => {
@@ -153,6 +164,10 @@ export class RtcPeer {
       this.emitter.emit('data', event.data);
     };
 
+    channel.onbufferedamountlow = () => {
+      this.emitter.emit('drain');
+    };
+
     channel.onerror = (event) => {
       this.emitDebugSnapshot('datachannel-error');
       this.emitter.emit('error', event);
@@ -0,0 +1,227 @@
+/**
+ * Outbound backpressure. Frames for one neighbour wait in priority lanes
+ * whenever its data channel already buffers more than the high-water mark,
+ * so bulk traffic cannot delay membership, anti-entropy or delivery receipts
+ * that are sent after it.
+ */
+
+export type SendPriority = 'control' | 'app' | 'bulk';
+
+/** Lanes in drain order. */
+export const SEND_PRIORITIES: readonly SendPriority[] = Object.freeze(['control', 'app', 'bulk']);
+
+export type OutboundFrame = string | ArrayBuffer | ArrayBufferView;
+
+export type SendQueueOptions = {
+  /** Channel buffer above which frames are queued instead of sent. Default 1 MiB. */
+  highWaterMarkBytes?: number;
+  /**
+   * `bufferedAmountLowThreshold` set on each data channel; the queue drains
+   * when the buffer falls below it. Default 256 KiB.
+   */
+  lowWaterMarkBytes?: number;
+  /** Queued bytes per neighbour before app and bulk sends are refused. Default 16 MiB. */
+  maxQueuedBytes?: number;
+};
+
+export type SendQueueTransport = {
+  send(peerId: string, data: OutboundFrame): void;
+  /** Bytes the peer's data channel has accepted but not yet sent. */
+  bufferedAmount(peerId: string): number;
+};
+
+export type SendQueueStats = {
+  queuedFrames: number;
+  queuedBytes: number;
+  /** Queued frames per lane across all neighbours. */
+  queuedByPriority: Record<SendPriority, number>;
+  congestedPeers: string[];
+  /** Queued app and bulk frames evicted to admit control frames. */
+  evictedFrames: number;
+};
+
+type QueuedFrame = {
+  data: OutboundFrame;
+  bytes: number;
+  /** Shared by the frames of one `enqueue` call, such as a message's fragments. */
+  message: number;
+  /** Whether this is the message's first frame. */
+  first: boolean;
+};
+
+type PeerQueue = {
+  lanes: Record<SendPriority, QueuedFrame[]>;
+  bytes: number;
+  congested: boolean;
+};
+
+/** String length stands in for UTF-8 size; it only has to bound the queue. */
+export function outboundFrameBytes(data: OutboundFrame): number {
+  if (typeof data === 'string') return data.length;
+  return data.byteLength;
+}
+
+export class PeerSendQueues {
+  readonly highWaterMarkBytes: number;
+  readonly lowWaterMarkBytes: number;
+  private readonly maxQueuedBytes: number;
+  private readonly queues = new Map<string, PeerQueue>();
+  private evictedFrames = 0;
+  private nextMessage = 0;
+
+  constructor(
+    options: SendQueueOptions,
+    private readonly transport: SendQueueTransport,
+    private readonly onCongestion: (peerId: string, congested: boolean) => void,
+  ) {
+    this.highWaterMarkBytes = options.highWaterMarkBytes ?? 1024 * 1024;
+    this.lowWaterMarkBytes = options.lowWaterMarkBytes ?? 256 * 1024;
+    this.maxQueuedBytes = options.maxQueuedBytes ?? 16 * 1024 * 1024;
+    if (!Number.isSafeInteger(this.highWaterMarkBytes) || this.highWaterMarkBytes < 1) {
+      throw new RangeError('sendQueue.highWaterMarkBytes must be a positive safe integer');
+    }
+    if (
+      !Number.isSafeInteger(this.lowWaterMarkBytes)
+      || this.lowWaterMarkBytes < 0
+      || this.lowWaterMarkBytes > this.highWaterMarkBytes
+    ) {
+      throw new RangeError('sendQueue.lowWaterMarkBytes must be a non-negative safe integer no larger than highWaterMarkBytes');
+    }
+    if (!Number.isSafeInteger(this.maxQueuedBytes) || this.maxQueuedBytes < 1) {
+      throw new RangeError('sendQueue.maxQueuedBytes must be a positive safe integer');
+    }
+  }
+
+  /**
+   * Send the frames of one message in order, queueing whatever the channel
+   * cannot take yet. Returns false once the neighbour is congested, in the
+   * manner of a stream's `write()`. Transport errors are rethrown after the
+   * neighbour's queue has been discarded.
+   */
+  enqueue(peerId: string, frames: readonly OutboundFrame[], priority: SendPriority): boolean {
+    const queue = this.queueFor(peerId);
+    const bytes = frames.reduce((total, frame) => total + outboundFrameBytes(frame), 0);
+    if (queue.congested && queue.bytes + bytes > this.maxQueuedBytes) {
+      if (priority !== 'control') {
+        throw new Error(`Send queue for peer ${peerId} is full`);
+      }
+      this.evictFor(queue, bytes);
+    }
+    const message = this.nextMessage++;
+    frames.forEach((data, index) => {
+      queue.lanes[priority].push({ data, bytes: outboundFrameBytes(data), message, first: index === 0 });
+      queue.bytes += outboundFrameBytes(data);
+    });
+    this.drain(peerId, queue, true);
+    return !queue.congested;
+  }
+
+  /** Send queued frames until the channel reaches its high-water mark again. */
+  flush(peerId: string): void {
+    const queue = this.queues.get(peerId);
+    if (queue) this.drain(peerId, queue, false);
+  }
+
+  flushAll(): void {
+    for (const peerId of Array.from(this.queues.keys())) this.flush(peerId);
+  }
+
+  /** Whether `enqueue` would take this many more bytes at the priority without throwing. */
+  accepts(peerId: string, bytes: number, priority: SendPriority): boolean {
+    const queue = this.queues.get(peerId);
+    return priority === 'control' || !queue?.congested || queue.bytes + bytes <= this.maxQueuedBytes;
+  }
+
+  isCongested(peerId: string): boolean {
+    return this.queues.get(peerId)?.congested ?? false;
+  }
+
+  hasCongestedPeers(): boolean {
+    for (const queue of this.queues.values()) {
+      if (queue.congested) return true;
+    }
+    return false;
+  }
+
+  dropPeer(peerId: string): void {
+    this.queues.delete(peerId);
+  }
+
+  clear(): void {
+    this.queues.clear();
+  }
+
+  getStats(): SendQueueStats {
+    const queuedByPriority: Record<SendPriority, number> = { control: 0, app: 0, bulk: 0 };
+    const congestedPeers: string[] = [];
+    let queuedBytes = 0;
+    for (const [peerId, queue] of this.queues) {
+      for (const priority of SEND_PRIORITIES) queuedByPriority[priority] += queue.lanes[priority].length;
+      queuedBytes += queue.bytes;
+      if (queue.congested) congestedPeers.push(peerId);
+    }
+    return {
+      queuedFrames: queuedByPriority.control + queuedByPriority.app + queuedByPriority.bulk,
+      queuedBytes,
+      queuedByPriority,
+      congestedPeers: congestedPeers.sort(),
+      evictedFrames: this.evictedFrames,
+    };
+  }
+
+  private queueFor(peerId: string): PeerQueue {
+    let queue = this.queues.get(peerId);
+    if (!queue) {
+      queue = { lanes: { control: [], app: [], bulk: [] }, bytes: 0, congested: false };
+      this.queues.set(peerId, queue);
+    }
+    return queue;
+  }
+
+  private drain(peerId: string, queue: PeerQueue, rethrow: boolean): void {
+    try {
+      for (const priority of SEND_PRIORITIES) {
+        const lane = queue.lanes[priority];
+        while (lane.length > 0 && this.transport.bufferedAmount(peerId) < this.highWaterMarkBytes) {
+          const frame = lane[0];
+          this.transport.send(peerId, frame.data);
+          lane.shift();
+          queue.bytes -= frame.bytes;
+        }
+      }
+    } catch (error) {
+      // A failed channel will not drain; its frames are discarded with it.
+      this.queues.delete(peerId);
+      if (queue.congested) this.onCongestion(peerId, false);
+      if (rethrow) throw error;
+      return;
+    }
+    const congested = queue.bytes > 0 || this.transport.bufferedAmount(peerId) >= this.highWaterMarkBytes;
+    if (congested !== queue.congested) {
+      queue.congested = congested;
+      this.onCongestion(peerId, congested);
+    }
+    if (!congested) this.queues.delete(peerId);
+  }
+
+  /**
+   * Make room for control frames by dropping the newest bulk, then app,
+   * messages with all their frames. A message that has started to drain is
+   * kept: the rest of its fragments are useless to the peer without it.
+   */
+  private evictFor(queue: PeerQueue, bytes: number): void {
+    for (const priority of ['bulk', 'app'] as const) {
+      const lane = queue.lanes[priority];
+      while (lane.length > 0 && queue.bytes + bytes > this.maxQueuedBytes) {
+        const { message } = lane[lane.length - 1];
+        let start = lane.length - 1;
+        while (start > 0 && lane[start - 1].message === message) start -= 1;
+        if (!lane[start].first) break;
+        for (const frame of lane.splice(start)) {
+          queue.bytes -= frame.bytes;
+          this.evictedFrames += 1;
+        }
+      }
+    }
+  }
+}
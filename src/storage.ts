@@ -77,6 +77,15 @@ export type StorageEvents = {
 
 export type StorageUnsubscribe = () => void;
 
+/**
+ * Mutations from other peers for subscribed keys. Rejected ones targeted the
+ * private space, were refused by the sync filter, or were stale or unauthorized.
+ */
+export type StorageMutationStats = {
+  applied: number;
+  rejected: number;
+};
+
 interface GossipLike {
   broadcast(data: unknown, metadata?: Record<string, unknown>): string;
   on(event: 'messageReceived', callback: (data: { message: { data: unknown }; local: boolean; fromPeer?: string }) => void): void;
@@ -286,6 +295,7 @@ export class PeerPigeonStorage {
   private readonly subscribedKeys = new Set<string>();
   private readonly pendingRetrieveRequests = new Map<string, { resolve: (value: StorageRecord | null) => void; timeout: ReturnType<typeof setTimeout> }>();
   private closed = false;
+  private readonly mutationStats: StorageMutationStats = { applied: 0, rejected: 0 };
   private readonly onGossipMessageBound: (data: { message: { data: unknown }; local: boolean; fromPeer?: string }) => void;
   private readonly instanceId = `storage-${Math.random().toString(36).slice(2, 11)}`;
   private crossTabChannel: BroadcastChannel | null = null;
@@ -365,6 +375,10 @@ export class PeerPigeonStorage {
     return this.subscribedKeys.has(this.makePk(space, normalizedKey));
   }
 
+  getMutationStats(): StorageMutationStats {
+    return { ...this.mutationStats };
+  }
+
   /** Update the mesh peer ID recorded on subsequent local mutations. */
   setPeerId(peerId: string): void {
     this.peerId = String(peerId ?? '').trim();
@@ -660,11 +674,17 @@ export class PeerPigeonStorage {
     if (!decrypted) return;
 
     if (this.isStorageMutation(decrypted)) {
-      if (decrypted.space === 'private') return;
+      if (decrypted.space === 'private') {
+        this.mutationStats.rejected += 1;
+        return;
+      }
+      // Keys nobody here subscribed to are other peers' traffic, not rejections.
+      if (!this.isSubscribed(decrypted.space, decrypted.key)) return;
       if (!this.shouldAcceptRemoteSync(decrypted.space, decrypted.key, {
         kind: 'mutation',
         actorId: decrypted.actorId,
       })) {
+        this.mutationStats.rejected += 1;
         return;
       }
 
@@ -691,6 +711,12 @@ export class PeerPigeonStorage {
   }
 
   private async applyRemoteMutation(mutation: StorageMutation): Promise<boolean> {
+    const applied = await this.writeRemoteMutation(mutation);
+    this.mutationStats[applied ? 'applied' : 'rejected'] += 1;
+    return applied;
+  }
+
+  private async writeRemoteMutation(mutation: StorageMutation): Promise<boolean> {
     const driver = this.requireDriver();
     const pk = this.makePk(mutation.space, mutation.key);
     const existing = await driver.get(pk);
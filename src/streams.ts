@@ -0,0 +1,413 @@
+import { asBytes } from './wire-codec.js';
+import { randomFrameId } from './frame-router.js';
+import type { FrameHandler } from './frame-router.js';
+import type { SendPriority } from './send-queue.js';
+
+export const STREAM_FRAME_TYPE = 'pp-stream';
+
+const MAX_STREAM_ID_LENGTH = 64;
+const MAX_LABEL_LENGTH = 256;
+
+/** One bidirectional byte stream to a neighbour. */
+export type PeerStream = {
+  id: string;
+  peerId: string;
+  label: string;
+  /** True for streams this node opened. */
+  initiator: boolean;
+  readable: ReadableStream<Uint8Array>;
+  writable: WritableStream<Uint8Array>;
+};
+
+export type PeerStreamOpenOptions = {
+  /** Application-defined name the remote side sees on `incomingStream`. */
+  label?: string;
+};
+
+export type PeerPigeonStreamsOptions = {
+  /** Bytes a peer may send on a stream before we grant more credit. Default 256 KiB. */
+  windowBytes?: number;
+  /** Largest data frame sent on a stream. Default 16 KiB. */
+  chunkBytes?: number;
+  /** Concurrent streams accepted from one neighbour. Default 64. */
+  maxStreamsPerPeer?: number;
+};
+
+type StreamOp = 'open' | 'accept' | 'data' | 'credit' | 'close' | 'reset';
+
+type StreamFrame = {
+  type: typeof STREAM_FRAME_TYPE;
+  op: StreamOp;
+  stream: string;
+  label?: string;
+  window?: number;
+  bytes?: number;
+  /** Stream position of a data frame's first byte, or of the end on close. */
+  offset?: number;
+  data?: Uint8Array;
+  reason?: string;
+};
+
+interface StreamMeshLike {
+  sendFrame(peerId: string, frame: object, options?: { priority?: SendPriority }): boolean;
+  onFrame(type: string, handler: FrameHandler): void;
+  offFrame(type: string, handler: FrameHandler): void;
+  on(event: 'peer:disconnected', handler: (peerId: string) => void): void;
+  off(event: 'peer:disconnected', handler: (peerId: string) => void): void;
+}
+
+type StreamEntry = {
+  stream: PeerStream;
+  accepted: boolean;
+  /** Bytes we may still send before the remote grants more. */
+  sendCredit: number;
+  creditWaiter: { resolve: () => void; reject: (error: Error) => void } | null;
+  /** Total bytes granted to the remote, including the initial window. */
+  granted: number;
+  received: number;
+  sent: number;
+  readController: ReadableStreamDefaultController<Uint8Array>;
+  writeController: WritableStreamDefaultController;
+  readOpen: boolean;
+  writeOpen: boolean;
+  error: Error | null;
+};
+
+/**
+ * Byte streams multiplexed over the data channel to a neighbour. Each side of
+ * a stream advertises a receive window and grants more credit as its reader
+ * drains the queue, so a slow reader stalls the remote writer instead of
+ * growing an unbounded buffer. Data and close frames share the channel's
+ * `bulk` lane and carry stream offsets: the send queue may evict bulk frames
+ * to admit control traffic, and a receiver that sees a gap resets the stream
+ * rather than wait for bytes that will never come. Credit and signalling
+ * frames use the `control` lane, which is never evicted.
+ */
+export class PeerPigeonStreams {
+  private readonly mesh: StreamMeshLike;
+  private readonly windowBytes: number;
+  private readonly chunkBytes: number;
+  private readonly maxStreamsPerPeer: number;
+  private readonly onIncoming: (stream: PeerStream) => void;
+  /** Neighbour to its streams by stream ID. */
+  private readonly streams = new Map<string, Map<string, StreamEntry>>();
+  private destroyed = false;
+
+  private readonly onFrameBound = (peerId: string, data: Record<string, unknown>): void => {
+    const frame = this.parseFrame(data);
+    if (frame) this.handleFrame(peerId, frame);
+  };
+
+  private readonly onPeerDisconnectedBound = (peerId: string): void => {
+    const entries = this.streams.get(peerId);
+    if (!entries) return;
+    for (const entry of Array.from(entries.values())) {
+      this.teardown(entry, new Error(`Peer ${peerId} disconnected`), false);
+    }
+  };
+
+  constructor(
+    mesh: StreamMeshLike,
+    options: PeerPigeonStreamsOptions = {},
+    onIncoming: (stream: PeerStream) => void = () => {},
+  ) {
+    this.mesh = mesh;
+    this.windowBytes = options.windowBytes ?? 256 * 1024;
+    this.chunkBytes = options.chunkBytes ?? 16 * 1024;
+    this.maxStreamsPerPeer = options.maxStreamsPerPeer ?? 64;
+    for (const [name, value] of [
+      ['windowBytes', this.windowBytes],
+      ['chunkBytes', this.chunkBytes],
+      ['maxStreamsPerPeer', this.maxStreamsPerPeer],
+    ] as const) {
+      if (!Number.isSafeInteger(value) || value < 1) {
+        throw new RangeError(`streams.${name} must be a positive safe integer`);
+      }
+    }
+    if (this.chunkBytes > this.windowBytes) {
+      throw new RangeError('streams.chunkBytes must not exceed streams.windowBytes');
+    }
+    this.onIncoming = onIncoming;
+    this.mesh.onFrame(STREAM_FRAME_TYPE, this.onFrameBound);
+    this.mesh.on('peer:disconnected', this.onPeerDisconnectedBound);
+  }
+
+  /**
+   * Open a stream to a connected neighbour. Writes wait until the remote
+   * accepts and grants credit; throws when the neighbour is not connected.
+   */
+  open(peerId: string, options: PeerStreamOpenOptions = {}): PeerStream {
+    if (this.destroyed) throw new Error('Stream service is closed');
+    if (typeof peerId !== 'string' || !peerId) throw new TypeError('peerId must be a non-empty string');
+    const label = options.label ?? '';
+    if (typeof label !== 'string' || label.length > MAX_LABEL_LENGTH) {
+      throw new TypeError(`label must be a string of at most ${MAX_LABEL_LENGTH} characters`);
+    }
+    const entry = this.createEntry(peerId, randomFrameId(), label, true, 0);
+    try {
+      this.mesh.sendFrame(peerId, this.frame(entry, 'open', { label, window: this.windowBytes }), { priority: 'control' });
+    } catch (error) {
+      this.teardown(entry, error instanceof Error ? error : new Error(String(error)), false);
+      throw error;
+    }
+    return entry.stream;
+  }
+
+  /** Open streams per neighbour. */
+  getStreamCounts(): Record<string, number> {
+    const counts: Record<string, number> = {};
+    for (const [peerId, entries] of this.streams) counts[peerId] = entries.size;
+    return counts;
+  }
+
+  destroy(): void {
+    if (this.destroyed) return;
+    this.destroyed = true;
+    this.mesh.offFrame(STREAM_FRAME_TYPE, this.onFrameBound);
+    this.mesh.off('peer:disconnected', this.onPeerDisconnectedBound);
+    for (const entries of Array.from(this.streams.values())) {
+      for (const entry of Array.from(entries.values())) {
+        this.teardown(entry, new Error('Stream service is closed'), true);
+      }
+    }
+  }
+
+  private createEntry(peerId: string, id: string, label: string, initiator: boolean, sendCredit: number): StreamEntry {
+    let readController!: ReadableStreamDefaultController<Uint8Array>;
+    let writeController!: WritableStreamDefaultController;
+    // The underlying sources only run once `entry` below is assigned.
+    let entry: StreamEntry;
+    const readable = new ReadableStream<Uint8Array>(
+      {
+        start: (controller) => { readController = controller; },
+        pull: () => this.grantCredit(entry),
+        cancel: () => this.teardown(entry, new Error('Stream cancelled'), true),
+      },
+      { highWaterMark: this.windowBytes, size: (chunk) => chunk.byteLength },
+    );
+    const writable = new WritableStream<Uint8Array>({
+      start: (controller) => { writeController = controller; },
+      write: (chunk) => this.write(entry, chunk),
+      close: () => this.finishWriting(entry),
+      abort: () => this.teardown(entry, new Error('Stream aborted'), true),
+    });
+    entry = {
+      stream: { id, peerId, label, initiator, readable, writable },
+      accepted: !initiator,
+      sendCredit,
+      creditWaiter: null,
+      granted: this.windowBytes,
+      received: 0,
+      sent: 0,
+      readController,
+      writeController,
+      readOpen: true,
+      writeOpen: true,
+      error: null,
+    };
+    const entries = this.streams.get(peerId) ?? new Map<string, StreamEntry>();
+    entries.set(id, entry);
+    this.streams.set(peerId, entries);
+    return entry;
+  }
+
+  private async write(entry: StreamEntry, chunk: unknown): Promise<void> {
+    const bytes = asBytes(chunk);
+    if (!bytes) throw new TypeError('Stream chunks must be an ArrayBuffer or ArrayBufferView');
+    let offset = 0;
+    while (offset < bytes.length) {
+      await this.waitForCredit(entry);
+      const size = Math.min(bytes.length - offset, entry.sendCredit, this.chunkBytes);
+      // Copied, so the caller may reuse its buffer once the write resolves.
+      const data = bytes.slice(offset, offset + size);
+      if (!this.transmit(entry, this.frame(entry, 'data', { offset: entry.sent, data }))) {
+        throw entry.error;
+      }
+      entry.sendCredit -= size;
+      entry.sent += size;
+      offset += size;
+    }
+  }
+
+  private waitForCredit(entry: StreamEntry): Promise<void> {
+    if (entry.error) return Promise.reject(entry.error);
+    if (entry.accepted && entry.sendCredit > 0) return Promise.resolve();
+    return new Promise((resolve, reject) => {
+      entry.creditWaiter = { resolve, reject };
+    });
+  }
+
+  private wakeWriter(entry: StreamEntry): void {
+    if (!entry.creditWaiter || !entry.accepted || entry.sendCredit <= 0) return;
+    const { resolve } = entry.creditWaiter;
+    entry.creditWaiter = null;
+    resolve();
+  }
+
+  private finishWriting(entry: StreamEntry): void {
+    if (entry.error) throw entry.error;
+    if (!this.transmit(entry, this.frame(entry, 'close', { offset: entry.sent }))) throw entry.error;
+    entry.writeOpen = false;
+    this.releaseIfDone(entry);
+  }
+
+  /**
+   * Return to the remote the room its unacknowledged bytes no longer fill.
+   * Credit goes out in chunk-sized steps, or all at once when the remote has
+   * none left, so a steady transfer costs one credit frame per chunk at most.
+   */
+  private grantCredit(entry: StreamEntry): void {
+    if (!entry.readOpen || entry.error) return;
+    const outstanding = entry.granted - entry.received;
+    const room = (entry.readController.desiredSize ?? 0) - outstanding;
+    if (room < this.chunkBytes && !(room > 0 && outstanding === 0)) return;
+    entry.granted += room;
+    this.transmit(entry, this.frame(entry, 'credit', { bytes: room }));
+  }
+
+  private handleFrame(peerId: string, frame: StreamFrame): void {
+    const entry = this.streams.get(peerId)?.get(frame.stream);
+    if (frame.op === 'open') {
+      this.acceptStream(peerId, frame, entry);
+      return;
+    }
+    if (!entry) return;
+    if (frame.op === 'accept') {
+      if (!entry.stream.initiator || entry.accepted) return;
+      entry.accepted = true;
+      entry.sendCredit += frame.window!;
+      this.wakeWriter(entry);
+    } else if (frame.op === 'credit') {
+      entry.sendCredit += frame.bytes!;
+      this.wakeWriter(entry);
+    } else if (frame.op === 'data') {
+      this.receiveData(entry, frame.offset!, frame.data!);
+    } else if (frame.op === 'close') {
+      if (!entry.readOpen) return;
+      if (frame.offset !== entry.received) {
+        this.teardown(entry, new Error('Peer skipped stream data'), true, 'gap');
+        return;
+      }
+      entry.readOpen = false;
+      try {
+        entry.readController.close();
+      } catch {
+        // already cancelled by the reader
+      }
+      this.releaseIfDone(entry);
+    } else if (frame.op === 'reset') {
+      const reason = frame.reason ? `: ${frame.reason}` : '';
+      this.teardown(entry, new Error(`Stream reset by peer${reason}`), false);
+    }
+  }
+
+  private acceptStream(peerId: string, frame: StreamFrame, existing: StreamEntry | undefined): void {
+    if (existing || this.destroyed) return;
+    if ((this.streams.get(peerId)?.size ?? 0) >= this.maxStreamsPerPeer) {
+      this.sendReset(peerId, frame.stream, 'too many streams');
+      return;
+    }
+    const entry = this.createEntry(peerId, frame.stream, frame.label ?? '', false, frame.window!);
+    if (!this.transmit(entry, this.frame(entry, 'accept', { window: this.windowBytes }))) return;
+    this.onIncoming(entry.stream);
+  }
+
+  private receiveData(entry: StreamEntry, offset: number, data: Uint8Array): void {
+    // Data after a local cancel is still in flight; the reset covers it.
+    if (!entry.readOpen) return;
+    // Frames are never resent, so any other offset means one was dropped.
+    if (offset !== entry.received) {
+      this.teardown(entry, new Error('Peer skipped stream data'), true, 'gap');
+      return;
+    }
+    if (data.byteLength > entry.granted - entry.received) {
+      this.teardown(entry, new Error('Peer exceeded the stream window'), true, 'window exceeded');
+      return;
+    }
+    entry.received += data.byteLength;
+    entry.readController.enqueue(data);
+  }
+
+  /** Fail both halves of a stream and forget it; `notify` tells the remote. */
+  private teardown(entry: StreamEntry, error: Error, notify: boolean, reason: string = error.message): void {
+    const entries = this.streams.get(entry.stream.peerId);
+    if (entries?.get(entry.stream.id) !== entry) return;
+    entries.delete(entry.stream.id);
+    if (entries.size === 0) this.streams.delete(entry.stream.peerId);
+    entry.error = error;
+    if (entry.readOpen) entry.readController.error(error);
+    if (entry.writeOpen) entry.writeController.error(error);
+    entry.readOpen = false;
+    entry.writeOpen = false;
+    entry.creditWaiter?.reject(error);
+    entry.creditWaiter = null;
+    if (notify) this.sendReset(entry.stream.peerId, entry.stream.id, reason);
+  }
+
+  private releaseIfDone(entry: StreamEntry): void {
+    if (entry.readOpen || entry.writeOpen) return;
+    const entries = this.streams.get(entry.stream.peerId);
+    if (entries?.get(entry.stream.id) !== entry) return;
+    entries.delete(entry.stream.id);
+    if (entries.size === 0) this.streams.delete(entry.stream.peerId);
+  }
+
+  /**
+   * Send a frame for the stream, tearing it down when the channel refuses
+   * it. The remote is reset too, since a full queue still admits control
+   * frames.
+   */
+  private transmit(entry: StreamEntry, frame: StreamFrame): boolean {
+    const priority = frame.op === 'data' || frame.op === 'close' ? 'bulk' : 'control';
+    try {
+      this.mesh.sendFrame(entry.stream.peerId, frame, { priority });
+      return true;
+    } catch (error) {
+      this.teardown(entry, error instanceof Error ? error : new Error(String(error)), true);
+      return false;
+    }
+  }
+
+  private sendReset(peerId: string, streamId: string, reason: string): void {
+    try {
+      this.mesh.sendFrame(peerId, { type: STREAM_FRAME_TYPE, op: 'reset', stream: streamId, reason }, { priority: 'control' });
+    } catch {
+      // the neighbour is gone, which resets its streams anyway
+    }
+  }
+
+  private frame(entry: StreamEntry, op: StreamOp, fields: Partial<StreamFrame> = {}): StreamFrame {
+    return { type: STREAM_FRAME_TYPE, op, stream: entry.stream.id, ...fields };
+  }
+
+  private parseFrame(value: unknown): StreamFrame | null {
+    const frame = value as Partial<StreamFrame> | null;
+    if (!frame || typeof frame !== 'object' || frame.type !== STREAM_FRAME_TYPE) return null;
+    if (typeof frame.stream !== 'string' || !frame.stream || frame.stream.length > MAX_STREAM_ID_LENGTH) return null;
+    const positive = (count: unknown) => Number.isSafeInteger(count) && (count as number) > 0;
+    const offset = (count: unknown) => Number.isSafeInteger(count) && (count as number) >= 0;
+    switch (frame.op) {
+      case 'open':
+        if (!positive(frame.window)) return null;
+        if (frame.label !== undefined && (typeof frame.label !== 'string' || frame.label.length > MAX_LABEL_LENGTH)) return null;
+        break;
+      case 'accept':
+        if (!positive(frame.window)) return null;
+        break;
+      case 'credit':
+        if (!positive(frame.bytes)) return null;
+        break;
+      case 'data':
+        if (!offset(frame.offset) || !(frame.data instanceof Uint8Array)) return null;
+        break;
+      case 'close':
+        if (!offset(frame.offset)) return null;
+        break;
+      case 'reset':
+        break;
+      default:
+        return null;
+    }
+    return frame as StreamFrame;
+  }
+}
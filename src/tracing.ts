@@ -0,0 +1,374 @@
+export const TRACE_REPORT_TYPE = 'pp-trace-spans-v1';
+
+const TRACE_ID = /^[0-9a-f]{32}$/;
+const SPAN_ID = /^[0-9a-f]{16}$/;
+const MAX_SPANS_PER_TRACE = 256;
+const MAX_SPANS_PER_REPORT = 64;
+const MAX_QUEUED_SPANS = 1024;
+const MAX_PEER_ID_LENGTH = 512;
+
+/** W3C-style context carried unsigned on traced envelopes and replaced at every traced hop. */
+export type TraceContext = {
+  traceId: string;
+  /** The span that forwarded this copy; the receiving hop's parent. */
+  spanId: string;
+};
+
+export type TraceSpanName = 'gossip.publish' | 'gossip.relay' | 'direct.send' | 'direct.relay';
+
+export type TraceSpan = {
+  traceId: string;
+  spanId: string;
+  /** Null for the originator's span. */
+  parentSpanId: string | null;
+  name: TraceSpanName;
+  /** The peer that recorded the span. */
+  peerId: string;
+  messageId: string;
+  /** Originate time for the root; first arrival for a hop. */
+  startTimeMs: number;
+  /** When the copies were handed to the next hops. */
+  endTimeMs: number;
+  hops: number;
+  /** Neighbour the envelope arrived from; null for the root. */
+  fromPeerId: string | null;
+  forwardedTo: string[];
+  /** Whether this peer surfaced the payload to its application. */
+  surfaced: boolean;
+};
+
+export type MessageTrace = {
+  traceId: string;
+  messageId: string;
+  /** In the order the spans reached the originator. */
+  spans: TraceSpan[];
+};
+
+export type TracingOptions = {
+  /** Fraction of originated messages that are traced. Default 1. */
+  sampleRate?: number;
+  /** Traces kept by the originator, oldest dropped first. Default 100. */
+  maxTraces?: number;
+  /** How long a relay batches spans before reporting them. Default 250 ms. */
+  reportDelayMs?: number;
+};
+
+/** An OTLP/JSON `ExportTraceServiceRequest`, as accepted by OpenTelemetry collectors. */
+export type OtlpTraceExport = {
+  resourceSpans: Array<{
+    resource: { attributes: OtlpAttribute[] };
+    scopeSpans: Array<{
+      scope: { name: string };
+      spans: Array<{
+        traceId: string;
+        spanId: string;
+        parentSpanId: string;
+        name: string;
+        kind: number;
+        startTimeUnixNano: string;
+        endTimeUnixNano: string;
+        attributes: OtlpAttribute[];
+      }>;
+    }>;
+  }>;
+};
+
+export type OtlpAttribute = {
+  key: string;
+  value: { stringValue: string } | { intValue: string } | { boolValue: boolean };
+};
+
+/** An open span: the root between originate and dispatch, or a hop between arrival and forward. */
+export type TraceHop = {
+  span: TraceSpan;
+  /** Where this peer's spans are reported. */
+  originPeerId: string;
+};
+
+const SPAN_KIND_CONSUMER = 5;
+const SPAN_KIND_PRODUCER = 4;
+
+/**
+ * Records per-hop spans for traced gossip and direct envelopes. Originators
+ * sample messages and keep their traces; relays report the hops they took
+ * part in back to the originator in batched direct messages.
+ */
+export class GossipTracer {
+  private readonly sampleRate: number;
+  private readonly maxTraces: number;
+  private readonly reportDelayMs: number;
+  private readonly sendReport: (originPeerId: string, report: unknown) => void;
+  /** Traces originated here by trace ID, oldest first. */
+  private readonly traces = new Map<string, MessageTrace>();
+  private readonly traceIdsByMessage = new Map<string, string>();
+  private readonly pendingReports = new Map<string, TraceSpan[]>();
+  private queuedSpans = 0;
+  private reportTimer: ReturnType<typeof setTimeout> | null = null;
+
+  constructor(options: TracingOptions, sendReport: (originPeerId: string, report: unknown) => void) {
+    this.sampleRate = options.sampleRate ?? 1;
+    this.maxTraces = options.maxTraces ?? 100;
+    this.reportDelayMs = options.reportDelayMs ?? 250;
+    if (!Number.isFinite(this.sampleRate) || this.sampleRate < 0 || this.sampleRate > 1) {
+      throw new RangeError('tracing.sampleRate must be between 0 and 1');
+    }
+    if (!Number.isSafeInteger(this.maxTraces) || this.maxTraces < 1) {
+      throw new RangeError('tracing.maxTraces must be a positive safe integer');
+    }
+    if (!Number.isSafeInteger(this.reportDelayMs) || this.reportDelayMs < 0) {
+      throw new RangeError('tracing.reportDelayMs must be a non-negative safe integer');
+    }
+    this.sendReport = sendReport;
+  }
+
+  static isValidContext(value: unknown): value is TraceContext {
+    const context = value as Partial<TraceContext> | null;
+    return !!context
+      && typeof context === 'object'
+      && typeof context.traceId === 'string'
+      && TRACE_ID.test(context.traceId)
+      && typeof context.spanId === 'string'
+      && SPAN_ID.test(context.spanId);
+  }
+
+  static isReport(data: unknown): boolean {
+    return !!data && typeof data === 'object' && (data as { __ppType?: unknown }).__ppType === TRACE_REPORT_TYPE;
+  }
+
+  /** Open the originator's span if the message is sampled. */
+  startTrace(
+    name: 'gossip.publish' | 'direct.send',
+    messageId: string,
+    peerId: string,
+    startTimeMs: number,
+  ): TraceHop | null {
+    if (this.sampleRate < 1 && Math.random() >= this.sampleRate) return null;
+    const traceId = randomHex(16);
+    const trace: MessageTrace = { traceId, messageId, spans: [] };
+    this.traces.set(traceId, trace);
+    this.traceIdsByMessage.set(messageId, traceId);
+    while (this.traces.size > this.maxTraces) {
+      const oldest = this.traces.values().next().value;
+      if (!oldest) break;
+      this.traces.delete(oldest.traceId);
+      this.traceIdsByMessage.delete(oldest.messageId);
+    }
+    return {
+      originPeerId: peerId,
+      span: this.openSpan(traceId, null, name, peerId, messageId, startTimeMs, 0, null),
+    };
+  }
+
+  /** Open a span for the first arrival of a traced envelope. */
+  beginHop(
+    name: 'gossip.relay' | 'direct.relay',
+    context: TraceContext,
+    messageId: string,
+    originPeerId: string,
+    peerId: string,
+    receivedAt: number,
+    hops: number,
+    fromPeerId: string,
+  ): TraceHop {
+    return {
+      originPeerId,
+      span: this.openSpan(context.traceId, context.spanId, name, peerId, messageId, receivedAt, hops, fromPeerId),
+    };
+  }
+
+  /** The context forwarded copies carry, naming the open span as their parent. */
+  contextFor(hop: TraceHop): TraceContext {
+    return { traceId: hop.span.traceId, spanId: hop.span.spanId };
+  }
+
+  /** Close a span once its copies are handed off, keeping it or queueing it for the originator. */
+  endHop(hop: TraceHop, forwardedTo: string[], surfaced: boolean): void {
+    const span = { ...hop.span, endTimeMs: Date.now(), forwardedTo: [...forwardedTo], surfaced };
+    if (hop.originPeerId === span.peerId) {
+      this.record(span);
+      return;
+    }
+    if (this.queuedSpans >= MAX_QUEUED_SPANS) return;
+    const queued = this.pendingReports.get(hop.originPeerId) ?? [];
+    queued.push(span);
+    this.pendingReports.set(hop.originPeerId, queued);
+    this.queuedSpans += 1;
+    if (!this.reportTimer) {
+      this.reportTimer = setTimeout(() => {
+        this.reportTimer = null;
+        this.flushReports();
+      }, this.reportDelayMs);
+    }
+  }
+
+  /**
+   * Accept spans a relay reported for a trace this peer originated. The
+   * reporting peer is taken from the envelope, never from the spans.
+   */
+  handleReport(data: unknown, fromPeerId: string): void {
+    const spans = (data as { spans?: unknown }).spans;
+    if (!Array.isArray(spans)) return;
+    for (const candidate of spans.slice(0, MAX_SPANS_PER_REPORT)) {
+      const span = this.parseSpan(candidate, fromPeerId);
+      if (span) this.record(span);
+    }
+  }
+
+  getTrace(messageId: string): MessageTrace | null {
+    const traceId = this.traceIdsByMessage.get(messageId);
+    const trace = traceId ? this.traces.get(traceId) : undefined;
+    return trace ? { ...trace, spans: trace.spans.map((span) => ({ ...span, forwardedTo: [...span.forwardedTo] })) } : null;
+  }
+
+  /** Traces originated here, or only those of `messageIds`, as OTLP/JSON. */
+  exportTraces(messageIds?: string[]): OtlpTraceExport {
+    const traces = messageIds
+      ? messageIds.map((messageId) => this.getTrace(messageId)).filter((trace): trace is MessageTrace => !!trace)
+      : Array.from(this.traces.values());
+    const byPeer = new Map<string, TraceSpan[]>();
+    for (const trace of traces) {
+      for (const span of trace.spans) {
+        const spans = byPeer.get(span.peerId) ?? [];
+        spans.push(span);
+        byPeer.set(span.peerId, spans);
+      }
+    }
+    return {
+      resourceSpans: Array.from(byPeer, ([peerId, spans]) => ({
+        resource: {
+          attributes: [
+            { key: 'service.name', value: { stringValue: 'peerpigeon' } },
+            { key: 'service.instance.id', value: { stringValue: peerId } },
+          ],
+        },
+        scopeSpans: [{
+          scope: { name: 'peerpigeon.gossip' },
+          spans: spans.map((span) => ({
+            traceId: span.traceId,
+            spanId: span.spanId,
+            parentSpanId: span.parentSpanId ?? '',
+            name: span.name,
+            kind: span.parentSpanId ? SPAN_KIND_CONSUMER : SPAN_KIND_PRODUCER,
+            startTimeUnixNano: toUnixNano(span.startTimeMs),
+            endTimeUnixNano: toUnixNano(span.endTimeMs),
+            attributes: [
+              { key: 'peerpigeon.message_id', value: { stringValue: span.messageId } },
+              { key: 'peerpigeon.hops', value: { intValue: String(span.hops) } },
+              ...(span.fromPeerId ? [{ key: 'peerpigeon.from_peer', value: { stringValue: span.fromPeerId } }] : []),
+              { key: 'peerpigeon.forwarded_count', value: { intValue: String(span.forwardedTo.length) } },
+              { key: 'peerpigeon.surfaced', value: { boolValue: span.surfaced } },
+            ],
+          })),
+        }],
+      })),
+    };
+  }
+
+  destroy(): void {
+    if (this.reportTimer) clearTimeout(this.reportTimer);
+    this.reportTimer = null;
+    this.pendingReports.clear();
+    this.queuedSpans = 0;
+    this.traces.clear();
+    this.traceIdsByMessage.clear();
+  }
+
+  private flushReports(): void {
+    const reports = Array.from(this.pendingReports);
+    this.pendingReports.clear();
+    this.queuedSpans = 0;
+    for (const [originPeerId, spans] of reports) {
+      for (let index = 0; index < spans.length; index += MAX_SPANS_PER_REPORT) {
+        const batch = spans.slice(index, index + MAX_SPANS_PER_REPORT).map(({ peerId: _peerId, ...span }) => span);
+        try {
+          this.sendReport(originPeerId, { __ppType: TRACE_REPORT_TYPE, spans: batch });
+        } catch {
+          // Tracing is best-effort; an unreachable originator loses these spans.
+        }
+      }
+    }
+  }
+
+  private record(span: TraceSpan): void {
+    const trace = this.traces.get(span.traceId);
+    if (!trace || trace.messageId !== span.messageId || trace.spans.length >= MAX_SPANS_PER_TRACE) return;
+    if (trace.spans.some((existing) => existing.spanId === span.spanId)) return;
+    trace.spans.push(span);
+  }
+
+  private openSpan(
+    traceId: string,
+    parentSpanId: string | null,
+    name: TraceSpanName,
+    peerId: string,
+    messageId: string,
+    startTimeMs: number,
+    hops: number,
+    fromPeerId: string | null,
+  ): TraceSpan {
+    return {
+      traceId,
+      spanId: randomHex(8),
+      parentSpanId,
+      name,
+      peerId,
+      messageId,
+      startTimeMs,
+      endTimeMs: startTimeMs,
+      hops,
+      fromPeerId,
+      forwardedTo: [],
+      surfaced: false,
+    };
+  }
+
+  private parseSpan(value: unknown, peerId: string): TraceSpan | null {
+    const span = value as Partial<TraceSpan> | null;
+    if (!span || typeof span !== 'object') return null;
+    if (typeof span.traceId !== 'string' || !this.traces.has(span.traceId)) return null;
+    if (typeof span.spanId !== 'string' || !SPAN_ID.test(span.spanId)) return null;
+    // Only the originator records the root.
+    if (typeof span.parentSpanId !== 'string' || !SPAN_ID.test(span.parentSpanId)) return null;
+    if (span.name !== 'gossip.relay' && span.name !== 'direct.relay') return null;
+    if (typeof span.messageId !== 'string') return null;
+    if (!Number.isSafeInteger(span.startTimeMs) || !Number.isSafeInteger(span.endTimeMs)) return null;
+    if (span.endTimeMs! < span.startTimeMs!) return null;
+    if (!Number.isSafeInteger(span.hops) || span.hops! < 0) return null;
+    if (typeof span.fromPeerId !== 'string' || !span.fromPeerId || span.fromPeerId.length > MAX_PEER_ID_LENGTH) return null;
+    if (
+      !Array.isArray(span.forwardedTo)
+      || span.forwardedTo.length > MAX_SPANS_PER_TRACE
+      || !span.forwardedTo.every((next) => typeof next === 'string' && next.length > 0 && next.length <= MAX_PEER_ID_LENGTH)
+    ) return null;
+    return {
+      traceId: span.traceId,
+      spanId: span.spanId,
+      parentSpanId: span.parentSpanId,
+      name: span.name,
+      peerId,
+      messageId: span.messageId,
+      startTimeMs: span.startTimeMs!,
+      endTimeMs: span.endTimeMs!,
+      hops: span.hops!,
+      fromPeerId: span.fromPeerId,
+      forwardedTo: [...span.forwardedTo],
+      surfaced: span.surfaced === true,
+    };
+  }
+}
+
+function randomHex(byteLength: number): string {
+  const bytes = new Uint8Array(byteLength);
+  try {
+    globalThis.crypto.getRandomValues(bytes);
+  } catch {
+    for (let index = 0; index < bytes.length; index++) bytes[index] = Math.floor(Math.random() * 256);
+  }
+  // All-zero IDs are invalid in W3C trace context.
+  if (bytes.every((value) => value === 0)) bytes[bytes.length - 1] = 1;
+  return Array.from(bytes, (value) => value.toString(16).padStart(2, '0')).join('');
+}
+
+function toUnixNano(ms: number): string {
+  return `${Math.floor(ms)}000000`;
+}
@@ -12,4 +12,6 @@ declare module 'unsea' {
     recipient: { epub: string }
   ): Promise<unknown>;
   export function decryptMessageWithMeta(cipher: unknown, epriv: string): Promise<string>;
+  export function signMessage(message: string, priv: string): Promise<string>;
+  export function verifyMessage(message: string, signature: string, pub: string): Promise<boolean>;
 }
@@ -0,0 +1,365 @@
+/**
+ * Compact binary envelope codec (a MessagePack subset) and the JSON fallback
+ * used for peers that have not negotiated it.
+ *
+ * A binary frame starts with 0xC1, a byte that is never emitted by
+ * MessagePack and can never begin UTF-8 JSON text, followed by the codec
+ * version and one MessagePack value. Byte arrays travel natively as `bin`;
+ * the JSON fallback carries them as `{ "__ppBytes": "<base64url>" }`.
+ */
+
+export const WIRE_CODEC_BINARY = 'ppmp/1';
+export const WIRE_CODEC_JSON = 'json';
+export const WIRE_HELLO_TYPE = 'pp-wire-hello-v1';
+
+export type WireCodec = typeof WIRE_CODEC_BINARY | typeof WIRE_CODEC_JSON;
+
+export type WireHello = {
+  __ppWire: typeof WIRE_HELLO_TYPE;
+  codecs: string[];
+  /** Compression schemes the sender can inflate; absent when it has compression off. */
+  compression?: string[];
+};
+
+const FRAME_MAGIC = 0xc1;
+const FRAME_VERSION = 0x01;
+const MAX_DEPTH = 128;
+const BYTES_TAG = '__ppBytes';
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder('utf-8', { fatal: true });
+
+class WireWriter {
+  private buffer = new Uint8Array(256);
+  private view = new DataView(this.buffer.buffer);
+  length = 0;
+
+  private reserve(size: number): void {
+    if (this.length + size <= this.buffer.length) return;
+    let capacity = this.buffer.length * 2;
+    while (capacity < this.length + size) capacity *= 2;
+    const next = new Uint8Array(capacity);
+    next.set(this.buffer.subarray(0, this.length));
+    this.buffer = next;
+    this.view = new DataView(next.buffer);
+  }
+
+  u8(value: number): void {
+    this.reserve(1);
+    this.buffer[this.length++] = value;
+  }
+
+  u16(value: number): void {
+    this.reserve(2);
+    this.view.setUint16(this.length, value);
+    this.length += 2;
+  }
+
+  u32(value: number): void {
+    this.reserve(4);
+    this.view.setUint32(this.length, value);
+    this.length += 4;
+  }
+
+  i8(value: number): void {
+    this.reserve(1);
+    this.view.setInt8(this.length, value);
+    this.length += 1;
+  }
+
+  i16(value: number): void {
+    this.reserve(2);
+    this.view.setInt16(this.length, value);
+    this.length += 2;
+  }
+
+  i32(value: number): void {
+    this.reserve(4);
+    this.view.setInt32(this.length, value);
+    this.length += 4;
+  }
+
+  f64(value: number): void {
+    this.reserve(8);
+    this.view.setFloat64(this.length, value);
+    this.length += 8;
+  }
+
+  bytes(value: Uint8Array): void {
+    this.reserve(value.length);
+    this.buffer.set(value, this.length);
+    this.length += value.length;
+  }
+
+  result(): Uint8Array {
+    return this.buffer.slice(0, this.length);
+  }
+}
+
+export function asBytes(value: unknown): Uint8Array | null {
+  if (value instanceof Uint8Array) return value;
+  if (value instanceof ArrayBuffer) return new Uint8Array(value);
+  if (ArrayBuffer.isView(value)) return new Uint8Array(value.buffer, value.byteOffset, value.byteLength);
+  return null;
+}
+
+function writeLength(writer: WireWriter, length: number, fix: number | null, fixMax: number, codes: [number, number, number]): void {
+  if (fix !== null && length <= fixMax) {
+    writer.u8(fix | length);
+  } else if (length <= 0xff && codes[0] !== 0) {
+    writer.u8(codes[0]);
+    writer.u8(length);
+  } else if (length <= 0xffff) {
+    writer.u8(codes[1]);
+    writer.u16(length);
+  } else {
+    writer.u8(codes[2]);
+    writer.u32(length);
+  }
+}
+
+function writeNumber(writer: WireWriter, value: number): void {
+  if (!Number.isFinite(value)) {
+    // JSON parity: non-finite numbers serialize as null.
+    writer.u8(0xc0);
+  } else if (Number.isInteger(value) && !Object.is(value, -0)) {
+    if (value >= 0 && value <= 0x7f) writer.u8(value);
+    else if (value < 0 && value >= -32) writer.i8(value);
+    else if (value >= 0 && value <= 0xff) { writer.u8(0xcc); writer.u8(value); }
+    else if (value >= 0 && value <= 0xffff) { writer.u8(0xcd); writer.u16(value); }
+    else if (value >= 0 && value <= 0xffffffff) { writer.u8(0xce); writer.u32(value); }
+    else if (value >= -0x80 && value < 0) { writer.u8(0xd0); writer.i8(value); }
+    else if (value >= -0x8000 && value < 0) { writer.u8(0xd1); writer.i16(value); }
+    else if (value >= -0x80000000 && value < 0) { writer.u8(0xd2); writer.i32(value); }
+    else { writer.u8(0xcb); writer.f64(value); }
+  } else {
+    writer.u8(0xcb);
+    writer.f64(value);
+  }
+}
+
+function writeValue(writer: WireWriter, input: unknown, depth: number, inArray: boolean): boolean {
+  if (depth > MAX_DEPTH) throw new RangeError('Wire value is nested too deeply');
+  let value = input;
+  if (value && typeof value === 'object' && typeof (value as { toJSON?: unknown }).toJSON === 'function') {
+    value = (value as { toJSON: () => unknown }).toJSON();
+  }
+
+  if (value === null) {
+    writer.u8(0xc0);
+    return true;
+  }
+  switch (typeof value) {
+    case 'boolean':
+      writer.u8(value ? 0xc3 : 0xc2);
+      return true;
+    case 'number':
+      writeNumber(writer, value);
+      return true;
+    case 'string': {
+      const encoded = textEncoder.encode(value);
+      writeLength(writer, encoded.length, 0xa0, 31, [0xd9, 0xda, 0xdb]);
+      writer.bytes(encoded);
+      return true;
+    }
+    case 'bigint':
+      throw new TypeError('Do not know how to serialize a BigInt');
+    case 'undefined':
+    case 'function':
+    case 'symbol':
+      // JSON parity: omitted from objects, null inside arrays.
+      if (!inArray) return false;
+      writer.u8(0xc0);
+      return true;
+    default:
+      break;
+  }
+
+  const bytes = asBytes(value);
+  if (bytes) {
+    writeLength(writer, bytes.length, null, 0, [0xc4, 0xc5, 0xc6]);
+    writer.bytes(bytes);
+    return true;
+  }
+
+  if (Array.isArray(value)) {
+    writeLength(writer, value.length, 0x90, 15, [0, 0xdc, 0xdd]);
+    for (const item of value) writeValue(writer, item, depth + 1, true);
+    return true;
+  }
+
+  const entries = Object.entries(value as Record<string, unknown>).filter(([, item]) =>
+    item !== undefined && typeof item !== 'function' && typeof item !== 'symbol');
+  writeLength(writer, entries.length, 0x80, 15, [0, 0xde, 0xdf]);
+  for (const [key, item] of entries) {
+    writeValue(writer, key, depth + 1, false);
+    writeValue(writer, item, depth + 1, false);
+  }
+  return true;
+}
+
+class WireReader {
+  private offset = 0;
+  private readonly view: DataView;
+
+  constructor(private readonly bytes: Uint8Array, offset: number) {
+    this.view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    this.offset = offset;
+  }
+
+  get done(): boolean {
+    return this.offset === this.bytes.length;
+  }
+
+  private need(size: number): void {
+    if (this.offset + size > this.bytes.length) throw new RangeError('Truncated wire frame');
+  }
+
+  u8(): number { this.need(1); return this.bytes[this.offset++]; }
+  u16(): number { this.need(2); const value = this.view.getUint16(this.offset); this.offset += 2; return value; }
+  u32(): number { this.need(4); const value = this.view.getUint32(this.offset); this.offset += 4; return value; }
+  i8(): number { this.need(1); const value = this.view.getInt8(this.offset); this.offset += 1; return value; }
+  i16(): number { this.need(2); const value = this.view.getInt16(this.offset); this.offset += 2; return value; }
+  i32(): number { this.need(4); const value = this.view.getInt32(this.offset); this.offset += 4; return value; }
+  f64(): number { this.need(8); const value = this.view.getFloat64(this.offset); this.offset += 8; return value; }
+
+  take(size: number): Uint8Array {
+    this.need(size);
+    const value = this.bytes.slice(this.offset, this.offset + size);
+    this.offset += size;
+    return value;
+  }
+
+  str(size: number): string {
+    this.need(size);
+    const value = textDecoder.decode(this.bytes.subarray(this.offset, this.offset + size));
+    this.offset += size;
+    return value;
+  }
+
+  value(depth: number = 0): unknown {
+    if (depth > MAX_DEPTH) throw new RangeError('Wire value is nested too deeply');
+    const code = this.u8();
+    if (code <= 0x7f) return code;
+    if (code >= 0xe0) return code - 0x100;
+    if (code >= 0xa0 && code <= 0xbf) return this.str(code & 0x1f);
+    if (code >= 0x90 && code <= 0x9f) return this.array(code & 0x0f, depth);
+    if (code >= 0x80 && code <= 0x8f) return this.map(code & 0x0f, depth);
+    switch (code) {
+      case 0xc0: return null;
+      case 0xc2: return false;
+      case 0xc3: return true;
+      case 0xc4: return this.take(this.u8());
+      case 0xc5: return this.take(this.u16());
+      case 0xc6: return this.take(this.u32());
+      case 0xcb: return this.f64();
+      case 0xcc: return this.u8();
+      case 0xcd: return this.u16();
+      case 0xce: return this.u32();
+      case 0xd0: return this.i8();
+      case 0xd1: return this.i16();
+      case 0xd2: return this.i32();
+      case 0xd9: return this.str(this.u8());
+      case 0xda: return this.str(this.u16());
+      case 0xdb: return this.str(this.u32());
+      case 0xdc: return this.array(this.u16(), depth);
+      case 0xdd: return this.array(this.u32(), depth);
+      case 0xde: return this.map(this.u16(), depth);
+      case 0xdf: return this.map(this.u32(), depth);
+      default:
+        throw new RangeError(`Unsupported wire type 0x${code.toString(16)}`);
+    }
+  }
+
+  private array(length: number, depth: number): unknown[] {
+    // Every element needs at least one byte, so a hostile length fails fast.
+    this.need(length);
+    const result = new Array(length);
+    for (let index = 0; index < length; index += 1) result[index] = this.value(depth + 1);
+    return result;
+  }
+
+  private map(length: number, depth: number): Record<string, unknown> {
+    this.need(length * 2);
+    const result: Record<string, unknown> = {};
+    for (let index = 0; index < length; index += 1) {
+      const key = this.value(depth + 1);
+      if (typeof key !== 'string') throw new TypeError('Wire map keys must be strings');
+      // Match JSON.parse: "__proto__" is an own property, never a prototype.
+      Object.defineProperty(result, key, { value: this.value(depth + 1), enumerable: true, writable: true, configurable: true });
+    }
+    return result;
+  }
+}
+
+/** Encode one envelope as a binary wire frame. */
+export function encodeWireFrame(value: unknown): Uint8Array {
+  const writer = new WireWriter();
+  writer.u8(FRAME_MAGIC);
+  writer.u8(FRAME_VERSION);
+  writeValue(writer, value, 0, true);
+  return writer.result();
+}
+
+/** True when `raw` carries the binary frame prefix. */
+export function isBinaryWireFrame(raw: unknown): boolean {
+  const bytes = asBytes(raw);
+  return !!bytes && bytes.length >= 2 && bytes[0] === FRAME_MAGIC;
+}
+
+/** Decode a binary wire frame. Returns null for anything malformed. */
+export function decodeWireFrame(raw: unknown): unknown | null {
+  const bytes = asBytes(raw);
+  if (!bytes || bytes.length < 3 || bytes[0] !== FRAME_MAGIC || bytes[1] !== FRAME_VERSION) return null;
+  try {
+    const reader = new WireReader(bytes, 2);
+    const value = reader.value();
+    return reader.done ? value : null;
+  } catch {
+    return null;
+  }
+}
+
+export function toBase64Url(bytes: Uint8Array): string {
+  let binary = '';
+  for (const byte of bytes) binary += String.fromCharCode(byte);
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/g, '');
+}
+
+export function fromBase64Url(value: string): Uint8Array {
+  const normalized = value.replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(normalized.padEnd(Math.ceil(normalized.length / 4) * 4, '='));
+  return Uint8Array.from(binary, (character) => character.charCodeAt(0));
+}
+
+/** JSON fallback that keeps byte arrays intact for peers using `wireJsonParse`. */
+export function wireJsonStringify(value: unknown): string {
+  return JSON.stringify(value, (_key, item) => {
+    const bytes = asBytes(item);
+    return bytes ? { [BYTES_TAG]: toBase64Url(bytes) } : item;
+  });
+}
+
+export function wireJsonParse(text: string): unknown {
+  return JSON.parse(text, (_key, item) => {
+    if (
+      item
+      && typeof item === 'object'
+      && !Array.isArray(item)
+      && typeof item[BYTES_TAG] === 'string'
+      && Object.keys(item).length === 1
+    ) {
+      try {
+        return fromBase64Url(item[BYTES_TAG]);
+      } catch {
+        return item;
+      }
+    }
+    return item;
+  });
+}
+
+export function isWireHello(value: unknown): value is WireHello {
+  const hello = value as Partial<WireHello> | null;
+  return !!hello && typeof hello === 'object' && hello.__ppWire === WIRE_HELLO_TYPE && Array.isArray(hello.codecs);
+}
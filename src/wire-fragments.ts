@@ -0,0 +1,259 @@
+import { asBytes, encodeWireFrame, fromBase64Url, toBase64Url } from './wire-codec.js';
+
+/**
+ * Link-level fragmentation. Each hop reassembles a frame completely before
+ * the protocol layers see it, so multi-hop routing and anti-entropy repair
+ * re-fragment per link without knowing about chunks.
+ */
+
+export const WIRE_FRAGMENT_TYPE = 'pp-frag-v1';
+
+export type WireFragment = {
+  __ppFrag: typeof WIRE_FRAGMENT_TYPE;
+  id: string;
+  index: number;
+  count: number;
+  /** Byte length of the reassembled frame. */
+  size: number;
+  /** Whether the reassembled frame is delivered as text or as bytes. */
+  kind: 'text' | 'binary';
+  /** Raw bytes in binary fragments, base64url in JSON fragments. */
+  chunk: Uint8Array | string;
+};
+
+export type WireReassemblyOptions = {
+  maxMessageBytes: number;
+  timeoutMs: number;
+  /** Concurrent partial frames accepted from one peer. Default 16. */
+  maxPendingPerPeer?: number;
+};
+
+/** Headroom for the fragment envelope around each chunk. */
+const FRAGMENT_OVERHEAD_BYTES = 160;
+const MAX_FRAGMENT_COUNT = 65_536;
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder('utf-8', { fatal: true });
+
+function fragmentId(): string {
+  try {
+    const bytes = new Uint8Array(8);
+    globalThis.crypto.getRandomValues(bytes);
+    return Array.from(bytes, (value) => value.toString(16).padStart(2, '0')).join('');
+  } catch {
+    return `${Date.now().toString(16)}${Math.random().toString(16).slice(2, 10)}`;
+  }
+}
+
+/**
+ * UTF-8 byte length of a frame. Strings that certainly fit under `bound` are
+ * not encoded; their worst-case length is returned instead.
+ */
+export function wireFrameByteLength(data: string | ArrayBuffer | ArrayBufferView, bound = 0): number {
+  if (typeof data === 'string') {
+    // Every UTF-16 unit encodes to at most three UTF-8 bytes.
+    return data.length * 3 <= bound ? data.length * 3 : textEncoder.encode(data).length;
+  }
+  return asBytes(data)?.length ?? 0;
+}
+
+/**
+ * Split a frame into link fragments, or return null when it already fits.
+ * `binary` selects the fragment encoding negotiated with the receiving peer.
+ */
+export function fragmentWireFrame(
+  data: string | ArrayBuffer | ArrayBufferView,
+  maxFrameBytes: number,
+  binary: boolean,
+): Array<string | Uint8Array> | null {
+  if (typeof data === 'string' && data.length * 3 <= maxFrameBytes) return null;
+  const bytes = typeof data === 'string' ? textEncoder.encode(data) : asBytes(data);
+  if (!bytes || bytes.length <= maxFrameBytes) return null;
+
+  const room = Math.max(1, maxFrameBytes - FRAGMENT_OVERHEAD_BYTES);
+  // base64url inflates every three bytes to four characters.
+  const chunkSize = binary ? room : Math.max(3, Math.floor(room / 4) * 3);
+  const count = Math.ceil(bytes.length / chunkSize);
+  if (count > MAX_FRAGMENT_COUNT) throw new RangeError(`Frame of ${bytes.length} bytes needs too many fragments`);
+
+  const id = fragmentId();
+  const kind = typeof data === 'string' ? 'text' : 'binary';
+  const fragments: Array<string | Uint8Array> = [];
+  for (let index = 0; index < count; index += 1) {
+    const chunk = bytes.subarray(index * chunkSize, (index + 1) * chunkSize);
+    const fragment: WireFragment = {
+      __ppFrag: WIRE_FRAGMENT_TYPE,
+      id,
+      index,
+      count,
+      size: bytes.length,
+      kind,
+      chunk: binary ? chunk : toBase64Url(chunk),
+    };
+    fragments.push(binary ? encodeWireFrame(fragment) : JSON.stringify(fragment));
+  }
+  return fragments;
+}
+
+/** Recognize a fragment in a decoded binary frame or in JSON text. */
+export function parseWireFragment(raw: unknown): WireFragment | null {
+  let value = raw;
+  if (typeof raw === 'string') {
+    if (!raw.startsWith('{"__ppFrag"')) return null;
+    try {
+      value = JSON.parse(raw);
+    } catch {
+      return null;
+    }
+  }
+  const fragment = value as Partial<WireFragment> | null;
+  if (
+    !fragment
+    || typeof fragment !== 'object'
+    || fragment.__ppFrag !== WIRE_FRAGMENT_TYPE
+    || typeof fragment.id !== 'string'
+    || fragment.id.length === 0
+    || fragment.id.length > 64
+    || !Number.isSafeInteger(fragment.count)
+    || !Number.isSafeInteger(fragment.index)
+    || !Number.isSafeInteger(fragment.size)
+    || (fragment.kind !== 'text' && fragment.kind !== 'binary')
+    || (typeof fragment.chunk !== 'string' && !(fragment.chunk instanceof Uint8Array))
+  ) return null;
+  const count = fragment.count as number;
+  const index = fragment.index as number;
+  if (count < 2 || count > MAX_FRAGMENT_COUNT || index < 0 || index >= count || (fragment.size as number) < 1) return null;
+  return fragment as WireFragment;
+}
+
+type PendingFrame = {
+  id: string;
+  count: number;
+  size: number;
+  kind: 'text' | 'binary';
+  chunks: Array<Uint8Array | undefined>;
+  received: number;
+  receivedBytes: number;
+  timer: ReturnType<typeof setTimeout>;
+};
+
+/**
+ * Per-peer reassembly with a size ceiling, a per-frame deadline, and a cap
+ * on concurrent partial frames. Violations drop the partial frame silently;
+ * the protocols above already repair or time out lost frames.
+ */
+export class WireReassembler {
+  private readonly pending = new Map<string, Map<string, PendingFrame>>();
+  private readonly maxMessageBytes: number;
+  private readonly timeoutMs: number;
+  private readonly maxPendingPerPeer: number;
+  private droppedFrames = 0;
+
+  constructor(options: WireReassemblyOptions) {
+    this.maxMessageBytes = options.maxMessageBytes;
+    this.timeoutMs = options.timeoutMs;
+    this.maxPendingPerPeer = Math.max(1, Math.floor(options.maxPendingPerPeer ?? 16));
+  }
+
+  /** Add one fragment. Returns the complete frame once its last chunk arrives. */
+  accept(peerId: string, fragment: WireFragment): string | Uint8Array | null {
+    const chunk = typeof fragment.chunk === 'string' ? this.decodeChunk(fragment.chunk) : fragment.chunk;
+    if (!chunk) return this.drop(peerId, fragment.id);
+
+    let frames = this.pending.get(peerId);
+    let frame = frames?.get(fragment.id);
+    if (!frame) {
+      if (fragment.size > this.maxMessageBytes) return this.drop(peerId, fragment.id);
+      if (!frames) {
+        frames = new Map();
+        this.pending.set(peerId, frames);
+      }
+      if (frames.size >= this.maxPendingPerPeer) return this.drop(peerId, fragment.id);
+      frame = {
+        id: fragment.id,
+        count: fragment.count,
+        size: fragment.size,
+        kind: fragment.kind,
+        chunks: new Array(fragment.count),
+        received: 0,
+        receivedBytes: 0,
+        timer: setTimeout(() => this.drop(peerId, fragment.id), this.timeoutMs),
+      };
+      frames.set(fragment.id, frame);
+    }
+
+    if (frame.count !== fragment.count || frame.size !== fragment.size || frame.kind !== fragment.kind) {
+      return this.drop(peerId, fragment.id);
+    }
+    if (frame.chunks[fragment.index]) return null;
+    if (frame.receivedBytes + chunk.length > frame.size) return this.drop(peerId, fragment.id);
+    frame.chunks[fragment.index] = chunk;
+    frame.received += 1;
+    frame.receivedBytes += chunk.length;
+    if (frame.received < frame.count) return null;
+
+    this.forget(peerId, fragment.id);
+    if (frame.receivedBytes !== frame.size) {
+      this.droppedFrames += 1;
+      return null;
+    }
+    const bytes = new Uint8Array(frame.size);
+    let offset = 0;
+    for (const part of frame.chunks) {
+      bytes.set(part as Uint8Array, offset);
+      offset += (part as Uint8Array).length;
+    }
+    if (frame.kind === 'binary') return bytes;
+    try {
+      return textDecoder.decode(bytes);
+    } catch {
+      this.droppedFrames += 1;
+      return null;
+    }
+  }
+
+  dropPeer(peerId: string): void {
+    const frames = this.pending.get(peerId);
+    if (!frames) return;
+    for (const frame of frames.values()) clearTimeout(frame.timer);
+    this.pending.delete(peerId);
+  }
+
+  clear(): void {
+    for (const peerId of Array.from(this.pending.keys())) this.dropPeer(peerId);
+  }
+
+  getStats(): { pendingFrames: number; pendingBytes: number; droppedFrames: number } {
+    let pendingFrames = 0;
+    let pendingBytes = 0;
+    for (const frames of this.pending.values()) {
+      for (const frame of frames.values()) {
+        pendingFrames += 1;
+        pendingBytes += frame.receivedBytes;
+      }
+    }
+    return { pendingFrames, pendingBytes, droppedFrames: this.droppedFrames };
+  }
+
+  private decodeChunk(chunk: string): Uint8Array | null {
+    try {
+      return fromBase64Url(chunk);
+    } catch {
+      return null;
+    }
+  }
+
+  private forget(peerId: string, id: string): void {
+    const frames = this.pending.get(peerId);
+    const frame = frames?.get(id);
+    if (!frames || !frame) return;
+    clearTimeout(frame.timer);
+    frames.delete(id);
+    if (frames.size === 0) this.pending.delete(peerId);
+  }
+
+  private drop(peerId: string, id: string): null {
+    this.forget(peerId, id);
+    this.droppedFrames += 1;
+    return null;
+  }
+}
@@ -0,0 +1,152 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import { PartialMesh, PeerPigeonAnycast, PeerPigeonNode } from '../dist/index.js';
+import { id, makeProtocols } from './helpers/gossip-network.mjs';
+
+const [A, B, C, D] = [id('01'), id('02'), id('03'), id('04')];
+
+/** A is connected to B, C and D; B is nearest, then C and D, which tie on hops. */
+function makePeers(options = {}) {
+  const ids = [A, B, C, D];
+  const { network, protocols } = makeProtocols(ids, new Map([[A, [B, C, D]], [B, [A]], [C, [A]], [D, [A]]]), {
+    directAckTimeoutMs: 100,
+    directMaxAttempts: 1,
+  });
+  /** Peers that silently drop everything they receive. */
+  network.blackholed = new Set();
+  network.drop = ({ to }) => network.blackholed.has(to);
+  network.meshes.get(A).hops = new Map([[B, 1], [C, 2], [D, 2]]);
+  network.providers.set('indexer', [B, C, D]);
+  const peers = new Map(ids.map((peerId) => {
+    const mesh = network.meshes.get(peerId);
+    const gossip = protocols.get(peerId);
+    const received = [];
+    const anycast = new PeerPigeonAnycast(mesh, gossip, options, (message) => received.push(message));
+    return [peerId, { mesh, gossip, anycast, received }];
+  }));
+  return { network, peers };
+}
+
+function destroyPeers(peers) {
+  for (const { anycast, gossip } of peers.values()) {
+    anycast.destroy();
+    gossip.destroy();
+  }
+}
+
+test('anycast reaches the nearest provider', async () => {
+  const { peers } = makePeers();
+  try {
+    assert.deepEqual(peers.get(A).anycast.rankProviders('indexer'), [B, C, D]);
+    const result = await peers.get(A).anycast.send('indexer', { query: 'pigeons' });
+    assert.equal(result.peerId, B);
+    assert.deepEqual(result.providersTried, [B]);
+    assert.equal(result.service, 'indexer');
+    assert.deepEqual(peers.get(B).received.map(({ service, data, fromPeerId, anycastId }) => [service, data, fromPeerId, anycastId]), [
+      ['indexer', { query: 'pigeons' }, A, result.anycastId],
+    ]);
+    assert.deepEqual(peers.get(C).received, []);
+
+    // B withdrew the service before A saw its new record: B refuses, A moves on.
+    peers.get(B).mesh.getAdvertisedServices = () => [];
+    const refused = await peers.get(A).anycast.send('indexer', 'stale');
+    assert.equal(refused.peerId, C);
+    assert.deepEqual(refused.providersTried, [B, C]);
+    assert.equal(peers.get(B).received.length, 1);
+    assert.deepEqual(peers.get(C).received.map(({ data }) => data), ['stale']);
+  } finally {
+    destroyPeers(peers);
+  }
+});
+
+test('anycast fails over when a provider does not acknowledge or leaves', async () => {
+  const { network, peers } = makePeers();
+  try {
+    network.blackholed.add(B);
+    const timedOut = await peers.get(A).anycast.send('indexer', 'first');
+    // C and D tie on hops; XOR distance from A breaks the tie.
+    assert.deepEqual(timedOut.providersTried, [B, C]);
+    assert.deepEqual(peers.get(C).received.map(({ data }) => data), ['first']);
+
+    const pending = peers.get(A).anycast.send('indexer', 'second', { ackTimeoutMs: 60_000 });
+    network.providers.set('indexer', [C, D]);
+    peers.get(A).mesh.emit('mesh:membership', [B, C, D]);
+    const result = await pending;
+    assert.deepEqual(result.providersTried, [B, C]);
+    assert.deepEqual(peers.get(C).received.map(({ data }) => data), ['first', 'second']);
+
+    network.blackholed.add(C);
+    network.blackholed.add(D);
+    await assert.rejects(
+      peers.get(A).anycast.send('indexer', 'third', { maxProviders: 2 }),
+      /failed after trying 2 provider/,
+    );
+  } finally {
+    destroyPeers(peers);
+  }
+});
+
+test('anycast rejects without providers and validates its arguments', async () => {
+  const { peers } = makePeers();
+  try {
+    await assert.rejects(peers.get(A).anycast.send('archive', 'x'), /No reachable provider of service archive/);
+    await assert.rejects(peers.get(A).anycast.send('indexer', 'x', { maxProviders: 0 }), RangeError);
+    assert.throws(() => peers.get(A).anycast.send('', 'x'), TypeError);
+  } finally {
+    destroyPeers(peers);
+  }
+  assert.throws(() => new PeerPigeonAnycast({}, {}, { maxProviders: 1.5 }), RangeError);
+  assert.throws(() => new PeerPigeonAnycast({}, {}, { replyTimeoutMs: Number.NaN }), RangeError);
+});
+
+function makeMesh(self, peer) {
+  const sent = [];
+  const mesh = new PartialMesh({ minPeers: 1, maxPeers: 4, autoDiscover: false, autoConnect: false });
+  mesh.clientId = self;
+  mesh.selfAliases.add(self);
+  mesh.peers.set(peer, { id: peer, connected: true, initiator: false });
+  mesh.signalingClient = {
+    send(peerId, data) { sent.push({ peerId, data }); },
+    closeConnection() {},
+    disconnect() {},
+  };
+  return { mesh, sent };
+}
+
+test('advertised services travel in the CECR membership record', () => {
+  const alice = makeMesh(A, B);
+  const bob = makeMesh(B, A);
+  try {
+    assert.equal(alice.mesh.advertiseService('indexer'), true);
+    assert.equal(alice.mesh.advertiseService('indexer'), false);
+    assert.deepEqual(alice.mesh.getAdvertisedServices(), ['indexer']);
+
+    const frame = JSON.parse(alice.sent.at(-1).data);
+    assert.deepEqual(frame.records[A].slice(5), [[], { indexer: {} }]);
+    bob.mesh.handleRtcData(A, JSON.stringify(frame));
+    assert.deepEqual(bob.mesh.getServiceProviders('indexer'), [A]);
+    assert.deepEqual(bob.mesh.getCecrMembershipRecords().find(({ peerId }) => peerId === A).services, { indexer: {} });
+
+    assert.equal(alice.mesh.withdrawService('indexer'), true);
+    bob.mesh.handleRtcData(A, alice.sent.at(-1).data);
+    assert.deepEqual(bob.mesh.getServiceProviders('indexer'), []);
+    assert.deepEqual(bob.mesh.getCecrMembershipEquivocations(), []);
+    assert.throws(() => alice.mesh.advertiseService(''), TypeError);
+  } finally {
+    alice.mesh.destroy();
+    bob.mesh.destroy();
+  }
+});
+
+test('the node advertises services and exposes anycast', async () => {
+  const node = new PeerPigeonNode({ autoDiscover: false, autoConnect: false, crypto: false });
+  try {
+    node.advertiseService('indexer');
+    assert.deepEqual(node.getAdvertisedServices(), ['indexer']);
+    assert.deepEqual(node.getServiceProviders('indexer'), []);
+    await assert.rejects(node.sendAnycast('indexer', 'x'), /No reachable provider/);
+  } finally {
+    await node.destroy();
+  }
+});
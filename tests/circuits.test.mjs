@@ -0,0 +1,207 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import { CIRCUIT_FRAME_TYPE, GossipProtocol, PeerPigeonCircuits, PeerPigeonNode, wireJsonStringify } from '../dist/index.js';
+import { FrameTestMesh, FrameTestNetwork } from './helpers/frame-network.mjs';
+import { id } from './helpers/gossip-network.mjs';
+
+// A reaches D through B, or through C once B is gone; XOR distance prefers B.
+const [A, B, C, D] = [id('01'), id('82'), id('84'), id('80')];
+
+function makeDiamond(options = {}) {
+  const network = new FrameTestNetwork([A, B, C, D]);
+  network.connect(A, B);
+  network.connect(A, C);
+  network.connect(B, D);
+  network.connect(C, D);
+  const peers = new Map([A, B, C, D].map((peerId) => {
+    const mesh = network.meshes.get(peerId);
+    const gossip = new GossipProtocol(mesh);
+    const incoming = [];
+    const circuits = new PeerPigeonCircuits(mesh, gossip, { reconnectDelayMs: 5, ...options }, (stream) => incoming.push(stream));
+    return [peerId, { gossip, circuits, incoming }];
+  }));
+  return { network, peers };
+}
+
+function destroyDiamond({ peers }) {
+  for (const { circuits, gossip } of peers.values()) {
+    circuits.destroy();
+    gossip.destroy();
+  }
+}
+
+const tick = (ms = 5) => new Promise((resolve) => setTimeout(resolve, ms));
+
+async function nextIncoming(peer) {
+  while (peer.incoming.length === 0) await tick();
+  return peer.incoming.shift();
+}
+
+async function readAll(readable) {
+  const chunks = [];
+  for await (const chunk of readable) chunks.push(...chunk);
+  return Uint8Array.from(chunks);
+}
+
+/** Stands in for the crypto signer: a peer's signature is its ID over the payload. */
+const testAuthenticator = (peerId) => ({
+  requireSignatures: true,
+  sign: async (payload) => `${peerId}|${payload}`,
+  verify: async (signer, payload, signature) => signature === `${signer}|${payload}`,
+});
+
+const circuitFrames = (network, from, to) => network.frames.filter((entry) => (
+  entry.from === from && entry.to === to && entry.frame.type === CIRCUIT_FRAME_TYPE
+));
+
+test('a circuit carries a stream both ways through a relay and ends cleanly', async () => {
+  const diamond = makeDiamond();
+  try {
+    const stream = diamond.peers.get(A).circuits.open(D, { label: 'video' });
+    const inbound = await nextIncoming(diamond.peers.get(D));
+    assert.deepEqual([inbound.peerId, inbound.label, inbound.id], [A, 'video', stream.id]);
+    assert.deepEqual(diamond.peers.get(B).circuits.getStats(), { endpoints: 0, relayed: 1 });
+    assert.equal(circuitFrames(diamond.network, A, C).length, 0);
+
+    const writer = stream.writable.getWriter();
+    await writer.write(new TextEncoder().encode('over the '));
+    await writer.write(new TextEncoder().encode('relay'));
+    await writer.close();
+    const reply = inbound.writable.getWriter();
+    await reply.write(Uint8Array.of(4, 2));
+    await reply.close();
+
+    assert.equal(new TextDecoder().decode(await readAll(inbound.readable)), 'over the relay');
+    assert.deepEqual(await readAll(stream.readable), Uint8Array.of(4, 2));
+    await tick(20);
+    for (const peerId of [A, B, C, D]) {
+      assert.deepEqual(diamond.peers.get(peerId).circuits.getStats(), { endpoints: 0, relayed: 0 });
+    }
+    assert.ok(diamond.network.frames.every(({ frame }) => frame.type !== CIRCUIT_FRAME_TYPE || frame.op !== 'reset'));
+  } finally {
+    destroyDiamond(diamond);
+  }
+});
+
+test('relays hold each circuit to the window its receiver granted', async () => {
+  const diamond = makeDiamond({ windowBytes: 8, chunkBytes: 4 });
+  try {
+    const stream = diamond.peers.get(A).circuits.open(D);
+    const inbound = await nextIncoming(diamond.peers.get(D));
+    const writer = stream.writable.getWriter();
+    const writing = writer.write(new Uint8Array(20).fill(1));
+    await tick(20);
+    const delivered = circuitFrames(diamond.network, B, D).filter(({ frame }) => frame.op === 'data');
+    assert.equal(delivered.reduce((total, { frame }) => total + frame.data.byteLength, 0), 8);
+
+    // A sender that ignores its credit is cut off at the first relay.
+    const { frame: open } = circuitFrames(diamond.network, A, B).find(({ frame }) => frame.op === 'open');
+    diamond.network.meshes.get(B).receive(
+      A,
+      wireJsonStringify({ type: CIRCUIT_FRAME_TYPE, op: 'data', circuit: open.circuit, offset: 8, data: new Uint8Array(4) }),
+    );
+    await assert.rejects(writing, /window exceeded/);
+    await tick();
+    await assert.rejects(inbound.readable.getReader().read(), /window exceeded/);
+    assert.deepEqual(diamond.peers.get(B).circuits.getStats(), { endpoints: 0, relayed: 0 });
+  } finally {
+    destroyDiamond(diamond);
+  }
+});
+
+test('a circuit whose relay disconnects is rebuilt over another route without losing bytes', async () => {
+  const diamond = makeDiamond({ windowBytes: 64, chunkBytes: 16 });
+  try {
+    const stream = diamond.peers.get(A).circuits.open(D);
+    const inbound = await nextIncoming(diamond.peers.get(D));
+    const reading = readAll(inbound.readable);
+    const bytes = Uint8Array.from({ length: 1000 }, (_, index) => index % 256);
+    const writer = stream.writable.getWriter();
+    await writer.write(bytes.subarray(0, 400));
+
+    diamond.network.disconnect(A, B);
+    assert.deepEqual(diamond.peers.get(B).circuits.getStats(), { endpoints: 0, relayed: 0 });
+    await writer.write(bytes.subarray(400));
+    await writer.close();
+
+    assert.deepEqual(await reading, bytes);
+    assert.ok(circuitFrames(diamond.network, A, C).some(({ frame }) => frame.op === 'open'));
+    await inbound.writable.close();
+    assert.equal((await readAll(stream.readable)).length, 0);
+    await tick(20);
+    assert.deepEqual(diamond.peers.get(C).circuits.getStats(), { endpoints: 0, relayed: 0 });
+  } finally {
+    destroyDiamond(diamond);
+  }
+});
+
+test('signed opens prove their origin and only a newer one re-attaches a stream', async () => {
+  const diamond = makeDiamond();
+  for (const [peerId, { circuits }] of diamond.peers) circuits.setAuthenticator(testAuthenticator(peerId));
+  try {
+    const stream = diamond.peers.get(A).circuits.open(D);
+    const inbound = await nextIncoming(diamond.peers.get(D));
+    assert.equal(inbound.peerId, A);
+    const { frame: open } = circuitFrames(diamond.network, B, D).find(({ frame }) => frame.op === 'open');
+    assert.equal(open.seq, 1);
+    assert.equal(open.signature.startsWith(`${A}|`), true);
+
+    // A neighbour claiming to be A gets no stream, whether new or a rebuild.
+    const sendFromB = (frame) => diamond.network.meshes.get(B).sendFrame(D, { type: CIRCUIT_FRAME_TYPE, ...frame });
+    sendFromB({ ...open, circuit: 'forged-new', stream: 'forged', signature: `${B}|forged` });
+    sendFromB({ ...open, circuit: 'forged-rebuild', seq: 2, signature: `${A}|forged` });
+    // The relay replays the open it carried; it is not newer than the one accepted.
+    sendFromB({ ...open, circuit: 'replayed' });
+    await tick(20);
+    const answers = (circuit) => circuitFrames(diamond.network, D, B).filter(({ frame }) => frame.circuit === circuit);
+    assert.deepEqual(answers('forged-new').map(({ frame }) => [frame.op, frame.reason]), [['reset', 'unauthenticated']]);
+    assert.deepEqual(answers('forged-rebuild').map(({ frame }) => [frame.op, frame.reason]), [['reset', 'unauthenticated']]);
+    assert.deepEqual(answers('replayed'), []);
+    assert.equal(diamond.peers.get(D).incoming.length, 0);
+
+    // The real opener still rebuilds over another route with a newer open.
+    const reading = readAll(inbound.readable);
+    diamond.network.disconnect(A, B);
+    const writer = stream.writable.getWriter();
+    await writer.write(Uint8Array.of(1, 2, 3));
+    await writer.close();
+    assert.deepEqual(await reading, Uint8Array.of(1, 2, 3));
+    const { frame: rebuilt } = circuitFrames(diamond.network, A, C).find(({ frame }) => frame.op === 'open');
+    assert.equal(rebuilt.seq, 2);
+  } finally {
+    destroyDiamond(diamond);
+  }
+});
+
+test('a circuit fails once no route is left and arguments are validated', async () => {
+  const diamond = makeDiamond({ reconnectAttempts: 2, establishTimeoutMs: 50 });
+  try {
+    const stream = diamond.peers.get(A).circuits.open(D);
+    const inbound = await nextIncoming(diamond.peers.get(D));
+    diamond.network.disconnect(A, B);
+    diamond.network.disconnect(A, C);
+    await assert.rejects(stream.readable.getReader().read(), /could not be re-established/);
+    await assert.rejects(inbound.readable.getReader().read(), /was lost/);
+
+    assert.throws(() => diamond.peers.get(A).circuits.open(D), /No route to peer/);
+    assert.throws(() => diamond.peers.get(A).circuits.open(A), /Cannot open a circuit/);
+    assert.throws(() => diamond.peers.get(A).circuits.open(D, { label: 1 }), TypeError);
+  } finally {
+    destroyDiamond(diamond);
+  }
+  const mesh = new FrameTestMesh(A, new FrameTestNetwork([A]));
+  assert.throws(() => new PeerPigeonCircuits(mesh, {}, { maxHops: 0 }), RangeError);
+  assert.throws(() => new PeerPigeonCircuits(mesh, {}, { reconnectAttempts: -1 }), RangeError);
+});
+
+test('the node opens circuits to peers that are not neighbours', async () => {
+  const node = new PeerPigeonNode({ autoDiscover: false, autoConnect: false, crypto: false });
+  try {
+    node.mesh.clientId = A;
+    assert.throws(() => node.openStream(D), /No route to peer/);
+    assert.deepEqual(node.circuits.getStats(), { endpoints: 0, relayed: 0 });
+  } finally {
+    await node.destroy();
+  }
+});
@@ -0,0 +1,221 @@
+import assert from 'node:assert/strict';
+import { createHash } from 'node:crypto';
+import test from 'node:test';
+
+import {
+  FILE_TRANSFER_TYPE,
+  FileTransferError,
+  GossipProtocol,
+  PeerPigeonFiles,
+  PeerPigeonNode,
+} from '../dist/index.js';
+import { FrameTestNetwork } from './helpers/frame-network.mjs';
+import { id } from './helpers/gossip-network.mjs';
+
+// XOR order puts B between A and C, so A and C only reach each other through B.
+const [A, B, C] = [id('01'), id('03'), id('02')];
+
+function makeLine(options = {}) {
+  const network = new FrameTestNetwork([A, B, C]);
+  network.connect(A, B);
+  network.connect(B, C);
+  const peers = new Map([A, B, C].map((peerId) => {
+    const mesh = network.meshes.get(peerId);
+    const gossip = new GossipProtocol(mesh);
+    const offers = [];
+    const progress = [];
+    const files = new PeerPigeonFiles(mesh, gossip, options, {
+      offer: (offer) => offers.push(offer),
+      progress: (event) => progress.push(event),
+    });
+    return [peerId, { gossip, files, offers, progress }];
+  }));
+  return { network, peers };
+}
+
+function destroyLine({ peers }) {
+  for (const { files, gossip } of peers.values()) {
+    files.destroy();
+    gossip.destroy();
+  }
+}
+
+const tick = (ms = 5) => new Promise((resolve) => setTimeout(resolve, ms));
+
+async function nextOffer(peer) {
+  while (peer.offers.length === 0) await tick();
+  return peer.offers.shift();
+}
+
+const sha256 = (bytes) => createHash('sha256').update(bytes).digest('hex');
+const payloads = (network) => network.frames.map(({ from, to, frame }) => ({
+  from,
+  to,
+  payload: frame.data,
+  routed: frame.type === 'direct',
+}));
+
+test('a neighbour receives an offered file over the data channel', async () => {
+  const line = makeLine({ chunkBytes: 64 });
+  try {
+    const bytes = Uint8Array.from({ length: 300 }, (_, index) => index % 251);
+    const sending = line.peers.get(A).files.send(B, bytes, { name: 'photo.jpg', mimeType: 'image/jpeg', metadata: { album: 'birds' } });
+    const offer = await nextOffer(line.peers.get(B));
+    assert.deepEqual(
+      [offer.peerId, offer.name, offer.size, offer.mimeType, offer.sha256, offer.metadata],
+      [A, 'photo.jpg', 300, 'image/jpeg', sha256(bytes), { album: 'birds' }],
+    );
+
+    const received = await line.peers.get(B).files.accept(offer.transferId);
+    const delivered = await sending;
+    assert.deepEqual(received.data, bytes);
+    assert.equal(delivered.transferId, offer.transferId);
+    assert.equal(delivered.peerId, B);
+
+    assert.deepEqual(line.peers.get(B).progress.map(({ bytes: count }) => count), [64, 128, 192, 256, 300]);
+    assert.equal(line.peers.get(A).progress.at(-1).bytes, 300);
+    assert.ok(payloads(line.network).every(({ payload, routed }) => !routed && payload.__ppType === FILE_TRANSFER_TYPE));
+    assert.deepEqual(line.peers.get(A).files.getTransfers(), []);
+  } finally {
+    destroyLine(line);
+  }
+});
+
+test('a peer without a direct edge is reached through routeDirect', async () => {
+  const line = makeLine({ chunkBytes: 128 });
+  try {
+    const bytes = new TextEncoder().encode('carried over two hops '.repeat(20));
+    const sending = line.peers.get(A).files.send(C, bytes);
+    const offer = await nextOffer(line.peers.get(C));
+    assert.equal(offer.peerId, A);
+    const received = await line.peers.get(C).files.accept(offer.transferId);
+    await sending;
+    assert.deepEqual(received.data, bytes);
+    const chunks = payloads(line.network).filter(({ payload }) => payload?.op === 'chunk');
+    assert.ok(chunks.length > 0 && chunks.every(({ routed }) => routed));
+    assert.deepEqual(line.peers.get(B).offers, []);
+  } finally {
+    destroyLine(line);
+  }
+});
+
+test('an interrupted transfer resumes from the last acknowledged chunk', async () => {
+  const line = makeLine({ chunkBytes: 10, windowChunks: 2, ackTimeoutMs: 30 });
+  try {
+    const bytes = Uint8Array.from({ length: 100 }, (_, index) => index);
+    const sending = line.peers.get(A).files.send(B, bytes);
+    const offer = await nextOffer(line.peers.get(B));
+    let cut = false;
+    line.network.filter = ({ frame }) => {
+      if (frame.data?.op === 'chunk' && frame.data.index === 4) cut = true;
+      return !cut;
+    };
+    const receiving = line.peers.get(B).files.accept(offer.transferId);
+    while (!cut) await tick();
+    await tick(80);
+    const acked = line.peers.get(A).progress.at(-1).bytes;
+    assert.ok(acked >= 30 && acked < 100);
+
+    // The link comes back; the sender rewinds to the last ack rather than to 0.
+    const resent = line.network.frames.length;
+    line.network.filter = () => true;
+    line.network.meshes.get(A).emit('peer:connected', B);
+    const received = await receiving;
+    await sending;
+    assert.deepEqual(received.data, bytes);
+    const [first] = line.network.frames.slice(resent).filter(({ frame }) => frame.data?.op === 'chunk');
+    assert.equal(first.frame.data.index, acked / 10);
+    assert.ok(line.peers.get(A).progress.at(-1).resumes >= 1);
+  } finally {
+    destroyLine(line);
+  }
+});
+
+test('rejections, cancellation and digest mismatches fail the transfer', async () => {
+  const line = makeLine({ chunkBytes: 16, maxFileBytes: 64 });
+  try {
+    const rejected = line.peers.get(A).files.send(B, new Uint8Array(32));
+    const first = await nextOffer(line.peers.get(B));
+    assert.equal(line.peers.get(B).files.reject(first.transferId, 'no thanks'), true);
+    await assert.rejects(rejected, (error) => error instanceof FileTransferError && error.code === 'rejected' && /no thanks/.test(error.message));
+
+    await assert.rejects(line.peers.get(A).files.send(B, new Uint8Array(65)), RangeError);
+    await assert.rejects(line.peers.get(A).files.send(B, 'text'), TypeError);
+
+    const controller = new AbortController();
+    const aborted = line.peers.get(A).files.send(B, new Uint8Array(32), { signal: controller.signal });
+    const second = await nextOffer(line.peers.get(B));
+    const receiving = line.peers.get(B).files.accept(second.transferId);
+    controller.abort();
+    await assert.rejects(aborted, { code: 'cancelled' });
+    await assert.rejects(receiving, { code: 'cancelled' });
+
+    line.network.filter = ({ frame }) => (
+      frame.data?.op === 'chunk' && frame.data.index === 1
+        ? { ...frame, data: { ...frame.data, data: new Uint8Array(16).fill(9) } }
+        : true
+    );
+    const tampered = line.peers.get(A).files.send(B, new Uint8Array(32));
+    const third = await nextOffer(line.peers.get(B));
+    await assert.rejects(line.peers.get(B).files.accept(third.transferId), { code: 'integrity' });
+    await assert.rejects(tampered, { code: 'integrity' });
+  } finally {
+    destroyLine(line);
+  }
+  assert.throws(() => new PeerPigeonFiles({ on() {} }, { on() {} }, { windowChunks: 0 }), RangeError);
+});
+
+test('a digest that cannot be taken fails the transfer instead of leaving it pending', async (t) => {
+  const line = makeLine({ chunkBytes: 16 });
+  try {
+    const sending = line.peers.get(A).files.send(B, new Uint8Array(32));
+    const offer = await nextOffer(line.peers.get(B));
+    t.mock.method(globalThis.crypto.subtle, 'digest', async () => { throw new Error('digest unavailable'); });
+    await assert.rejects(line.peers.get(B).files.accept(offer.transferId), { code: 'integrity', message: /digest unavailable/ });
+    await assert.rejects(sending, { code: 'integrity' });
+    assert.equal(line.peers.get(B).files.incoming.size, 0);
+  } finally {
+    destroyLine(line);
+  }
+});
+
+function makeNode(self, peer, network) {
+  const node = new PeerPigeonNode({ autoDiscover: false, autoConnect: false, crypto: false });
+  node.mesh.clientId = self;
+  node.mesh.selfAliases.add(self);
+  node.mesh.peers.set(peer, { id: peer, connected: true, initiator: false });
+  node.mesh.signalingClient = {
+    send(peerId, data) { setTimeout(() => network.get(peerId)?.mesh.handleRtcData(self, data), 0); },
+    closeConnection() {},
+    disconnect() {},
+  };
+  network.set(self, node);
+  return node;
+}
+
+test('nodes offer, accept and report progress of files', async () => {
+  const network = new Map();
+  const alice = makeNode(A, B, network);
+  const bob = makeNode(B, A, network);
+  try {
+    const messages = [];
+    bob.on('message', (message) => messages.push(message));
+    const progress = [];
+    bob.on('fileProgress', (event) => progress.push(event));
+    const received = new Promise((resolve, reject) => {
+      bob.on('fileOffer', (offer) => bob.acceptFile(offer.transferId).then(resolve, reject));
+    });
+    const file = new File([new TextEncoder().encode('pigeon post')], 'note.txt', { type: 'text/plain' });
+    const delivered = await alice.sendFile(B, file);
+    const { data, name, mimeType } = await received;
+    assert.equal(new TextDecoder().decode(data), 'pigeon post');
+    assert.deepEqual([name, mimeType, delivered.name], ['note.txt', 'text/plain', 'note.txt']);
+    assert.deepEqual(progress.map(({ direction, bytes }) => [direction, bytes]), [['receive', 11]]);
+    assert.deepEqual(messages, []);
+    assert.equal(alice.rejectFile('unknown'), false);
+    assert.equal(alice.cancelFileTransfer('unknown'), false);
+  } finally {
+    await alice.destroy();
+    await bob.destroy();
+  }
+});
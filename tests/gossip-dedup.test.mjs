@@ -0,0 +1,101 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import { GossipProtocol, RotatingBloomFilter } from '../dist/index.js';
+import { GossipTestMesh, destroyProtocols, id, makeProtocols } from './helpers/gossip-network.mjs';
+
+const [A, B] = [id('01'), id('02')];
+
+function makePair(options) {
+  const { network, protocols } = makeProtocols([A, B], new Map([[A, [B]], [B, [A]]]), options);
+  const received = [];
+  protocols.get(B).on('messageReceived', ({ message, local }) => { if (!local) received.push(message.id); });
+  protocols.get(B).on('directMessageReceived', ({ message }) => received.push(message.id));
+  return { network, protocols, received };
+}
+
+test('a rotating Bloom filter keeps its false-positive rate and remembers one full generation', () => {
+  const filter = new RotatingBloomFilter(4096, 0.01);
+  const stats = filter.getStats();
+  assert.equal(stats.bytes, 4096);
+  assert.equal(stats.falsePositiveRate, 0.01);
+
+  // A key that already matches the active generation is not counted again.
+  let seen = 0;
+  while (filter.getStats().rotations === 0) filter.add(`seen-${seen++}`);
+  assert.ok(seen >= filter.capacity);
+  assert.equal(filter.getStats().entries, 0);
+  let falsePositives = 0;
+  for (let index = 0; index < 20_000; index++) if (filter.has(`unseen-${index}`)) falsePositives += 1;
+  assert.ok(falsePositives / 20_000 < 0.01, `false-positive rate ${falsePositives / 20_000}`);
+
+  // Keys from the previous generation survive a whole further generation.
+  let next = 0;
+  while (filter.getStats().entries < filter.capacity - 1) filter.add(`next-${next++}`);
+  assert.ok(Array.from({ length: seen }, (_, index) => `seen-${index}`).every((key) => filter.has(key)));
+  while (filter.getStats().rotations === 1) filter.add(`next-${next++}`);
+  const forgotten = Array.from({ length: 1000 }, (_, index) => `seen-${index}`).filter((key) => !filter.has(key));
+  assert.ok(forgotten.length > 950);
+  filter.clear();
+  assert.equal(filter.has('next-0'), false);
+});
+
+test('dedup keeps gossip state bounded and still suppresses long-evicted duplicates', () => {
+  const pair = makePair({ dedup: { maxBytes: 256 * 1024 } });
+  try {
+    const sender = pair.protocols.get(A);
+    const receiver = pair.protocols.get(B);
+    for (let index = 0; index < 3000; index++) sender.broadcast({ index });
+    const directIds = Array.from({ length: 1500 }, (_, index) => sender.sendDirect(B, { index }));
+    assert.equal(pair.received.length, 4500);
+
+    const stats = receiver.getStats();
+    assert.equal(stats.totalMessagesTracked, 1024);
+    assert.equal(stats.dedup.rotations, 0);
+    assert.equal(stats.dedup.bytes, 64 * 1024);
+    assert.ok(stats.dedup.retainedBytes > 0 && stats.dedup.retainedBytes <= stats.dedup.maxRetainedBytes);
+    assert.equal(stats.dedup.maxRetainedBytes, 192 * 1024);
+
+    // Replay the oldest frames; their IDs left the exact log long ago.
+    const replays = [
+      ...pair.network.frames.filter(({ to, type }) => to === B && type === 'gossip').slice(0, 20),
+      pair.network.frames.find(({ to, raw }) => to === B && raw.includes(directIds[0])),
+    ];
+    for (const { raw } of replays) pair.network.meshes.get(B).emit('peer:data', { peerId: A, data: raw });
+    assert.equal(pair.received.length, 4500);
+  } finally {
+    destroyProtocols(pair.protocols);
+  }
+});
+
+test('messages repeating a dedupe key from the same sender are surfaced once', () => {
+  const pair = makePair({});
+  try {
+    const sender = pair.protocols.get(A);
+    const first = sender.broadcast({ attempt: 1 }, {}, { dedupeKey: 'entry-1' });
+    sender.broadcast({ attempt: 2 }, {}, { dedupeKey: 'entry-1' });
+    const direct = sender.sendDirect(B, { attempt: 1 }, { dedupeKey: 'entry-2' });
+    sender.sendDirect(B, { attempt: 2 }, { dedupeKey: 'entry-2' });
+    const plain = sender.broadcast({ attempt: 1 });
+    assert.deepEqual(pair.received, [first, direct, plain]);
+
+    assert.throws(() => sender.broadcast({}, {}, { dedupeKey: '' }), TypeError);
+    assert.throws(() => sender.sendDirect(B, {}, { dedupeKey: 'k'.repeat(257) }), /dedupeKey/);
+  } finally {
+    destroyProtocols(pair.protocols);
+  }
+});
+
+test('dedup is off by default and validates its options', () => {
+  const pair = makePair({});
+  try {
+    pair.protocols.get(A).broadcast({ hello: true });
+    assert.equal(pair.protocols.get(B).getStats().dedup, null);
+  } finally {
+    destroyProtocols(pair.protocols);
+  }
+  const mesh = new GossipTestMesh(A, null);
+  assert.throws(() => new GossipProtocol(mesh, { dedup: { falsePositiveRate: 0 } }), RangeError);
+  assert.throws(() => new GossipProtocol(mesh, { dedup: { falsePositiveRate: 1 } }), RangeError);
+  assert.throws(() => new GossipProtocol(mesh, { dedup: { maxBytes: 512 } }), /at least 1024/);
+});
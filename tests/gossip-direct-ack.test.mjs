@@ -0,0 +1,135 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import { destroyProtocols, id, makeProtocols } from './helpers/gossip-network.mjs';
+
+function makeRoute(edges, options = {}) {
+  const { network, protocols } = makeProtocols(Array.from(edges.keys()), edges, options);
+  const received = new Map(Array.from(edges.keys(), (peerId) => [peerId, []]));
+  const outcomes = [];
+  for (const [peerId, protocol] of protocols) {
+    protocol.on('directMessageReceived', ({ message }) => received.get(peerId).push(message));
+    protocol.on('directDelivered', (status) => outcomes.push(['delivered', status]));
+    protocol.on('directFailed', (status) => outcomes.push(['failed', status]));
+  }
+  return { network, protocols, received, outcomes };
+}
+
+async function waitFor(predicate, timeoutMs = 2_000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!predicate()) {
+    if (Date.now() > deadline) throw new Error('condition not reached');
+    await new Promise((resolve) => setTimeout(resolve, 5));
+  }
+}
+
+// The relay is XOR-closer to each endpoint than the endpoints are to each
+// other, so both the message and the ack make CECR progress through it.
+const [A, B, C] = [id('01'), id('03'), id('02')];
+const line = new Map([
+  [A, [B]],
+  [B, [A, C]],
+  [C, [B]],
+]);
+
+// Two relays toward C; XOR ordering from A tries R1 (0x04) before R2 (0x08).
+const [S, R1, R2, T] = [id('81'), id('04'), id('08'), id('01')];
+const diamond = new Map([
+  [S, [R1, R2]],
+  [R1, [S, T]],
+  [R2, [S, T]],
+  [T, [R1, R2]],
+]);
+
+test('a reliable direct message is acknowledged back along its route', async () => {
+  const { network, protocols, received, outcomes } = makeRoute(line);
+  try {
+    const messageId = protocols.get(A).sendDirectReliable(C, { text: 'hello' });
+    await waitFor(() => outcomes.length === 1);
+
+    assert.equal(received.get(C).length, 1);
+    assert.equal(received.get(C)[0].id, messageId);
+    const [kind, status] = outcomes[0];
+    assert.equal(kind, 'delivered');
+    assert.equal(status.messageId, messageId);
+    assert.equal(status.to, C);
+    assert.equal(status.attempts, 1);
+    assert.deepEqual(status.firstHops, [B]);
+    assert.equal(typeof status.deliveredAt, 'number');
+
+    const acks = network.frames.filter((frame) => frame.type === 'direct-ack');
+    assert.deepEqual(acks.map(({ from, to }) => [from, to]), [[C, B], [B, A]]);
+    assert.equal(acks[0].envelope.messageId, messageId);
+    assert.equal(protocols.get(A).getDirectDeliveryStatus(messageId).delivered, true);
+  } finally {
+    destroyProtocols(protocols);
+  }
+});
+
+test('an unacknowledged attempt is retried over an alternative first hop', async () => {
+  const { network, protocols, received, outcomes } = makeRoute(diamond, { directAckTimeoutMs: 100 });
+  try {
+    network.drop = ({ from, type }) => from === R1 && type === 'direct';
+    const messageId = protocols.get(S).sendDirectReliable(T, 'via a working relay');
+    await waitFor(() => outcomes.length === 1);
+
+    const [kind, status] = outcomes[0];
+    assert.equal(kind, 'delivered');
+    assert.equal(status.attempts, 2);
+    assert.deepEqual(status.firstHops, [R1, R2]);
+    assert.deepEqual(received.get(T).map((message) => message.id), [messageId]);
+  } finally {
+    destroyProtocols(protocols);
+  }
+});
+
+test('a retry after a lost ack is re-acknowledged but surfaced once', async () => {
+  const { network, protocols, received, outcomes } = makeRoute(line, { directAckTimeoutMs: 100 });
+  try {
+    let droppedAcks = 0;
+    network.drop = ({ type }) => type === 'direct-ack' && droppedAcks++ === 0;
+    protocols.get(A).sendDirectReliable(C, 'once');
+    await waitFor(() => outcomes.length === 1);
+
+    assert.equal(outcomes[0][0], 'delivered');
+    assert.equal(outcomes[0][1].attempts, 2);
+    assert.equal(network.frames.filter((frame) => frame.type === 'direct' && frame.to === C).length, 2);
+    assert.equal(received.get(C).length, 1);
+  } finally {
+    destroyProtocols(protocols);
+  }
+});
+
+test('directFailed reports timeouts and missing routes', async () => {
+  const { network, protocols, outcomes } = makeRoute(line, { directAckTimeoutMs: 100 });
+  try {
+    network.drop = ({ type }) => type === 'direct';
+    const lost = protocols.get(A).sendDirectReliable(C, 'lost', { maxAttempts: 2 });
+    const stranded = protocols.get(A).sendDirectReliable(id('ff'), 'nowhere', { maxAttempts: 1 });
+    await waitFor(() => outcomes.length === 2);
+
+    const byId = new Map(outcomes.map(([kind, status]) => [status.messageId, [kind, status]]));
+    assert.equal(byId.get(stranded)[0], 'failed');
+    assert.equal(byId.get(stranded)[1].failureReason, 'no-route');
+    assert.deepEqual(byId.get(stranded)[1].firstHops, []);
+    assert.equal(byId.get(lost)[0], 'failed');
+    assert.equal(byId.get(lost)[1].failureReason, 'timeout');
+    assert.equal(byId.get(lost)[1].attempts, 2);
+    assert.equal(protocols.get(A).getDirectDeliveryStatus(lost).failed, true);
+  } finally {
+    destroyProtocols(protocols);
+  }
+});
+
+test('plain direct messages stay fire-and-forget', async () => {
+  const { network, protocols, received } = makeRoute(line);
+  try {
+    const messageId = protocols.get(A).sendDirect(C, 'plain');
+    assert.equal(received.get(C).length, 1);
+    assert.equal(received.get(C)[0].ack, undefined);
+    assert.equal(network.frames.some((frame) => frame.type === 'direct-ack'), false);
+    assert.equal(protocols.get(A).getDirectDeliveryStatus(messageId), null);
+  } finally {
+    destroyProtocols(protocols);
+  }
+});
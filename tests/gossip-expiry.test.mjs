@@ -0,0 +1,174 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import { destroyProtocols, id, makeProtocols } from './helpers/gossip-network.mjs';
+
+// The relay is XOR-closer to each endpoint than the endpoints are to each other.
+const [A, B, C] = [id('01'), id('03'), id('02')];
+
+function makeLine(edges, options = {}) {
+  const { network, protocols } = makeProtocols([A, B, C], edges, options);
+  const received = new Map([A, B, C].map((peerId) => [peerId, []]));
+  for (const [peerId, protocol] of protocols) {
+    protocol.on('messageReceived', ({ message, local }) => { if (!local) received.get(peerId).push(message); });
+    protocol.on('directMessageReceived', ({ message }) => received.get(peerId).push(message));
+  }
+  return { network, protocols, received };
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const line = new Map([
+  [A, [B]],
+  [B, [A, C]],
+  [C, [B]],
+]);
+const withoutC = new Map([
+  [A, [B]],
+  [B, [A]],
+]);
+
+function reconnectC(network) {
+  network.meshes.get(B).connected = [A, C];
+  network.meshes.get(C).connected = [B];
+  network.meshes.get(B).emit('peer:connected', C);
+}
+
+test('a broadcast lifetime bounds and extends anti-entropy repair', () => {
+  const { protocols } = makeLine(line, { deliveryTimeoutMs: 10_000 });
+  try {
+    const source = protocols.get(A);
+    const messageId = source.broadcast('keep repairing', {}, { ttlMs: 60_000 });
+    const sentAt = source.getStats().recentMessages.find((message) => message.id === messageId)?.timestamp;
+    assert.deepEqual(source.recentRetainedMessageIds(B, sentAt + 30_000), [messageId]);
+    assert.deepEqual(source.recentRetainedMessageIds(B, sentAt + 60_001), []);
+
+    const absolute = source.broadcast('absolute', {}, { expiresAt: sentAt + 5_000, ttlMs: 60_000 });
+    assert.deepEqual(source.recentRetainedMessageIds(B, sentAt + 5_001).includes(absolute), false);
+  } finally {
+    destroyProtocols(protocols);
+  }
+});
+
+test('receivers neither surface nor relay an expired broadcast', () => {
+  const { network, protocols, received } = makeLine(line);
+  try {
+    const now = Date.now();
+    const stale = {
+      id: 'stale-broadcast',
+      type: 'gossip',
+      timestamp: now - 2_000,
+      hops: 0,
+      maxHops: 8,
+      sender: A,
+      data: 'too late',
+      metadata: {},
+      expiresAt: now - 1_000,
+      spread: { protocol: 'gossip-spread/1', setHash: '0'.repeat(16), size: 3, deadlineAt: now + 30_000 },
+    };
+    network.meshes.get(B).emit('peer:data', { peerId: A, data: JSON.stringify(stale) });
+    assert.deepEqual(received.get(B), []);
+    assert.equal(network.frames.some((frame) => frame.envelope.id === stale.id), false);
+
+    network.meshes.get(B).emit('peer:data', { peerId: A, data: JSON.stringify({ ...stale, expiresAt: 'never' }) });
+    assert.deepEqual(received.get(B), []);
+  } finally {
+    destroyProtocols(protocols);
+  }
+});
+
+test('anti-entropy does not replay a broadcast to a late peer once it expired', async () => {
+  const { network, protocols, received } = makeLine(withoutC);
+  try {
+    protocols.get(A).broadcast('fresh', {}, { ttlMs: 10_000 });
+    protocols.get(A).broadcast('short-lived', {}, { ttlMs: 50 });
+    await sleep(80);
+
+    reconnectC(network);
+    assert.deepEqual(received.get(C).map((message) => message.data), ['fresh']);
+    assert.equal(
+      network.frames.some((frame) => frame.type === 'gossip' && frame.envelope.data === 'short-lived' && frame.to === C),
+      false,
+    );
+  } finally {
+    destroyProtocols(protocols);
+  }
+});
+
+test('expired direct messages are dropped at the next hop', () => {
+  const { network, protocols, received } = makeLine(line);
+  try {
+    const now = Date.now();
+    const stale = {
+      id: 'stale-direct',
+      type: 'direct',
+      from: A,
+      to: C,
+      data: 'too late',
+      hops: 0,
+      maxHops: 8,
+      timestamp: now - 2_000,
+      expiresAt: now - 1_000,
+    };
+    network.meshes.get(B).emit('peer:data', { peerId: A, data: JSON.stringify(stale) });
+    assert.deepEqual(received.get(C), []);
+    assert.equal(network.frames.length, 0);
+
+    protocols.get(A).sendDirect(C, 'in time', { ttlMs: 5_000 });
+    assert.equal(received.get(C).length, 1);
+    assert.equal(typeof received.get(C)[0].expiresAt, 'number');
+  } finally {
+    destroyProtocols(protocols);
+  }
+});
+
+test('reliable retries stop once the message expires', async () => {
+  const { network, protocols } = makeLine(line, { directAckTimeoutMs: 100 });
+  try {
+    const failures = [];
+    protocols.get(A).on('directFailed', (status) => failures.push(status));
+    network.drop = ({ type }) => type === 'direct';
+    const messageId = protocols.get(A).sendDirectReliable(C, 'short-lived', { ttlMs: 150, maxAttempts: 10 });
+    await sleep(400);
+
+    assert.equal(failures.length, 1);
+    assert.equal(failures[0].messageId, messageId);
+    assert.equal(failures[0].failureReason, 'expired');
+    assert.ok(failures[0].attempts < 10);
+  } finally {
+    destroyProtocols(protocols);
+  }
+});
+
+test('custodians discard held messages at their expiry', async () => {
+  const { network, protocols, received } = makeLine(withoutC, { storeAndForward: true });
+  try {
+    network.meshes.get(A).global = [B];
+    network.meshes.get(B).global = [A];
+    protocols.get(A).sendDirect(C, 'short-lived', { ttlMs: 50 });
+    protocols.get(A).sendDirect(C, 'durable', { ttlMs: 10_000 });
+    assert.equal(protocols.get(B).getStats().heldDirectMessages, 2);
+    await sleep(80);
+
+    network.meshes.get(A).global = [B, C];
+    network.meshes.get(B).global = [A, C];
+    reconnectC(network);
+    assert.deepEqual(received.get(C).map((message) => message.data), ['durable']);
+    assert.equal(protocols.get(B).getStats().heldDirectMessages, 0);
+  } finally {
+    destroyProtocols(protocols);
+  }
+});
+
+test('lifetimes are validated when sending', () => {
+  const { protocols } = makeLine(line);
+  try {
+    const source = protocols.get(A);
+    assert.throws(() => source.broadcast('x', {}, { ttlMs: 0 }), RangeError);
+    assert.throws(() => source.broadcast('x', {}, { ttlMs: Number.NaN }), RangeError);
+    assert.throws(() => source.broadcast('x', {}, { expiresAt: Date.now() - 1 }), RangeError);
+    assert.throws(() => source.sendDirect(C, 'x', { ttlMs: -5 }), RangeError);
+  } finally {
+    destroyProtocols(protocols);
+  }
+});
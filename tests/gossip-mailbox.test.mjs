@@ -0,0 +1,142 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import { destroyProtocols, id, makeProtocols } from './helpers/gossip-network.mjs';
+
+// B is XOR-closer to C than A is, so A routes toward C through B.
+const [A, B, C] = [id('01'), id('03'), id('02')];
+const withoutC = new Map([
+  [A, [B]],
+  [B, [A]],
+]);
+const line = new Map([
+  [A, [B]],
+  [B, [A, C]],
+  [C, [B]],
+]);
+
+/** C starts offline. `options` may differ per peer, as for `makeProtocols`. */
+function makeMailboxes(options = { storeAndForward: true }) {
+  const { network, protocols } = makeProtocols([A, B, C], withoutC, options);
+  network.setTopology(withoutC);
+  const received = new Map([A, B, C].map((peerId) => [peerId, []]));
+  for (const [peerId, protocol] of protocols) {
+    protocol.on('directMessageReceived', ({ message }) => received.get(peerId).push(message));
+  }
+  return { network, protocols, received };
+}
+
+test('the XOR-closest reachable peer holds a message until the target returns', () => {
+  const { network, protocols, received } = makeMailboxes();
+  try {
+    const messageId = protocols.get(A).sendDirect(C, { text: 'while you were away' });
+    assert.equal(protocols.get(A).getStats().heldDirectMessages, 0);
+    assert.equal(protocols.get(B).getStats().heldDirectMessages, 1);
+    assert.equal(received.get(C).length, 0);
+
+    network.setTopology(line);
+    assert.deepEqual(received.get(C).map((message) => message.id), [messageId]);
+    assert.equal(received.get(C)[0].data.text, 'while you were away');
+    assert.equal(typeof received.get(C)[0].heldBy, 'string');
+    assert.equal(protocols.get(B).getStats().heldDirectMessages, 0);
+
+    network.setTopology(line);
+    assert.equal(received.get(C).length, 1);
+  } finally {
+    destroyProtocols(protocols);
+  }
+});
+
+test('the sender keeps custody when no neighbor makes progress', () => {
+  const { network, protocols, received } = makeMailboxes();
+  try {
+    network.setTopology(new Map([[A, []]]));
+    protocols.get(A).sendDirect(C, 'queued at the origin');
+    assert.equal(protocols.get(A).getStats().heldDirectMessages, 1);
+
+    network.setTopology(line);
+    assert.equal(received.get(C).length, 1);
+    assert.equal(protocols.get(A).getStats().heldDirectMessages, 0);
+  } finally {
+    destroyProtocols(protocols);
+  }
+});
+
+test('a reliable message delivered from custody is still acknowledged', async () => {
+  const { network, protocols } = makeMailboxes();
+  try {
+    const delivered = [];
+    protocols.get(A).on('directDelivered', (status) => delivered.push(status));
+    const messageId = protocols.get(A).sendDirectReliable(C, 'ack me later');
+    await new Promise((resolve) => setImmediate(resolve));
+    assert.equal(delivered.length, 0);
+
+    network.setTopology(line);
+    await new Promise((resolve) => setImmediate(resolve));
+    assert.equal(delivered.length, 1);
+    assert.equal(delivered[0].messageId, messageId);
+  } finally {
+    destroyProtocols(protocols);
+  }
+});
+
+test('store-and-forward is opt-in per protocol and per message', () => {
+  const disabled = makeMailboxes({});
+  try {
+    disabled.protocols.get(A).sendDirect(C, 'dropped');
+    assert.equal(disabled.protocols.get(A).getStats().heldDirectMessages, 0);
+    assert.equal(disabled.protocols.get(B).getStats().heldDirectMessages, 0);
+    disabled.network.setTopology(line);
+    assert.equal(disabled.received.get(C).length, 0);
+  } finally {
+    destroyProtocols(disabled.protocols);
+  }
+
+  const enabled = makeMailboxes();
+  try {
+    enabled.protocols.get(A).sendDirect(C, 'not for custody', { storeAndForward: false });
+    assert.equal(enabled.protocols.get(B).getStats().heldDirectMessages, 0);
+  } finally {
+    destroyProtocols(enabled.protocols);
+  }
+});
+
+test('store-flagged messages cross peers without store-and-forward to reach a custodian', () => {
+  // Only B offers custody; A opts in for this one message.
+  const { network, protocols, received } = makeMailboxes((peerId) => ({ storeAndForward: peerId === B }));
+  try {
+    const messageId = protocols.get(A).sendDirect(C, 'hold this for me', { storeAndForward: true });
+    assert.equal(network.frames.filter(({ from, type }) => from === A && type === 'direct').length, 1);
+    assert.equal(protocols.get(B).getStats().heldDirectMessages, 1);
+
+    network.setTopology(line);
+    assert.deepEqual(received.get(C).map((message) => message.id), [messageId]);
+  } finally {
+    destroyProtocols(protocols);
+  }
+
+  // Without a custodian on the way the message still travels, and is dropped where it stalls.
+  const relayOnly = makeMailboxes({});
+  try {
+    relayOnly.protocols.get(A).sendDirect(C, 'nobody holds this', { storeAndForward: true });
+    assert.equal(relayOnly.network.frames.filter(({ type }) => type === 'direct').length, 1);
+    assert.equal(relayOnly.protocols.get(B).getStats().heldDirectMessages, 0);
+  } finally {
+    destroyProtocols(relayOnly.protocols);
+  }
+});
+
+test('custody is bounded in size and time', async () => {
+  const { network, protocols, received } = makeMailboxes({ storeAndForward: { holdMs: 1_000, maxMessages: 2 } });
+  try {
+    for (const text of ['first', 'second', 'third']) protocols.get(A).sendDirect(C, text);
+    assert.equal(protocols.get(B).getStats().heldDirectMessages, 2);
+
+    await new Promise((resolve) => setTimeout(resolve, 1_100));
+    network.setTopology(line);
+    assert.equal(received.get(C).length, 0);
+    assert.equal(protocols.get(B).getStats().heldDirectMessages, 0);
+  } finally {
+    destroyProtocols(protocols);
+  }
+});
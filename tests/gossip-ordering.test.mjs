@@ -0,0 +1,161 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import { GossipProtocol } from '../dist/index.js';
+import { GossipTestMesh, destroyProtocols, id, makeProtocols } from './helpers/gossip-network.mjs';
+
+const [A, B, C] = [id('01'), id('03'), id('02')];
+
+const line = new Map([
+  [A, [B]],
+  [B, [A, C]],
+  [C, [B]],
+]);
+
+function makeLine(edges, options = {}) {
+  const { network, protocols } = makeProtocols([A, B, C], edges, options);
+  const received = new Map([A, B, C].map((peerId) => [peerId, []]));
+  for (const [peerId, protocol] of protocols) {
+    protocol.on('messageReceived', (event) => { if (!event.local) received.get(peerId).push(event); });
+  }
+  return { network, protocols, received };
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+const payloads = (events) => events.map(({ message }) => message.data);
+
+test('fifo messages from one sender surface in sequence order', () => {
+  const { network, protocols, received } = makeLine(line, { ordering: 'fifo' });
+  try {
+    const captured = [];
+    network.drop = (frame) => {
+      if (frame.from !== A || frame.type !== 'gossip') return false;
+      captured.push(frame);
+      return true;
+    };
+    for (const data of ['m1', 'm2', 'm3']) protocols.get(A).broadcast(data);
+    assert.deepEqual(captured.map(({ envelope }) => envelope.order.seq), [1, 2, 3]);
+    assert.equal(captured[1].envelope.order.prev, captured[0].envelope.id);
+
+    // Repairs from A stay dropped, so only these hand-delivered frames arrive.
+    const [first, second, third] = captured;
+    const deliverToB = ({ raw }) => network.meshes.get(B).emit('peer:data', { peerId: A, data: raw });
+    deliverToB(third);
+    assert.deepEqual(received.get(B), []);
+    assert.equal(protocols.get(B).getStats().heldBackMessages, 1);
+    deliverToB(first);
+    deliverToB(second);
+
+    assert.deepEqual(payloads(received.get(B)), ['m1', 'm2', 'm3']);
+    assert.equal(received.get(B).some((event) => event.outOfOrder), false);
+    assert.equal(protocols.get(B).getStats().heldBackMessages, 0);
+  } finally {
+    destroyProtocols(protocols);
+  }
+});
+
+test('anti-entropy fetches a missing predecessor before its successor surfaces', () => {
+  const { network, protocols, received } = makeLine(line, { ordering: 'fifo' });
+  try {
+    let dropped = false;
+    network.drop = ({ to, type, envelope }) => {
+      if (dropped || to !== C || type !== 'gossip' || envelope.data !== 'm1') return false;
+      dropped = true;
+      return true;
+    };
+    protocols.get(A).broadcast('m1');
+    protocols.get(A).broadcast('m2');
+
+    assert.equal(dropped, true);
+    assert.deepEqual(payloads(received.get(C)), ['m1', 'm2']);
+    const request = network.frames.find((frame) => frame.from === C && frame.envelope.mode === 'request');
+    assert.ok(request);
+    assert.equal(request.to, B);
+  } finally {
+    destroyProtocols(protocols);
+  }
+});
+
+test('causal replies surface after the message they answer', () => {
+  const run = (ordering) => {
+    const { protocols, received } = makeLine(line, { ordering });
+    try {
+      protocols.get(B).on('messageReceived', ({ message, local }) => {
+        if (!local && message.data === 'question') protocols.get(B).broadcast('answer');
+      });
+      protocols.get(A).broadcast('question');
+      return {
+        atC: payloads(received.get(C)),
+        deps: received.get(C).find(({ message }) => message.data === 'answer')?.message.order?.deps ?? [],
+      };
+    } finally {
+      destroyProtocols(protocols);
+    }
+  };
+
+  // In a line the reply overtakes the question on its way to C.
+  assert.deepEqual(run('none').atC, ['answer', 'question']);
+  const causal = run('causal');
+  assert.deepEqual(causal.atC, ['question', 'answer']);
+  assert.deepEqual(causal.deps.map(({ sender, seq }) => [sender, seq]), [[A, 1]]);
+});
+
+test('a held message is surfaced out of order once the holdback expires', async () => {
+  const { network, protocols, received } = makeLine(line, { ordering: 'fifo', orderingHoldbackMs: 100 });
+  try {
+    network.drop = ({ type, envelope }) => type === 'gossip' && envelope.data === 'lost';
+    protocols.get(A).broadcast('lost');
+    protocols.get(A).broadcast('after');
+    assert.deepEqual(received.get(B), []);
+
+    await sleep(200);
+    assert.deepEqual(payloads(received.get(B)), ['after']);
+    assert.equal(received.get(B)[0].outOfOrder, true);
+    assert.equal(protocols.get(B).getStats().heldBackMessages, 0);
+
+    protocols.get(A).broadcast('next');
+    assert.deepEqual(payloads(received.get(B)), ['after', 'next']);
+    assert.equal(received.get(B)[1].outOfOrder, undefined);
+  } finally {
+    destroyProtocols(protocols);
+  }
+});
+
+test('topics are sequenced independently', () => {
+  const { protocols, received } = makeLine(line, { ordering: 'fifo' });
+  try {
+    protocols.get(B).subscribe('room');
+    protocols.get(A).publish('room', 'in room');
+    protocols.get(A).broadcast('everyone');
+
+    assert.deepEqual(payloads(received.get(C)), ['everyone']);
+    assert.equal(received.get(C)[0].message.order.seq, 1);
+    assert.equal(protocols.get(C).getStats().heldBackMessages, 0);
+    assert.deepEqual(payloads(received.get(B)), ['in room', 'everyone']);
+  } finally {
+    destroyProtocols(protocols);
+  }
+});
+
+test('malformed order envelopes are rejected and the mode is validated', () => {
+  const { network, protocols, received } = makeLine(line);
+  try {
+    const now = Date.now();
+    const frame = {
+      id: 'bad-order',
+      type: 'gossip',
+      timestamp: now,
+      hops: 0,
+      maxHops: 8,
+      sender: A,
+      data: 'x',
+      metadata: {},
+      order: { protocol: 'gossip-order/1', stream: 's', seq: 0 },
+    };
+    network.meshes.get(B).emit('peer:data', { peerId: A, data: JSON.stringify(frame) });
+    assert.deepEqual(received.get(B), []);
+  } finally {
+    destroyProtocols(protocols);
+  }
+  assert.throws(() => new GossipProtocol(new GossipTestMesh(A, null), { ordering: 'total' }), RangeError);
+});
@@ -0,0 +1,131 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import { GossipProtocol } from '../dist/index.js';
+import { GossipTestMesh, destroyProtocols, id, makeProtocols } from './helpers/gossip-network.mjs';
+
+const ids = ['01', '02', '03', '04', '05', '06'].map(id);
+const [A, B, C] = ids;
+
+/** Every peer connected to every other one: the dense room eager flooding handles worst. */
+function makeRoom(options = {}) {
+  const everyone = new Map(ids.map((peerId) => [peerId, ids.filter((other) => other !== peerId)]));
+  const { network, protocols } = makeProtocols(ids, everyone, options);
+  const received = new Map(ids.map((peerId) => [peerId, []]));
+  for (const [peerId, protocol] of protocols) {
+    protocol.on('messageReceived', ({ message, local }) => { if (!local) received.get(peerId).push(message.data); });
+  }
+  return { network, protocols, received };
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function duplicateFrames(protocols) {
+  let duplicates = 0;
+  for (const protocol of protocols.values()) duplicates += protocol.getStats().duplicateGossipFrames;
+  return duplicates;
+}
+
+test('plumtree prunes a dense room down to a tree that still reaches everyone', async () => {
+  const { protocols, received } = makeRoom({ broadcastStrategy: 'plumtree' });
+  try {
+    protocols.get(A).broadcast('warm-up');
+    await sleep(0);
+    const afterWarmUp = duplicateFrames(protocols);
+    assert.ok(afterWarmUp > 0);
+
+    for (let index = 0; index < 5; index += 1) protocols.get(A).broadcast(`m${index}`);
+    await sleep(0);
+    for (const peerId of ids.slice(1)) {
+      assert.deepEqual(received.get(peerId), ['warm-up', 'm0', 'm1', 'm2', 'm3', 'm4']);
+    }
+    assert.equal(duplicateFrames(protocols), afterWarmUp);
+
+    // A spanning tree over n peers has n - 1 eager links, each seen from both ends.
+    let eagerLinkEnds = 0;
+    for (const protocol of protocols.values()) eagerLinkEnds += protocol.getStats().plumtree.eagerPeers.length;
+    assert.equal(eagerLinkEnds, 2 * (ids.length - 1));
+    const stats = protocols.get(B).getStats();
+    assert.equal(stats.duplicateRatio, stats.duplicateGossipFrames / stats.receivedGossipFrames);
+  } finally {
+    destroyProtocols(protocols);
+  }
+});
+
+test('plumtree sends fewer duplicates than eager fan-out for the same traffic', async () => {
+  const run = async (broadcastStrategy) => {
+    const { protocols } = makeRoom({ broadcastStrategy });
+    try {
+      for (let index = 0; index < 10; index += 1) {
+        protocols.get(ids[index % ids.length]).broadcast(`m${index}`);
+        await sleep(0);
+      }
+      return duplicateFrames(protocols);
+    } finally {
+      destroyProtocols(protocols);
+    }
+  };
+
+  const gossip = await run('gossip');
+  const plumtree = await run('plumtree');
+  assert.ok(plumtree < gossip, `plumtree ${plumtree} duplicates, gossip ${gossip}`);
+});
+
+test('a peer cut off from the tree grafts a lazy link after an announcement', async () => {
+  const { network, protocols, received } = makeRoom({ broadcastStrategy: 'plumtree', plumtreeGraftDelayMs: 20 });
+  try {
+    protocols.get(A).broadcast('warm-up');
+    await sleep(0);
+    const leaf = ids.find((peerId) => peerId !== A && protocols.get(peerId).getStats().plumtree.eagerPeers.length === 1);
+    assert.ok(leaf);
+    const [parent] = protocols.get(leaf).getStats().plumtree.eagerPeers;
+    network.disconnect(leaf, parent);
+
+    protocols.get(A).broadcast('after cut');
+    await sleep(0);
+    assert.equal(received.get(leaf).includes('after cut'), false);
+
+    await sleep(60);
+    assert.deepEqual(received.get(leaf), ['warm-up', 'after cut']);
+    const { plumtree } = protocols.get(leaf).getStats();
+    assert.ok(plumtree.grafts >= 1);
+    assert.equal(plumtree.eagerPeers.length, 1);
+    const grafted = network.frames.find((frame) => frame.from === leaf && frame.envelope.mode === 'request');
+    assert.equal(grafted.envelope.messageIds.length, 1);
+
+    protocols.get(A).broadcast('through the graft');
+    await sleep(0);
+    assert.deepEqual(received.get(leaf), ['warm-up', 'after cut', 'through the graft']);
+  } finally {
+    destroyProtocols(protocols);
+  }
+});
+
+test('prune frames move the sender to lazy and the strategy is validated', () => {
+  const { network, protocols } = makeRoom({ broadcastStrategy: 'plumtree' });
+  try {
+    const prune = {
+      id: 'prune-1',
+      type: 'gossip-ae',
+      protocol: 'gossip-ae/1',
+      from: C,
+      timestamp: Date.now(),
+      mode: 'prune',
+      messageIds: [],
+    };
+    network.meshes.get(A).emit('peer:data', { peerId: C, data: JSON.stringify(prune) });
+    const { plumtree } = protocols.get(A).getStats();
+    assert.deepEqual(plumtree.lazyPeers, [C]);
+    assert.equal(plumtree.eagerPeers.includes(C), false);
+  } finally {
+    destroyProtocols(protocols);
+  }
+
+  const gossip = makeRoom();
+  try {
+    assert.equal(gossip.protocols.get(A).getStats().plumtree, null);
+  } finally {
+    destroyProtocols(gossip.protocols);
+  }
+  assert.throws(() => new GossipProtocol(new GossipTestMesh(A, null), { broadcastStrategy: 'flood' }), RangeError);
+});
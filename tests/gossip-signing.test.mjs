@@ -0,0 +1,297 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import { PeerPigeonCryptoProtocol, PeerPigeonNode } from '../dist/index.js';
+import { generateRandomPair, signMessage } from 'unsea';
+import { id, makeProtocols } from './helpers/gossip-network.mjs';
+
+const [A, B, C] = [id('01'), id('02'), id('03')];
+const line = new Map([
+  [A, [B]],
+  [B, [A, C]],
+  [C, [B]],
+]);
+
+async function makeSignedPeers({ requireSignatures = false } = {}) {
+  const ids = [A, B, C];
+  const { network, protocols } = makeProtocols(ids, line);
+  const peers = new Map();
+  for (const [id, gossip] of protocols) {
+    const mesh = network.meshes.get(id);
+    const crypto = new PeerPigeonCryptoProtocol(mesh, gossip, {
+      roomId: 'network:room',
+      keyPair: await generateRandomPair(),
+      persistKeyPair: false,
+      announceIntervalMs: 0,
+    });
+    gossip.setEnvelopeAuthenticator(crypto.createEnvelopeAuthenticator({ requireSignatures }));
+    await crypto.init();
+    peers.set(id, { mesh, gossip, crypto, received: [], direct: [], rejected: [] });
+  }
+  for (const peer of peers.values()) {
+    peer.gossip.on('messageReceived', (event) => {
+      if (!event.local && !PeerPigeonCryptoProtocol.isProtocolPayload(event.message.data)) peer.received.push(event);
+    });
+    peer.gossip.on('directMessageReceived', (event) => {
+      if (!PeerPigeonCryptoProtocol.isProtocolPayload(event.message.data)) peer.direct.push(event);
+    });
+    peer.gossip.on('envelopeRejected', (rejection) => peer.rejected.push(rejection));
+  }
+  for (const peer of peers.values()) peer.crypto.announcePublicKey();
+  await waitFor(() => Array.from(peers.values()).every((peer) => peer.crypto.getKnownPeerKeys().length === ids.length));
+  return { network, peers };
+}
+
+function destroyPeers(peers) {
+  for (const peer of peers.values()) {
+    peer.crypto.destroy();
+    peer.gossip.destroy();
+  }
+}
+
+async function waitFor(predicate, timeoutMs = 2_000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!predicate()) {
+    if (Date.now() > deadline) throw new Error('condition not reached');
+    await new Promise((resolve) => setTimeout(resolve, 5));
+  }
+}
+
+function settle() {
+  return new Promise((resolve) => setTimeout(resolve, 50));
+}
+
+test('signed broadcasts verify at every hop against the announced key', async () => {
+  const { network, peers } = await makeSignedPeers();
+  try {
+    const messageId = peers.get(A).gossip.broadcast({ text: 'hello' });
+    await waitFor(() => peers.get(C).received.length === 1);
+
+    const [event] = peers.get(C).received;
+    assert.equal(event.message.id, messageId);
+    assert.equal(event.verified, true);
+    assert.equal(peers.get(B).received[0].verified, true);
+    const frame = network.frames.find((candidate) => candidate.envelope.id === messageId);
+    assert.equal(typeof frame.envelope.signature, 'string');
+  } finally {
+    destroyPeers(peers);
+  }
+});
+
+test('a forged broadcast is dropped before it is surfaced or relayed', async () => {
+  const { network, peers } = await makeSignedPeers();
+  try {
+    const impostor = await generateRandomPair();
+    const forged = {
+      id: 'forged-broadcast',
+      type: 'gossip',
+      timestamp: Date.now(),
+      hops: 0,
+      maxHops: 6,
+      sender: A,
+      data: { text: 'not from 01' },
+      metadata: {},
+    };
+    forged.signature = await signMessage(JSON.stringify([
+      'pp-gossip-sig-v1', forged.id, forged.sender, forged.timestamp, forged.maxHops, null, forged.data, forged.metadata,
+    ]), impostor.priv);
+
+    network.frames.length = 0;
+    network.deliver(A, B, JSON.stringify(forged));
+    await settle();
+
+    assert.equal(peers.get(B).received.length, 0);
+    assert.equal(network.frames.some((frame) => frame.from === B && frame.envelope.id === forged.id), false);
+    assert.deepEqual(peers.get(B).rejected.map((rejection) => rejection.reason), ['forged']);
+    assert.equal(peers.get(B).gossip.getStats().rejectedEnvelopes, 1);
+  } finally {
+    destroyPeers(peers);
+  }
+});
+
+test('a duplicate restores an evicted payload only once it verifies', async () => {
+  const { network, peers } = await makeSignedPeers();
+  try {
+    const messageId = peers.get(A).gossip.broadcast({ text: 'hello' });
+    await waitFor(() => peers.get(B).received.length === 1);
+    const genuine = network.frames.find((frame) => frame.to === B && frame.envelope.id === messageId).envelope;
+    // Cut B off so anti-entropy does not restore the payload from a neighbour.
+    for (const peer of peers.values()) peer.mesh.connected = [];
+    peers.get(B).gossip.dropRetained(messageId);
+
+    for (const duplicate of [{ ...genuine, data: { text: 'swapped' } }, { ...genuine, signature: undefined }]) {
+      network.deliver(A, B, JSON.stringify(duplicate));
+      await settle();
+      assert.equal(peers.get(B).gossip.retainedMessages.has(messageId), false);
+    }
+    assert.deepEqual(peers.get(B).rejected.map((rejection) => rejection.reason), ['forged']);
+
+    network.deliver(A, B, JSON.stringify(genuine));
+    await waitFor(() => peers.get(B).gossip.retainedMessages.has(messageId));
+    assert.deepEqual(peers.get(B).gossip.retainedMessages.get(messageId).message.data, { text: 'hello' });
+    assert.equal(peers.get(B).received.length, 1);
+  } finally {
+    destroyPeers(peers);
+  }
+});
+
+test('unsigned frames surface unverified unless signatures are required', async () => {
+  const lenient = await makeSignedPeers();
+  try {
+    lenient.network.deliver(A, B, JSON.stringify({
+      id: 'unsigned-lenient', type: 'gossip', timestamp: Date.now(), hops: 0, maxHops: 6, sender: A, data: 'legacy', metadata: {},
+    }));
+    await settle();
+    assert.equal(lenient.peers.get(B).received.length, 1);
+    assert.equal(lenient.peers.get(B).received[0].verified, false);
+  } finally {
+    destroyPeers(lenient.peers);
+  }
+
+  const strict = await makeSignedPeers({ requireSignatures: true });
+  try {
+    strict.network.deliver(A, B, JSON.stringify({
+      id: 'unsigned-strict', type: 'gossip', timestamp: Date.now(), hops: 0, maxHops: 6, sender: A, data: 'legacy', metadata: {},
+    }));
+    await settle();
+    assert.equal(strict.peers.get(B).received.length, 0);
+    assert.deepEqual(strict.peers.get(B).rejected.map((rejection) => rejection.reason), ['unsigned']);
+  } finally {
+    destroyPeers(strict.peers);
+  }
+});
+
+test('routed direct messages carry the origin signature and reject tampering', async () => {
+  const { network, peers } = await makeSignedPeers();
+  try {
+    const messageId = peers.get(A).gossip.sendDirect(C, { text: 'private' });
+    await waitFor(() => peers.get(C).direct.length === 1);
+    assert.equal(peers.get(C).direct[0].message.id, messageId);
+    assert.equal(peers.get(C).direct[0].verified, true);
+
+    const original = network.frames.find((frame) => frame.envelope.id === messageId && frame.to === C).envelope;
+    network.deliver(B, C, JSON.stringify({ ...original, id: `${messageId}-replayed`, data: { text: 'tampered' } }));
+    await settle();
+    assert.equal(peers.get(C).direct.length, 1);
+    assert.deepEqual(peers.get(C).rejected.map((rejection) => [rejection.type, rejection.reason]), [['direct', 'forged']]);
+  } finally {
+    destroyPeers(peers);
+  }
+});
+
+test('reliable directs complete only on an ack signed by their destination', async () => {
+  const { network, peers } = await makeSignedPeers({ requireSignatures: true });
+  try {
+    const delivered = peers.get(A).gossip.sendDirectReliable(C, { text: 'acked' });
+    await waitFor(() => peers.get(A).gossip.getDirectDeliveryStatus(delivered)?.delivered === true);
+    const ack = network.frames.find((frame) => frame.type === 'direct-ack' && frame.envelope.messageId === delivered).envelope;
+    assert.equal(typeof ack.signature, 'string');
+
+    // Hold the next message back from C and answer it with forged acks.
+    const deliver = network.deliver.bind(network);
+    network.deliver = (from, to, raw) => { if (to !== C) deliver(from, to, raw); };
+    const pending = peers.get(A).gossip.sendDirectReliable(C, { text: 'held' });
+    await settle();
+    const impostor = await generateRandomPair();
+    const forged = { ...ack, id: 'forged-ack', messageId: pending, timestamp: Date.now(), hops: 1 };
+    network.deliver(B, A, JSON.stringify({ ...forged, signature: undefined }));
+    forged.id = 'impostor-ack';
+    forged.signature = await signMessage(JSON.stringify([
+      'pp-direct-ack-sig-v1', forged.id, forged.messageId, forged.from, forged.to, forged.timestamp, forged.maxHops,
+    ]), impostor.priv);
+    network.deliver(B, A, JSON.stringify(forged));
+    await settle();
+    assert.equal(peers.get(A).gossip.getDirectDeliveryStatus(pending).delivered, false);
+    assert.deepEqual(peers.get(A).rejected.map((rejection) => [rejection.type, rejection.reason]), [
+      ['direct-ack', 'unsigned'],
+      ['direct-ack', 'forged'],
+    ]);
+  } finally {
+    destroyPeers(peers);
+  }
+});
+
+test('a pinned key cannot be replaced by a self-signed announcement', async () => {
+  const { network, peers } = await makeSignedPeers();
+  try {
+    const pinned = peers.get(B).crypto.getPublicKey(A).pub;
+    const impostor = await generateRandomPair();
+    const announcement = {
+      id: 'key-takeover',
+      type: 'gossip',
+      timestamp: Date.now(),
+      hops: 0,
+      maxHops: 6,
+      sender: A,
+      data: { __ppType: 'pp-crypto-public-info-v1', from: A, pub: impostor.pub, epub: impostor.epub, timestamp: Date.now() + 1 },
+      metadata: {},
+    };
+    announcement.signature = await signMessage(JSON.stringify([
+      'pp-gossip-sig-v1', announcement.id, announcement.sender, announcement.timestamp, announcement.maxHops, null,
+      announcement.data, announcement.metadata,
+    ]), impostor.priv);
+
+    network.deliver(A, B, JSON.stringify(announcement));
+    await settle();
+    assert.equal(peers.get(B).crypto.getPublicKey(A).pub, pinned);
+    assert.deepEqual(peers.get(B).rejected.map((rejection) => rejection.reason), ['forged']);
+  } finally {
+    destroyPeers(peers);
+  }
+});
+
+test('a pinned key changes only through an announcement signed by the old key', async () => {
+  const { network, peers } = await makeSignedPeers();
+  try {
+    const pinned = peers.get(B).crypto.getPublicKey(A);
+    const rotated = await generateRandomPair();
+    const announcement = (id, keys) => ({
+      id,
+      type: 'gossip',
+      timestamp: Date.now(),
+      hops: 0,
+      maxHops: 6,
+      sender: A,
+      data: { __ppType: 'pp-crypto-public-info-v1', from: A, pub: keys.pub, epub: keys.epub, timestamp: Date.now() + 1 },
+      metadata: {},
+    });
+    const sign = async (message, priv) => {
+      message.signature = await signMessage(JSON.stringify([
+        'pp-gossip-sig-v1', message.id, message.sender, message.timestamp, message.maxHops, null, message.data, message.metadata,
+      ]), priv);
+      return message;
+    };
+
+    // Unsigned envelopes still surface unverified, but cannot move the key.
+    network.deliver(A, B, JSON.stringify(announcement('unsigned-rotation', rotated)));
+    await settle();
+    assert.deepEqual(peers.get(B).crypto.getPublicKey(A), pinned);
+
+    const signed = await sign(announcement('signed-rotation', rotated), peers.get(A).crypto.keyPair.priv);
+    network.deliver(A, B, JSON.stringify(signed));
+    await settle();
+    assert.equal(peers.get(B).crypto.getPublicKey(A).pub, rotated.pub);
+    assert.equal(peers.get(B).crypto.getPublicKey(A).epub, rotated.epub);
+  } finally {
+    destroyPeers(peers);
+  }
+});
+
+test('a signed reliable broadcast is tracked as soon as its ID is returned', async () => {
+  const { peers } = await makeSignedPeers();
+  try {
+    const messageId = peers.get(A).gossip.broadcastReliable({ text: 'tracked' });
+    assert.equal(peers.get(A).gossip.getDeliveryStatus(messageId)?.messageId, messageId);
+    await waitFor(() => peers.get(C).received.length === 1);
+    assert.equal(peers.get(C).received[0].verified, true);
+  } finally {
+    destroyPeers(peers);
+  }
+});
+
+test('PeerPigeonNode refuses envelope signing without crypto', () => {
+  assert.throws(
+    () => new PeerPigeonNode({ autoDiscover: false, autoConnect: false, crypto: false, signing: true }),
+    /signing requires crypto/,
+  );
+});
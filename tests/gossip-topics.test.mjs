@@ -0,0 +1,186 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import { destroyProtocols, makeProtocols } from './helpers/gossip-network.mjs';
+
+/** Every peer announces topic interest unless listed in `legacy`. */
+function makeTopicPeers(ids, edges, { legacy = [] } = {}) {
+  const { network, protocols } = makeProtocols(ids, edges);
+  for (const id of ids) {
+    if (legacy.includes(id)) continue;
+    protocols.get(id).publishTopicInterest(undefined, true);
+  }
+  return { network, protocols };
+}
+
+function settle() {
+  return new Promise((resolve) => setImmediate(resolve));
+}
+
+function collectReceived(protocols) {
+  const received = new Map();
+  for (const [id, protocol] of protocols) {
+    received.set(id, []);
+    protocol.on('messageReceived', ({ message, local }) => {
+      if (!local) received.get(id).push(message);
+    });
+  }
+  return received;
+}
+
+const line = new Map([
+  ['01', ['02']],
+  ['02', ['01', '03']],
+  ['03', ['02', '04']],
+  ['04', ['03']],
+]);
+
+test('topic publications are relayed by non-subscribers but only surfaced to subscribers', async () => {
+  const { protocols } = makeTopicPeers(['01', '02', '03', '04'], line);
+  try {
+    const received = collectReceived(protocols);
+    protocols.get('04').subscribe('news');
+    await settle();
+
+    const messageId = protocols.get('01').publish('news', { headline: 'hello' });
+
+    assert.equal(received.get('02').length, 0);
+    assert.equal(received.get('03').length, 0);
+    assert.equal(received.get('04').length, 1);
+    assert.equal(received.get('04')[0].id, messageId);
+    assert.equal(received.get('04')[0].topic, 'news');
+    assert.deepEqual(received.get('04')[0].data, { headline: 'hello' });
+  } finally {
+    destroyProtocols(protocols);
+  }
+});
+
+test('interest advertisements carry hop distance with split horizon', async () => {
+  const { network, protocols } = makeTopicPeers(['01', '02', '03', '04'], line);
+  try {
+    protocols.get('04').subscribe('news');
+    await settle();
+
+    const latest = (from, to) => network.frames
+      .filter((frame) => frame.type === 'gossip-topics' && frame.from === from && frame.to === to)
+      .at(-1)?.envelope;
+
+    assert.equal(latest('04', '03').protocol, 'gossip-topics/1');
+    assert.deepEqual(latest('04', '03').topics, { news: 0 });
+    assert.deepEqual(latest('03', '02').topics, { news: 1 });
+    assert.deepEqual(latest('02', '01').topics, { news: 2 });
+    assert.deepEqual(latest('03', '04').topics, {});
+    assert.deepEqual(latest('02', '03').topics, {});
+  } finally {
+    destroyProtocols(protocols);
+  }
+});
+
+test('topic fan-out skips neighbors that advertise no path to a subscriber', async () => {
+  const ids = ['01', '02', '03', '04', '05'];
+  const star = new Map([
+    ['01', ['02', '03', '04', '05']],
+    ['02', ['01']],
+    ['03', ['01']],
+    ['04', ['01']],
+    ['05', ['01']],
+  ]);
+  const { network, protocols } = makeTopicPeers(ids, star);
+  try {
+    protocols.get('05').subscribe('alerts');
+    await settle();
+    network.frames.length = 0;
+
+    protocols.get('01').publish('alerts', 'fire');
+    const gossipTargets = network.frames
+      .filter((frame) => frame.type === 'gossip' && frame.from === '01')
+      .map((frame) => frame.to);
+    assert.deepEqual(gossipTargets, ['05']);
+
+    network.frames.length = 0;
+    protocols.get('01').broadcast('untopical');
+    const broadcastTargets = network.frames.filter((frame) => frame.type === 'gossip' && frame.from === '01');
+    assert.equal(broadcastTargets.length, 3);
+  } finally {
+    destroyProtocols(protocols);
+  }
+});
+
+test('neighbors without a live advertisement are treated as interested relays', async () => {
+  const { protocols } = makeTopicPeers(['01', '02', '03'], new Map([
+    ['01', ['02']],
+    ['02', ['01', '03']],
+    ['03', ['02']],
+  ]), { legacy: ['02'] });
+  try {
+    const received = collectReceived(protocols);
+    protocols.get('03').subscribe('news');
+    await settle();
+
+    protocols.get('01').publish('news', 'through a legacy relay');
+    assert.equal(received.get('03').length, 1);
+  } finally {
+    destroyProtocols(protocols);
+  }
+});
+
+test('unsubscribe withdraws interest along the advertised path', async () => {
+  const { network, protocols } = makeTopicPeers(['01', '02', '03', '04'], line);
+  try {
+    const received = collectReceived(protocols);
+    const unsubscribe = protocols.get('04').subscribe('news');
+    await settle();
+    unsubscribe();
+    await settle();
+
+    const lastFrom02 = network.frames
+      .filter((frame) => frame.type === 'gossip-topics' && frame.from === '02' && frame.to === '01')
+      .at(-1).envelope;
+    assert.deepEqual(lastFrom02.topics, {});
+
+    network.frames.length = 0;
+    protocols.get('01').publish('news', 'nobody listens');
+    assert.equal(network.frames.some((frame) => frame.type === 'gossip'), false);
+    assert.equal(received.get('04').length, 0);
+    assert.equal(protocols.get('04').unsubscribe('news'), false);
+  } finally {
+    destroyProtocols(protocols);
+  }
+});
+
+test('anti-entropy summaries omit topic messages for uninterested neighbors', async () => {
+  const { protocols } = makeTopicPeers(['01', '02', '03'], new Map([
+    ['01', ['02', '03']],
+    ['02', ['01']],
+    ['03', ['01']],
+  ]));
+  try {
+    protocols.get('03').subscribe('news');
+    await settle();
+
+    const topical = protocols.get('01').publish('news', 'topical');
+    const plain = protocols.get('01').broadcast('plain');
+
+    assert.deepEqual(protocols.get('01').recentRetainedMessageIds('02'), [plain]);
+    assert.deepEqual(protocols.get('01').recentRetainedMessageIds('03'), [topical, plain]);
+  } finally {
+    destroyProtocols(protocols);
+  }
+});
+
+test('topic subscriptions validate names and appear in stats', () => {
+  const { protocols } = makeTopicPeers(['01'], new Map());
+  try {
+    const protocol = protocols.get('01');
+    assert.throws(() => protocol.subscribe(''), TypeError);
+    assert.throws(() => protocol.publish('x'.repeat(257), 'too long'), TypeError);
+    assert.throws(() => protocol.subscribe(42), TypeError);
+
+    protocol.subscribe('zeta');
+    protocol.subscribe('alpha');
+    assert.deepEqual(protocol.getSubscriptions(), ['alpha', 'zeta']);
+    assert.deepEqual(protocol.getStats().subscribedTopics, ['alpha', 'zeta']);
+  } finally {
+    destroyProtocols(protocols);
+  }
+});
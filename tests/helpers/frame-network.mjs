@@ -0,0 +1,83 @@
+import { FrameRouter, wireJsonParse, wireJsonStringify } from '../../dist/index.js';
+
+/**
+ * Carries protocol frames between fake meshes through the wire codec, each on
+ * a later tick, and records them decoded in send order.
+ */
+export class FrameTestNetwork {
+  constructor(ids) {
+    this.meshes = new Map(ids.map((peerId) => [peerId, new FrameTestMesh(peerId, this)]));
+    /** Decoded frames in send order. */
+    this.frames = [];
+    /** Return false to drop a frame, or a replacement frame. */
+    this.filter = () => true;
+  }
+
+  connect(left, right) {
+    this.meshes.get(left).connected.add(right);
+    this.meshes.get(right).connected.add(left);
+  }
+
+  disconnect(left, right) {
+    this.meshes.get(left).connected.delete(right);
+    this.meshes.get(right).connected.delete(left);
+    this.meshes.get(left).emit('peer:disconnected', right);
+    this.meshes.get(right).emit('peer:disconnected', left);
+  }
+
+  deliver(from, to, raw) {
+    const frame = wireJsonParse(raw);
+    this.frames.push({ from, to, frame });
+    const verdict = this.filter({ from, to, frame });
+    if (verdict === false) return;
+    const data = verdict === true ? raw : wireJsonStringify(verdict);
+    setTimeout(() => {
+      // Frames still in flight on a link that went down are lost.
+      if (!this.meshes.get(from).connected.has(to)) return;
+      this.meshes.get(to)?.receive(from, data);
+    }, 0);
+  }
+}
+
+/** Every other peer on the network counts as discovered. */
+export class FrameTestMesh {
+  constructor(peerId, network) {
+    this.id = peerId;
+    this.network = network;
+    this.connected = new Set();
+    this.handlers = new Map();
+    this.router = new FrameRouter();
+  }
+
+  onFrame(type, handler) { this.router.on(type, handler); }
+  offFrame(type, handler) { this.router.off(type, handler); }
+
+  /** Claimed frame types go to their handler, like in PartialMesh; the rest to `peer:data`. */
+  receive(peerId, data) {
+    if (!this.router.dispatch(peerId, data)) this.emit('peer:data', { peerId, data });
+  }
+
+  on(event, handler) {
+    const handlers = this.handlers.get(event) ?? new Set();
+    handlers.add(handler);
+    this.handlers.set(event, handlers);
+  }
+
+  off(event, handler) {
+    this.handlers.get(event)?.delete(handler);
+  }
+
+  emit(event, payload) {
+    for (const handler of this.handlers.get(event) ?? []) handler(payload);
+  }
+
+  getClientId() { return this.id; }
+  getConnectedPeers() { return [...this.connected]; }
+  getDiscoveredPeers() { return Array.from(this.network.meshes.keys()).filter((peerId) => peerId !== this.id); }
+  getGlobalPeers() { return this.getDiscoveredPeers(); }
+  sendFrame(peerId, frame) {
+    if (!this.connected.has(peerId)) throw new Error(`Peer ${peerId} is not connected`);
+    this.network.deliver(this.id, peerId, wireJsonStringify(frame));
+    return true;
+  }
+}
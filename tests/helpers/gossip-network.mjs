@@ -0,0 +1,110 @@
+import { GossipProtocol } from '../../dist/index.js';
+
+/** Delivers frames synchronously between fake meshes and records them in send order. */
+export class GossipTestNetwork {
+  constructor(ids) {
+    this.meshes = new Map(ids.map((id) => [id, new GossipTestMesh(id, this)]));
+    this.frames = [];
+    /** Return true to drop a frame in transit. */
+    this.drop = () => false;
+    /** Group name to joined peer IDs, shared by every mesh like converged CECR records. */
+    this.rosters = new Map();
+    /** Service name to providers, likewise shared. */
+    this.providers = new Map();
+  }
+
+  deliver(from, to, raw) {
+    const envelope = JSON.parse(raw);
+    const frame = { from, to, type: envelope.type, envelope, raw };
+    if (this.drop(frame)) return;
+    this.frames.push(frame);
+    this.meshes.get(to)?.emit('peer:data', { peerId: from, data: raw });
+  }
+
+  /** Apply a topology and announce it as a membership change; peers left out go offline. */
+  setTopology(edges) {
+    const live = Array.from(edges.keys());
+    for (const [peerId, mesh] of this.meshes) {
+      mesh.connected = [...(edges.get(peerId) ?? [])];
+      mesh.global = edges.has(peerId) ? live.filter((other) => other !== peerId) : [];
+    }
+    for (const peerId of live) this.meshes.get(peerId).emit('mesh:membership', live);
+  }
+
+  disconnect(left, right) {
+    const leftMesh = this.meshes.get(left);
+    const rightMesh = this.meshes.get(right);
+    leftMesh.connected = leftMesh.connected.filter((peerId) => peerId !== right);
+    rightMesh.connected = rightMesh.connected.filter((peerId) => peerId !== left);
+    leftMesh.emit('peer:disconnected', right);
+    rightMesh.emit('peer:disconnected', left);
+  }
+}
+
+export class GossipTestMesh {
+  constructor(id, network) {
+    this.id = id;
+    this.network = network;
+    this.connected = [];
+    this.global = [];
+    /** Topology hop distances to peers, for anycast ranking. */
+    this.hops = new Map();
+    this.handlers = new Map();
+  }
+
+  on(event, handler) {
+    const handlers = this.handlers.get(event) ?? new Set();
+    handlers.add(handler);
+    this.handlers.set(event, handlers);
+  }
+
+  off(event, handler) {
+    this.handlers.get(event)?.delete(handler);
+  }
+
+  emit(event, payload) {
+    for (const handler of this.handlers.get(event) ?? []) handler(payload);
+  }
+
+  getClientId() { return this.id; }
+  getConnectedPeers() { return [...this.connected]; }
+  getDiscoveredPeers() { return [...this.global]; }
+  getGlobalPeers() { return [...this.global]; }
+  getGroupMembers(group) { return [...(this.network.rosters.get(group) ?? [])].sort(); }
+  getServiceProviders(service) {
+    return (this.network.providers.get(service) ?? []).filter((peerId) => peerId !== this.id).sort();
+  }
+  getAdvertisedServices() {
+    return Array.from(this.network.providers).filter(([, providers]) => providers.includes(this.id)).map(([service]) => service);
+  }
+  getHopDistance(peerId) { return this.hops.get(peerId) ?? null; }
+  getXorDistance(peerId) { return `0x${(BigInt(`0x${peerId}`) ^ BigInt(`0x${this.id}`)).toString(16)}`; }
+  send(peerId, data) {
+    if (!this.connected.includes(peerId)) throw new Error(`Peer ${peerId} is not connected`);
+    this.network.deliver(this.id, peerId, data);
+  }
+}
+
+export const id = (hex) => String(hex).padStart(64, '0');
+
+/**
+ * One GossipProtocol per ID. `edges` maps an ID to its neighbours, and every
+ * peer has discovered all the others. `options` may be a function of the ID.
+ */
+export function makeProtocols(ids, edges, options = {}) {
+  const network = new GossipTestNetwork(ids);
+  for (const peerId of ids) {
+    const mesh = network.meshes.get(peerId);
+    mesh.global = ids.filter((other) => other !== peerId);
+    mesh.connected = [...(edges.get(peerId) ?? [])];
+  }
+  const protocols = new Map(ids.map((peerId) => [
+    peerId,
+    new GossipProtocol(network.meshes.get(peerId), typeof options === 'function' ? options(peerId) : options),
+  ]));
+  return { network, protocols };
+}
+
+export function destroyProtocols(protocols) {
+  for (const protocol of protocols.values()) protocol.destroy();
+}
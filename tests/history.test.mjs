@@ -0,0 +1,170 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import { PeerPigeonHistory, PeerPigeonNode, PeerPigeonRpc } from '../dist/index.js';
+import { id, makeProtocols } from './helpers/gossip-network.mjs';
+
+// XOR order puts B between A and C, so directs from C reach A through B.
+const [A, B, C] = [id('01'), id('03'), id('02')];
+
+/** A and B talk while C is still offline. */
+function makePeers(options = {}) {
+  const { network, protocols } = makeProtocols([A, B, C], new Map([[A, [B]], [B, [A]]]));
+  network.meshes.get(A).global = [B];
+  network.meshes.get(B).global = [A];
+  network.meshes.get(C).global = [];
+  network.rosters.set('team', [A, B]);
+  const peers = new Map();
+  for (const [peerId, gossip] of protocols) {
+    const mesh = network.meshes.get(peerId);
+    const rpc = new PeerPigeonRpc(mesh, gossip);
+    peers.set(peerId, { mesh, gossip, rpc, history: new PeerPigeonHistory(mesh, gossip, rpc, options) });
+  }
+  return { network, peers };
+}
+
+/** C joins next to B. */
+function joinLate({ network }) {
+  network.meshes.get(A).global = [B, C];
+  network.meshes.get(B).global = [A, C];
+  network.meshes.get(B).connected = [A, C];
+  network.meshes.get(C).global = [A, B];
+  network.meshes.get(C).connected = [B];
+}
+
+function destroyPeers(peers) {
+  for (const { history, rpc, gossip } of peers.values()) {
+    history.destroy();
+    rpc.destroy();
+    gossip.destroy();
+  }
+}
+
+test('a late joiner fetches earlier broadcasts from its neighbours', async () => {
+  const setup = makePeers();
+  const { peers } = setup;
+  try {
+    peers.get(A).gossip.broadcast('one');
+    peers.get(B).gossip.publish('news', 'two');
+    peers.get(A).gossip.broadcast('three');
+    joinLate(setup);
+    peers.get(C).gossip.subscribe('news');
+
+    const history = await peers.get(C).history.fetchHistory();
+    assert.deepEqual(history.map(({ data, channel }) => [data, channel]), [['one', null], ['two', 'news'], ['three', null]]);
+    assert.equal(history[0].sender, A);
+    assert.ok(history.every(({ verified }) => verified === false));
+
+    // Asking a second peer with the same messages yields no duplicates.
+    const both = await peers.get(C).history.fetchHistory({ peerIds: [A, B] });
+    assert.deepEqual(both.map(({ messageId }) => messageId), history.map(({ messageId }) => messageId));
+
+    const news = await peers.get(C).history.fetchHistory({ channel: 'news' });
+    assert.deepEqual(news.map(({ data }) => data), ['two']);
+    const plain = await peers.get(C).history.fetchHistory({ channel: null, limit: 1 });
+    assert.deepEqual(plain.map(({ data }) => data), ['three']);
+    const recent = await peers.get(C).history.fetchHistory({ since: history[1].timestamp - 1, limit: 10 });
+    assert.ok(recent.every(({ timestamp }) => timestamp >= history[1].timestamp));
+
+    // Fetched messages are retained, but C does not vouch for them onward.
+    assert.equal(peers.get(C).history.getRetained().length, 3);
+    assert.deepEqual(await peers.get(A).rpc.request(C, 'pp-history/fetch', {}), []);
+  } finally {
+    destroyPeers(peers);
+  }
+});
+
+test('retention is bounded per channel and group broadcasts are not kept', async () => {
+  const setup = makePeers({ maxMessagesPerChannel: 2 });
+  const { peers } = setup;
+  try {
+    peers.get(B).gossip.subscribe('news');
+    for (const data of ['m1', 'm2', 'm3']) peers.get(A).gossip.broadcast(data);
+    peers.get(A).gossip.publish('news', 'n1');
+    peers.get(A).gossip.broadcastToGroup('team', 'g1');
+    assert.deepEqual(peers.get(B).history.getRetained(null).map(({ data }) => data), ['m2', 'm3']);
+    assert.deepEqual(peers.get(B).history.getRetained('news').map(({ data }) => data), ['n1']);
+    assert.deepEqual(peers.get(B).history.getRetained().map(({ data }) => data), ['m2', 'm3', 'n1']);
+  } finally {
+    destroyPeers(peers);
+  }
+});
+
+test('messages are forgotten at their expiry, which fetches carry along', async () => {
+  const setup = makePeers();
+  const { peers } = setup;
+  try {
+    const expiresAt = Date.now() + 150;
+    peers.get(A).gossip.broadcast('brief', {}, { expiresAt });
+    peers.get(A).gossip.broadcast('lasting');
+    joinLate(setup);
+    const history = await peers.get(C).history.fetchHistory();
+    assert.deepEqual(history.map(({ data, expiresAt: expiry }) => [data, expiry]), [['brief', expiresAt], ['lasting', undefined]]);
+
+    await new Promise((resolve) => setTimeout(resolve, 200));
+    for (const peerId of [B, C]) {
+      assert.deepEqual(peers.get(peerId).history.getRetained().map(({ data }) => data), ['lasting']);
+    }
+    assert.deepEqual((await peers.get(C).rpc.request(B, 'pp-history/fetch', {})).map(({ data }) => data), ['lasting']);
+  } finally {
+    destroyPeers(peers);
+  }
+});
+
+test('neighbours without history are skipped and bad queries are rejected', async () => {
+  const setup = makePeers();
+  const { peers } = setup;
+  try {
+    peers.get(A).gossip.broadcast('kept');
+    peers.get(B).history.destroy();
+    joinLate(setup);
+    assert.deepEqual((await peers.get(C).history.fetchHistory({ timeoutMs: 200 })).map(({ data }) => data), []);
+    assert.deepEqual((await peers.get(C).history.fetchHistory({ peerIds: [A, B], timeoutMs: 200 })).map(({ data }) => data), ['kept']);
+
+    await assert.rejects(peers.get(C).history.fetchHistory({ limit: 0 }), RangeError);
+    await assert.rejects(peers.get(C).history.fetchHistory({ channel: '' }), TypeError);
+    await assert.rejects(peers.get(C).history.fetchHistory({ since: Number.NaN }), TypeError);
+  } finally {
+    destroyPeers(peers);
+  }
+  assert.throws(() => new PeerPigeonHistory({}, {}, {}, { maxAgeMs: 0 }), RangeError);
+});
+
+test('fetched messages dated in the future, expired or on unsubscribed topics are dropped', async () => {
+  const setup = makePeers();
+  const { peers } = setup;
+  try {
+    peers.get(B).history.destroy();
+    const now = Date.now();
+    const message = (messageId, fields = {}) => ({
+      messageId, channel: null, sender: A, timestamp: now, data: messageId, metadata: {}, verified: true, ...fields,
+    });
+    peers.get(B).rpc.register('pp-history/fetch', () => [
+      message('future', { timestamp: now + 60_000 }),
+      message('unsubscribed', { channel: 'secret' }),
+      message('expired', { expiresAt: now - 1 }),
+      message('bad-expiry', { expiresAt: 'soon' }),
+      message('kept'),
+    ]);
+    joinLate(setup);
+    const history = await peers.get(C).history.fetchHistory();
+    assert.deepEqual(history.map(({ data, verified }) => [data, verified]), [['kept', false]]);
+  } finally {
+    destroyPeers(peers);
+  }
+});
+
+test('fetchHistory needs the node history option', async () => {
+  const node = new PeerPigeonNode({ autoDiscover: false, autoConnect: false, crypto: false });
+  try {
+    await assert.rejects(node.fetchHistory(), /History is disabled/);
+  } finally {
+    await node.destroy();
+  }
+  const enabled = new PeerPigeonNode({ autoDiscover: false, autoConnect: false, crypto: false, history: {} });
+  try {
+    assert.deepEqual(await enabled.fetchHistory(), []);
+  } finally {
+    await enabled.destroy();
+  }
+});
@@ -0,0 +1,183 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import {
+  GossipProtocol,
+  MetricsRegistry,
+  PartialMesh,
+  PeerPigeonNode,
+  PeerPigeonStorage,
+  formatOpenMetrics,
+} from '../dist/index.js';
+
+const id = (hex) => String(hex).padStart(64, '0');
+const [A, B] = [id('01'), id('02')];
+
+function makeMesh(self, peer) {
+  const sent = [];
+  const mesh = new PartialMesh({ minPeers: 1, maxPeers: 4, autoDiscover: false, autoConnect: false });
+  mesh.clientId = self;
+  mesh.selfAliases.add(self);
+  mesh.peers.set(peer, { id: peer, connected: true, initiator: false });
+  mesh.signalingClient = {
+    send(peerId, data) { sent.push({ peerId, data }); },
+    broadcast(data) { sent.push({ peerId: peer, data }); },
+    closeConnection() {},
+    disconnect() {},
+  };
+  return { mesh, sent };
+}
+
+const family = (snapshot, name) => snapshot.metrics.find((metric) => metric.name === name);
+
+test('the registry merges collectors and renders OpenMetrics text', () => {
+  const registry = new MetricsRegistry();
+  registry.register(() => [
+    { name: 'app_jobs', type: 'counter', help: 'Jobs "done".', samples: [{ labels: { queue: 'a\nb' }, value: 3 }] },
+  ]);
+  const unregister = registry.register(() => [
+    { name: 'app_jobs', type: 'counter', help: 'Jobs "done".', samples: [{ labels: { queue: 'c' }, value: 1 }] },
+    { name: 'app_depth', type: 'gauge', help: '', samples: [{ labels: {}, value: Infinity }] },
+  ]);
+
+  const snapshot = registry.collect();
+  assert.deepEqual(snapshot.metrics.map(({ name }) => name), ['app_depth', 'app_jobs']);
+  assert.equal(family(snapshot, 'app_jobs').samples.length, 2);
+  assert.equal(formatOpenMetrics(snapshot), [
+    '# TYPE app_depth gauge',
+    'app_depth +Inf',
+    '# TYPE app_jobs counter',
+    '# HELP app_jobs Jobs \\"done\\".',
+    'app_jobs_total{queue="a\\nb"} 3',
+    'app_jobs_total{queue="c"} 1',
+    '# EOF',
+    '',
+  ].join('\n'));
+
+  unregister();
+  assert.equal(family(registry.collect(), 'app_depth'), undefined);
+  registry.register(() => [{ name: 'app_jobs', type: 'gauge', help: '', samples: [] }]);
+  assert.throws(() => registry.collect(), /both counter and gauge/);
+  assert.throws(() => new MetricsRegistry().register(null), TypeError);
+});
+
+test('the mesh counts frames and bytes per neighbour and dial outcomes', () => {
+  const alice = makeMesh(A, B);
+  try {
+    alice.mesh.send(B, 'hello');
+    alice.mesh.handleRtcData(B, JSON.stringify({ type: 'app', data: 'é' }));
+    alice.mesh.noteDialFailure(id('03'));
+
+    const stats = alice.mesh.getTransportStats();
+    assert.deepEqual(stats.peers[B], { framesIn: 1, bytesIn: 26, framesOut: 1, bytesOut: 5 });
+    assert.deepEqual(stats.totals, stats.peers[B]);
+    assert.equal(stats.dialFailures, 1);
+
+    // The wire hello bypasses the send queue but is still counted.
+    alice.mesh.sendWireHello(B);
+    assert.equal(alice.mesh.getTransportStats().peers[B].framesOut, 2);
+    assert.equal(alice.mesh.getTransportStats().peers[B].bytesOut, 5 + alice.sent.at(-1).data.length);
+
+    alice.mesh.removePeer(B);
+    const after = alice.mesh.getTransportStats();
+    assert.deepEqual(after.peers, {});
+    assert.equal(after.totals.framesOut, 2);
+  } finally {
+    alice.mesh.destroy();
+  }
+});
+
+test('gossip counts anti-entropy repairs', () => {
+  const handlers = new Map();
+  const sent = [];
+  const mesh = {
+    on(event, handler) { handlers.set(event, [...(handlers.get(event) ?? []), handler]); },
+    getClientId: () => A,
+    getConnectedPeers: () => [B],
+    getDiscoveredPeers: () => [B],
+    getGlobalPeers: () => [B],
+    send(peerId, data) { sent.push({ peerId, data }); },
+  };
+  const protocol = new GossipProtocol(mesh);
+  try {
+    const messageId = protocol.broadcast('missed');
+    const request = {
+      id: 'ae-1',
+      type: 'gossip-ae',
+      protocol: 'gossip-ae/1',
+      from: B,
+      timestamp: Date.now(),
+      mode: 'request',
+      messageIds: [messageId],
+    };
+    for (const handler of handlers.get('peer:data')) handler({ peerId: B, data: JSON.stringify(request) });
+    assert.equal(JSON.parse(sent.at(-1).data).id, messageId);
+    assert.equal(protocol.getStats().antiEntropyRepairs, 1);
+    assert.equal(protocol.getStats().deliveryRepairs, 0);
+  } finally {
+    protocol.destroy();
+  }
+});
+
+test('the node exposes its metrics as JSON and OpenMetrics text', async () => {
+  const node = new PeerPigeonNode({ autoDiscover: false, autoConnect: false, crypto: false });
+  try {
+    const snapshot = node.getMetrics();
+    assert.equal(typeof snapshot.collectedAt, 'number');
+    for (const name of [
+      'peerpigeon_peer_bytes',
+      'peerpigeon_peer_frames',
+      'peerpigeon_duplicate_frames',
+      'peerpigeon_repairs',
+      'peerpigeon_dials',
+      'peerpigeon_signaling_reconnects',
+    ]) {
+      assert.ok(family(snapshot, name), name);
+    }
+    assert.equal(family(snapshot, 'peerpigeon_storage_mutations'), undefined);
+
+    node.metrics.register(() => [{ name: 'app_rooms', type: 'gauge', help: 'Open rooms.', samples: [{ labels: {}, value: 2 }] }]);
+    const text = node.getMetrics('openmetrics');
+    assert.match(text, /^peerpigeon_dials_total\{result="success"\} 0$/m);
+    assert.match(text, /^# TYPE peerpigeon_connected_peers gauge$/m);
+    assert.match(text, /^app_rooms 2$/m);
+    assert.ok(text.endsWith('# EOF\n'));
+    assert.throws(() => node.getMetrics('xml'), RangeError);
+  } finally {
+    await node.destroy();
+  }
+});
+
+test('storage counts mutations from other peers by outcome', async () => {
+  const listeners = new Map();
+  const frames = [];
+  const gossipFor = (name) => ({
+    broadcast(data) {
+      frames.push(data);
+      for (const [other, listener] of listeners) if (other !== name) listener({ message: { data }, local: false });
+      return `m${frames.length}`;
+    },
+    on(_event, listener) { listeners.set(name, listener); },
+    off() { listeners.delete(name); },
+  });
+  const options = { sessionId: 'metrics-storage-test', syncSecret: 'metrics-test-secret' };
+  const alice = new PeerPigeonStorage({ ...options, userId: 'alice', dbName: 'metrics-alice', gossip: gossipFor('alice') });
+  const bob = new PeerPigeonStorage({ ...options, userId: 'bob', dbName: 'metrics-bob', gossip: gossipFor('bob') });
+  await alice.init();
+  await bob.init();
+  try {
+    await alice.put('public', 'ignored', 'not subscribed');
+    bob.subscribeKey('public', 'greeting');
+    await alice.put('public', 'greeting', 'hi');
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    assert.deepEqual(bob.getMutationStats(), { applied: 1, rejected: 0 });
+
+    // A replayed mutation is stale by then.
+    listeners.get('bob')({ message: { data: frames[1] }, local: false });
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    assert.deepEqual(bob.getMutationStats(), { applied: 1, rejected: 1 });
+  } finally {
+    await alice.close();
+    await bob.close();
+  }
+});
@@ -0,0 +1,147 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import { GossipProtocol, PartialMesh } from '../dist/index.js';
+import { GossipTestMesh, GossipTestNetwork, destroyProtocols, id, makeProtocols } from './helpers/gossip-network.mjs';
+
+const [A, B, C, D] = [id('01'), id('02'), id('03'), id('04')];
+
+/** A - B - C - D in a line; only A and C are in the team. */
+function makeTeam() {
+  const ids = [A, B, C, D];
+  const { network, protocols } = makeProtocols(ids, new Map([[A, [B]], [B, [A, C]], [C, [B, D]], [D, [C]]]));
+  network.rosters.set('team', [A, C]);
+  const received = new Map(ids.map((peerId) => [peerId, []]));
+  for (const [peerId, protocol] of protocols) {
+    protocol.on('messageReceived', ({ message, local }) => { if (!local) received.get(peerId).push(message); });
+  }
+  return { network, protocols, received };
+}
+
+test('group broadcasts surface only at members and are relayed by everyone else', () => {
+  const { protocols, received } = makeTeam();
+  try {
+    protocols.get(B).broadcastToGroup('team', 'for the team');
+    assert.deepEqual(received.get(A).map(({ data, group }) => [data, group]), [['for the team', 'team']]);
+    assert.deepEqual(received.get(C).map(({ data }) => data), ['for the team']);
+    assert.deepEqual(received.get(B), []);
+    assert.deepEqual(received.get(D), []);
+
+    protocols.get(A).broadcast('for everyone');
+    assert.deepEqual(received.get(D).map(({ data }) => data), ['for everyone']);
+  } finally {
+    destroyProtocols(protocols);
+  }
+});
+
+test('tracked group delivery completes once every roster member has it', () => {
+  const { protocols } = makeTeam();
+  try {
+    let completion = null;
+    protocols.get(A).on('deliveryComplete', (status) => { completion = status; });
+    const messageId = protocols.get(A).broadcastToGroup('team', 'tracked', {}, { trackDelivery: true });
+    const pending = protocols.get(A).getDeliveryStatus(messageId);
+    assert.equal(pending.group, 'team');
+    assert.deepEqual(pending.audiencePeerIds, [C]);
+
+    for (const peerId of [D, C, B, A]) protocols.get(peerId).publishCecrState();
+    const status = protocols.get(A).getDeliveryStatus(messageId);
+    assert.equal(status.complete, true);
+    assert.deepEqual(status.deliveredPeerIds, [C]);
+    assert.equal(completion?.messageId, messageId);
+  } finally {
+    destroyProtocols(protocols);
+  }
+});
+
+test('group names are validated and require a group-aware mesh', () => {
+  const { protocols } = makeTeam();
+  try {
+    assert.throws(() => protocols.get(A).broadcastToGroup('', 'x'), TypeError);
+    assert.throws(() => protocols.get(A).broadcastToGroup('g'.repeat(257), 'x'), TypeError);
+  } finally {
+    destroyProtocols(protocols);
+  }
+  const mesh = new GossipTestMesh(A, new GossipTestNetwork([]));
+  mesh.getGroupMembers = undefined;
+  const protocol = new GossipProtocol(mesh);
+  try {
+    assert.throws(() => protocol.broadcastToGroup('team', 'x'), /does not support multicast groups/);
+  } finally {
+    protocol.destroy();
+  }
+});
+
+function makeMesh(self, peer) {
+  const sent = [];
+  const mesh = new PartialMesh({ minPeers: 1, maxPeers: 4, autoDiscover: false, autoConnect: false });
+  mesh.clientId = self;
+  mesh.selfAliases.add(self);
+  mesh.peers.set(peer, { id: peer, connected: true, initiator: false });
+  mesh.signalingClient = {
+    send(peerId, data) { sent.push({ peerId, data }); },
+    closeConnection() {},
+    disconnect() {},
+  };
+  const rosters = [];
+  mesh.on('mesh:groups', (event) => rosters.push(event));
+  return { mesh, sent, rosters };
+}
+
+test('joining and leaving a group travels in the CECR membership record', () => {
+  const alice = makeMesh(A, B);
+  const bob = makeMesh(B, A);
+  try {
+    assert.equal(alice.mesh.joinGroup('team'), true);
+    assert.equal(alice.mesh.joinGroup('team'), false);
+    assert.deepEqual(alice.mesh.getJoinedGroups(), ['team']);
+    assert.deepEqual(alice.mesh.getGroupMembers('team'), [A]);
+
+    const joined = alice.sent.at(-1).data;
+    assert.deepEqual(JSON.parse(joined).records[A][5], ['team']);
+    bob.mesh.handleRtcData(A, joined);
+    assert.deepEqual(bob.mesh.getGroupMembers('team'), [A]);
+    assert.deepEqual(bob.rosters, [{ team: [A] }]);
+    const record = bob.mesh.getCecrMembershipRecords().find(({ peerId }) => peerId === A);
+    assert.deepEqual(record.groups, ['team']);
+
+    bob.mesh.joinGroup('team');
+    assert.deepEqual(bob.mesh.getGroupRosters(), { team: [A, B] });
+
+    assert.equal(alice.mesh.leaveGroup('team'), true);
+    bob.mesh.handleRtcData(A, alice.sent.at(-1).data);
+    assert.deepEqual(bob.mesh.getGroupMembers('team'), [B]);
+    assert.deepEqual(bob.rosters.at(-1), { team: [B] });
+  } finally {
+    alice.mesh.destroy();
+    bob.mesh.destroy();
+  }
+});
+
+test('a record relayed without its groups is not treated as an equivocation', () => {
+  const alice = makeMesh(A, C);
+  const bob = makeMesh(B, C);
+  try {
+    alice.mesh.joinGroup('team');
+    const frame = JSON.parse(alice.sent.at(-1).data);
+    // A relay that predates groups forwards only the first five record fields.
+    const legacy = structuredClone(frame);
+    legacy.records[A] = legacy.records[A].slice(0, 5);
+
+    bob.mesh.handleRtcData(C, JSON.stringify(legacy));
+    assert.deepEqual(bob.mesh.getGroupMembers('team'), []);
+    bob.mesh.handleRtcData(C, JSON.stringify(frame));
+    assert.deepEqual(bob.mesh.getGroupMembers('team'), [A]);
+    bob.mesh.handleRtcData(C, JSON.stringify(legacy));
+    assert.deepEqual(bob.mesh.getGroupMembers('team'), [A]);
+    assert.deepEqual(bob.mesh.getCecrMembershipEquivocations(), []);
+
+    const conflicting = structuredClone(frame);
+    conflicting.records[A][5] = ['other'];
+    bob.mesh.handleRtcData(C, JSON.stringify(conflicting));
+    assert.deepEqual(bob.mesh.getCecrMembershipEquivocations(), [A]);
+  } finally {
+    alice.mesh.destroy();
+    bob.mesh.destroy();
+  }
+});
@@ -0,0 +1,139 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import { PeerPigeonCryptoProtocol, PeerPigeonNode } from '../dist/index.js';
+import { generateRandomPair } from 'unsea';
+import { id, makeProtocols } from './helpers/gossip-network.mjs';
+
+const ONION = 'pp-onion-direct-v1';
+
+const [A, B, C, D, E] = [id('01'), id('02'), id('03'), id('04'), id('05')];
+
+async function makeRoom(ids = [A, B, C, D, E]) {
+  const fullMesh = new Map(ids.map((peerId) => [peerId, ids.filter((other) => other !== peerId)]));
+  const { network, protocols } = makeProtocols(ids, fullMesh);
+  const peers = new Map();
+  for (const [id, gossip] of protocols) {
+    const mesh = network.meshes.get(id);
+    const crypto = new PeerPigeonCryptoProtocol(mesh, gossip, {
+      roomId: 'network:room',
+      keyPair: await generateRandomPair(),
+      persistKeyPair: false,
+      announceIntervalMs: 0,
+    });
+    await crypto.init();
+    const peer = { mesh, gossip, crypto, anonymous: [], errors: [] };
+    crypto.on('anonymousDirectReceived', (event) => peer.anonymous.push(event));
+    crypto.on('error', (error) => peer.errors.push(error));
+    peers.set(id, peer);
+  }
+  for (const peer of peers.values()) peer.crypto.announcePublicKey();
+  await waitFor(() => Array.from(peers.values()).every((peer) => peer.crypto.getKnownPeerKeys().length === ids.length));
+  network.frames = [];
+  return { network, peers };
+}
+
+function destroyRoom({ peers }) {
+  for (const peer of peers.values()) {
+    peer.crypto.destroy();
+    peer.gossip.destroy();
+  }
+}
+
+async function waitFor(predicate, timeoutMs = 2_000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!predicate()) {
+    if (Date.now() > deadline) throw new Error('condition not reached');
+    await new Promise((resolve) => setTimeout(resolve, 5));
+  }
+}
+
+const onionLegs = (network) => network.frames.filter(({ envelope }) => envelope.data?.__ppType === ONION);
+
+test('an anonymous message is peeled hop by hop and reaches the recipient without its sender', async () => {
+  const room = await makeRoom();
+  try {
+    await room.peers.get(A).crypto.sendAnonymousDirect(E, 'meet at dawn', { hops: 3 });
+    await waitFor(() => room.peers.get(E).anonymous.length === 1);
+
+    const [received] = room.peers.get(E).anonymous;
+    assert.equal(received.plaintext, 'meet at dawn');
+    const legs = onionLegs(room.network);
+    assert.equal(legs.length, 4);
+    assert.equal(legs[0].from, A);
+    assert.equal(legs.at(-1).to, E);
+    for (let index = 1; index < legs.length; index++) assert.equal(legs[index].from, legs[index - 1].to);
+    assert.deepEqual(legs.slice(1).map(({ from }) => from).sort(), [B, C, D]);
+    assert.equal(received.message.from, legs.at(-1).from);
+
+    // Past the first relay nothing names the sender, and no hop sees the plaintext.
+    assert.ok(legs.slice(1).every(({ raw }) => !raw.includes(A)));
+    assert.ok(legs.every(({ raw }) => !raw.includes('meet at dawn')));
+    // The first relay only learns the second hop, never the recipient.
+    assert.ok(!legs[0].raw.includes(E) && !legs[1].raw.includes(E));
+    // Legs cannot be told apart or ordered by their size.
+    const sizes = legs.map(({ envelope }) => JSON.stringify(envelope.data).length);
+    assert.equal(sizes[0] % 1024, 0);
+    assert.deepEqual(new Set(sizes).size, 1);
+    for (const peer of room.peers.values()) assert.deepEqual(peer.errors, []);
+  } finally {
+    destroyRoom(room);
+  }
+});
+
+test('hops refuse replayed and expired onion layers', async () => {
+  const room = await makeRoom([A, B, C]);
+  try {
+    await room.peers.get(A).crypto.sendAnonymousDirect(C, 'once', { hops: 1 });
+    await waitFor(() => room.peers.get(C).anonymous.length === 1);
+
+    // The captured first leg, replayed under a fresh envelope ID.
+    const [first] = onionLegs(room.network);
+    room.network.deliver(A, first.to, JSON.stringify({ ...first.envelope, id: `${first.envelope.id}-replay` }));
+    await waitFor(() => room.peers.get(first.to).errors.length === 1);
+    assert.match(room.peers.get(first.to).errors[0].message, /replayed/);
+
+    const stale = await room.peers.get(A).crypto.sealOnionLayer({ plaintext: 'late' }, room.peers.get(C).crypto.getPublicKey(C).epub);
+    const realNow = Date.now;
+    Date.now = () => realNow() + 61_000;
+    try {
+      await room.peers.get(C).crypto.peelOnionLayer({ __ppType: ONION, cipher: stale }, {});
+      assert.fail('expected the layer to expire');
+    } catch (error) {
+      assert.match(error.message, /expired/);
+    } finally {
+      Date.now = realNow;
+    }
+    assert.equal(room.peers.get(C).anonymous.length, 1);
+  } finally {
+    destroyRoom(room);
+  }
+});
+
+test('anonymous sends need enough relays with known keys and validate their hop count', async () => {
+  const room = await makeRoom([A, B, C]);
+  try {
+    const sender = room.peers.get(A).crypto;
+    await sender.sendAnonymousDirect(C, 'via one relay', { hops: 1 });
+    await waitFor(() => room.peers.get(C).anonymous.length === 1);
+
+    await assert.rejects(sender.sendAnonymousDirect(C, 'too far'), /needs 3 relays with known keys; 1 available/);
+    await assert.rejects(sender.sendAnonymousDirect(A, 'self', { hops: 1 }), /Cannot send an anonymous message/);
+    await assert.rejects(sender.sendAnonymousDirect(id('09'), 'stranger', { hops: 1 }), /No encryption key known/);
+    await assert.rejects(sender.sendAnonymousDirect(C, 'none', { hops: 0 }), RangeError);
+    assert.throws(
+      () => new PeerPigeonCryptoProtocol(room.peers.get(A).mesh, room.peers.get(A).gossip, { roomId: 'r', onionHops: 0 }),
+      RangeError,
+    );
+    assert.equal(PeerPigeonCryptoProtocol.isProtocolPayload({ __ppType: ONION, cipher: {} }), true);
+  } finally {
+    destroyRoom(room);
+  }
+
+  const node = new PeerPigeonNode({ autoDiscover: false, autoConnect: false, crypto: false });
+  try {
+    await assert.rejects(node.sendAnonymousDirect(C, 'hello'), /Crypto is disabled/);
+  } finally {
+    await node.destroy();
+  }
+});
@@ -0,0 +1,209 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import { MemoryOutboxStore, PeerPigeonNode, PeerPigeonOutbox } from '../dist/index.js';
+
+class OutboxTestMesh {
+  constructor() {
+    this.connected = [];
+    this.handlers = new Map();
+  }
+
+  on(event, handler) {
+    const handlers = this.handlers.get(event) ?? new Set();
+    handlers.add(handler);
+    this.handlers.set(event, handlers);
+  }
+
+  emit(event, payload) {
+    for (const handler of this.handlers.get(event) ?? []) handler(payload);
+  }
+
+  getConnectedPeers() { return [...this.connected]; }
+}
+
+class OutboxTestGossip extends OutboxTestMesh {
+  constructor() {
+    super();
+    this.sent = [];
+  }
+
+  off(event, handler) {
+    this.handlers.get(event)?.delete(handler);
+  }
+
+  broadcast(data, metadata, options) {
+    const messageId = `m${this.sent.length + 1}`;
+    this.sent.push({ kind: 'broadcast', messageId, data, metadata, options });
+    return messageId;
+  }
+
+  sendDirect(peerId, data, options) {
+    const messageId = `m${this.sent.length + 1}`;
+    this.sent.push({ kind: 'direct', messageId, peerId, data, options });
+    return messageId;
+  }
+}
+
+/** A store a Node host might plug in; kept in a Map that outlives the outbox. */
+class SharedStore {
+  constructor() {
+    this.rows = new Map();
+  }
+
+  async load() { return [...this.rows.values()].map((entry) => structuredClone(entry)); }
+  async put(entry) { this.rows.set(entry.id, structuredClone(entry)); }
+  async delete(id) { this.rows.delete(id); }
+}
+
+const flushStore = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+async function makeOutbox(options = {}) {
+  const mesh = new OutboxTestMesh();
+  const gossip = new OutboxTestGossip();
+  const errors = [];
+  const outbox = new PeerPigeonOutbox(mesh, gossip, { store: new MemoryOutboxStore(), ...options }, (error) => errors.push(error));
+  await outbox.init();
+  return { mesh, gossip, outbox, errors };
+}
+
+function goOnline(mesh) {
+  mesh.connected = ['peer'];
+  mesh.emit('mesh:ready');
+}
+
+test('sends made while offline are queued and flushed in order on mesh:ready', async () => {
+  const { mesh, gossip, outbox } = await makeOutbox();
+  try {
+    const first = outbox.broadcast('first', { room: 'a' });
+    outbox.sendDirect('peer-b', 'second');
+    assert.match(first, /^outbox-/);
+    assert.deepEqual(gossip.sent, []);
+    assert.equal(outbox.getStatus().queued, 2);
+    assert.equal(outbox.getStatus().persistent, false);
+
+    goOnline(mesh);
+    assert.deepEqual(gossip.sent.map(({ kind, data }) => [kind, data]), [['broadcast', 'first'], ['direct', 'second']]);
+    assert.deepEqual(gossip.sent[0].metadata, { room: 'a' });
+    const status = outbox.getStatus();
+    assert.equal(status.queued, 0);
+    assert.deepEqual(status.entries, []);
+    assert.equal(typeof status.lastFlushAt, 'number');
+
+    assert.equal(outbox.broadcast('online'), 'm3');
+  } finally {
+    await outbox.destroy();
+  }
+});
+
+test('reliable sends wait for their receipt and are retried after a timeout', async () => {
+  const { mesh, gossip, outbox } = await makeOutbox({ maxAttempts: 2 });
+  try {
+    mesh.connected = ['peer'];
+    const messageId = outbox.broadcast('tracked', {}, { trackDelivery: true });
+    outbox.sendDirect('peer-b', 'receipted', { reliable: true });
+    assert.equal(messageId, 'm1');
+    assert.equal(outbox.getStatus().awaitingAck, 2);
+
+    gossip.emit('directDelivered', { messageId: 'm2' });
+    // The mesh stays up, so the retry goes out without waiting for `mesh:ready`.
+    gossip.emit('deliveryTimeout', { messageId: 'm1' });
+    let status = outbox.getStatus();
+    assert.deepEqual(status.entries.map(({ state, attempts }) => [state, attempts]), [['awaiting-ack', 2]]);
+    assert.equal(gossip.sent.at(-1).data, 'tracked');
+    // Both attempts carry the entry ID, so receivers surface the entry once.
+    assert.match(gossip.sent[0].options.dedupeKey, /^outbox-/);
+    assert.equal(gossip.sent.at(-1).options.dedupeKey, gossip.sent[0].options.dedupeKey);
+    assert.notEqual(gossip.sent[1].options.dedupeKey, gossip.sent[0].options.dedupeKey);
+    gossip.emit('deliveryTimeout', { messageId: gossip.sent.at(-1).messageId });
+    status = outbox.getStatus();
+    assert.deepEqual(status.entries, []);
+    assert.equal(status.dropped, 1);
+  } finally {
+    await outbox.destroy();
+  }
+});
+
+test('invalid lifetimes are refused up front and a refused entry does not block the queue', async () => {
+  const { mesh, gossip, outbox, errors } = await makeOutbox();
+  try {
+    assert.throws(() => outbox.broadcast('x', {}, { ttlMs: Number.NaN }), /ttlMs must be a positive finite number/);
+    assert.throws(() => outbox.sendDirect('peer-b', 'x', { expiresAt: Date.now() - 1 }), RangeError);
+    assert.equal(outbox.getStatus().queued, 0);
+
+    outbox.broadcast('refused', {}, { topic: 'bad' });
+    outbox.broadcast('after');
+    const refusal = new TypeError('bad topic');
+    const broadcast = gossip.broadcast.bind(gossip);
+    gossip.broadcast = (data, metadata, options) => {
+      if (options.topic === 'bad') throw refusal;
+      return broadcast(data, metadata, options);
+    };
+    goOnline(mesh);
+    assert.deepEqual(gossip.sent.map(({ data }) => data), ['after']);
+    assert.deepEqual(errors, [refusal]);
+    const status = outbox.getStatus();
+    assert.equal(status.dropped, 1);
+    assert.equal(status.queued, 0);
+  } finally {
+    await outbox.destroy();
+  }
+});
+
+test('entries survive a reload and unacknowledged ones are sent again', async () => {
+  const store = new SharedStore();
+  const before = await makeOutbox({ store });
+  before.mesh.connected = ['peer'];
+  before.outbox.sendDirect('peer-b', 'unacked', { reliable: true });
+  before.mesh.connected = [];
+  before.outbox.broadcast('queued', {}, { ttlMs: 60_000 });
+  before.outbox.broadcast('expired', {}, { expiresAt: Date.now() + 5 });
+  await flushStore();
+  await before.outbox.destroy();
+  assert.equal(store.rows.size, 3);
+  assert.equal(typeof [...store.rows.values()][1].options.expiresAt, 'number');
+
+  await new Promise((resolve) => setTimeout(resolve, 10));
+  const after = await makeOutbox({ store });
+  try {
+    const status = after.outbox.getStatus();
+    assert.equal(status.persistent, true);
+    assert.equal(status.queued, 3);
+
+    goOnline(after.mesh);
+    assert.deepEqual(after.gossip.sent.map(({ data }) => data), ['unacked', 'queued']);
+    assert.equal(after.outbox.getStatus().dropped, 1);
+    after.gossip.emit('directDelivered', { messageId: after.gossip.sent[0].messageId });
+    await flushStore();
+    assert.equal(store.rows.size, 0);
+  } finally {
+    await after.outbox.destroy();
+  }
+});
+
+test('the node routes its sends through an enabled outbox', async () => {
+  const plain = new PeerPigeonNode({ autoDiscover: false, autoConnect: false, crypto: false });
+  assert.equal(plain.getOutboxStatus(), null);
+  await plain.destroy();
+
+  const node = new PeerPigeonNode({
+    autoDiscover: false,
+    autoConnect: false,
+    crypto: false,
+    outbox: { store: new MemoryOutboxStore(), maxEntries: 2 },
+  });
+  try {
+    assert.match(node.broadcastReliable('hello'), /^outbox-/);
+    assert.match(node.sendDirect('0'.repeat(64), 'hi'), /^outbox-/);
+    assert.throws(() => node.broadcast('overflow'), /Outbox is full/);
+    const status = node.getOutboxStatus();
+    assert.deepEqual(status.entries.map(({ kind }) => kind), ['broadcast', 'direct']);
+  } finally {
+    await node.destroy();
+  }
+
+  const mesh = new OutboxTestMesh();
+  const gossip = new OutboxTestGossip();
+  assert.throws(() => new PeerPigeonOutbox(mesh, gossip, { maxEntries: 0 }), RangeError);
+  assert.throws(() => new PeerPigeonOutbox(mesh, gossip, { maxAttempts: 1.5 }), RangeError);
+});
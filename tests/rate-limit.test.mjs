@@ -0,0 +1,139 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import { PartialMesh } from '../dist/index.js';
+
+const id = (hex) => String(hex).padStart(64, '0');
+const [A, B, C] = [id('01'), id('02'), id('03')];
+
+function makeMesh(self, peers, config = {}) {
+  const sent = [];
+  const closed = [];
+  const mesh = new PartialMesh({ minPeers: 1, maxPeers: 4, autoDiscover: false, autoConnect: false, ...config });
+  mesh.clientId = self;
+  mesh.selfAliases.add(self);
+  for (const peer of peers) mesh.peers.set(peer, { id: peer, connected: true, initiator: false });
+  mesh.signalingClient = {
+    send(peerId, data) { sent.push({ peerId, data }); },
+    broadcast() {},
+    closeConnection(peerId, reason) { closed.push({ peerId, reason }); },
+    disconnect() {},
+  };
+  const received = [];
+  const throttled = [];
+  mesh.on('peer:data', (event) => received.push(event));
+  mesh.on('peer:throttled', (event) => throttled.push(event));
+  return { mesh, sent, closed, received, throttled };
+}
+
+const frame = (type, extra = {}) => JSON.stringify({ id: `${type}-${Math.random()}`, type, ...extra });
+
+test('a neighbour beyond its burst is dropped without affecting others', () => {
+  const { mesh, received, throttled } = makeMesh(A, [B, C], {
+    rateLimit: { perPeer: { ratePerSecond: 1, burst: 3 }, disconnectAfterDrops: 0 },
+  });
+  try {
+    for (let index = 0; index < 5; index += 1) mesh.handleRtcData(B, frame('gossip'));
+    mesh.handleRtcData(C, frame('gossip'));
+
+    assert.equal(received.filter((event) => event.peerId === B).length, 3);
+    assert.equal(received.filter((event) => event.peerId === C).length, 1);
+    assert.equal(throttled.length, 1);
+    assert.deepEqual(throttled[0], { peerId: B, limit: 'peer', frameType: null, droppedFrames: 1, disconnected: false });
+    const stats = mesh.getRateLimitStats();
+    assert.equal(stats.droppedFrames, 2);
+    assert.deepEqual(stats.droppedByPeer, { [B]: 2 });
+    assert.deepEqual(stats.throttledPeers, [B]);
+    assert.equal(mesh.getConnectedPeers().includes(B), true);
+  } finally {
+    mesh.destroy();
+  }
+});
+
+test('type budgets apply to envelope and payload types', () => {
+  const { mesh, received, throttled } = makeMesh(A, [B], {
+    rateLimit: {
+      perType: {
+        'cecr-state': { ratePerSecond: 1, burst: 1 },
+        'pp-storage-op-v1': { ratePerSecond: 1, burst: 2 },
+      },
+      disconnectAfterDrops: 0,
+    },
+  });
+  try {
+    for (let index = 0; index < 3; index += 1) mesh.handleRtcData(B, frame('cecr-state'));
+    for (let index = 0; index < 3; index += 1) mesh.handleRtcData(B, frame('gossip'));
+    for (let index = 0; index < 3; index += 1) {
+      mesh.handleRtcData(B, frame('gossip', { data: { __ppType: 'pp-storage-op-v1' } }));
+    }
+
+    const types = received.map(({ data }) => JSON.parse(data));
+    assert.equal(types.filter((envelope) => envelope.type === 'cecr-state').length, 1);
+    assert.equal(types.filter((envelope) => envelope.data?.__ppType === 'pp-storage-op-v1').length, 2);
+    assert.equal(types.length, 6);
+    assert.deepEqual(throttled.map(({ limit, frameType }) => [limit, frameType]), [
+      ['type', 'cecr-state'],
+      ['type', 'pp-storage-op-v1'],
+    ]);
+    assert.deepEqual(mesh.getRateLimitStats().droppedByType, { 'cecr-state': 2, 'pp-storage-op-v1': 1 });
+  } finally {
+    mesh.destroy();
+  }
+});
+
+test('repeat offenders are disconnected', () => {
+  const { mesh, closed, throttled } = makeMesh(A, [B], {
+    rateLimit: { perPeer: { ratePerSecond: 1, burst: 1 }, disconnectAfterDrops: 3 },
+  });
+  const disconnected = [];
+  mesh.on('peer:disconnected', (peerId) => disconnected.push(peerId));
+  try {
+    for (let index = 0; index < 4; index += 1) mesh.handleRtcData(B, frame('direct'));
+
+    assert.deepEqual(throttled.map((event) => event.disconnected), [false, true]);
+    assert.equal(throttled[1].droppedFrames, 3);
+    assert.deepEqual(closed, [{ peerId: B, reason: 'rate_limited' }]);
+    assert.deepEqual(disconnected, [B]);
+    assert.equal(mesh.getConnectedPeers().includes(B), false);
+    assert.deepEqual(mesh.getRateLimitStats().droppedByPeer, {});
+  } finally {
+    mesh.destroy();
+  }
+});
+
+test('fragments are charged once each and the reassembled frame is not charged again', () => {
+  const sender = makeMesh(B, [A], { maxFrameBytes: 2_048 });
+  sender.mesh.send(A, frame('gossip', { data: 'x'.repeat(6_000) }));
+  const fragments = sender.sent.length;
+  // The budget covers exactly the fragments, leaving nothing for the whole frame.
+  const receiver = makeMesh(A, [B], {
+    rateLimit: { perPeer: { ratePerSecond: 1, burst: fragments }, disconnectAfterDrops: 0 },
+  });
+  try {
+    assert.ok(fragments > 1);
+    for (const { data } of sender.sent) receiver.mesh.handleRtcData(B, data);
+
+    assert.equal(receiver.received.length, 1);
+    assert.equal(receiver.throttled.length, 0);
+    receiver.mesh.handleRtcData(B, frame('gossip'));
+    assert.equal(receiver.received.length, 1);
+  } finally {
+    sender.mesh.destroy();
+    receiver.mesh.destroy();
+  }
+});
+
+test('rate limiting can be disabled and validates its budgets', () => {
+  const { mesh, received } = makeMesh(A, [B], { rateLimit: false });
+  try {
+    for (let index = 0; index < 3_000; index += 1) mesh.handleRtcData(B, frame('gossip'));
+    assert.equal(received.length, 3_000);
+    assert.equal(mesh.getRateLimitStats(), null);
+  } finally {
+    mesh.destroy();
+  }
+
+  assert.throws(() => new PartialMesh({ rateLimit: { perPeer: { ratePerSecond: 0 } } }), RangeError);
+  assert.throws(() => new PartialMesh({ rateLimit: { perType: { gossip: { ratePerSecond: 5, burst: 0 } } } }), RangeError);
+  assert.throws(() => new PartialMesh({ rateLimit: { disconnectAfterDrops: -1 } }), RangeError);
+});
@@ -0,0 +1,183 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import { PeerPigeonNode, PeerPigeonRpc, RpcError } from '../dist/index.js';
+import { id, makeProtocols } from './helpers/gossip-network.mjs';
+
+// CECR only forwards on strict XOR progress, so the relay sits between the
+// endpoints in XOR distance for both the request and the response.
+const [A, B, C] = [id('01'), id('03'), id('02')];
+const line = new Map([
+  [A, [B]],
+  [B, [A, C]],
+  [C, [B]],
+]);
+
+function makePeers(options = {}) {
+  const { network, protocols } = makeProtocols([A, B, C], line);
+  const peers = new Map();
+  for (const [peerId, gossip] of protocols) {
+    peers.set(peerId, { gossip, rpc: new PeerPigeonRpc(network.meshes.get(peerId), gossip, options) });
+  }
+  return { network, peers };
+}
+
+function destroyPeers(peers) {
+  for (const { rpc, gossip } of peers.values()) {
+    rpc.destroy();
+    gossip.destroy();
+  }
+}
+
+function rpcFrames(network, type) {
+  return network.frames.filter((frame) => frame.envelope.data?.__ppType === type);
+}
+
+test('requests are routed through a relay and resolve with the handler result', async () => {
+  const { network, peers } = makePeers();
+  try {
+    const contexts = [];
+    peers.get(C).rpc.register('math.add', ({ a, b }, context) => {
+      contexts.push(context);
+      return a + b;
+    });
+
+    assert.equal(await peers.get(A).rpc.request(C, 'math.add', { a: 2, b: 3 }), 5);
+    assert.equal(contexts[0].peerId, A);
+    assert.equal(contexts[0].method, 'math.add');
+    assert.equal(contexts[0].verified, false);
+    assert.ok(rpcFrames(network, 'pp-rpc-request-v1').some((frame) => frame.from === B && frame.to === C));
+    assert.ok(rpcFrames(network, 'pp-rpc-response-v1').some((frame) => frame.from === B && frame.to === A));
+  } finally {
+    destroyPeers(peers);
+  }
+});
+
+test('remote failures reject with structured RpcErrors', async () => {
+  const { peers } = makePeers();
+  try {
+    peers.get(C).rpc.register('account.debit', async () => {
+      throw Object.assign(new Error('insufficient funds'), { code: 'insufficient-funds', data: { balance: 3 } });
+    });
+    peers.get(C).rpc.register('broken', () => { throw 'plain failure'; });
+
+    await assert.rejects(peers.get(A).rpc.request(C, 'account.debit', { amount: 10 }), (error) => {
+      assert.ok(error instanceof RpcError);
+      assert.equal(error.code, 'insufficient-funds');
+      assert.equal(error.message, 'insufficient funds');
+      assert.deepEqual(error.data, { balance: 3 });
+      assert.equal(error.peerId, C);
+      assert.equal(error.method, 'account.debit');
+      return true;
+    });
+    await assert.rejects(peers.get(A).rpc.request(C, 'broken'), { code: 'remote-error', message: 'plain failure' });
+    await assert.rejects(peers.get(A).rpc.request(C, 'missing'), { name: 'RpcError', code: 'method-not-found' });
+  } finally {
+    destroyPeers(peers);
+  }
+});
+
+test('timeouts and aborts reject locally and cancel the remote handler', async () => {
+  const { network, peers } = makePeers();
+  try {
+    const signals = [];
+    peers.get(C).rpc.register('slow', (_params, { signal }) => {
+      signals.push(signal);
+      return new Promise(() => {});
+    });
+
+    await assert.rejects(peers.get(A).rpc.request(C, 'slow', null, { timeoutMs: 20 }), { code: 'timeout' });
+    assert.equal(signals[0].aborted, true);
+
+    const controller = new AbortController();
+    const pending = peers.get(A).rpc.request(C, 'slow', null, { signal: controller.signal });
+    controller.abort();
+    await assert.rejects(pending, { code: 'aborted' });
+    assert.equal(signals[1].aborted, true);
+    assert.equal(rpcFrames(network, 'pp-rpc-cancel-v1').filter((frame) => frame.to === C).length, 2);
+
+    const before = network.frames.length;
+    await assert.rejects(peers.get(A).rpc.request(C, 'slow', null, { signal: AbortSignal.abort() }), { code: 'aborted' });
+    assert.equal(network.frames.length, before);
+  } finally {
+    destroyPeers(peers);
+  }
+});
+
+test('a remote handler runs no longer than its own cap, whatever the caller asks', async () => {
+  const { peers } = makePeers({ maxHandlerTimeoutMs: 20 });
+  try {
+    let signal;
+    peers.get(C).rpc.register('slow', (_params, context) => {
+      signal = context.signal;
+      return new Promise(() => {});
+    });
+    const pending = peers.get(A).rpc.request(C, 'slow', null, { timeoutMs: 60_000 });
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    assert.equal(signal.aborted, true);
+    peers.get(A).rpc.destroy();
+    await assert.rejects(pending, { code: 'closed' });
+  } finally {
+    destroyPeers(peers);
+  }
+});
+
+test('calls without a route reject before anything is sent', async () => {
+  const { network, peers } = makePeers();
+  try {
+    const stranger = id('ff');
+    await assert.rejects(peers.get(A).rpc.request(stranger, 'anything'), { code: 'no-route' });
+    await assert.rejects(peers.get(A).rpc.request(A, 'anything'), { code: 'no-route' });
+    assert.equal(network.frames.length, 0);
+  } finally {
+    destroyPeers(peers);
+  }
+});
+
+test('a late response from a cancelled call is ignored', async () => {
+  const { peers } = makePeers();
+  try {
+    let release;
+    peers.get(C).rpc.register('held', () => new Promise((resolve) => { release = resolve; }));
+    await assert.rejects(peers.get(A).rpc.request(C, 'held', null, { timeoutMs: 10 }), { code: 'timeout' });
+    release('too late');
+    await new Promise((resolve) => setTimeout(resolve, 10));
+    assert.equal(await peers.get(A).rpc.request(C, 'missing').catch((error) => error.code), 'method-not-found');
+  } finally {
+    destroyPeers(peers);
+  }
+});
+
+test('registration validates names and destroy rejects outstanding calls', async () => {
+  const { peers } = makePeers();
+  const rpc = peers.get(A).rpc;
+  assert.throws(() => rpc.register('', () => null), TypeError);
+  assert.throws(() => rpc.register('x', 'not a function'), TypeError);
+  // Every request failure, bad arguments included, comes back as a rejection.
+  const invalid = rpc.request(C, '');
+  assert.ok(invalid instanceof Promise);
+  await assert.rejects(invalid, TypeError);
+  const unregister = rpc.register('echo', (params) => params);
+  assert.throws(() => rpc.register('echo', () => null), /already registered/);
+  assert.deepEqual(rpc.getRegisteredMethods(), ['echo']);
+  unregister();
+  assert.equal(rpc.unregister('echo'), false);
+
+  peers.get(C).rpc.register('never', () => new Promise(() => {}));
+  const pending = rpc.request(C, 'never');
+  destroyPeers(peers);
+  await assert.rejects(pending, { code: 'closed' });
+  await assert.rejects(rpc.request(C, 'never'), { code: 'closed' });
+});
+
+test('PeerPigeonNode exposes register and request', async () => {
+  const node = new PeerPigeonNode({ autoDiscover: false, autoConnect: false, crypto: false });
+  try {
+    const unregister = node.register('ping', () => 'pong');
+    assert.equal(typeof unregister, 'function');
+    assert.equal(node.unregister('ping'), true);
+    await assert.rejects(node.request(id('0a'), 'ping'), { code: 'no-route' });
+  } finally {
+    await node.destroy();
+  }
+});
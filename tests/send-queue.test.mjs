@@ -0,0 +1,201 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import { GossipProtocol, PartialMesh } from '../dist/index.js';
+
+const id = (hex) => String(hex).padStart(64, '0');
+const [A, B, C, D] = [id('01'), id('02'), id('03'), id('04')];
+
+function makeMesh(self, peers, config = {}) {
+  const sent = [];
+  const buffered = new Map();
+  const mesh = new PartialMesh({ minPeers: 1, maxPeers: 4, autoDiscover: false, autoConnect: false, ...config });
+  mesh.clientId = self;
+  mesh.selfAliases.add(self);
+  for (const peer of peers) mesh.peers.set(peer, { id: peer, connected: true, initiator: false });
+  mesh.signalingClient = {
+    send(peerId, data) { sent.push({ peerId, data }); },
+    broadcast(data) { for (const peerId of peers) sent.push({ peerId, data }); },
+    getBufferedAmount(peerId) { return buffered.get(peerId) ?? 0; },
+    closeConnection() {},
+    disconnect() {},
+  };
+  const backpressure = [];
+  mesh.on('peer:backpressure', (event) => backpressure.push(event));
+  return { mesh, sent, buffered, backpressure };
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+test('frames go straight to an uncongested channel', () => {
+  const { mesh, sent, backpressure } = makeMesh(A, [B]);
+  try {
+    assert.equal(mesh.send(B, 'hello'), true);
+    assert.deepEqual(sent, [{ peerId: B, data: 'hello' }]);
+    assert.equal(mesh.isPeerCongested(B), false);
+    assert.deepEqual(backpressure, []);
+  } finally {
+    mesh.destroy();
+  }
+});
+
+test('a congested channel drains control, then app, then bulk frames', async () => {
+  const { mesh, sent, buffered, backpressure } = makeMesh(A, [B, C], {
+    sendQueue: { highWaterMarkBytes: 1_000, lowWaterMarkBytes: 100 },
+  });
+  try {
+    buffered.set(B, 5_000);
+    assert.equal(mesh.send(B, 'bulk-1', { priority: 'bulk' }), false);
+    assert.equal(mesh.send(B, 'app-1'), false);
+    mesh.sendFrame(B, { id: 'state', type: 'cecr-state' }, { priority: 'control' });
+    assert.equal(mesh.send(C, 'unaffected'), true);
+
+    assert.deepEqual(sent.map(({ data }) => data), ['unaffected']);
+    assert.deepEqual(backpressure, [{ peerId: B, congested: true }]);
+    assert.equal(mesh.isPeerCongested(B), true);
+    assert.deepEqual(mesh.getSendQueueStats().queuedByPriority, { control: 1, app: 1, bulk: 1 });
+    assert.deepEqual(mesh.getSendQueueStats().congestedPeers, [B]);
+
+    buffered.set(B, 0);
+    await sleep(150);
+    assert.deepEqual(sent.slice(1).map(({ data }) => data), ['{"id":"state","type":"cecr-state"}', 'app-1', 'bulk-1']);
+    assert.deepEqual(backpressure, [{ peerId: B, congested: true }, { peerId: B, congested: false }]);
+    assert.equal(mesh.getSendQueueStats().queuedFrames, 0);
+  } finally {
+    mesh.destroy();
+  }
+});
+
+test('a full queue refuses app frames and evicts bulk ones for control frames', () => {
+  const { mesh, buffered } = makeMesh(A, [B], {
+    sendQueue: { highWaterMarkBytes: 1_000, lowWaterMarkBytes: 100, maxQueuedBytes: 1_000 },
+  });
+  try {
+    buffered.set(B, 5_000);
+    mesh.send(B, 'b'.repeat(600), { priority: 'bulk' });
+    assert.throws(() => mesh.send(B, 'a'.repeat(600)), /full/);
+    mesh.send(B, 'c'.repeat(600), { priority: 'control' });
+
+    const stats = mesh.getSendQueueStats();
+    assert.deepEqual(stats.queuedByPriority, { control: 1, app: 0, bulk: 0 });
+    assert.equal(stats.evictedFrames, 1);
+  } finally {
+    mesh.destroy();
+  }
+});
+
+test('eviction drops a fragmented message whole and keeps one that started to drain', () => {
+  const { mesh, sent, buffered } = makeMesh(A, [B], {
+    maxFrameBytes: 1_024,
+    sendQueue: { highWaterMarkBytes: 1_000, lowWaterMarkBytes: 100, maxQueuedBytes: 3_000 },
+  });
+  try {
+    buffered.set(B, 5_000);
+    mesh.send(B, 'b'.repeat(2_500), { priority: 'bulk' });
+    const fragments = mesh.getSendQueueStats().queuedByPriority.bulk;
+    assert.ok(fragments > 2);
+    mesh.send(B, 'c'.repeat(900), { priority: 'control' });
+    assert.deepEqual(mesh.getSendQueueStats().queuedByPriority, { control: 1, app: 0, bulk: 0 });
+    assert.equal(mesh.getSendQueueStats().evictedFrames, fragments);
+  } finally {
+    mesh.destroy();
+  }
+
+  const drained = makeMesh(A, [B], {
+    maxFrameBytes: 1_024,
+    sendQueue: { highWaterMarkBytes: 500, lowWaterMarkBytes: 100, maxQueuedBytes: 2_000 },
+  });
+  try {
+    // The channel fills with the first fragment, so the rest of the message waits.
+    const send = drained.mesh.signalingClient.send;
+    drained.mesh.signalingClient.send = (peerId, data) => {
+      send(peerId, data);
+      drained.buffered.set(peerId, (drained.buffered.get(peerId) ?? 0) + data.length);
+    };
+    drained.mesh.send(B, 'b'.repeat(2_500), { priority: 'bulk' });
+    assert.equal(drained.sent.length, 1);
+    const rest = drained.mesh.getSendQueueStats().queuedByPriority.bulk;
+    drained.mesh.send(B, 'c'.repeat(900), { priority: 'control' });
+    assert.deepEqual(drained.mesh.getSendQueueStats().queuedByPriority, { control: 1, app: 0, bulk: rest });
+    assert.equal(drained.mesh.getSendQueueStats().evictedFrames, 0);
+  } finally {
+    drained.mesh.destroy();
+  }
+  assert.deepEqual(sent, []);
+});
+
+test('broadcast queues behind congested neighbours instead of bypassing them', () => {
+  const { mesh, sent, buffered } = makeMesh(A, [B, C], { sendQueue: { highWaterMarkBytes: 1_000, lowWaterMarkBytes: 0 } });
+  try {
+    buffered.set(B, 5_000);
+    mesh.send(B, 'queued first');
+    mesh.broadcast('to everyone');
+    assert.deepEqual(sent, [{ peerId: C, data: 'to everyone' }]);
+    assert.deepEqual(mesh.getSendQueueStats().queuedByPriority.app, 2);
+  } finally {
+    mesh.destroy();
+  }
+});
+
+test('sendQueue options are validated', () => {
+  assert.throws(() => new PartialMesh({ sendQueue: { highWaterMarkBytes: 0 } }), RangeError);
+  assert.throws(() => new PartialMesh({ sendQueue: { highWaterMarkBytes: 100, lowWaterMarkBytes: 200 } }), RangeError);
+});
+
+class FanoutMesh {
+  constructor(self, connected) {
+    this.self = self;
+    this.connected = connected;
+    this.congested = new Set();
+    this.frames = [];
+    this.handlers = new Map();
+  }
+
+  on(event, handler) {
+    const handlers = this.handlers.get(event) ?? new Set();
+    handlers.add(handler);
+    this.handlers.set(event, handlers);
+  }
+
+  getClientId() { return this.self; }
+  getConnectedPeers() { return [...this.connected]; }
+  getDiscoveredPeers() { return [...this.connected]; }
+  getGlobalPeers() { return [...this.connected]; }
+  send() { throw new Error('frames should be sent with sendFrame'); }
+  sendFrame(peerId, frame, options) { this.frames.push({ peerId, type: frame.type, priority: options?.priority }); }
+  isPeerCongested(peerId) { return this.congested.has(peerId); }
+}
+
+test('gossip fan-out skips congested neighbours while another is available', () => {
+  const mesh = new FanoutMesh(A, [B, C, D]);
+  const protocol = new GossipProtocol(mesh);
+  try {
+    mesh.congested.add(B);
+    protocol.broadcast('payload');
+    const gossip = mesh.frames.filter((frame) => frame.type === 'gossip');
+    assert.ok(gossip.length > 0);
+    assert.equal(gossip.some((frame) => frame.peerId === B), false);
+    assert.ok(protocol.getStats().congestedFanoutSkips >= 1);
+    assert.ok(gossip.every((frame) => frame.priority === 'app'));
+
+    mesh.frames = [];
+    mesh.congested = new Set([B, C, D]);
+    protocol.broadcast('still delivered');
+    assert.ok(mesh.frames.some((frame) => frame.type === 'gossip'));
+  } finally {
+    protocol.destroy();
+  }
+});
+
+test('gossip control frames use the control lane', () => {
+  const mesh = new FanoutMesh(A, [B]);
+  const protocol = new GossipProtocol(mesh);
+  try {
+    protocol.publishCecrState();
+    const control = mesh.frames.filter((frame) => frame.type !== 'gossip' && frame.type !== 'direct');
+    assert.ok(control.length > 0);
+    assert.ok(control.every((frame) => frame.priority === 'control'));
+  } finally {
+    protocol.destroy();
+  }
+});
@@ -0,0 +1,112 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import { PartialMesh, PeerPigeonNode } from '../dist/index.js';
+
+const id = (hex) => String(hex).padStart(64, '0');
+const [A, B, C] = [id('01'), id('02'), id('03')];
+
+function makeMesh(self, peer) {
+  const sent = [];
+  const mesh = new PartialMesh({ minPeers: 1, maxPeers: 4, autoDiscover: false, autoConnect: false });
+  mesh.clientId = self;
+  mesh.selfAliases.add(self);
+  mesh.peers.set(peer, { id: peer, connected: true, initiator: false });
+  mesh.signalingClient = {
+    send(peerId, data) { sent.push({ peerId, data }); },
+    closeConnection() {},
+    disconnect() {},
+  };
+  const changes = [];
+  mesh.on('services:changed', (directory) => changes.push(directory));
+  return { mesh, sent, changes };
+}
+
+test('advertised capabilities reach other peers and can be queried', () => {
+  const alice = makeMesh(A, B);
+  const bob = makeMesh(B, A);
+  try {
+    alice.mesh.advertise({
+      indexer: { version: '1.4.2' },
+      chat: { version: '2.1.0', role: 'relay', maxRooms: 8 },
+    });
+    assert.deepEqual(alice.mesh.getAdvertisedServices(), ['chat', 'indexer']);
+    bob.mesh.handleRtcData(A, alice.sent.at(-1).data);
+
+    assert.deepEqual(bob.mesh.findPeers({ service: 'chat' }), [
+      { peerId: A, service: 'chat', capabilities: { maxRooms: 8, role: 'relay', version: '2.1.0' } },
+    ]);
+    assert.deepEqual(bob.mesh.findPeers({ version: '1.4' }).map(({ service }) => service), ['indexer']);
+    assert.deepEqual(bob.mesh.findPeers({ service: 'chat', version: '2.10' }), []);
+    assert.deepEqual(bob.mesh.findPeers().map(({ service }) => service), ['chat', 'indexer']);
+    assert.deepEqual(bob.changes, [bob.mesh.getServiceDirectory()]);
+
+    // Advertising again replaces the whole set.
+    alice.mesh.advertise({ chat: { version: '3.0.0' } });
+    bob.mesh.handleRtcData(A, alice.sent.at(-1).data);
+    assert.deepEqual(bob.mesh.getServiceDirectory(), { [A]: { chat: { version: '3.0.0' } } });
+    assert.deepEqual(bob.mesh.getServiceProviders('indexer'), []);
+    assert.equal(bob.changes.length, 2);
+    assert.deepEqual(bob.mesh.getCecrMembershipEquivocations(), []);
+  } finally {
+    alice.mesh.destroy();
+    bob.mesh.destroy();
+  }
+});
+
+test('a tombstone withdraws the departed peer\'s services', () => {
+  const alice = makeMesh(A, C);
+  const bob = makeMesh(B, C);
+  try {
+    alice.mesh.advertiseService('indexer', { version: '1.0.0' });
+    const frame = JSON.parse(alice.sent.at(-1).data);
+    bob.mesh.handleRtcData(C, JSON.stringify(frame));
+    assert.deepEqual(bob.mesh.getServiceProviders('indexer'), [A]);
+
+    const [incarnation, sequence] = frame.records[A];
+    const left = structuredClone(frame);
+    left.records = { [A]: [incarnation, sequence + 1, 'left', Date.now(), null] };
+    bob.mesh.handleRtcData(C, JSON.stringify(left));
+    assert.deepEqual(bob.mesh.findPeers({ service: 'indexer' }), []);
+    assert.deepEqual(bob.changes.at(-1), {});
+  } finally {
+    alice.mesh.destroy();
+    bob.mesh.destroy();
+  }
+});
+
+test('malformed advertisements are refused locally and dropped remotely', () => {
+  const alice = makeMesh(A, C);
+  const bob = makeMesh(B, C);
+  try {
+    assert.throws(() => alice.mesh.advertise({ chat: 'v1' }), TypeError);
+    assert.throws(() => alice.mesh.advertise({ chat: { nested: { deep: true } } }), TypeError);
+    assert.throws(() => alice.mesh.advertiseService('chat', { limit: Infinity }), TypeError);
+    assert.equal(alice.mesh.advertiseService('chat', { version: '1' }), true);
+    assert.equal(alice.mesh.advertiseService('chat', { version: '1' }), false);
+
+    const frame = JSON.parse(alice.sent.at(-1).data);
+    frame.records[A][6] = { chat: ['not', 'capabilities'] };
+    bob.mesh.handleRtcData(C, JSON.stringify(frame));
+    assert.deepEqual(bob.mesh.getServiceDirectory(), {});
+  } finally {
+    alice.mesh.destroy();
+    bob.mesh.destroy();
+  }
+});
+
+test('the node exposes advertise, findPeers and servicesChanged', async () => {
+  const node = new PeerPigeonNode({ autoDiscover: false, autoConnect: false, crypto: false });
+  try {
+    node.advertise({ indexer: { version: '1.0.0' } });
+    assert.deepEqual(node.getAdvertisedServices(), ['indexer']);
+    assert.deepEqual(node.findPeers({ service: 'indexer' }), []);
+
+    const changes = [];
+    node.on('servicesChanged', (directory) => changes.push(directory));
+    node.mesh.emit('services:changed', { [A]: { indexer: {} } });
+    assert.deepEqual(changes, [{ [A]: { indexer: {} } }]);
+  } finally {
+    await node.destroy();
+  }
+});
@@ -0,0 +1,218 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import { PeerPigeonNode, PeerPigeonStreams, STREAM_FRAME_TYPE } from '../dist/index.js';
+import { FrameTestMesh, FrameTestNetwork } from './helpers/frame-network.mjs';
+import { id } from './helpers/gossip-network.mjs';
+
+const [A, B] = [id('01'), id('02')];
+
+function makePair(options = {}) {
+  const network = new FrameTestNetwork([A, B]);
+  network.connect(A, B);
+  const peers = new Map([A, B].map((peerId) => {
+    const incoming = [];
+    const streams = new PeerPigeonStreams(network.meshes.get(peerId), options, (stream) => incoming.push(stream));
+    return [peerId, { streams, incoming }];
+  }));
+  return { network, peers };
+}
+
+function destroyPair({ peers }) {
+  for (const { streams } of peers.values()) streams.destroy();
+}
+
+const settle = () => new Promise((resolve) => setTimeout(resolve, 10));
+
+async function readAll(readable) {
+  const chunks = [];
+  for await (const chunk of readable) chunks.push(...chunk);
+  return Uint8Array.from(chunks);
+}
+
+const dataBytes = (network, to) => network.frames
+  .filter(({ frame, to: target }) => target === to && frame.op === 'data')
+  .reduce((total, { frame }) => total + frame.data.byteLength, 0);
+
+test('a stream carries bytes both ways and ends when each side closes', async () => {
+  const pair = makePair();
+  try {
+    const outbound = pair.peers.get(A).streams.open(B, { label: 'upload' });
+    assert.equal(outbound.initiator, true);
+    await settle();
+    const [inbound] = pair.peers.get(B).incoming;
+    assert.deepEqual([inbound.id, inbound.peerId, inbound.label, inbound.initiator], [outbound.id, A, 'upload', false]);
+
+    const aliceWriter = outbound.writable.getWriter();
+    const bobWriter = inbound.writable.getWriter();
+    await aliceWriter.write(new TextEncoder().encode('hello '));
+    await aliceWriter.write(new TextEncoder().encode('bob'));
+    await aliceWriter.close();
+    await bobWriter.write(Uint8Array.of(1, 2, 3));
+    await bobWriter.close();
+
+    assert.equal(new TextDecoder().decode(await readAll(inbound.readable)), 'hello bob');
+    assert.deepEqual(await readAll(outbound.readable), Uint8Array.of(1, 2, 3));
+    assert.deepEqual(pair.peers.get(A).streams.getStreamCounts(), {});
+    assert.deepEqual(pair.peers.get(B).streams.getStreamCounts(), {});
+    assert.ok(pair.network.frames.every(({ frame }) => frame.type === STREAM_FRAME_TYPE));
+  } finally {
+    destroyPair(pair);
+  }
+});
+
+test('a writer stalls at the receive window until the reader drains it', async () => {
+  const pair = makePair({ windowBytes: 8, chunkBytes: 4 });
+  try {
+    const outbound = pair.peers.get(A).streams.open(B);
+    const writer = outbound.writable.getWriter();
+    let written = false;
+    const writing = writer.write(new Uint8Array(20).fill(7)).then(() => { written = true; });
+    await settle();
+    assert.equal(dataBytes(pair.network, B), 8);
+    assert.equal(written, false);
+
+    const [inbound] = pair.peers.get(B).incoming;
+    const reader = inbound.readable.getReader();
+    const received = [];
+    while (received.length < 20) {
+      const { value } = await reader.read();
+      received.push(...value);
+    }
+    await writing;
+    assert.deepEqual(received, new Array(20).fill(7));
+    assert.ok(pair.network.frames.every(({ frame }) => frame.op !== 'data' || frame.data.byteLength <= 4));
+  } finally {
+    destroyPair(pair);
+  }
+});
+
+test('aborts, cancels and disconnects reset the stream on both sides', async () => {
+  const pair = makePair({ maxStreamsPerPeer: 1 });
+  try {
+    const first = pair.peers.get(A).streams.open(B);
+    await settle();
+    const [inbound] = pair.peers.get(B).incoming;
+    const refused = pair.peers.get(A).streams.open(B);
+    await assert.rejects(refused.writable.getWriter().write(Uint8Array.of(1)), /reset by peer: too many streams/);
+
+    await first.writable.abort(new Error('changed my mind'));
+    await assert.rejects(inbound.readable.getReader().read(), /Stream reset by peer/);
+    await assert.rejects(inbound.writable.getWriter().write(Uint8Array.of(1)), /Stream reset by peer/);
+
+    const second = pair.peers.get(A).streams.open(B);
+    await settle();
+    await pair.peers.get(B).incoming.at(-1).readable.cancel();
+    await settle();
+    await assert.rejects(second.writable.getWriter().write(Uint8Array.of(1)), /Stream reset by peer: Stream cancelled/);
+
+    const third = pair.peers.get(A).streams.open(B);
+    pair.network.meshes.get(A).emit('peer:disconnected', B);
+    await assert.rejects(third.readable.getReader().read(), /disconnected/);
+    assert.deepEqual(pair.peers.get(A).streams.getStreamCounts(), {});
+  } finally {
+    destroyPair(pair);
+  }
+});
+
+test('a peer that overruns its window is reset and arguments are validated', async () => {
+  const pair = makePair({ windowBytes: 4, chunkBytes: 4 });
+  try {
+    const outbound = pair.peers.get(A).streams.open(B);
+    await settle();
+    pair.network.meshes.get(B).receive(A, {
+      type: STREAM_FRAME_TYPE, op: 'data', stream: outbound.id, offset: 0, data: new Uint8Array(5),
+    });
+    assert.deepEqual(pair.network.frames.at(-1).frame, {
+      type: STREAM_FRAME_TYPE, op: 'reset', stream: outbound.id, reason: 'window exceeded',
+    });
+
+    assert.throws(() => pair.peers.get(A).streams.open(id('09')), /not connected/);
+    assert.throws(() => pair.peers.get(A).streams.open(B, { label: 7 }), TypeError);
+    assert.throws(() => pair.peers.get(A).streams.open(''), TypeError);
+  } finally {
+    destroyPair(pair);
+  }
+  assert.throws(() => new PeerPigeonStreams(new FrameTestMesh(A), { windowBytes: 0 }), RangeError);
+  assert.throws(() => new PeerPigeonStreams(new FrameTestMesh(A), { windowBytes: 4, chunkBytes: 8 }), RangeError);
+});
+
+function makeNode(self, peer, network, options = {}) {
+  const node = new PeerPigeonNode({ autoDiscover: false, autoConnect: false, crypto: false, ...options });
+  node.mesh.clientId = self;
+  node.mesh.selfAliases.add(self);
+  node.mesh.peers.set(peer, { id: peer, connected: true, initiator: false });
+  node.mesh.signalingClient = {
+    send(peerId, data) { queueMicrotask(() => network.get(peerId)?.mesh.handleRtcData(self, data)); },
+    closeConnection() {},
+    disconnect() {},
+  };
+  network.set(self, node);
+  return node;
+}
+
+test('nodes open streams over the mesh and surface incomingStream', async () => {
+  const network = new Map();
+  const alice = makeNode(A, B, network);
+  const bob = makeNode(B, A, network);
+  try {
+    const incoming = [];
+    const unclaimed = [];
+    bob.on('incomingStream', (stream) => incoming.push(stream));
+    bob.mesh.on('peer:data', ({ data }) => unclaimed.push(data));
+    const stream = alice.openStream(B, { label: 'photos' });
+    const writer = stream.writable.getWriter();
+    await writer.write(Uint8Array.of(0, 255, 128));
+    await writer.close();
+    await settle();
+
+    assert.deepEqual(incoming.map(({ label, peerId }) => [label, peerId]), [['photos', A]]);
+    assert.deepEqual(await readAll(incoming[0].readable), Uint8Array.of(0, 255, 128));
+    // The mesh hands stream frames to the stream service alone.
+    assert.equal(unclaimed.some((data) => String(data?.type ?? data).includes(STREAM_FRAME_TYPE)), false);
+  } finally {
+    await alice.destroy();
+    await bob.destroy();
+  }
+});
+
+test('stream data evicted or refused by a full send queue resets the stream instead of stalling it', async () => {
+  const network = new Map();
+  const options = {
+    sendQueue: { highWaterMarkBytes: 1_000, lowWaterMarkBytes: 0, maxQueuedBytes: 8_000 },
+    streams: { chunkBytes: 1_000 },
+  };
+  const alice = makeNode(A, B, network, options);
+  const bob = makeNode(B, A, network, options);
+  let buffered = 0;
+  alice.mesh.signalingClient.getBufferedAmount = () => buffered;
+  try {
+    const incoming = [];
+    bob.on('incomingStream', (stream) => incoming.push(stream));
+    const evicted = alice.openStream(B);
+    const refused = alice.openStream(B);
+    await settle();
+    assert.equal(incoming.length, 2);
+
+    // Queue three chunks, then let a control frame evict the newest ones.
+    buffered = 10_000;
+    const writer = evicted.writable.getWriter();
+    await writer.write(new Uint8Array(3_000).fill(1));
+    alice.mesh.send(B, JSON.stringify({ type: 'noise', pad: 'x'.repeat(6_000) }), { priority: 'control' });
+    assert.ok(alice.mesh.getSendQueueStats().evictedFrames > 0);
+    await writer.close();
+
+    // Writes the queue cannot take fail at once and reset the far end.
+    await assert.rejects(refused.writable.getWriter().write(new Uint8Array(20_000)), /Send queue for peer .* is full/);
+
+    buffered = 0;
+    alice.mesh.sendQueues.flush(B);
+    await settle();
+    await assert.rejects(readAll(incoming[0].readable), /Peer skipped stream data/);
+    await assert.rejects(evicted.readable.getReader().read(), /Stream reset by peer: gap/);
+    await assert.rejects(readAll(incoming[1].readable), /Stream reset by peer: Send queue for peer .* is full/);
+  } finally {
+    await alice.destroy();
+    await bob.destroy();
+  }
+});
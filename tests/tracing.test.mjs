@@ -0,0 +1,134 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import { GossipTracer, PeerPigeonNode } from '../dist/index.js';
+import { destroyProtocols, id, makeProtocols } from './helpers/gossip-network.mjs';
+
+// XOR order puts B between A and C, so A and C only reach each other through B.
+const [A, B, C] = [id('01'), id('03'), id('02')];
+
+function makeLine(tracingFor = () => ({ reportDelayMs: 0 })) {
+  const edges = new Map([[A, [B]], [B, [A, C]], [C, [B]]]);
+  const { network, protocols } = makeProtocols([A, B, C], edges, (peerId) => ({ tracing: tracingFor(peerId) }));
+  return { network, gossip: protocols };
+}
+
+const waitForReports = () => new Promise((resolve) => setTimeout(resolve, 20));
+
+test('the originator collects a span from every hop of a broadcast', async () => {
+  const line = makeLine();
+  try {
+    const messageId = line.gossip.get(A).broadcast('hello');
+    await waitForReports();
+
+    const trace = line.gossip.get(A).getTrace(messageId);
+    assert.match(trace.traceId, /^[0-9a-f]{32}$/);
+    const [root, atB, atC] = ['gossip.publish', 'gossip.relay', 'gossip.relay'].map((name, index) => {
+      const span = trace.spans.find(({ peerId }) => peerId === [A, B, C][index]);
+      assert.equal(span.name, name);
+      return span;
+    });
+    assert.equal(trace.spans.length, 3);
+    assert.equal(root.parentSpanId, null);
+    assert.deepEqual(root.forwardedTo, [B]);
+    assert.equal(atB.parentSpanId, root.spanId);
+    assert.deepEqual([atB.fromPeerId, atB.hops, atB.forwardedTo, atB.surfaced], [A, 1, [C], true]);
+    assert.equal(atC.parentSpanId, atB.spanId);
+    assert.deepEqual(atC.forwardedTo, []);
+    assert.ok(atB.startTimeMs <= atB.endTimeMs);
+
+    // Relays keep nothing of a trace they did not originate.
+    assert.equal(line.gossip.get(B).getTrace(messageId), null);
+  } finally {
+    destroyProtocols(line.gossip);
+  }
+});
+
+test('routed direct messages are traced hop by hop and export as OTLP JSON', async () => {
+  const line = makeLine();
+  const received = [];
+  line.gossip.get(C).on('directMessageReceived', ({ message }) => received.push(message.data));
+  try {
+    const messageId = line.gossip.get(A).sendDirect(C, 'ping');
+    await waitForReports();
+    assert.deepEqual(received, ['ping']);
+
+    const trace = line.gossip.get(A).getTrace(messageId);
+    assert.deepEqual(trace.spans.map(({ peerId, name }) => [peerId, name]), [
+      [A, 'direct.send'],
+      [C, 'direct.relay'],
+      [B, 'direct.relay'],
+    ]);
+    const atC = trace.spans.find(({ peerId }) => peerId === C);
+    assert.deepEqual([atC.fromPeerId, atC.surfaced, atC.forwardedTo], [B, true, []]);
+
+    const exported = line.gossip.get(A).exportTraces([messageId]);
+    assert.equal(exported.resourceSpans.length, 3);
+    const [resource] = exported.resourceSpans;
+    assert.deepEqual(resource.resource.attributes, [
+      { key: 'service.name', value: { stringValue: 'peerpigeon' } },
+      { key: 'service.instance.id', value: { stringValue: A } },
+    ]);
+    const [span] = resource.scopeSpans[0].spans;
+    assert.equal(span.traceId, trace.traceId);
+    assert.equal(span.parentSpanId, '');
+    assert.equal(span.kind, 4);
+    assert.match(span.startTimeUnixNano, /^\d+000000$/);
+    assert.ok(span.attributes.some(({ key, value }) => key === 'peerpigeon.forwarded_count' && value.intValue === '1'));
+    const atB = exported.resourceSpans.find(({ resource }) => resource.attributes[1].value.stringValue === B);
+    const relayed = atB.scopeSpans[0].spans[0];
+    assert.equal(relayed.kind, 5);
+    assert.equal(relayed.parentSpanId, span.spanId);
+
+    assert.deepEqual(line.gossip.get(A).exportTraces(['unknown']), { resourceSpans: [] });
+  } finally {
+    destroyProtocols(line.gossip);
+  }
+});
+
+test('relays without tracing pass the context on and malformed contexts are dropped', async () => {
+  const line = makeLine((peerId) => (peerId === B ? false : { reportDelayMs: 0 }));
+  const seen = [];
+  line.gossip.get(C).on('messageReceived', ({ message }) => seen.push(message));
+  try {
+    const messageId = line.gossip.get(A).broadcast('hello');
+    await waitForReports();
+    const trace = line.gossip.get(A).getTrace(messageId);
+    const root = trace.spans.find(({ peerId }) => peerId === A);
+    assert.deepEqual(trace.spans.map(({ peerId }) => peerId), [A, C]);
+    assert.equal(trace.spans[1].parentSpanId, root.spanId);
+
+    line.network.deliver(B, C, JSON.stringify({
+      ...seen[0],
+      id: 'forged-trace',
+      timestamp: Date.now(),
+      trace: { traceId: 'not-hex', spanId: root.spanId },
+    }));
+    assert.equal(seen.at(-1).id, 'forged-trace');
+    assert.equal(seen.at(-1).trace, undefined);
+  } finally {
+    destroyProtocols(line.gossip);
+  }
+});
+
+test('unsampled messages carry no trace and tracing is off by default', async () => {
+  const line = makeLine(() => ({ sampleRate: 0 }));
+  try {
+    const messageId = line.gossip.get(A).broadcast('untraced');
+    assert.equal(line.gossip.get(A).getTrace(messageId), null);
+  } finally {
+    destroyProtocols(line.gossip);
+  }
+  const send = () => {};
+  assert.throws(() => new GossipTracer({ sampleRate: 2 }, send), RangeError);
+  assert.throws(() => new GossipTracer({ maxTraces: 0 }, send), RangeError);
+  assert.throws(() => new GossipTracer({ reportDelayMs: -1 }, send), RangeError);
+
+  const node = new PeerPigeonNode({ autoDiscover: false, autoConnect: false, crypto: false });
+  try {
+    assert.equal(node.getTrace('anything'), null);
+    assert.deepEqual(node.exportTraces(), { resourceSpans: [] });
+  } finally {
+    await node.destroy();
+  }
+});
@@ -0,0 +1,198 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import {
+  GossipProtocol,
+  PartialMesh,
+  WIRE_CODEC_BINARY,
+  WIRE_CODEC_JSON,
+  decodeWireFrame,
+  encodeWireFrame,
+  wireJsonParse,
+  wireJsonStringify,
+} from '../dist/index.js';
+
+const id = (hex) => String(hex).padStart(64, '0');
+
+test('binary frames round-trip every JSON value shape plus raw bytes', () => {
+  const value = {
+    id: 'frame-1',
+    type: 'gossip',
+    small: 7,
+    negative: -5,
+    byte: 200,
+    short: 65_000,
+    word: 4_000_000_000,
+    negativeWord: -2_000_000_000,
+    timestamp: 1_760_000_000_123,
+    float: 3.25,
+    text: 'héllo 🐦',
+    long: 'x'.repeat(70_000),
+    empty: '',
+    flags: [true, false, null],
+    nested: { deeper: { list: Array.from({ length: 20 }, (_, index) => index) } },
+    bytes: new Uint8Array([0, 1, 2, 254, 255]),
+  };
+  const decoded = decodeWireFrame(encodeWireFrame(value));
+  assert.deepEqual(decoded, value);
+  assert.equal(decoded.bytes instanceof Uint8Array, true);
+});
+
+test('binary frames follow JSON semantics for values JSON cannot carry', () => {
+  const decoded = decodeWireFrame(encodeWireFrame({
+    skipped: undefined,
+    when: new Date(0),
+    list: [undefined, Number.NaN, Infinity],
+  }));
+  assert.deepEqual(decoded, { when: '1970-01-01T00:00:00.000Z', list: [null, null, null] });
+  assert.throws(() => encodeWireFrame({ big: 1n }), TypeError);
+
+  const own = decodeWireFrame(encodeWireFrame(JSON.parse('{"__proto__":{"polluted":true}}')));
+  assert.equal(Object.getPrototypeOf(own), Object.prototype);
+  assert.deepEqual(Object.keys(own), ['__proto__']);
+  assert.equal({}.polluted, undefined);
+});
+
+test('malformed binary frames decode to null', () => {
+  const frame = encodeWireFrame({ id: 'x', list: [1, 2, 3] });
+  assert.equal(decodeWireFrame(frame.slice(0, frame.length - 1)), null);
+  assert.equal(decodeWireFrame(new Uint8Array([...frame, 0])), null);
+  assert.equal(decodeWireFrame(new Uint8Array([0xc1, 0x01, 0xdd, 0xff, 0xff, 0xff, 0xff])), null);
+  assert.equal(decodeWireFrame(new TextEncoder().encode('{"id":"json"}')), null);
+});
+
+test('binary frames are smaller than JSON for a typical envelope', () => {
+  const envelope = {
+    id: `${'a'.repeat(40)}-${'b'.repeat(32)}`,
+    timestamp: Date.now(),
+    hops: 2,
+    maxHops: 20,
+    sender: id('01'),
+    data: { text: 'hello room', count: 3 },
+    metadata: {},
+    type: 'gossip',
+    path: [id('01'), id('02')],
+  };
+  assert.ok(encodeWireFrame(envelope).length < JSON.stringify(envelope).length);
+});
+
+test('the JSON fallback carries byte arrays without losing their type', () => {
+  const text = wireJsonStringify({ data: new Uint8Array([1, 2, 3]) });
+  assert.equal(text, '{"data":{"__ppBytes":"AQID"}}');
+  const decoded = wireJsonParse(text);
+  assert.equal(decoded.data instanceof Uint8Array, true);
+  assert.deepEqual(Array.from(decoded.data), [1, 2, 3]);
+});
+
+function makeMesh(self, peer, wireCodec = 'auto') {
+  const sent = [];
+  const mesh = new PartialMesh({ minPeers: 1, maxPeers: 2, autoDiscover: false, autoConnect: false, wireCodec });
+  mesh.clientId = self;
+  mesh.selfAliases.add(self);
+  mesh.peers.set(peer, { id: peer, connected: true, initiator: false });
+  mesh.signalingClient = {
+    send(peerId, data) { sent.push({ peerId, data }); },
+    closeConnection() {},
+    disconnect() {},
+  };
+  return { mesh, sent };
+}
+
+test('peers switch to the binary codec only after both offer it', () => {
+  const alice = makeMesh(id('01'), id('02'));
+  const bob = makeMesh(id('02'), id('01'));
+  const legacy = makeMesh(id('03'), id('01'), 'json');
+  try {
+    assert.equal(alice.mesh.getPeerWireCodec(id('02')), WIRE_CODEC_JSON);
+    alice.mesh.sendWireHello(id('02'));
+    legacy.mesh.sendWireHello(id('01'));
+    assert.equal(alice.sent.length, 1);
+    assert.equal(legacy.sent.length, 0);
+    assert.equal(typeof alice.sent[0].data, 'string');
+
+    assert.equal(bob.mesh.handleWireHello(id('01'), alice.sent[0].data), true);
+    assert.equal(bob.mesh.getPeerWireCodec(id('01')), WIRE_CODEC_BINARY);
+    assert.equal(legacy.mesh.handleWireHello(id('01'), alice.sent[0].data), true);
+    assert.equal(legacy.mesh.getPeerWireCodec(id('01')), WIRE_CODEC_JSON);
+    assert.equal(bob.mesh.handleWireHello(id('01'), '{"id":"not-a-hello"}'), false);
+
+    bob.mesh.sendFrame(id('01'), { id: 'f', type: 'gossip', data: new Uint8Array([9]) });
+    const frame = bob.sent.at(-1).data;
+    assert.equal(frame instanceof Uint8Array, true);
+    assert.equal(frame[0], 0xc1);
+    assert.deepEqual(decodeWireFrame(frame), { id: 'f', type: 'gossip', data: new Uint8Array([9]) });
+
+    legacy.mesh.sendFrame(id('01'), { id: 'g', type: 'gossip' });
+    assert.equal(legacy.sent.at(-1).data, '{"id":"g","type":"gossip"}');
+  } finally {
+    alice.mesh.destroy();
+    bob.mesh.destroy();
+    legacy.mesh.destroy();
+  }
+});
+
+test('CECR membership uses the negotiated codec', () => {
+  const alice = makeMesh(id('01'), id('02'));
+  const bob = makeMesh(id('02'), id('01'));
+  try {
+    bob.mesh.handleWireHello(id('01'), JSON.stringify({ __ppWire: 'pp-wire-hello-v1', codecs: ['ppmp/1', 'json'] }));
+    bob.mesh.sendMembership(id('01'));
+    const frame = bob.sent.at(-1).data;
+    assert.equal(frame instanceof Uint8Array, true);
+    const membership = alice.mesh.tryParseMembership(decodeWireFrame(frame));
+    assert.ok(membership.peers.includes(id('02')));
+    assert.ok(Array.isArray(membership.records[id('02')]));
+  } finally {
+    alice.mesh.destroy();
+    bob.mesh.destroy();
+  }
+});
+
+class BinaryTestMesh {
+  constructor(id, network) {
+    this.id = id;
+    this.network = network;
+    this.connected = [];
+    this.handlers = new Map();
+  }
+  on(event, handler) {
+    const handlers = this.handlers.get(event) ?? new Set();
+    handlers.add(handler);
+    this.handlers.set(event, handlers);
+  }
+  emit(event, payload) { for (const handler of this.handlers.get(event) ?? []) handler(payload); }
+  getClientId() { return this.id; }
+  getConnectedPeers() { return [...this.connected]; }
+  getDiscoveredPeers() { return [...this.connected]; }
+  getGlobalPeers() { return [...this.connected]; }
+  send() { throw new Error('binary peers must use sendFrame'); }
+  sendFrame(peerId, frame) {
+    const bytes = encodeWireFrame(frame);
+    this.network.frames.push(bytes);
+    this.network.meshes.get(peerId)?.emit('peer:data', { peerId: this.id, data: bytes.buffer });
+  }
+}
+
+test('gossip envelopes carry binary payloads end to end without base64', () => {
+  const network = { meshes: new Map(), frames: [] };
+  for (const peerId of [id('01'), id('02')]) network.meshes.set(peerId, new BinaryTestMesh(peerId, network));
+  network.meshes.get(id('01')).connected = [id('02')];
+  network.meshes.get(id('02')).connected = [id('01')];
+  const sender = new GossipProtocol(network.meshes.get(id('01')));
+  const receiver = new GossipProtocol(network.meshes.get(id('02')));
+  try {
+    const received = [];
+    receiver.on('messageReceived', ({ message, local }) => { if (!local) received.push(message); });
+    const payload = new Uint8Array(1024).map((_, index) => index % 251);
+    sender.broadcast(payload);
+
+    assert.equal(received.length, 1);
+    assert.equal(received[0].data instanceof Uint8Array, true);
+    assert.deepEqual(received[0].data, payload);
+    const gossipFrame = network.frames.find((frame) => decodeWireFrame(frame)?.type === 'gossip');
+    assert.ok(gossipFrame.length < payload.length + 512);
+  } finally {
+    sender.destroy();
+    receiver.destroy();
+  }
+});
@@ -0,0 +1,232 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import { GossipProtocol, PartialMesh } from '../dist/index.js';
+
+const id = (hex) => String(hex).padStart(64, '0');
+const [A, B] = [id('01'), id('02')];
+
+function makeMesh(self, peer, config = {}) {
+  const sent = [];
+  const mesh = new PartialMesh({ minPeers: 1, maxPeers: 4, autoDiscover: false, autoConnect: false, ...config });
+  mesh.clientId = self;
+  mesh.selfAliases.add(self);
+  mesh.peers.set(peer, { id: peer, connected: true, initiator: false });
+  mesh.signalingClient = {
+    send(peerId, data) { sent.push({ peerId, data }); },
+    broadcast(data) { sent.push({ peerId: peer, data }); },
+    closeConnection() {},
+    disconnect() {},
+  };
+  const received = [];
+  mesh.on('peer:data', ({ data }) => received.push(data));
+  return { mesh, sent, received };
+}
+
+/** Two meshes that have exchanged wire hellos. */
+function makePair(aliceConfig, bobConfig) {
+  const alice = makeMesh(A, B, aliceConfig);
+  const bob = makeMesh(B, A, bobConfig);
+  alice.mesh.sendWireHello(B);
+  bob.mesh.sendWireHello(A);
+  for (const { data } of alice.sent.splice(0)) bob.mesh.handleRtcData(A, data);
+  for (const { data } of bob.sent.splice(0)) alice.mesh.handleRtcData(B, data);
+  return { alice, bob, wire: [] };
+}
+
+/** Let compression finish, forwarding Alice's frames to Bob as they appear. */
+async function settle(pair) {
+  for (let round = 0; round < 50; round += 1) {
+    await new Promise((resolve) => setTimeout(resolve, 5));
+    for (const { data } of pair.alice.sent.splice(0)) {
+      pair.wire.push(data);
+      pair.bob.mesh.handleRtcData(A, data);
+    }
+  }
+}
+
+function destroyPair({ alice, bob }) {
+  alice.mesh.destroy();
+  bob.mesh.destroy();
+}
+
+const compressible = (label) => JSON.stringify({ id: label, type: 'gossip', data: `${label} `.repeat(2_000) });
+
+test('negotiated peers exchange large frames compressed and small ones as-is', async () => {
+  const pair = makePair({ compression: true }, { compression: true });
+  try {
+    const large = compressible('large');
+    const bytes = new Uint8Array(4_096).fill(7);
+    pair.alice.mesh.send(B, large);
+    pair.alice.mesh.send(B, 'small');
+    pair.alice.mesh.send(B, bytes);
+    await settle(pair);
+    const { wire } = pair;
+    assert.equal(wire[0] instanceof Uint8Array && wire[0][0] === 0xc1 && wire[0][1] === 0x02, true);
+    assert.ok(wire[0].length < large.length / 10);
+    assert.equal(pair.bob.received[0], large);
+    assert.equal(pair.bob.received[1], 'small');
+    assert.deepEqual(pair.bob.received[2], bytes);
+
+    const stats = pair.alice.mesh.getCompressionStats();
+    assert.equal(stats.negotiatedPeers, 1);
+    assert.equal(stats.compressedFrames, 2);
+    assert.equal(stats.ratio, stats.compressedBytes / stats.uncompressedBytes);
+    assert.ok(stats.ratio < 0.1);
+    assert.equal(pair.bob.mesh.getCompressionStats().decompressedFrames, 2);
+  } finally {
+    destroyPair(pair);
+  }
+});
+
+test('frames queued behind a compression keep their order', async () => {
+  const pair = makePair({ compression: true }, { compression: true });
+  try {
+    pair.alice.mesh.send(B, compressible('first'));
+    pair.alice.mesh.send(B, 'second');
+    pair.alice.mesh.broadcast(compressible('third'));
+    pair.alice.mesh.broadcast('fourth');
+    assert.deepEqual(pair.alice.sent, []);
+
+    await settle(pair);
+    assert.deepEqual(pair.bob.received, [compressible('first'), 'second', compressible('third'), 'fourth']);
+  } finally {
+    destroyPair(pair);
+  }
+});
+
+test('control frames sent as-is skip a pending compression', async () => {
+  const pair = makePair({ compression: true }, { compression: true });
+  try {
+    pair.alice.mesh.send(B, compressible('bulk'), { priority: 'bulk' });
+    pair.alice.mesh.send(B, 'ping', { priority: 'control' });
+    assert.deepEqual(pair.alice.sent.map(({ data }) => data), ['ping']);
+    await settle(pair);
+    assert.deepEqual(pair.bob.received, ['ping', compressible('bulk')]);
+  } finally {
+    destroyPair(pair);
+  }
+});
+
+test('a send that the queue cannot take throws even while compression is pending', async () => {
+  const sendQueue = { highWaterMarkBytes: 100, lowWaterMarkBytes: 0, maxQueuedBytes: 15_000 };
+  const pair = makePair({ compression: true, sendQueue }, { compression: true });
+  const errors = [];
+  pair.alice.mesh.on('peer:error', (event) => errors.push(event));
+  try {
+    pair.alice.mesh.signalingClient.getBufferedAmount = () => 1_000;
+    assert.equal(pair.alice.mesh.send(B, 'queued'), false);
+    assert.equal(pair.alice.mesh.send(B, compressible('fits')), false);
+    assert.throws(() => pair.alice.mesh.send(B, compressible('overflow')), /Send queue for peer .* is full/);
+    await settle(pair);
+    assert.equal(pair.alice.mesh.getSendQueueStats().queuedFrames, 2);
+    assert.deepEqual(errors, []);
+
+    // A channel that fails once the frame is compressed is reported, not swallowed.
+    pair.alice.mesh.signalingClient.getBufferedAmount = () => 0;
+    pair.alice.mesh.signalingClient.send = () => { throw new Error('channel closed'); };
+    pair.alice.mesh.send(B, compressible('lost'));
+    await settle(pair);
+    assert.deepEqual(errors.map(({ peerId, error }) => [peerId, error.message]), [[B, 'channel closed']]);
+  } finally {
+    destroyPair(pair);
+  }
+});
+
+test('a neighbour that does not offer compression keeps receiving plain frames', async () => {
+  const pair = makePair({ compression: true }, {});
+  try {
+    const large = compressible('plain');
+    pair.alice.mesh.send(B, large);
+    assert.equal(pair.alice.sent[0].data, large);
+    assert.equal(pair.alice.mesh.getCompressionStats().negotiatedPeers, 0);
+    assert.equal(pair.bob.mesh.getCompressionStats(), null);
+    await settle(pair);
+    assert.deepEqual(pair.bob.received, [large]);
+  } finally {
+    destroyPair(pair);
+  }
+});
+
+test('the built-in codec interoperates with CompressionStream', async (t) => {
+  const { CompressionStream, DecompressionStream } = globalThis;
+  t.after(() => Object.assign(globalThis, { CompressionStream, DecompressionStream }));
+  const withoutStreams = async (run) => {
+    delete globalThis.CompressionStream;
+    delete globalThis.DecompressionStream;
+    try {
+      return await run();
+    } finally {
+      Object.assign(globalThis, { CompressionStream, DecompressionStream });
+    }
+  };
+  const payload = JSON.stringify({
+    id: 'mixed',
+    type: 'gossip',
+    data: Array.from({ length: 400 }, (_, index) => `item-${index % 37}-${(index * 7919) % 101}`),
+  });
+
+  // Built-in deflate, native inflate.
+  const forward = makePair({ compression: true }, { compression: true });
+  try {
+    await withoutStreams(async () => {
+      forward.alice.mesh.send(B, payload);
+      await new Promise((resolve) => setTimeout(resolve, 5));
+    });
+    assert.equal(forward.alice.mesh.getCompressionStats().compressedFrames, 1);
+    await settle(forward);
+    assert.deepEqual(forward.bob.received, [payload]);
+  } finally {
+    destroyPair(forward);
+  }
+
+  // Native deflate, built-in inflate.
+  const backward = makePair({ compression: true }, { compression: true });
+  try {
+    backward.alice.mesh.send(B, payload);
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    const [{ data }] = backward.alice.sent.splice(0);
+    await withoutStreams(async () => {
+      backward.bob.mesh.handleRtcData(A, data);
+      await new Promise((resolve) => setTimeout(resolve, 5));
+    });
+    assert.deepEqual(backward.bob.received, [payload]);
+  } finally {
+    destroyPair(backward);
+  }
+});
+
+test('frames that inflate past maxMessageBytes are dropped', async () => {
+  const pair = makePair({ compression: true }, { compression: true, maxMessageBytes: 16_384 });
+  try {
+    pair.alice.mesh.send(B, 'z'.repeat(100_000));
+    pair.alice.mesh.send(B, 'after');
+    await settle(pair);
+    assert.deepEqual(pair.bob.received, ['after']);
+    assert.equal(pair.bob.mesh.getCompressionStats().failedFrames, 1);
+  } finally {
+    destroyPair(pair);
+  }
+});
+
+test('gossip stats report the mesh compression ratio', async () => {
+  const pair = makePair({ compression: { thresholdBytes: 256 } }, { compression: true });
+  const protocol = new GossipProtocol(pair.alice.mesh);
+  try {
+    assert.equal(protocol.getStats().compression.compressedFrames, 0);
+    assert.equal(protocol.getStats().compression.ratio, 1);
+    pair.alice.mesh.send(B, 'q'.repeat(300));
+    await settle(pair);
+    assert.equal(protocol.getStats().compression.compressedFrames, 1);
+    assert.ok(protocol.getStats().compression.ratio < 1);
+  } finally {
+    protocol.destroy();
+    destroyPair(pair);
+  }
+});
+
+test('compression options are validated', () => {
+  assert.throws(() => new PartialMesh({ compression: { thresholdBytes: 10 } }), RangeError);
+  assert.throws(() => new PartialMesh({ compression: { thresholdBytes: 1_500.5 } }), RangeError);
+  assert.equal(new PartialMesh({ compression: { thresholdBytes: 64 } }).getCompressionStats().ratio, 1);
+});
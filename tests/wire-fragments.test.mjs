@@ -0,0 +1,167 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import { GossipProtocol, PartialMesh, decodeWireFrame } from '../dist/index.js';
+
+const id = (hex) => String(hex).padStart(64, '0');
+const [A, B, C] = [id('01'), id('02'), id('03')];
+
+function makeMesh(self, peers, config = {}) {
+  const sent = [];
+  const mesh = new PartialMesh({ minPeers: 1, maxPeers: 4, autoDiscover: false, autoConnect: false, ...config });
+  mesh.clientId = self;
+  mesh.selfAliases.add(self);
+  for (const peer of peers) mesh.peers.set(peer, { id: peer, connected: true, initiator: false });
+  mesh.signalingClient = {
+    send(peerId, data) { sent.push({ peerId, data }); },
+    broadcast() { throw new Error('oversized broadcasts must be fragmented per peer'); },
+    closeConnection() {},
+    disconnect() {},
+  };
+  return { mesh, sent };
+}
+
+function negotiateBinary(mesh, peerId) {
+  mesh.handleWireHello(peerId, JSON.stringify({ __ppWire: 'pp-wire-hello-v1', codecs: ['ppmp/1', 'json'] }));
+}
+
+function frameLength(data) {
+  return typeof data === 'string' ? new TextEncoder().encode(data).length : data.length;
+}
+
+function collectData(mesh) {
+  const received = [];
+  mesh.on('peer:data', (event) => received.push(event));
+  return received;
+}
+
+test('oversized JSON frames are split under the frame limit and reassembled', () => {
+  const alice = makeMesh(A, [B], { maxFrameBytes: 2_048 });
+  const bob = makeMesh(B, [A]);
+  try {
+    const received = collectData(bob.mesh);
+    const payload = JSON.stringify({ id: 'big', type: 'gossip', data: 'é🐦'.repeat(3_000) });
+    alice.mesh.send(B, payload);
+
+    assert.ok(alice.sent.length > 1);
+    for (const { data } of alice.sent) {
+      assert.equal(typeof data, 'string');
+      assert.ok(frameLength(data) <= 2_048);
+    }
+    for (const { data } of alice.sent.reverse()) bob.mesh.handleRtcData(A, data);
+    assert.equal(received.length, 1);
+    assert.equal(received[0].peerId, A);
+    assert.equal(received[0].data, payload);
+  } finally {
+    alice.mesh.destroy();
+    bob.mesh.destroy();
+  }
+});
+
+test('binary peers receive raw fragments and the decoded envelope', () => {
+  const alice = makeMesh(A, [B], { maxFrameBytes: 4_096 });
+  const bob = makeMesh(B, [A]);
+  try {
+    negotiateBinary(alice.mesh, B);
+    const received = collectData(bob.mesh);
+    const bytes = new Uint8Array(50_000).map((_, index) => index % 251);
+    alice.mesh.sendFrame(B, { id: 'blob', type: 'direct', data: bytes });
+
+    assert.equal(alice.sent.length, 13);
+    for (const { data } of alice.sent) {
+      assert.equal(data instanceof Uint8Array, true);
+      assert.ok(data.length <= 4_096);
+      assert.equal(decodeWireFrame(data).chunk instanceof Uint8Array, true);
+    }
+    for (const { data } of alice.sent) bob.mesh.handleRtcData(A, data.buffer);
+    assert.equal(received.length, 1);
+    assert.deepEqual(received[0].data, { id: 'blob', type: 'direct', data: bytes });
+  } finally {
+    alice.mesh.destroy();
+    bob.mesh.destroy();
+  }
+});
+
+test('frames above maxMessageBytes are refused by the sender and the receiver', () => {
+  const alice = makeMesh(A, [B], { maxFrameBytes: 1_024, maxMessageBytes: 8_192 });
+  const bob = makeMesh(B, [A], { maxFrameBytes: 1_024, maxMessageBytes: 4_096 });
+  try {
+    assert.throws(() => alice.mesh.send(B, 'x'.repeat(9_000)), RangeError);
+    assert.equal(alice.sent.length, 0);
+
+    const received = collectData(bob.mesh);
+    alice.mesh.send(B, 'y'.repeat(6_000));
+    for (const { data } of alice.sent) bob.mesh.handleRtcData(A, data);
+    assert.equal(received.length, 0);
+    assert.equal(bob.mesh.reassembler.getStats().pendingFrames, 0);
+  } finally {
+    alice.mesh.destroy();
+    bob.mesh.destroy();
+  }
+});
+
+test('incomplete frames expire and are released on disconnect', async () => {
+  const alice = makeMesh(A, [B], { maxFrameBytes: 1_024 });
+  const bob = makeMesh(B, [A], { fragmentTimeoutMs: 30 });
+  try {
+    const received = collectData(bob.mesh);
+    alice.mesh.send(B, 'z'.repeat(5_000));
+    const [first, ...rest] = alice.sent;
+    for (const { data } of rest) bob.mesh.handleRtcData(A, data);
+    assert.equal(bob.mesh.reassembler.getStats().pendingFrames, 1);
+
+    await new Promise((resolve) => setTimeout(resolve, 60));
+    assert.equal(bob.mesh.reassembler.getStats().pendingFrames, 0);
+    bob.mesh.handleRtcData(A, first.data);
+    assert.equal(received.length, 0);
+
+    for (const { data } of rest) bob.mesh.handleRtcData(A, data);
+    bob.mesh.disconnectFromPeer(A);
+    assert.equal(bob.mesh.reassembler.getStats().pendingFrames, 0);
+  } finally {
+    alice.mesh.destroy();
+    bob.mesh.destroy();
+  }
+});
+
+test('fragment limits are validated', () => {
+  assert.throws(() => new PartialMesh({ autoDiscover: false, maxFrameBytes: 512 }), RangeError);
+  assert.throws(() => new PartialMesh({ autoDiscover: false, maxFrameBytes: 4_096, maxMessageBytes: 2_048 }), RangeError);
+  assert.throws(() => new PartialMesh({ autoDiscover: false, fragmentTimeoutMs: 0 }), RangeError);
+});
+
+test('routed direct messages larger than a frame cross a relay intact', () => {
+  const meshes = new Map([
+    [A, makeMesh(A, [B], { maxFrameBytes: 2_048 })],
+    [B, makeMesh(B, [A, C], { maxFrameBytes: 2_048 })],
+    [C, makeMesh(C, [B], { maxFrameBytes: 2_048 })],
+  ]);
+  for (const [self, { mesh }] of meshes) {
+    mesh.signalingClient.send = (peerId, data) => {
+      meshes.get(self).sent.push({ peerId, data });
+      meshes.get(peerId).mesh.handleRtcData(self, data);
+    };
+  }
+  // Two membership rounds give every peer a live record for the others.
+  for (let round = 0; round < 2; round += 1) {
+    for (const { mesh } of meshes.values()) mesh.broadcastMembership();
+  }
+  assert.deepEqual(meshes.get(A).mesh.getGlobalPeers().sort(), [B, C]);
+  negotiateBinary(meshes.get(B).mesh, C);
+  const protocols = new Map(Array.from(meshes, ([peerId, { mesh }]) => [peerId, new GossipProtocol(mesh)]));
+  try {
+    const direct = [];
+    protocols.get(C).on('directMessageReceived', ({ message }) => direct.push(message));
+    const text = 'routed '.repeat(2_000);
+    const messageId = protocols.get(A).sendDirect(C, { text });
+
+    assert.equal(direct.length, 1);
+    assert.equal(direct[0].id, messageId);
+    assert.equal(direct[0].data.text, text);
+    assert.ok(meshes.get(A).sent.filter(({ peerId }) => peerId === B).length > 1);
+    assert.ok(meshes.get(B).sent.some(({ peerId, data }) => peerId === C && data instanceof Uint8Array));
+  } finally {
+    for (const protocol of protocols.values()) protocol.destroy();
+    for (const { mesh } of meshes.values()) mesh.destroy();
+  }
+});